@@ -2,14 +2,22 @@
 
 const fs = require('fs');
 const path = require('path');
-const { ArgumentParser } = require('argparse');
+const { ArgumentParser, ArgumentTypeError } = require('argparse');
 const { Pool } = require('pg');
 const XmlParserService = require('../src/services/xml-parser-service');
 const logger = require('../src/utils/logging');
 const FileValidator = require('../src/utils/file-validator');
+const XmlStructureValidator = require('../src/utils/xml-structure-validator');
 const ConfigManager = require('../src/config/index');
 const errorHandler = require('../src/utils/error-handler');
 const DownloadExtractService = require('../src/services/download-extract-service');
+const QuarantineService = require('../src/services/quarantine-service');
+const ExportService = require('../src/services/export-service');
+const XmlExportService = require('../src/services/xml-export-service');
+const BatchScreeningService = require('../src/services/batch-screening-service');
+const ApiServer = require('../src/services/api-server');
+const GraphExportService = require('../src/services/graph-export-service');
+const { ImportRunModel, QuarantinedRecordModel, AssociationModel } = require('../src/models/models-index');
 const os = require('os');
 
 // Default memory settings
@@ -73,9 +81,60 @@ async function main() {
     default: 'full'
   });
 
-  parser.add_argument('--no-validate', { 
-    help: 'Skip XML validation', 
-    action: 'store_true' 
+  parser.add_argument('--load-strategy', {
+    help: 'How profiles are written: insert (row by row), batch (multi-row INSERT per batch) or copy (bulk COPY per batch)',
+    choices: ['insert', 'batch', 'copy'],
+    default: 'insert'
+  });
+
+  parser.add_argument('--flush-interval', {
+    help: 'With the batch and copy strategies, write a partial batch after this many milliseconds',
+    type: 'int',
+    default: 5000
+  });
+
+  parser.add_argument('--max-in-flight', {
+    help: 'Maximum number of records processed concurrently before XML reading pauses',
+    type: 'int',
+    default: 50
+  });
+
+  parser.add_argument('--resume', {
+    help: 'Resume an interrupted import of the same file from its checkpoint, skipping records already committed',
+    action: 'store_true'
+  });
+
+  const sections = parser.add_mutually_exclusive_group();
+
+  sections.add_argument('--only', {
+    help: 'Comma-separated processors to run, e.g. reference or person,entity (reference, person, entity, association or a custom processor)',
+    type: parseSections
+  });
+
+  sections.add_argument('--skip', {
+    help: 'Comma-separated processors not to run, e.g. association',
+    type: parseSections
+  });
+
+  parser.add_argument('--filter', {
+    help: 'Load only the persons and entities matching an expression over sanction, description1, description2, description3 and country, e.g. "sanction in (1,5,23) or description1 = 2"'
+  });
+
+  const validation = parser.add_mutually_exclusive_group();
+
+  validation.add_argument('--validate', {
+    help: 'Check the XML structure (well-formedness, root element, required attributes, known children) before any database write, whatever xml.validateStructure of the configuration says',
+    action: 'store_true'
+  });
+
+  validation.add_argument('--no-validate', {
+    help: 'Skip the XML structure check even when xml.validateStructure of the configuration asks for it',
+    action: 'store_true'
+  });
+
+  parser.add_argument('--dry-run', {
+    help: 'Parse and process the file against an in-memory model layer without connecting to PostgreSQL, reporting the rows a load would write, quarantine candidates and structure warnings',
+    action: 'store_true'
   });
 
   parser.add_argument('--download-only', { 
@@ -115,7 +174,7 @@ async function main() {
   });
   
   parser.add_argument('--db-pool-size', { 
-    help: 'Maximum database connection pool size',
+    help: 'Maximum database connection pool size (bounds concurrent record transactions)',
     type: 'int',
     default: 5
   });
@@ -131,9 +190,114 @@ async function main() {
     action: 'store_true'
   });
 
+  // Subcommands; without one the file given by --file or --url is imported
+  const commands = parser.add_subparsers({ dest: 'command', title: 'commands' });
+
+  const runsParser = commands.add_parser('runs', { help: 'Show the import run history' });
+  const runsCommands = runsParser.add_subparsers({ dest: 'runs_command', required: true });
+  runsCommands.add_parser('list', { help: 'List the most recent import runs' })
+    .add_argument('--limit', { help: 'Number of runs to list', type: 'int', default: 20 });
+  runsCommands.add_parser('show', { help: 'Show one import run with its record counts' })
+    .add_argument('id', { help: 'Import run id', type: 'int' });
+
+  const quarantineParser = commands.add_parser('quarantine', { help: 'Manage records that failed processing' });
+  const quarantineCommands = quarantineParser.add_subparsers({ dest: 'quarantine_command', required: true });
+  const quarantineList = quarantineCommands.add_parser('list', { help: 'List quarantined records' });
+  const quarantineRetry = quarantineCommands.add_parser('retry', { help: 'Re-process quarantined records, removing those that now succeed' });
+  const quarantinePurge = quarantineCommands.add_parser('purge', { help: 'Delete quarantined records' });
+  for (const command of [quarantineList, quarantineRetry, quarantinePurge]) {
+    command.add_argument('--id', { help: 'Quarantined record id (repeatable)', type: 'int', action: 'append', dest: 'ids' });
+    command.add_argument('--run', { help: 'Only records quarantined by this import run id', type: 'int' });
+    command.add_argument('--record-type', { help: 'Only records of this type', choices: ['Person', 'Entity'] });
+  }
+  quarantineList.add_argument('--limit', { help: 'Number of records to list', type: 'int', default: 50 });
+  quarantinePurge.add_argument('--all', { help: 'Delete every quarantined record when no filter is given', action: 'store_true' });
+
+  const exportParser = commands.add_parser('export', { help: 'Export loaded profiles with their names, roles, dates, sanctions, addresses and documents' });
+  exportParser.add_argument('--format', { help: 'ndjson: one full profile per line; csv: one row per profile, repeated children joined with " | "; xml: a PFA file with reference lists, profiles and associations that loads back into the same rows', choices: ['ndjson', 'csv', 'xml'], default: 'ndjson' });
+  exportParser.add_argument('--type', { help: 'Profiles to export (default person; xml exports both unless given)', choices: ['person', 'entity'], dest: 'profile_type' });
+  exportParser.add_argument('--limit', { help: 'xml only: export the first N profiles of each type, by id', type: 'int' });
+  exportParser.add_argument('-o', '--output', { help: 'Output file, - for standard output', required: true });
+  exportParser.add_argument('--fetch-size', { help: 'Profiles read from the database cursor at a time', type: 'int', default: 500 });
+
+  const screenParser = commands.add_parser('screen', { help: 'Screen a CSV file of customer names against the loaded persons and entities' });
+  screenParser.add_argument('-i', '--input', { help: 'Customer CSV file with a header row, - for standard input', required: true });
+  screenParser.add_argument('-o', '--output', { help: 'Hit report CSV file, - for standard output', required: true });
+  screenParser.add_argument('--type', { help: 'Profiles to screen against, both by default', choices: ['person', 'entity'], dest: 'profile_type' });
+  screenParser.add_argument('--threshold', { help: 'Minimum match score, 0 to 1', type: 'float', default: 0.85 });
+  screenParser.add_argument('--max-hits', { help: 'Maximum number of hits reported per customer', type: 'int', default: 10 });
+  screenParser.add_argument('--id-column', { help: 'Column with the customer reference, copied to the report', default: 'id' });
+  screenParser.add_argument('--name-column', { help: 'Column with the customer name', default: 'name' });
+  screenParser.add_argument('--dob-column', { help: 'Column with the date of birth (YYYY, YYYY-MM or YYYY-MM-DD), used when present', default: 'dob' });
+  screenParser.add_argument('--nationality-column', { help: 'Column with the nationality country code, used when present', default: 'nationality' });
+  screenParser.add_argument('--delimiter', { help: 'Field delimiter of the input and the report', default: ',' });
+
+  const serveParser = commands.add_parser('serve', { help: 'Serve the loaded data as a read-only HTTP/JSON API' });
+  serveParser.add_argument('--port', { help: 'Port to listen on', type: 'int', default: 8080 });
+  serveParser.add_argument('--host', { help: 'Interface to listen on, 0.0.0.0 for all', default: '127.0.0.1' });
+  serveParser.add_argument('--max-limit', { help: 'Largest page size a request may ask for', type: 'int', default: 500 });
+
+  const graphParser = commands.add_parser('graph', { help: 'Export associations as a graph' });
+  const graphCommands = graphParser.add_subparsers({ dest: 'graph_command', required: true });
+  const graphExport = graphCommands.add_parser('export', { help: 'Write the network around a profile, or every association, as GraphML, GEXF or a Neo4j Cypher script' });
+  graphExport.add_argument('--id', { help: 'Person or entity at the centre of the network; every association when omitted', type: 'int' });
+  graphExport.add_argument('--type', { help: 'Type of the profile given by --id', type: value => value.toUpperCase(), choices: ['PERSON', 'ENTITY'], default: 'PERSON', dest: 'profile_type' });
+  graphExport.add_argument('--depth', { help: 'Number of hops from the profile given by --id', type: 'int', default: 2 });
+  graphExport.add_argument('--limit', { help: 'Maximum number of associations around the profile given by --id', type: 'int', default: 1000 });
+  graphExport.add_argument('--direction', { help: 'Associations followed from the profile given by --id: both ways, or only as recorded (outgoing) or against it (incoming); bi-directional association types are followed both ways', choices: ['both', 'outgoing', 'incoming'], default: 'both' });
+  graphExport.add_argument('--category', { help: 'Only follow associations of this association type category (repeatable)', action: 'append', dest: 'categories' });
+  graphExport.add_argument('--exclude-former', { help: 'Do not follow associations flagged as former', action: 'store_true' });
+  graphExport.add_argument('--format', { help: 'graphml (yEd, Gephi, Cytoscape), gexf (Gephi) or cypher (Neo4j CREATE script)', choices: ['graphml', 'gexf', 'cypher'], default: 'graphml' });
+  graphExport.add_argument('-o', '--output', { help: 'Output file, - for standard output', default: '-' });
+  const graphPaths = graphCommands.add_parser('paths', { help: 'Print the shortest association paths between two persons or entities' });
+  graphPaths.add_argument('--from', { help: 'Start profile as TYPE:id, e.g. PERSON:123', type: profileReference, required: true, dest: 'from_profile', metavar: 'TYPE:ID' });
+  graphPaths.add_argument('--to', { help: 'End profile as TYPE:id, e.g. ENTITY:456', type: profileReference, required: true, dest: 'to_profile', metavar: 'TYPE:ID' });
+  graphPaths.add_argument('--max-depth', { help: 'Maximum number of hops', type: 'int', default: 4 });
+  graphPaths.add_argument('--exclude-former', { help: 'Ignore associations flagged as former', action: 'store_true' });
+  graphPaths.add_argument('--limit', { help: 'Maximum number of paths printed', type: 'int', default: 10 });
+
   // Parse arguments
   const args = parser.parse_args();
 
+  if (args.command === 'runs') {
+    return runsCommand(args);
+  }
+
+  if (args.command === 'quarantine') {
+    return quarantineCommand(args);
+  }
+
+  if (args.command === 'export') {
+    return exportCommand(args);
+  }
+
+  if (args.command === 'screen') {
+    if (args.threshold < 0 || args.threshold > 1) {
+      screenParser.error('--threshold must be between 0 and 1');
+    }
+    return screenCommand(args);
+  }
+
+  if (args.command === 'graph') {
+    if (args.graph_command === 'export' && args.depth < 1) {
+      graphExport.error('--depth must be at least 1');
+    }
+    if (args.graph_command === 'paths' && args.max_depth < 1) {
+      graphPaths.error('--max-depth must be at least 1');
+    }
+    return args.graph_command === 'paths' ? graphPathsCommand(args) : graphCommand(args);
+  }
+
+  if (args.command === 'serve') {
+    if (args.port < 0 || args.port > 65535) {
+      serveParser.error('--port must be between 0 and 65535');
+    }
+    if (args.max_limit < 1) {
+      serveParser.error('--max-limit must be at least 1');
+    }
+    return serveCommand(args);
+  }
+
   try {
     // Either a file path or a URL must be provided
     if (!args.file && !args.url) {
@@ -165,11 +329,13 @@ async function main() {
         streamMode: args.stream_mode,
         gcInterval: args.gc_interval,
         maxMemoryMB: args.max_memory,
-        logMemoryInterval: args.memory_check_interval
+        logMemoryInterval: args.memory_check_interval,
+        loadStrategy: args.load_strategy,
+        flushInterval: args.flush_interval,
+        maxInFlight: args.max_in_flight
       },
       xml: {
-        maxFileSizeGB: args.max_file_size,
-        validateStructure: !args.no_validate
+        maxFileSizeGB: args.max_file_size
       },
       storage: {
         chunkSize: args.chunk_size * 1024 * 1024, // Convert MB to bytes
@@ -178,6 +344,11 @@ async function main() {
     });
     
     const config = configManager.load();
+
+    // --validate and --no-validate take precedence over xml.validateStructure of the configuration
+    if (args.validate || args.no_validate) {
+      config.xml.validateStructure = args.validate;
+    }
     
     // Update memory settings if specified
     if (args.max_memory && args.max_memory !== defaultMaxMemoryMB) {
@@ -228,19 +399,37 @@ async function main() {
     logger.processInfo('Validating file');
     FileValidator.validate(filePath, config.xml);
 
+    if (args.dry_run && args.resume) {
+      throw new Error('--resume cannot be combined with --dry-run, a dry run writes nothing to resume');
+    }
+
+    // Structural pre-flight pass: nothing is written when the file is invalid
+    // A dry run reports the violations and still processes the file
+    if (config.xml.validateStructure || args.dry_run) {
+      logger.processInfo('Validating XML structure');
+      const report = await new XmlStructureValidator().validate(filePath);
+      printValidationReport(report);
+
+      if (!report.valid && !args.dry_run) {
+        throw new Error(`XML structure validation failed with ${report.errorCount.toLocaleString()} errors`);
+      }
+    }
+
     // Process the XML file
     logger.processInfo('Beginning XML file processing', {
       filePath,
       batchSize: config.processing.batchSize,
-      validateXml: !args.no_validate,
+      validateStructure: config.xml.validateStructure,
+      loadType: args.type,
+      loadStrategy: config.processing.loadStrategy,
       maxMemoryMB: config.processing.maxMemoryMB,
-      gcInterval: config.processing.gcInterval
+      gcInterval: config.processing.gcInterval,
+      dryRun: args.dry_run
     });
 
     // Enhanced parser options
     const parserOptions = {
       batchSize: config.processing.batchSize,
-      validateXml: !args.no_validate,
       maxFileSizeGB: config.xml.maxFileSizeGB,
       streamMode: config.processing.streamMode,
       gcInterval: config.processing.gcInterval,
@@ -250,7 +439,22 @@ async function main() {
       chunkSize: config.storage.chunkSize,
       maxConnections: config.database.maxConnections,
       idleTimeout: config.database.idleTimeout,
-      disableChunking: config.storage.disableChunking
+      disableChunking: config.storage.disableChunking,
+      loadType: args.type,
+      loadStrategy: config.processing.loadStrategy,
+      flushInterval: config.processing.flushInterval,
+      maxInFlight: config.processing.maxInFlight,
+      // Custom processor modules are resolved relative to the configuration file
+      processors: (config.processing.processors || []).map(definition => ({
+        ...definition,
+        module: definition.module && path.resolve(path.dirname(args.config), definition.module)
+      })),
+      only: args.only,
+      skip: args.skip,
+      // Not part of the configuration overrides, so a filter of the configuration file applies when --filter is not given
+      filter: args.filter || config.processing.filter,
+      resume: args.resume,
+      dryRun: args.dry_run
     };
 
     // Create and run XML parser
@@ -265,6 +469,9 @@ async function main() {
     xmlParser.on('abort', (abortInfo) => {
       console.error(`\nERROR: Processing aborted due to ${abortInfo.reason}. Memory usage: ${abortInfo.heapUsedMB}MB`);
     });
+
+    // On SIGINT/SIGTERM, finish the current batch and keep the checkpoint instead of exiting mid-write
+    errorHandler.onShutdown((signal) => xmlParser.stop(signal));
     
     const startTime = new Date();
     const stats = await xmlParser.parseXMLFile(filePath);
@@ -278,9 +485,24 @@ async function main() {
 
     // Display results
     console.log('\n------------------------------------');
-    console.log('XML PROCESSING COMPLETED SUCCESSFULLY');
+    if (stats.dryRun) {
+      console.log(stats.interrupted ? 'DRY RUN INTERRUPTED (nothing was written)' : 'DRY RUN COMPLETED (nothing was written)');
+    } else {
+      console.log(stats.interrupted ? 'XML PROCESSING INTERRUPTED' : 'XML PROCESSING COMPLETED SUCCESSFULLY');
+    }
     console.log('------------------------------------');
     console.log(`File: ${path.basename(filePath)}`);
+    if (stats.runId) {
+      console.log(`Run: ${stats.runId}${stats.importRunId ? ` (import run ${stats.importRunId})` : ''}`);
+    }
+    console.log(`Load type: ${stats.loadType}`);
+    console.log(`Load strategy: ${stats.loadStrategy}`);
+    if (args.only || args.skip) {
+      console.log(`Sections: ${stats.sections.join(', ')}`);
+    }
+    if (parserOptions.filter) {
+      console.log(`Filter: ${parserOptions.filter}`);
+    }
     
     // Format time with hours if needed
     const timeDisplay = hours > 0 
@@ -290,6 +512,16 @@ async function main() {
     console.log(`Processing time: ${timeDisplay}`);
     console.log(`Total records processed: ${stats.processedRecords.toLocaleString()}`);
     console.log(`Speed: ${(stats.processedRecords / processingSeconds).toFixed(2)} records/second`);
+    console.log(`Records with errors: ${stats.errorCount.toLocaleString()}`);
+    if (stats.quarantinedRecords > 0 && !stats.dryRun) {
+      console.log(`Quarantined for retry: ${stats.quarantinedRecords.toLocaleString()} (see "quarantine list")`);
+    }
+    if (stats.filteredRecords > 0) {
+      console.log(`Filtered out: ${stats.filteredRecords.toLocaleString()}`);
+    }
+    if (stats.skippedRecords > 0) {
+      console.log(`Skipped (committed by the interrupted run): ${stats.skippedRecords.toLocaleString()}`);
+    }
     console.log('------------------------------------');
     console.log('Record counts:');
 
@@ -300,6 +532,23 @@ async function main() {
       }
     });
 
+    if (stats.unresolvedAssociates > 0) {
+      console.log(`  unresolvedAssociates: ${stats.unresolvedAssociates.toLocaleString()}`);
+    }
+
+    // Display per-action counts for delta and incremental loads
+    if (stats.loadType !== 'full' && Object.keys(stats.actions).length > 0) {
+      console.log('------------------------------------');
+      console.log('Record actions:');
+      Object.entries(stats.actions).forEach(([name, actions]) => {
+        console.log(`  ${name}: ${actions.add.toLocaleString()} added, ${actions.amend.toLocaleString()} amended, ${actions.del.toLocaleString()} deleted`);
+      });
+    }
+
+    if (stats.dryRun) {
+      printDryRunReport(stats.dryRun);
+    }
+
     console.log('------------------------------------');
     console.log('Peak memory usage:');
     const memUsage = process.memoryUsage();
@@ -308,6 +557,11 @@ async function main() {
     console.log('------------------------------------');
     console.log('See logs for detailed information.');
 
+    if (stats.interrupted && !stats.dryRun) {
+      console.log('\nRun the same command with --resume to continue this import.');
+      process.exitCode = 130;
+    }
+
     // Close database pool
     if (xmlParser.pool) {
       await xmlParser.pool.end();
@@ -334,6 +588,444 @@ async function main() {
   }
 }
 
+/**
+ * Parse a comma-separated list of processor names
+ * @param {string} value - Option value, e.g. person,entity
+ * @returns {Array<string>} Processor names
+ */
+function parseSections(value) {
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    throw new TypeError('expected at least one processor name');
+  }
+  return names;
+}
+
+/**
+ * Print a structural validation report, logging every violation kept in it
+ * @param {Object} report - Report of XmlStructureValidator.validate
+ */
+function printValidationReport(report) {
+  const shown = 20;
+
+  report.errors.forEach(violation => errorHandler.handleValidationError('structure', violation.message, violation));
+
+  console.log('\n------------------------------------');
+  console.log(`XML STRUCTURE ${report.valid ? 'VALID' : 'INVALID'}: ${report.errorCount.toLocaleString()} errors, ${report.warningCount.toLocaleString()} warnings`);
+  console.log('------------------------------------');
+
+  for (const [label, violations, total] of [['Errors', report.errors, report.errorCount], ['Warnings', report.warnings, report.warningCount]]) {
+    if (total === 0) continue;
+
+    console.log(`${label}:`);
+    violations.slice(0, shown).forEach(violation => {
+      console.log(`  line ${violation.line}, column ${violation.column}: ${violation.message}`);
+    });
+    if (total > shown) {
+      console.log(`  ... and ${(total - shown).toLocaleString()} more (see logs)`);
+    }
+  }
+}
+
+/**
+ * Print the rows a dry run would have written and its quarantine candidates
+ * @param {Object} report - Report of DryRunClient.getReport
+ */
+function printDryRunReport(report) {
+  const shown = 20;
+
+  console.log('------------------------------------');
+  console.log('Rows that would be written:');
+  Object.entries(report.rows)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([table, rows]) => {
+      console.log(`  ${table}: ${rows.toLocaleString()}`);
+    });
+
+  if (report.quarantineCount > 0) {
+    console.log('------------------------------------');
+    console.log(`Quarantine candidates: ${report.quarantineCount.toLocaleString()}`);
+    report.quarantineCandidates.slice(0, shown).forEach(candidate => {
+      console.log(`  ${candidate.record_type} ${candidate.record_id}: ${candidate.error_message}`);
+    });
+    if (report.quarantineCount > shown) {
+      console.log(`  ... and ${(report.quarantineCount - shown).toLocaleString()} more (see logs)`);
+    }
+  }
+}
+
+/**
+ * Create a database pool from the --config file and --connection option
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Pool} Database pool
+ */
+function createPool(args) {
+  const config = new ConfigManager({
+    configPath: args.config,
+    database: {
+      connectionString: args.connection,
+      maxConnections: args.db_pool_size,
+      idleTimeout: args.db_idle_timeout
+    }
+  }).load();
+
+  return new Pool({
+    ...config.database,
+    max: config.database.maxConnections,
+    idleTimeoutMillis: config.database.idleTimeout
+  });
+}
+
+/**
+ * Format a timestamp column for display
+ * @param {Date|null} value - Timestamp
+ * @returns {string} ISO timestamp or '-'
+ */
+function formatTimestamp(value) {
+  return value ? new Date(value).toISOString() : '-';
+}
+
+/**
+ * runs list|show: print the import run history
+ * @param {Object} args - Parsed command line arguments
+ */
+async function runsCommand(args) {
+  const pool = createPool(args);
+
+  try {
+    const importRuns = new ImportRunModel(pool);
+
+    if (args.runs_command === 'list') {
+      const runs = await importRuns.list({ limit: args.limit });
+      if (runs.length === 0) {
+        console.log('No import runs recorded.');
+        return;
+      }
+
+      console.log(['ID', 'Started', 'Finished', 'Status', 'Type', 'Records', 'Errors', 'File'].join('\t'));
+      runs.forEach(run => {
+        console.log([
+          run.id,
+          formatTimestamp(run.started_at),
+          formatTimestamp(run.finished_at),
+          run.status,
+          run.load_type,
+          run.processed_records,
+          run.error_count,
+          run.file_name
+        ].join('\t'));
+      });
+      return;
+    }
+
+    const run = await importRuns.findById(args.id);
+    if (!run) {
+      console.error(`Import run ${args.id} not found`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('------------------------------------');
+    console.log(`Import run ${run.id} (${run.run_key})`);
+    console.log('------------------------------------');
+    console.log(`File: ${run.file_name}`);
+    console.log(`Path: ${run.file_path || '-'}`);
+    console.log(`Size: ${run.file_size !== null ? Number(run.file_size).toLocaleString() + ' bytes' : '-'}`);
+    console.log(`SHA-256: ${run.file_checksum || '-'}`);
+    console.log(`Load type: ${run.load_type}`);
+    console.log(`Load strategy: ${run.load_strategy}`);
+    console.log(`Resumed: ${run.resumed ? 'yes' : 'no'}`);
+    console.log(`Status: ${run.status}`);
+    console.log(`Started: ${formatTimestamp(run.started_at)}`);
+    console.log(`Finished: ${formatTimestamp(run.finished_at)}`);
+    console.log(`Records processed: ${run.processed_records.toLocaleString()}`);
+    console.log(`Errors: ${run.error_count.toLocaleString()}`);
+    if (run.error_message) {
+      console.log(`Failure: ${run.error_message}`);
+    }
+    console.log('------------------------------------');
+    console.log('Record counts:');
+    Object.entries(run.counts || {}).forEach(([key, value]) => {
+      if (value > 0) {
+        console.log(`  ${key}: ${value.toLocaleString()}`);
+      }
+    });
+  } catch (error) {
+    errorHandler.handleFatalError('CLI Error', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * quarantine list|retry|purge: manage records that failed processing
+ * @param {Object} args - Parsed command line arguments
+ */
+async function quarantineCommand(args) {
+  const pool = createPool(args);
+  const filters = {
+    ids: args.ids,
+    importRunId: args.run,
+    recordType: args.record_type
+  };
+
+  try {
+    const quarantine = new QuarantinedRecordModel(pool);
+
+    if (args.quarantine_command === 'list') {
+      const records = await quarantine.list(filters, { limit: args.limit });
+      if (records.length === 0) {
+        console.log('No quarantined records.');
+        return;
+      }
+
+      console.log(['ID', 'Run', 'Type', 'Record', 'Retries', 'Quarantined', 'Error'].join('\t'));
+      records.forEach(record => {
+        console.log([
+          record.id,
+          record.import_run_id || '-',
+          record.record_type,
+          record.record_id || '-',
+          record.retry_count,
+          formatTimestamp(record.created_at),
+          record.error_message
+        ].join('\t'));
+      });
+      return;
+    }
+
+    if (args.quarantine_command === 'retry') {
+      const result = await new QuarantineService(pool).retry(filters);
+      console.log(`Retried ${result.retried.toLocaleString()} quarantined records: ${result.succeeded.toLocaleString()} succeeded, ${result.failed.toLocaleString()} still failing`);
+      if (result.failed > 0) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    if (!args.ids && !args.run && !args.record_type && !args.all) {
+      throw new Error('Refusing to purge every quarantined record without --all');
+    }
+
+    const deleted = await quarantine.purge(filters);
+    console.log(`Purged ${deleted.toLocaleString()} quarantined records`);
+  } catch (error) {
+    errorHandler.handleFatalError('CLI Error', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * export: write loaded profiles to an NDJSON, CSV or PFA XML file
+ * @param {Object} args - Parsed command line arguments
+ */
+async function exportCommand(args) {
+  const pool = createPool(args);
+  const toStdout = args.output === '-';
+  const output = toStdout ? process.stdout : fs.createWriteStream(args.output);
+
+  try {
+    if (args.format === 'xml') {
+      const stats = await new XmlExportService(pool, { fetchSize: args.fetch_size })
+        .export(output, { types: args.profile_type ? [args.profile_type] : undefined, limit: args.limit });
+
+      if (!toStdout) {
+        await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+        console.log(`Exported ${stats.persons.toLocaleString()} persons, ${stats.entities.toLocaleString()} entities and ${stats.associations.toLocaleString()} associations to ${args.output} (xml)`);
+      }
+      return;
+    }
+
+    const type = args.profile_type || 'person';
+    const stats = await new ExportService(pool, { fetchSize: args.fetch_size })
+      .export(output, { type, format: args.format });
+
+    if (!toStdout) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+      console.log(`Exported ${stats.exported.toLocaleString()} ${type} profiles to ${args.output} (${args.format})`);
+    }
+  } catch (error) {
+    // Do not leave a truncated export behind
+    if (!toStdout) {
+      output.destroy();
+      fs.rmSync(args.output, { force: true });
+    }
+    errorHandler.handleFatalError('CLI Error', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * screen: screen a customer CSV file and write the hit report
+ * @param {Object} args - Parsed command line arguments
+ */
+async function screenCommand(args) {
+  const pool = createPool(args);
+  const input = args.input === '-' ? process.stdin : fs.createReadStream(args.input);
+  const toStdout = args.output === '-';
+  const output = toStdout ? process.stdout : fs.createWriteStream(args.output);
+
+  try {
+    const stats = await new BatchScreeningService(pool, {
+      type: args.profile_type,
+      threshold: args.threshold,
+      maxHits: args.max_hits,
+      idColumn: args.id_column,
+      nameColumn: args.name_column,
+      dobColumn: args.dob_column,
+      nationalityColumn: args.nationality_column,
+      delimiter: args.delimiter
+    }).screenFile(input, output);
+
+    if (!toStdout) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+      console.log(`Screened ${stats.customers.toLocaleString()} customers: ${stats.hits.toLocaleString()} hits for ${stats.customersWithHits.toLocaleString()} customers written to ${args.output}`);
+      if (stats.skipped > 0 || stats.invalid > 0) {
+        console.log(`Not screened: ${stats.skipped} without a name, ${stats.invalid} with an invalid date of birth`);
+      }
+      if (stats.truncated > 0) {
+        console.log(`Warning: ${stats.truncated} customers matched too many names and were only screened against the most similar ones (see the log)`);
+      }
+    }
+  } catch (error) {
+    // Do not leave a truncated report behind
+    if (!toStdout) {
+      output.destroy();
+      fs.rmSync(args.output, { force: true });
+    }
+    errorHandler.handleFatalError('CLI Error', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * graph export: write an association graph
+ * @param {Object} args - Parsed command line arguments
+ */
+async function graphCommand(args) {
+  const pool = createPool(args);
+  const toStdout = args.output === '-';
+  const output = toStdout ? process.stdout : fs.createWriteStream(args.output);
+
+  try {
+    const stats = await new GraphExportService(pool).export(output, {
+      format: args.format,
+      id: args.id,
+      type: args.profile_type,
+      depth: args.depth,
+      limit: args.limit,
+      direction: args.direction,
+      categories: args.categories,
+      isFormer: args.exclude_former ? false : undefined
+    });
+
+    if (!toStdout) {
+      await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+      console.log(`Exported ${stats.nodes.toLocaleString()} nodes and ${stats.edges.toLocaleString()} edges to ${args.output} (${args.format})`);
+    }
+  } catch (error) {
+    // Do not leave a truncated graph behind
+    if (!toStdout) {
+      output.destroy();
+      fs.rmSync(args.output, { force: true });
+    }
+    errorHandler.handleFatalError('CLI Error', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * graph paths: print the shortest association paths between two profiles
+ * @param {Object} args - Parsed command line arguments
+ */
+async function graphPathsCommand(args) {
+  const pool = createPool(args);
+
+  try {
+    const from = args.from_profile;
+    const to = args.to_profile;
+    const paths = await new AssociationModel(pool).findPaths(from, to, {
+      maxDepth: args.max_depth,
+      excludeFormer: args.exclude_former,
+      limit: args.limit
+    });
+
+    const nodes = [from, to];
+    paths.forEach(path => path.hops.forEach(hop => nodes.push({ id: hop.to_id, type: hop.to_type })));
+    const labels = await new GraphExportService(pool).nodeLabels(nodes);
+    const describe = (type, id) => `${labels.get(`${type}:${id}`)} [${type}:${id}]`;
+
+    if (paths.length === 0) {
+      console.log(`No path of at most ${args.max_depth} hops between ${describe(from.type, from.id)} and ${describe(to.type, to.id)}.`);
+      return;
+    }
+
+    console.log(`${paths.length} shortest path${paths.length === 1 ? '' : 's'} of ${paths[0].length} hop${paths[0].length === 1 ? '' : 's'} between ${describe(from.type, from.id)} and ${describe(to.type, to.id)}:`);
+    paths.forEach((path, index) => {
+      console.log(`${index + 1}. ${describe(from.type, from.id)}`);
+      path.hops.forEach(hop => {
+        const relationship = `${hop.relationship_name || 'Unknown relationship'}${hop.is_former ? ', former' : ''}`;
+        const arrow = hop.reversed ? `<-[${relationship}]-` : `-[${relationship}]->`;
+        console.log(`     ${arrow} ${describe(hop.to_type, hop.to_id)}`);
+      });
+    });
+  } catch (error) {
+    errorHandler.handleFatalError('CLI Error', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+/**
+ * Parse a profile given as TYPE:id
+ * @param {string} value - Argument value, e.g. PERSON:123
+ * @returns {Object} id and type
+ */
+function profileReference(value) {
+  const match = /^(person|entity):(\d+)$/i.exec(value);
+  if (!match) {
+    throw new ArgumentTypeError(`invalid profile: ${value} (expected PERSON:id or ENTITY:id)`);
+  }
+  return { type: match[1].toUpperCase(), id: Number(match[2]) };
+}
+
+/**
+ * serve: answer the read-only HTTP/JSON API until SIGINT or SIGTERM
+ * @param {Object} args - Parsed command line arguments
+ */
+async function serveCommand(args) {
+  const pool = createPool(args);
+  const server = new ApiServer(pool, {
+    port: args.port,
+    host: args.host,
+    maxLimit: args.max_limit,
+    defaultLimit: Math.min(50, args.max_limit)
+  });
+
+  try {
+    const address = await server.start();
+    console.log(`Serving the API on http://${address.address}:${address.port} (Ctrl+C to stop)`);
+
+    await new Promise(resolve => errorHandler.onShutdown(resolve));
+    await server.stop();
+  } catch (error) {
+    errorHandler.handleFatalError('CLI Error', error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
 // Run the application
 main().catch(error => {
   errorHandler.handleFatalError('Unhandled Promise Rejection', error);
@@ -17,6 +17,20 @@ SET xmloption = content;
 SET client_min_messages = warning;
 SET row_security = off;
 
+--
+-- Name: pg_trgm; Type: EXTENSION; Schema: -; Owner: -
+--
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA public;
+
+
+--
+-- Name: EXTENSION pg_trgm; Type: COMMENT; Schema: -; Owner: 
+--
+
+COMMENT ON EXTENSION pg_trgm IS 'text similarity measurement and index searching based on trigrams';
+
+
 --
 -- Name: validate_association_references(); Type: FUNCTION; Schema: public; Owner: postgres
 --
@@ -624,6 +638,54 @@ ALTER SEQUENCE public.entity_vessels_id_seq OWNER TO postgres;
 ALTER SEQUENCE public.entity_vessels_id_seq OWNED BY public.entity_vessels.id;
 
 
+--
+-- Name: import_runs; Type: TABLE; Schema: public; Owner: postgres
+--
+
+CREATE TABLE public.import_runs (
+    id integer NOT NULL,
+    run_key character varying(64) NOT NULL,
+    file_name character varying(255) NOT NULL,
+    file_path text,
+    file_size bigint,
+    file_checksum character(64),
+    load_type character varying(20) NOT NULL,
+    load_strategy character varying(20) NOT NULL,
+    resumed boolean DEFAULT false NOT NULL,
+    status character varying(20) NOT NULL,
+    started_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    finished_at timestamp without time zone,
+    processed_records integer DEFAULT 0 NOT NULL,
+    error_count integer DEFAULT 0 NOT NULL,
+    counts jsonb DEFAULT '{}'::jsonb NOT NULL,
+    error_message text
+);
+
+
+ALTER TABLE public.import_runs OWNER TO postgres;
+
+--
+-- Name: import_runs_id_seq; Type: SEQUENCE; Schema: public; Owner: postgres
+--
+
+CREATE SEQUENCE public.import_runs_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.import_runs_id_seq OWNER TO postgres;
+
+--
+-- Name: import_runs_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: postgres
+--
+
+ALTER SEQUENCE public.import_runs_id_seq OWNED BY public.import_runs.id;
+
+
 --
 -- Name: information_sources; Type: TABLE; Schema: public; Owner: postgres
 --
@@ -1184,6 +1246,49 @@ ALTER SEQUENCE public.public_figure_associations_id_seq OWNER TO postgres;
 ALTER SEQUENCE public.public_figure_associations_id_seq OWNED BY public.public_figure_associations.id;
 
 
+--
+-- Name: quarantined_records; Type: TABLE; Schema: public; Owner: postgres
+--
+
+CREATE TABLE public.quarantined_records (
+    id integer NOT NULL,
+    import_run_id integer,
+    run_key character varying(64),
+    record_type character varying(50) NOT NULL,
+    record_id character varying(50),
+    load_type character varying(20) NOT NULL,
+    element jsonb NOT NULL,
+    error_message text NOT NULL,
+    retry_count integer DEFAULT 0 NOT NULL,
+    last_retry_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.quarantined_records OWNER TO postgres;
+
+--
+-- Name: quarantined_records_id_seq; Type: SEQUENCE; Schema: public; Owner: postgres
+--
+
+CREATE SEQUENCE public.quarantined_records_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.quarantined_records_id_seq OWNER TO postgres;
+
+--
+-- Name: quarantined_records_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: postgres
+--
+
+ALTER SEQUENCE public.quarantined_records_id_seq OWNED BY public.quarantined_records.id;
+
+
 --
 -- Name: relationships; Type: TABLE; Schema: public; Owner: postgres
 --
@@ -1372,6 +1477,13 @@ ALTER TABLE ONLY public.entity_sources ALTER COLUMN id SET DEFAULT nextval('publ
 ALTER TABLE ONLY public.entity_vessels ALTER COLUMN id SET DEFAULT nextval('public.entity_vessels_id_seq'::regclass);
 
 
+--
+-- Name: import_runs id; Type: DEFAULT; Schema: public; Owner: postgres
+--
+
+ALTER TABLE ONLY public.import_runs ALTER COLUMN id SET DEFAULT nextval('public.import_runs_id_seq'::regclass);
+
+
 --
 -- Name: information_sources id; Type: DEFAULT; Schema: public; Owner: postgres
 --
@@ -1463,6 +1575,13 @@ ALTER TABLE ONLY public.person_sources ALTER COLUMN id SET DEFAULT nextval('publ
 ALTER TABLE ONLY public.public_figure_associations ALTER COLUMN id SET DEFAULT nextval('public.public_figure_associations_id_seq'::regclass);
 
 
+--
+-- Name: quarantined_records id; Type: DEFAULT; Schema: public; Owner: postgres
+--
+
+ALTER TABLE ONLY public.quarantined_records ALTER COLUMN id SET DEFAULT nextval('public.quarantined_records_id_seq'::regclass);
+
+
 --
 -- Name: role_types id; Type: DEFAULT; Schema: public; Owner: postgres
 --
@@ -1581,14 +1700,6 @@ ALTER TABLE ONLY public.entity_images
     ADD CONSTRAINT entity_images_pkey PRIMARY KEY (id);
 
 
---
--- Name: entity_names entity_names_entity_id_name_type_is_primary_key; Type: CONSTRAINT; Schema: public; Owner: postgres
---
-
-ALTER TABLE ONLY public.entity_names
-    ADD CONSTRAINT entity_names_entity_id_name_type_is_primary_key UNIQUE (entity_id, name_type, is_primary);
-
-
 --
 -- Name: entity_names entity_names_pkey; Type: CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -1621,6 +1732,22 @@ ALTER TABLE ONLY public.entity_vessels
     ADD CONSTRAINT entity_vessels_pkey PRIMARY KEY (id);
 
 
+--
+-- Name: import_runs import_runs_pkey; Type: CONSTRAINT; Schema: public; Owner: postgres
+--
+
+ALTER TABLE ONLY public.import_runs
+    ADD CONSTRAINT import_runs_pkey PRIMARY KEY (id);
+
+
+--
+-- Name: information_sources information_sources_name_key; Type: CONSTRAINT; Schema: public; Owner: postgres
+--
+
+ALTER TABLE ONLY public.information_sources
+    ADD CONSTRAINT information_sources_name_key UNIQUE (name);
+
+
 --
 -- Name: information_sources information_sources_pkey; Type: CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -1629,6 +1756,14 @@ ALTER TABLE ONLY public.information_sources
     ADD CONSTRAINT information_sources_pkey PRIMARY KEY (id);
 
 
+--
+-- Name: name_types name_types_name_type_id_record_type_key; Type: CONSTRAINT; Schema: public; Owner: postgres
+--
+
+ALTER TABLE ONLY public.name_types
+    ADD CONSTRAINT name_types_name_type_id_record_type_key UNIQUE (name_type_id, record_type);
+
+
 --
 -- Name: name_types name_types_pkey; Type: CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -1693,14 +1828,6 @@ ALTER TABLE ONLY public.person_images
     ADD CONSTRAINT person_images_pkey PRIMARY KEY (id);
 
 
---
--- Name: person_names person_names_person_id_name_type_is_primary_key; Type: CONSTRAINT; Schema: public; Owner: postgres
---
-
-ALTER TABLE ONLY public.person_names
-    ADD CONSTRAINT person_names_person_id_name_type_is_primary_key UNIQUE (person_id, name_type, is_primary);
-
-
 --
 -- Name: person_names person_names_pkey; Type: CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -1757,6 +1884,14 @@ ALTER TABLE ONLY public.public_figure_associations
     ADD CONSTRAINT public_figure_associations_public_figure_id_associate_id_as_key UNIQUE (public_figure_id, associate_id, associate_type, relationship_code);
 
 
+--
+-- Name: quarantined_records quarantined_records_pkey; Type: CONSTRAINT; Schema: public; Owner: postgres
+--
+
+ALTER TABLE ONLY public.quarantined_records
+    ADD CONSTRAINT quarantined_records_pkey PRIMARY KEY (id);
+
+
 --
 -- Name: relationships relationships_pkey; Type: CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -1889,6 +2024,27 @@ CREATE INDEX idx_entity_images_entity ON public.entity_images USING btree (entit
 CREATE INDEX idx_entity_names_entity ON public.entity_names USING btree (entity_id);
 
 
+--
+-- Name: idx_entity_names_fts; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_entity_names_fts ON public.entity_names USING gin (to_tsvector('simple'::regconfig, COALESCE(entity_name, '') || ' ' || COALESCE(original_script_name, '')));
+
+
+--
+-- Name: idx_entity_names_name_trgm; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_entity_names_name_trgm ON public.entity_names USING gin (entity_name public.gin_trgm_ops);
+
+
+--
+-- Name: idx_entity_names_original_script_trgm; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_entity_names_original_script_trgm ON public.entity_names USING gin (original_script_name public.gin_trgm_ops);
+
+
 --
 -- Name: idx_entity_names_search; Type: INDEX; Schema: public; Owner: postgres
 --
@@ -1917,6 +2073,13 @@ CREATE INDEX idx_entity_sanctions_entity ON public.entity_sanctions USING btree
 CREATE INDEX idx_entity_sanctions_reference ON public.entity_sanctions USING btree (reference_code);
 
 
+--
+-- Name: idx_import_runs_started; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_import_runs_started ON public.import_runs USING btree (started_at);
+
+
 --
 -- Name: idx_person_dates_date; Type: INDEX; Schema: public; Owner: postgres
 --
@@ -1945,6 +2108,27 @@ CREATE INDEX idx_person_dates_type ON public.person_dates USING btree (date_type
 CREATE INDEX idx_person_images_person ON public.person_images USING btree (person_id);
 
 
+--
+-- Name: idx_person_names_fts; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_person_names_fts ON public.person_names USING gin (to_tsvector('simple'::regconfig, COALESCE(first_name, '') || ' ' || COALESCE(middle_name, '') || ' ' || COALESCE(surname, '') || ' ' || COALESCE(maiden_name, '') || ' ' || COALESCE(single_string_name, '') || ' ' || COALESCE(original_script_name, '')));
+
+
+--
+-- Name: idx_person_names_full_name_trgm; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_person_names_full_name_trgm ON public.person_names USING gin ((COALESCE(first_name, '') || ' ' || COALESCE(middle_name, '') || ' ' || COALESCE(surname, '')) public.gin_trgm_ops);
+
+
+--
+-- Name: idx_person_names_original_script_trgm; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_person_names_original_script_trgm ON public.person_names USING gin (original_script_name public.gin_trgm_ops);
+
+
 --
 -- Name: idx_person_names_person; Type: INDEX; Schema: public; Owner: postgres
 --
@@ -1959,6 +2143,13 @@ CREATE INDEX idx_person_names_person ON public.person_names USING btree (person_
 CREATE INDEX idx_person_names_search ON public.person_names USING btree (first_name, surname);
 
 
+--
+-- Name: idx_person_names_single_string_trgm; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_person_names_single_string_trgm ON public.person_names USING gin (single_string_name public.gin_trgm_ops);
+
+
 --
 -- Name: idx_person_names_type; Type: INDEX; Schema: public; Owner: postgres
 --
@@ -2029,6 +2220,20 @@ CREATE INDEX idx_public_figure_assoc ON public.public_figure_associations USING
 CREATE INDEX idx_public_figure_associate ON public.public_figure_associations USING btree (associate_id, associate_type);
 
 
+--
+-- Name: idx_quarantined_records_record; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_quarantined_records_record ON public.quarantined_records USING btree (record_type, record_id);
+
+
+--
+-- Name: idx_quarantined_records_run; Type: INDEX; Schema: public; Owner: postgres
+--
+
+CREATE INDEX idx_quarantined_records_run ON public.quarantined_records USING btree (import_run_id);
+
+
 --
 -- Name: idx_special_entity_assoc; Type: INDEX; Schema: public; Owner: postgres
 --
@@ -2168,14 +2373,6 @@ ALTER TABLE ONLY public.entity_names
     ADD CONSTRAINT entity_names_entity_id_fkey FOREIGN KEY (entity_id) REFERENCES public.entities(id) ON DELETE CASCADE;
 
 
---
--- Name: entity_names entity_names_name_type_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: postgres
---
-
-ALTER TABLE ONLY public.entity_names
-    ADD CONSTRAINT entity_names_name_type_id_fkey FOREIGN KEY (name_type_id) REFERENCES public.name_types(id);
-
-
 --
 -- Name: entity_sanctions entity_sanctions_entity_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -2312,14 +2509,6 @@ ALTER TABLE ONLY public.person_images
     ADD CONSTRAINT person_images_person_id_fkey FOREIGN KEY (person_id) REFERENCES public.persons(id) ON DELETE CASCADE;
 
 
---
--- Name: person_names person_names_name_type_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: postgres
---
-
-ALTER TABLE ONLY public.person_names
-    ADD CONSTRAINT person_names_name_type_id_fkey FOREIGN KEY (name_type_id) REFERENCES public.name_types(id);
-
-
 --
 -- Name: person_names person_names_person_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -2400,6 +2589,14 @@ ALTER TABLE ONLY public.public_figure_associations
     ADD CONSTRAINT public_figure_associations_relationship_code_fkey FOREIGN KEY (relationship_code) REFERENCES public.relationships(code);
 
 
+--
+-- Name: quarantined_records quarantined_records_import_run_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: postgres
+--
+
+ALTER TABLE ONLY public.quarantined_records
+    ADD CONSTRAINT quarantined_records_import_run_id_fkey FOREIGN KEY (import_run_id) REFERENCES public.import_runs(id) ON DELETE SET NULL;
+
+
 --
 -- Name: sanctions_references sanctions_references_description2_level_description2_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: postgres
 --
@@ -2606,6 +2803,20 @@ GRANT ALL ON TABLE public.entity_vessels TO pfa_user;
 GRANT SELECT,USAGE ON SEQUENCE public.entity_vessels_id_seq TO pfa_user;
 
 
+--
+-- Name: TABLE import_runs; Type: ACL; Schema: public; Owner: postgres
+--
+
+GRANT ALL ON TABLE public.import_runs TO pfa_user;
+
+
+--
+-- Name: SEQUENCE import_runs_id_seq; Type: ACL; Schema: public; Owner: postgres
+--
+
+GRANT SELECT,USAGE ON SEQUENCE public.import_runs_id_seq TO pfa_user;
+
+
 --
 -- Name: TABLE information_sources; Type: ACL; Schema: public; Owner: postgres
 --
@@ -2802,6 +3013,20 @@ GRANT ALL ON TABLE public.public_figure_associations TO pfa_user;
 GRANT SELECT,USAGE ON SEQUENCE public.public_figure_associations_id_seq TO pfa_user;
 
 
+--
+-- Name: TABLE quarantined_records; Type: ACL; Schema: public; Owner: postgres
+--
+
+GRANT ALL ON TABLE public.quarantined_records TO pfa_user;
+
+
+--
+-- Name: SEQUENCE quarantined_records_id_seq; Type: ACL; Schema: public; Owner: postgres
+--
+
+GRANT SELECT,USAGE ON SEQUENCE public.quarantined_records_id_seq TO pfa_user;
+
+
 --
 -- Name: TABLE relationships; Type: ACL; Schema: public; Owner: postgres
 --
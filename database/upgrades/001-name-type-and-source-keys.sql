@@ -0,0 +1,47 @@
+--
+-- Upgrade a database created from an earlier database/schema.sql
+--
+-- * name_types and information_sources get the unique keys their upserts
+--   conflict on (ON CONFLICT (name_type_id, record_type) and ON CONFLICT (name));
+--   without them every name type and information source upsert fails.
+-- * person_names.name_type_id and entity_names.name_type_id hold the
+--   NameTypeID of the feed, not name_types.id, so their foreign keys to
+--   name_types(id) are dropped.
+--
+-- Duplicate rows are merged into the one with the lowest id first.
+--
+
+BEGIN;
+
+ALTER TABLE public.person_names DROP CONSTRAINT IF EXISTS person_names_name_type_id_fkey;
+ALTER TABLE public.entity_names DROP CONSTRAINT IF EXISTS entity_names_name_type_id_fkey;
+
+DELETE FROM public.name_types duplicate
+USING public.name_types kept
+WHERE kept.name_type_id = duplicate.name_type_id
+    AND kept.record_type = duplicate.record_type
+    AND kept.id < duplicate.id;
+
+CREATE TEMPORARY TABLE source_duplicates ON COMMIT DROP AS
+SELECT id, min(id) OVER (PARTITION BY name) AS kept_id
+FROM public.information_sources;
+
+UPDATE public.person_sources s SET source_id = d.kept_id
+FROM source_duplicates d
+WHERE s.source_id = d.id AND d.id <> d.kept_id;
+
+UPDATE public.entity_sources s SET source_id = d.kept_id
+FROM source_duplicates d
+WHERE s.source_id = d.id AND d.id <> d.kept_id;
+
+DELETE FROM public.information_sources i
+USING source_duplicates d
+WHERE i.id = d.id AND d.id <> d.kept_id;
+
+ALTER TABLE ONLY public.information_sources
+    ADD CONSTRAINT information_sources_name_key UNIQUE (name);
+
+ALTER TABLE ONLY public.name_types
+    ADD CONSTRAINT name_types_name_type_id_record_type_key UNIQUE (name_type_id, record_type);
+
+COMMIT;
@@ -0,0 +1,16 @@
+--
+-- Upgrade a database created from an earlier database/schema.sql
+--
+-- * person_names and entity_names drop their unique keys on the profile,
+--   name type and primary flag: a profile may carry several names of one
+--   type (aliases, spelling variations), which the keys rejected with the
+--   insert strategy and silently dropped with the batch and copy strategies.
+--   The names of a profile are replaced as a whole when it is loaded again.
+--
+
+BEGIN;
+
+ALTER TABLE public.person_names DROP CONSTRAINT IF EXISTS person_names_person_id_name_type_is_primary_key;
+ALTER TABLE public.entity_names DROP CONSTRAINT IF EXISTS entity_names_entity_id_name_type_is_primary_key;
+
+COMMIT;
@@ -41,7 +41,7 @@ class ConfigManager {
                 xml: {
                     validExtensions: [".xml"],
                     maxFileSizeGB: 10,
-                    validateStructure: true
+                    validateStructure: false
                 },
                 storage: {
                     tempDirectory: path.join(process.cwd(), 'temp'),
@@ -75,6 +75,10 @@ class ConfigManager {
                 this.config.xml = { ...this.config.xml, ...this.options.xml };
             }
 
+            if (this.options.storage) {
+                this.config.storage = { ...this.config.storage, ...this.options.storage };
+            }
+
             return this.config;
         } catch (error) {
             logger.processingError('Failed to load configuration', error);
@@ -623,9 +623,24 @@ class AssociationModel extends BaseModel {
     }
 
     /**
-     * Get network of associations for an entity or person
+     * Get the network of associations around a person or entity
+     * The network is expanded one hop per query from the profiles reached at
+     * the previous hop, so every profile is expanded once and cycles cannot
+     * loop. Each profile is returned once with its distance from the start and
+     * each association once with the hop it was reached at. With a direction,
+     * associations of a bi-directional association type are followed both ways.
      * @param {Object} options - Search options
-     * @returns {Promise<Array>} Network of associations
+     * @param {number} options.id - Profile at the centre of the network
+     * @param {string} options.type - PERSON or ENTITY
+     * @param {number} options.depth - Maximum number of hops
+     * @param {number} options.limit - Maximum number of associations returned
+     * @param {string} options.direction - both, outgoing (source to target) or incoming (target to source)
+     * @param {Array<string>} options.categories - Only associations of these association type categories
+     * @param {boolean} options.isFormer - Only former (true) or only current (false) associations
+     * @param {boolean} options.includeDetails - Add the association_details row of each association
+     * @returns {Promise<Object>} nodes ({ id, type, distance }), edges (associations with
+     *     relationship_name, category, bi_directional and depth) and truncated, true when
+     *     limit stopped the expansion
      */
     async getAssociationNetwork(options = {}) {
         const { 
@@ -633,83 +648,71 @@ class AssociationModel extends BaseModel {
             type = 'PERSON',
             depth = 2, 
             limit = 1000,
+            direction = 'both',
+            categories = null,
+            isFormer,
             includeDetails = false
         } = options;
 
         if (!id || !type) {
             throw new Error('ID and Type are required');
         }
+        if (!['both', 'outgoing', 'incoming'].includes(direction)) {
+            throw new Error(`Invalid direction: ${direction} (expected both, outgoing or incoming)`);
+        }
+
+        const start = this.profileKey({ id, type });
 
         try {
-            const query = `
-                WITH RECURSIVE association_network AS (
-                    -- Base case
-                    SELECT 
-                        id,
-                        source_id,
-                        source_type,
-                        target_id,
-                        target_type,
-                        relationship_code,
-                        is_former,
-                        1 as depth
-                    FROM ${this.tableName}
-                    WHERE (source_id = $1 AND source_type = $2)
-                        OR (target_id = $1 AND target_type = $2)
-                    
-                    UNION
-                    
-                    -- Recursive case
-                    SELECT 
-                        a.id,
-                        a.source_id,
-                        a.source_type,
-                        a.target_id,
-                        a.target_type,
-                        a.relationship_code,
-                        a.is_former,
-                        an.depth + 1
-                    FROM ${this.tableName} a
-                    INNER JOIN association_network an ON 
-                        (a.source_id = an.target_id AND a.source_type = an.target_type)
-                        OR (a.target_id = an.source_id AND a.target_type = an.source_type)
-                    WHERE an.depth < $3
-                )
-                SELECT 
-                    an.id,
-                    an.source_id,
-                    an.source_type,
-                    an.target_id,
-                    an.target_type,
-                    r.name as relationship_name,
-                    an.relationship_code,
-                    an.is_former,
-                    an.depth
-                FROM association_network an
-                LEFT JOIN relationships r ON an.relationship_code = r.code
-                ORDER BY an.depth, r.name
-                LIMIT $4
-            `;
+            const distances = new Map([[start, 0]]);
+            const edges = [];
+            const seen = new Set();
+            let frontier = [start];
+            let truncated = false;
+
+            for (let hop = 1; hop <= depth && frontier.length > 0 && !truncated; hop++) {
+                const frontierSet = new Set(frontier);
+                const next = [];
+
+                for (const row of await this.findEdgesOf(frontier, { categories, isFormer })) {
+                    if (seen.has(row.id)) continue;
+
+                    const source = `${row.source_type}:${row.source_id}`;
+                    const target = `${row.target_type}:${row.target_id}`;
+                    const reached = [];
+                    if (frontierSet.has(source) && (direction !== 'incoming' || row.bi_directional)) {
+                        reached.push(target);
+                    }
+                    if (frontierSet.has(target) && (direction !== 'outgoing' || row.bi_directional)) {
+                        reached.push(source);
+                    }
+                    if (reached.length === 0) continue;
 
-            const values = [
-                id, 
-                type.toUpperCase(), 
-                depth, 
-                limit
-            ];
+                    if (edges.length >= limit) {
+                        truncated = true;
+                        break;
+                    }
+
+                    seen.add(row.id);
+                    edges.push({ ...row, depth: hop });
+                    for (const key of reached) {
+                        if (!distances.has(key)) {
+                            distances.set(key, hop);
+                            next.push(key);
+                        }
+                    }
+                }
+                frontier = next;
+            }
 
-            const result = await this.db.query(query, values);
-            
             // If requested, include association details
-            if (includeDetails && result.rows.length > 0) {
-                const associationIds = result.rows.map(row => row.id);
-                
+            if (includeDetails && edges.length > 0) {
                 const detailsQuery = `
                     SELECT * FROM association_details
                     WHERE association_id = ANY($1)
                 `;
                 
-                const detailsResult = await this.db.query(detailsQuery, [associationIds]);
+                const detailsResult = await this.db.query(detailsQuery, [edges.map(edge => edge.id)]);
                 
                 // Add details to each association
                 const detailsMap = {};
@@ -717,25 +720,205 @@ class AssociationModel extends BaseModel {
                     detailsMap[detail.association_id] = detail;
                 }
                 
-                for (const association of result.rows) {
-                    association.details = detailsMap[association.id] || null;
+                for (const edge of edges) {
+                    edge.details = detailsMap[edge.id] || null;
                 }
             }
 
+            const nodes = [...distances].map(([key, distance]) => {
+                const [nodeType, nodeId] = key.split(':');
+                return { id: Number(nodeId), type: nodeType, distance };
+            });
+
             logger.processInfo('Association network retrieved', {
                 id,
                 type,
                 depth,
-                networkSize: result.rows.length
+                nodes: nodes.length,
+                networkSize: edges.length,
+                truncated
             });
 
-            return result.rows;
+            return { nodes, edges, truncated };
         } catch (error) {
             logger.processingError('Association network retrieval failed', error);
             throw error;
         }
     }
 
+    /**
+     * Find the shortest association paths between two persons or entities
+     * Associations are followed in both directions, one hop per query from
+     * the profiles reached so far, so each profile is expanded once and cycles
+     * cannot loop. Every path of the shortest length found is returned, up to
+     * `limit`; parallel associations between the same profiles make distinct paths.
+     * @param {Object} from - Start profile: { id, type } with type PERSON or ENTITY
+     * @param {Object} to - End profile: { id, type }
+     * @param {Object} options - Search options
+     * @param {number} options.maxDepth - Maximum number of hops
+     * @param {boolean} options.excludeFormer - Ignore associations flagged as former
+     * @param {number} options.limit - Maximum number of paths returned
+     * @returns {Promise<Array<Object>>} Paths as { length, hops }, each hop with association_id,
+     *     from_id, from_type, to_id, to_type, relationship_code, relationship_name, is_former and
+     *     reversed (the association points from the later profile to the earlier one);
+     *     empty when the profiles are not connected within maxDepth hops
+     */
+    async findPaths(from, to, options = {}) {
+        const {
+            maxDepth = 4,
+            excludeFormer = false,
+            limit = 10
+        } = options;
+
+        const start = this.profileKey(from);
+        const goal = this.profileKey(to);
+        if (start === goal) {
+            throw new Error('From and to must be different profiles');
+        }
+
+        try {
+            // Distance of each reached profile and the hops reaching it at that distance
+            const distances = new Map([[start, 0]]);
+            const parents = new Map();
+            let frontier = [start];
+
+            for (let depth = 1; depth <= maxDepth && frontier.length > 0 && !distances.has(goal); depth++) {
+                const frontierSet = new Set(frontier);
+                const next = [];
+
+                for (const row of await this.findEdgesOf(frontier, { isFormer: excludeFormer ? false : undefined })) {
+                    const source = `${row.source_type}:${row.source_id}`;
+                    const target = `${row.target_type}:${row.target_id}`;
+
+                    for (const [here, there, reversed] of [[source, target, false], [target, source, true]]) {
+                        if (!frontierSet.has(here) || (distances.has(there) && distances.get(there) !== depth)) {
+                            continue;
+                        }
+                        if (!distances.has(there)) {
+                            distances.set(there, depth);
+                            parents.set(there, []);
+                            next.push(there);
+                        }
+                        parents.get(there).push({ previous: here, row, reversed });
+                    }
+                }
+                frontier = next;
+            }
+
+            const paths = distances.has(goal) ? this.collectPaths(goal, parents, limit) : [];
+
+            logger.processInfo('Association paths found', {
+                from: start,
+                to: goal,
+                paths: paths.length,
+                length: paths.length > 0 ? paths[0].length : null
+            });
+
+            return paths;
+        } catch (error) {
+            logger.processingError('Association path search failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Key of a profile in path searches
+     * @param {Object} profile - { id, type }
+     * @returns {string} TYPE:id
+     */
+    profileKey(profile) {
+        const id = parseInt(profile && profile.id, 10);
+        const type = String((profile && profile.type) || '').toUpperCase();
+        if (!id || !['PERSON', 'ENTITY'].includes(type)) {
+            throw new Error('Profiles must have an id and a type of PERSON or ENTITY');
+        }
+        return `${type}:${id}`;
+    }
+
+    /**
+     * Read the associations of profiles, in either direction
+     * @param {Array<string>} keys - Profile keys (TYPE:id)
+     * @param {Object} filters - Association filters
+     * @param {Array<string>} filters.categories - Only associations of these association type categories
+     * @param {boolean} filters.isFormer - Only former (true) or only current (false) associations
+     * @returns {Promise<Array<Object>>} Associations with relationship_name, category and bi_directional
+     */
+    async findEdgesOf(keys, filters = {}) {
+        const ids = { PERSON: [], ENTITY: [] };
+        for (const key of keys) {
+            const [type, id] = key.split(':');
+            ids[type].push(Number(id));
+        }
+
+        const conditions = [];
+        const values = [ids.PERSON, ids.ENTITY];
+
+        if (filters.categories && filters.categories.length > 0) {
+            conditions.push(`t.category = ANY($${values.length + 1})`);
+            values.push(filters.categories);
+        }
+
+        if (filters.isFormer !== undefined && filters.isFormer !== null) {
+            conditions.push(filters.isFormer ? 'a.is_former IS TRUE' : 'a.is_former IS NOT TRUE');
+        }
+
+        const query = `
+            SELECT a.id, a.source_id, a.source_type, a.target_id, a.target_type,
+                a.relationship_code, a.is_former, r.name AS relationship_name,
+                t.category, COALESCE(t.bi_directional, false) AS bi_directional
+            FROM ${this.tableName} a
+            LEFT JOIN relationships r ON r.code = a.relationship_code
+            LEFT JOIN association_types t ON t.code = a.relationship_code
+            WHERE ((a.source_type = 'PERSON' AND a.source_id = ANY($1))
+                OR (a.source_type = 'ENTITY' AND a.source_id = ANY($2))
+                OR (a.target_type = 'PERSON' AND a.target_id = ANY($1))
+                OR (a.target_type = 'ENTITY' AND a.target_id = ANY($2)))
+            ${conditions.map(condition => `AND ${condition}`).join(' ')}
+            ORDER BY a.id
+        `;
+
+        const result = await this.db.query(query, values);
+        return result.rows;
+    }
+
+    /**
+     * Walk the hops back from the end profile to list the shortest paths
+     * @param {string} goal - Key of the end profile
+     * @param {Map} parents - Hops reaching each profile, by profile key
+     * @param {number} limit - Maximum number of paths
+     * @returns {Array<Object>} Paths as { length, hops }
+     */
+    collectPaths(goal, parents, limit) {
+        const paths = [];
+
+        const walk = (key, hops) => {
+            if (paths.length >= limit) return;
+            if (!parents.has(key)) {
+                paths.push({ length: hops.length, hops });
+                return;
+            }
+
+            for (const { previous, row, reversed } of parents.get(key)) {
+                const [fromType, fromId] = previous.split(':');
+                const [toType, toId] = key.split(':');
+                walk(previous, [{
+                    association_id: row.id,
+                    from_id: Number(fromId),
+                    from_type: fromType,
+                    to_id: Number(toId),
+                    to_type: toType,
+                    relationship_code: row.relationship_code,
+                    relationship_name: row.relationship_name || null,
+                    is_former: !!row.is_former,
+                    reversed
+                }, ...hops]);
+            }
+        };
+
+        walk(goal, []);
+        return paths;
+    }
+
     /**
      * Batch insert associations
      * @param {Array} associations - Array of association records
@@ -1,6 +1,19 @@
 // src/models/entity-model.js
 const BaseModel = require('./base-model');
 const logger = require('../utils/logging');
+const { NAME_TABLES, buildNameSearch, queryWithThreshold } = require('../utils/name-search');
+
+// Tables holding child collections of an entity profile
+const CHILD_TABLES = [
+    'entity_names',
+    'entity_descriptions',
+    'entity_dates',
+    'entity_sanctions',
+    'entity_addresses',
+    'entity_vessels',
+    'entity_images',
+    'entity_sources'
+];
 
 class EntityModel extends BaseModel {
     constructor(dbClient) {
@@ -41,7 +54,7 @@ class EntityModel extends BaseModel {
     /**
      * Insert or update entity
      * @param {Object} record - Entity record
-     * @returns {Promise<Object>} Inserted or updated entity
+     * @returns {Promise<Object>} Inserted or updated entity, with an `inserted` flag for new rows
      */
     async upsert(record) {
         try {
@@ -61,7 +74,7 @@ class EntityModel extends BaseModel {
                     entity_type = EXCLUDED.entity_type,
                     profile_notes = EXCLUDED.profile_notes,
                     last_updated = CURRENT_TIMESTAMP
-                RETURNING *
+                RETURNING *, (xmax = 0) AS inserted
             `;
 
             const values = [
@@ -87,6 +100,102 @@ class EntityModel extends BaseModel {
         }
     }
 
+    /**
+     * Delete all child rows (names, dates, addresses, ...) of one or more entities
+     * @param {number|Array<number>} entityId - Entity ID or list of Entity IDs
+     * @returns {Promise<number>} Number of deleted rows
+     */
+    async deleteChildren(entityId) {
+        try {
+            let deletedCount = 0;
+
+            for (const table of CHILD_TABLES) {
+                const result = await this.db.query(
+                    `DELETE FROM ${table} WHERE entity_id = ANY($1)`,
+                    [[].concat(entityId)]
+                );
+                deletedCount += result.rowCount;
+            }
+
+            logger.processInfo('Entity child records deleted', {
+                entityId,
+                deletedCount
+            });
+
+            return deletedCount;
+        } catch (error) {
+            logger.processingError(`Entity child records deletion failed for ID ${entityId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an entity profile with its child rows and associations
+     * @param {number} entityId - Entity ID
+     * @returns {Promise<boolean>} Whether the entity existed
+     */
+    async deleteProfile(entityId) {
+        try {
+            // Associations only reference entities through triggers, so remove them explicitly
+            await this.db.query(
+                `DELETE FROM associations
+                WHERE (source_id = $1 AND source_type = 'ENTITY')
+                    OR (target_id = $1 AND target_type = 'ENTITY')`,
+                [entityId]
+            );
+
+            await this.db.query(
+                `DELETE FROM public_figure_associations
+                WHERE associate_id = $1 AND associate_type = 'ENTITY'`,
+                [entityId]
+            );
+
+            await this.db.query(
+                `DELETE FROM special_entity_associations
+                WHERE associate_id = $1 AND associate_type = 'ENTITY'`,
+                [entityId]
+            );
+
+            // Child tables cascade on delete
+            const result = await this.db.query(
+                `DELETE FROM ${this.tableName} WHERE id = $1`,
+                [entityId]
+            );
+
+            logger.processInfo('Entity deleted', {
+                id: entityId,
+                existed: result.rowCount > 0
+            });
+
+            return result.rowCount > 0;
+        } catch (error) {
+            logger.processingError(`Entity deletion failed for ID ${entityId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the entity_names row for an entity name record
+     * @param {Object} nameRecord - Entity name record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareName(nameRecord) {
+        // Validate name record
+        if (!nameRecord.entity_id) {
+            throw new Error('Entity ID is required for name');
+        }
+
+        return {
+            entity_id: nameRecord.entity_id,
+            name_type: nameRecord.name_type?.trim() || null,
+            name_type_id: nameRecord.name_type_id || null,
+            entity_name: nameRecord.entity_name?.trim() || null,
+            suffix: nameRecord.suffix?.trim() || null,
+            original_script_name: nameRecord.original_script_name?.trim() || null,
+            is_primary: nameRecord.is_primary === undefined ? true : !!nameRecord.is_primary
+        };
+    }
+
     /**
      * Insert entity name
      * @param {Object} nameRecord - Entity name record
@@ -94,10 +203,7 @@ class EntityModel extends BaseModel {
      */
     async insertName(nameRecord) {
         try {
-            // Validate name record
-            if (!nameRecord.entity_id) {
-                throw new Error('Entity ID is required for name');
-            }
+            const row = this.prepareName(nameRecord);
 
             const query = `
                 INSERT INTO entity_names 
@@ -107,17 +213,7 @@ class EntityModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                nameRecord.entity_id,
-                nameRecord.name_type?.trim() || null,
-                nameRecord.name_type_id || null,
-                nameRecord.entity_name?.trim() || null,
-                nameRecord.suffix?.trim() || null,
-                nameRecord.original_script_name?.trim() || null,
-                nameRecord.is_primary === undefined ? true : !!nameRecord.is_primary
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Entity name inserted', {
                 entityId: nameRecord.entity_id,
@@ -131,6 +227,28 @@ class EntityModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the entity_descriptions row for an entity description record
+     * @param {Object} descriptionRecord - Entity description record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareDescription(descriptionRecord) {
+        // Validate description record
+        if (!descriptionRecord.entity_id) {
+            throw new Error('Entity ID is required for description');
+        }
+
+        return {
+            entity_id: descriptionRecord.entity_id,
+            description1_level: descriptionRecord.description1_level || 1,
+            description1_id: descriptionRecord.description1_id || null,
+            description2_level: descriptionRecord.description2_level || 2,
+            description2_id: descriptionRecord.description2_id || null,
+            description3_level: descriptionRecord.description3_level || 3,
+            description3_id: descriptionRecord.description3_id || null
+        };
+    }
+
     /**
      * Insert entity description
      * @param {Object} descriptionRecord - Entity description record
@@ -138,10 +256,7 @@ class EntityModel extends BaseModel {
      */
     async insertDescription(descriptionRecord) {
         try {
-            // Validate description record
-            if (!descriptionRecord.entity_id) {
-                throw new Error('Entity ID is required for description');
-            }
+            const row = this.prepareDescription(descriptionRecord);
 
             const query = `
                 INSERT INTO entity_descriptions 
@@ -152,17 +267,7 @@ class EntityModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                descriptionRecord.entity_id,
-                descriptionRecord.description1_level || 1,
-                descriptionRecord.description1_id || null,
-                descriptionRecord.description2_level || 2,
-                descriptionRecord.description2_id || null,
-                descriptionRecord.description3_level || 3,
-                descriptionRecord.description3_id || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Entity description inserted', {
                 entityId: descriptionRecord.entity_id
@@ -175,6 +280,48 @@ class EntityModel extends BaseModel {
         }
     }
     
+    /**
+     * Build the entity_dates row for an entity date record
+     * @param {Object} dateRecord - Entity date record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareDate(dateRecord) {
+        // Validate date record
+        if (!dateRecord.entity_id) {
+            throw new Error('Entity ID is required for date');
+        }
+
+        // Calculate full date if day, month, and year are provided
+        let fullDate = null;
+        if (dateRecord.year && dateRecord.month && dateRecord.day) {
+            try {
+                // Convert month names to numbers if necessary
+                let monthNum = dateRecord.month;
+                if (isNaN(dateRecord.month)) {
+                    const monthMap = {
+                        'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
+                        'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
+                    };
+                    monthNum = monthMap[dateRecord.month.toUpperCase()] || 1;
+                }
+                fullDate = new Date(dateRecord.year, monthNum - 1, dateRecord.day);
+            } catch (e) {
+                logger.processingError('Date conversion error', e);
+            }
+        }
+
+        return {
+            entity_id: dateRecord.entity_id,
+            date_type: dateRecord.date_type?.trim() || null,
+            date_type_id: dateRecord.date_type_id || null,
+            date: fullDate,
+            day: dateRecord.day || null,
+            month: dateRecord.month?.trim() || null,
+            year: dateRecord.year || null,
+            notes: dateRecord.notes?.trim() || null
+        };
+    }
+
     /**
      * Insert entity date
      * @param {Object} dateRecord - Entity date record
@@ -182,10 +329,7 @@ class EntityModel extends BaseModel {
      */
     async insertDate(dateRecord) {
         try {
-            // Validate date record
-            if (!dateRecord.entity_id) {
-                throw new Error('Entity ID is required for date');
-            }
+            const row = this.prepareDate(dateRecord);
 
             const query = `
                 INSERT INTO entity_dates 
@@ -194,37 +338,7 @@ class EntityModel extends BaseModel {
                 RETURNING *
             `;
 
-            // Calculate full date if day, month, and year are provided
-            let fullDate = null;
-            if (dateRecord.year && dateRecord.month && dateRecord.day) {
-                try {
-                    // Convert month names to numbers if necessary
-                    let monthNum = dateRecord.month;
-                    if (isNaN(dateRecord.month)) {
-                        const monthMap = {
-                            'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
-                            'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
-                        };
-                        monthNum = monthMap[dateRecord.month.toUpperCase()] || 1;
-                    }
-                    fullDate = new Date(dateRecord.year, monthNum - 1, dateRecord.day);
-                } catch (e) {
-                    logger.processingError('Date conversion error', e);
-                }
-            }
-
-            const values = [
-                dateRecord.entity_id,
-                dateRecord.date_type?.trim() || null,
-                dateRecord.date_type_id || null,
-                fullDate,
-                dateRecord.day || null,
-                dateRecord.month?.trim() || null,
-                dateRecord.year || null,
-                dateRecord.notes?.trim() || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Entity date inserted', {
                 entityId: dateRecord.entity_id,
@@ -238,6 +352,26 @@ class EntityModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the entity_addresses row for an entity address record
+     * @param {Object} addressRecord - Entity address record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareAddress(addressRecord) {
+        // Validate address record
+        if (!addressRecord.entity_id) {
+            throw new Error('Entity ID is required for address');
+        }
+
+        return {
+            entity_id: addressRecord.entity_id,
+            address_line: addressRecord.address_line?.trim() || null,
+            city: addressRecord.city?.trim() || null,
+            country_code: addressRecord.country_code?.trim() || null,
+            url: addressRecord.url?.trim() || null
+        };
+    }
+
     /**
      * Insert entity address
      * @param {Object} addressRecord - Entity address record
@@ -245,10 +379,7 @@ class EntityModel extends BaseModel {
      */
     async insertAddress(addressRecord) {
         try {
-            // Validate address record
-            if (!addressRecord.entity_id) {
-                throw new Error('Entity ID is required for address');
-            }
+            const row = this.prepareAddress(addressRecord);
 
             const query = `
                 INSERT INTO entity_addresses 
@@ -257,15 +388,7 @@ class EntityModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                addressRecord.entity_id,
-                addressRecord.address_line?.trim() || null,
-                addressRecord.city?.trim() || null,
-                addressRecord.country_code?.trim() || null,
-                addressRecord.url?.trim() || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Entity address inserted', {
                 entityId: addressRecord.entity_id
@@ -278,6 +401,28 @@ class EntityModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the entity_vessels row for an entity vessel record
+     * @param {Object} vesselRecord - Entity vessel record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareVesselDetails(vesselRecord) {
+        // Validate vessel record
+        if (!vesselRecord.entity_id) {
+            throw new Error('Entity ID is required for vessel details');
+        }
+
+        return {
+            entity_id: vesselRecord.entity_id,
+            call_sign: vesselRecord.call_sign?.trim() || null,
+            vessel_type: vesselRecord.vessel_type?.trim() || null,
+            tonnage: vesselRecord.tonnage?.trim() || null,
+            grt: vesselRecord.grt?.trim() || null,
+            owner: vesselRecord.owner?.trim() || null,
+            flag: vesselRecord.flag?.trim() || null
+        };
+    }
+
     /**
      * Insert entity vessel details
      * @param {Object} vesselRecord - Entity vessel record
@@ -285,10 +430,7 @@ class EntityModel extends BaseModel {
      */
     async insertVesselDetails(vesselRecord) {
         try {
-            // Validate vessel record
-            if (!vesselRecord.entity_id) {
-                throw new Error('Entity ID is required for vessel details');
-            }
+            const row = this.prepareVesselDetails(vesselRecord);
 
             const query = `
                 INSERT INTO entity_vessels 
@@ -297,17 +439,7 @@ class EntityModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                vesselRecord.entity_id,
-                vesselRecord.call_sign?.trim() || null,
-                vesselRecord.vessel_type?.trim() || null,
-                vesselRecord.tonnage?.trim() || null,
-                vesselRecord.grt?.trim() || null,
-                vesselRecord.owner?.trim() || null,
-                vesselRecord.flag?.trim() || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Entity vessel details inserted', {
                 entityId: vesselRecord.entity_id
@@ -320,6 +452,28 @@ class EntityModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the entity_images row for an entity image record
+     * @param {Object} imageRecord - Entity image record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareImage(imageRecord) {
+        // Validate image record
+        if (!imageRecord.entity_id) {
+            throw new Error('Entity ID is required for image');
+        }
+
+        if (!imageRecord.url) {
+            throw new Error('Image URL is required');
+        }
+
+        return {
+            entity_id: imageRecord.entity_id,
+            url: imageRecord.url.trim(),
+            is_primary: imageRecord.is_primary === undefined ? false : !!imageRecord.is_primary
+        };
+    }
+
     /**
      * Insert entity image
      * @param {Object} imageRecord - Entity image record
@@ -327,14 +481,7 @@ class EntityModel extends BaseModel {
      */
     async insertImage(imageRecord) {
         try {
-            // Validate image record
-            if (!imageRecord.entity_id) {
-                throw new Error('Entity ID is required for image');
-            }
-
-            if (!imageRecord.url) {
-                throw new Error('Image URL is required');
-            }
+            const row = this.prepareImage(imageRecord);
 
             const query = `
                 INSERT INTO entity_images 
@@ -343,13 +490,7 @@ class EntityModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                imageRecord.entity_id,
-                imageRecord.url.trim(),
-                imageRecord.is_primary === undefined ? false : !!imageRecord.is_primary
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Entity image inserted', {
                 entityId: imageRecord.entity_id
@@ -362,6 +503,81 @@ class EntityModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the entity_sanctions row for an entity sanction record
+     * @param {Object} sanctionRecord - Entity sanction record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareSanction(sanctionRecord) {
+        // Validate sanction record
+        if (!sanctionRecord.entity_id) {
+            throw new Error('Entity ID is required for sanction');
+        }
+
+        if (!sanctionRecord.reference_code) {
+            throw new Error('Reference code is required for sanction');
+        }
+
+        // Calculate start and end dates if components are provided
+        let startDate = null;
+        let endDate = null;
+
+        if (sanctionRecord.start_year && sanctionRecord.start_month) {
+            try {
+                // Convert month names to numbers if necessary
+                let startMonthNum = sanctionRecord.start_month;
+                if (isNaN(sanctionRecord.start_month)) {
+                    const monthMap = {
+                        'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
+                        'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
+                    };
+                    startMonthNum = monthMap[sanctionRecord.start_month.toUpperCase()] || 1;
+                }
+                startDate = new Date(
+                    sanctionRecord.start_year, 
+                    startMonthNum - 1, 
+                    sanctionRecord.start_day || 1
+                );
+            } catch (e) {
+                logger.processingError('Start date conversion error', e);
+            }
+        }
+
+        if (sanctionRecord.end_year && sanctionRecord.end_month) {
+            try {
+                // Convert month names to numbers if necessary
+                let endMonthNum = sanctionRecord.end_month;
+                if (isNaN(sanctionRecord.end_month)) {
+                    const monthMap = {
+                        'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
+                        'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
+                    };
+                    endMonthNum = monthMap[sanctionRecord.end_month.toUpperCase()] || 1;
+                }
+                endDate = new Date(
+                    sanctionRecord.end_year, 
+                    endMonthNum - 1, 
+                    sanctionRecord.end_day || 1
+                );
+            } catch (e) {
+                logger.processingError('End date conversion error', e);
+            }
+        }
+
+        return {
+            entity_id: sanctionRecord.entity_id,
+            reference_code: sanctionRecord.reference_code,
+            start_date: startDate || sanctionRecord.start_date,
+            end_date: endDate || sanctionRecord.end_date,
+            start_day: sanctionRecord.start_day || null,
+            start_month: sanctionRecord.start_month?.trim() || null,
+            start_year: sanctionRecord.start_year || null,
+            end_day: sanctionRecord.end_day || null,
+            end_month: sanctionRecord.end_month?.trim() || null,
+            end_year: sanctionRecord.end_year || null
+        };
+    }
+
     /**
      * Insert entity sanction reference
      * @param {Object} sanctionRecord - Entity sanction record
@@ -369,14 +585,7 @@ class EntityModel extends BaseModel {
      */
     async insertSanction(sanctionRecord) {
         try {
-            // Validate sanction record
-            if (!sanctionRecord.entity_id) {
-                throw new Error('Entity ID is required for sanction');
-            }
-
-            if (!sanctionRecord.reference_code) {
-                throw new Error('Reference code is required for sanction');
-            }
+            const row = this.prepareSanction(sanctionRecord);
 
             const query = `
                 INSERT INTO entity_sanctions 
@@ -387,66 +596,7 @@ class EntityModel extends BaseModel {
                 RETURNING *
             `;
 
-            // Calculate start and end dates if components are provided
-            let startDate = null;
-            let endDate = null;
-
-            if (sanctionRecord.start_year && sanctionRecord.start_month) {
-                try {
-                    // Convert month names to numbers if necessary
-                    let startMonthNum = sanctionRecord.start_month;
-                    if (isNaN(sanctionRecord.start_month)) {
-                        const monthMap = {
-                            'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
-                            'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
-                        };
-                        startMonthNum = monthMap[sanctionRecord.start_month.toUpperCase()] || 1;
-                    }
-                    startDate = new Date(
-                        sanctionRecord.start_year, 
-                        startMonthNum - 1, 
-                        sanctionRecord.start_day || 1
-                    );
-                } catch (e) {
-                    logger.processingError('Start date conversion error', e);
-                }
-            }
-
-            if (sanctionRecord.end_year && sanctionRecord.end_month) {
-                try {
-                    // Convert month names to numbers if necessary
-                    let endMonthNum = sanctionRecord.end_month;
-                    if (isNaN(sanctionRecord.end_month)) {
-                        const monthMap = {
-                            'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
-                            'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
-                        };
-                        endMonthNum = monthMap[sanctionRecord.end_month.toUpperCase()] || 1;
-                    }
-                    endDate = new Date(
-                        sanctionRecord.end_year, 
-                        endMonthNum - 1, 
-                        sanctionRecord.end_day || 1
-                    );
-                } catch (e) {
-                    logger.processingError('End date conversion error', e);
-                }
-            }
-
-            const values = [
-                sanctionRecord.entity_id,
-                sanctionRecord.reference_code,
-                startDate || sanctionRecord.start_date,
-                endDate || sanctionRecord.end_date,
-                sanctionRecord.start_day || null,
-                sanctionRecord.start_month?.trim() || null,
-                sanctionRecord.start_year || null,
-                sanctionRecord.end_day || null,
-                sanctionRecord.end_month?.trim() || null,
-                sanctionRecord.end_year || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Entity sanction inserted', {
                 entityId: sanctionRecord.entity_id,
@@ -473,22 +623,22 @@ class EntityModel extends BaseModel {
 
         // Build dynamic where clause
         if (criteria.id) {
-            conditions.push(`id = ${values.length + 1}`);
+            conditions.push(`id = $${values.length + 1}`);
             values.push(criteria.id);
         }
 
         if (criteria.active_status) {
-            conditions.push(`active_status = ${values.length + 1}`);
+            conditions.push(`active_status = $${values.length + 1}`);
             values.push(criteria.active_status);
         }
 
         if (criteria.entity_type) {
-            conditions.push(`entity_type = ${values.length + 1}`);
+            conditions.push(`entity_type = $${values.length + 1}`);
             values.push(criteria.entity_type);
         }
 
         if (criteria.action) {
-            conditions.push(`action = ${values.length + 1}`);
+            conditions.push(`action = $${values.length + 1}`);
             values.push(criteria.action);
         }
 
@@ -500,8 +650,8 @@ class EntityModel extends BaseModel {
             SELECT * FROM ${this.tableName}
             ${whereClause}
             ORDER BY id
-            LIMIT ${values.length + 1}
-            OFFSET ${values.length + 2}
+            LIMIT $${values.length + 1}
+            OFFSET $${values.length + 2}
         `;
 
         try {
@@ -613,9 +763,9 @@ class EntityModel extends BaseModel {
             
             // Get sources
             const sourcesQuery = `
-                SELECT es.*, is.name as source_name
+                SELECT es.*, src.name as source_name
                 FROM entity_sources es
-                JOIN information_sources is ON es.source_id = is.id
+                JOIN information_sources src ON es.source_id = src.id
                 WHERE es.entity_id = $1
             `;
             
@@ -658,6 +808,31 @@ class EntityModel extends BaseModel {
             throw error;
         }
     }
+
+    /**
+     * Ranked search of entities by name, with the trigram and full-text indexes of entity_names
+     * Entity names and original script names are searched; each entity is
+     * returned once, with its best scoring name, best first
+     * @param {string} nameQuery - Name to search for
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of entities
+     * @param {number} options.offset - Number of entities skipped
+     * @param {number} options.minSimilarity - Minimum score and trigram word similarity of a name, 0 to 1
+     * @param {Array<string>} options.nameTypes - Only search names of these name types
+     * @returns {Promise<Array>} Entities with matched_name, name_type, is_primary and score
+     */
+    async search(nameQuery, options = {}) {
+        const { limit = 20, offset = 0, minSimilarity = 0.3, nameTypes = [] } = options;
+
+        try {
+            const { text, values } = buildNameSearch(NAME_TABLES.entity, nameQuery, { limit, offset, minSimilarity, nameTypes });
+            const result = await queryWithThreshold(this.db, minSimilarity, text, values);
+            return result.rows.map(row => ({ ...row, type: 'entity', score: Number(row.score) }));
+        } catch (error) {
+            logger.processingError('Entity ranked search failed', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = EntityModel;
\ No newline at end of file
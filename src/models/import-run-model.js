@@ -0,0 +1,154 @@
+// src/models/import-run-model.js
+const BaseModel = require('./base-model');
+const logger = require('../utils/logging');
+
+/**
+ * History of XML imports: one row per invocation of the parser on a file
+ * A resumed run gets its own row sharing the run key of the interrupted one
+ */
+class ImportRunModel extends BaseModel {
+    constructor(dbClient) {
+        super(dbClient);
+        this.tableName = 'import_runs';
+        this.primaryKey = 'id';
+    }
+
+    /**
+     * Validate import run record
+     * @param {Object} record - Import run record to validate
+     */
+    validate(record) {
+        super.validate(record);
+
+        if (!record.run_key) {
+            throw new Error('Import run key is required');
+        }
+
+        if (!record.file_name) {
+            throw new Error('Import run file name is required');
+        }
+    }
+
+    /**
+     * Record the start of an import
+     * @param {Object} record - Import run record
+     * @returns {Promise<Object>} Inserted import run
+     */
+    async start(record) {
+        try {
+            this.validate(record);
+
+            const query = `
+                INSERT INTO ${this.tableName}
+                (run_key, file_name, file_path, file_size, file_checksum, load_type, load_strategy, resumed, status, started_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'running', CURRENT_TIMESTAMP)
+                RETURNING *
+            `;
+
+            const values = [
+                record.run_key,
+                record.file_name,
+                record.file_path || null,
+                record.file_size || null,
+                record.file_checksum || null,
+                record.load_type || 'full',
+                record.load_strategy || 'insert',
+                !!record.resumed
+            ];
+
+            const result = await this.db.query(query, values);
+            return result.rows[0];
+        } catch (error) {
+            logger.processingError('Import run start failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record the outcome of an import
+     * @param {number} id - Import run ID
+     * @param {Object} outcome - Import outcome
+     * @param {string} outcome.status - completed, interrupted or failed
+     * @param {Object} outcome.counts - Record counts keyed by record type
+     * @param {number} outcome.processedRecords - Total processed records
+     * @param {number} outcome.errorCount - Records that failed processing
+     * @param {string} outcome.errorMessage - Error that failed the import
+     * @returns {Promise<Object>} Updated import run
+     */
+    async finish(id, outcome) {
+        try {
+            const query = `
+                UPDATE ${this.tableName}
+                SET
+                    status = $2,
+                    finished_at = CURRENT_TIMESTAMP,
+                    counts = $3,
+                    processed_records = $4,
+                    error_count = $5,
+                    error_message = $6
+                WHERE id = $1
+                RETURNING *
+            `;
+
+            const values = [
+                id,
+                outcome.status,
+                JSON.stringify(outcome.counts || {}),
+                outcome.processedRecords || 0,
+                outcome.errorCount || 0,
+                outcome.errorMessage || null
+            ];
+
+            const result = await this.db.query(query, values);
+            return result.rows[0];
+        } catch (error) {
+            logger.processingError('Import run finish failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List import runs, most recent first
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Import runs
+     */
+    async list(options = {}) {
+        const { limit = 20, offset = 0 } = options;
+
+        try {
+            const query = `
+                SELECT * FROM ${this.tableName}
+                ORDER BY started_at DESC, id DESC
+                LIMIT $1 OFFSET $2
+            `;
+
+            const result = await this.db.query(query, [limit, offset]);
+            return result.rows;
+        } catch (error) {
+            logger.processingError('Import run list failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find an import run by ID
+     * @param {number} id - Import run ID
+     * @returns {Promise<Object|null>} Import run or null
+     */
+    async findById(id) {
+        try {
+            const query = `
+                SELECT * FROM ${this.tableName}
+                WHERE id = $1
+            `;
+
+            const result = await this.db.query(query, [id]);
+            return result.rows.length > 0 ? result.rows[0] : null;
+        } catch (error) {
+            logger.processingError('Import run lookup failed', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ImportRunModel;
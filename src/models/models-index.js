@@ -12,6 +12,30 @@ const DateTypeModel = require('./date-type-model');
 const NameTypeModel = require('./name-type-model');
 const RoleTypeModel = require('./role-type-model');
 const InformationSourceModel = require('./information-source-model');
+const ImportRunModel = require('./import-run-model');
+const QuarantinedRecordModel = require('./quarantined-record-model');
+
+/**
+ * Create every model on a database client
+ * @param {Object} dbClient - Database client or pool
+ * @returns {Object} Models keyed by name
+ */
+const createModels = (dbClient) => ({
+    country: new CountryModel(dbClient),
+    person: new PersonModel(dbClient),
+    entity: new EntityModel(dbClient),
+    association: new AssociationModel(dbClient),
+    relationship: new RelationshipModel(dbClient),
+    descriptionType: new DescriptionTypeModel(dbClient),
+    occupation: new OccupationModel(dbClient),
+    sanctionsReference: new SanctionsReferenceModel(dbClient),
+    dateType: new DateTypeModel(dbClient),
+    nameType: new NameTypeModel(dbClient),
+    roleType: new RoleTypeModel(dbClient),
+    informationSource: new InformationSourceModel(dbClient),
+    importRun: new ImportRunModel(dbClient),
+    quarantinedRecord: new QuarantinedRecordModel(dbClient)
+});
 
 module.exports = {
     BaseModel,
@@ -26,5 +50,8 @@ module.exports = {
     DateTypeModel,
     NameTypeModel,
     RoleTypeModel,
-    InformationSourceModel
+    InformationSourceModel,
+    ImportRunModel,
+    QuarantinedRecordModel,
+    createModels
 };
\ No newline at end of file
@@ -1,6 +1,21 @@
 // src/models/person-model.js
 const BaseModel = require('./base-model');
 const logger = require('../utils/logging');
+const { NAME_TABLES, buildNameSearch, queryWithThreshold } = require('../utils/name-search');
+
+// Tables holding child collections of a person profile
+const CHILD_TABLES = [
+    'person_names',
+    'person_descriptions',
+    'person_roles',
+    'person_dates',
+    'person_birth_places',
+    'person_sanctions',
+    'person_addresses',
+    'person_documents',
+    'person_images',
+    'person_sources'
+];
 
 class PersonModel extends BaseModel {
     constructor(dbClient) {
@@ -42,7 +57,7 @@ class PersonModel extends BaseModel {
     /**
      * Insert or update person
      * @param {Object} record - Person record
-     * @returns {Promise<Object>} Inserted or updated person
+     * @returns {Promise<Object>} Inserted or updated person, with an `inserted` flag for new rows
      */
     async upsert(record) {
         try {
@@ -63,7 +78,7 @@ class PersonModel extends BaseModel {
                     deceased = EXCLUDED.deceased,
                     profile_notes = EXCLUDED.profile_notes,
                     last_updated = CURRENT_TIMESTAMP
-                RETURNING *
+                RETURNING *, (xmax = 0) AS inserted
             `;
 
             const values = [
@@ -90,6 +105,107 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Delete all child rows (names, roles, dates, ...) of one or more persons
+     * @param {number|Array<number>} personId - Person ID or list of Person IDs
+     * @returns {Promise<number>} Number of deleted rows
+     */
+    async deleteChildren(personId) {
+        try {
+            let deletedCount = 0;
+
+            for (const table of CHILD_TABLES) {
+                const result = await this.db.query(
+                    `DELETE FROM ${table} WHERE person_id = ANY($1)`,
+                    [[].concat(personId)]
+                );
+                deletedCount += result.rowCount;
+            }
+
+            logger.processInfo('Person child records deleted', {
+                personId,
+                deletedCount
+            });
+
+            return deletedCount;
+        } catch (error) {
+            logger.processingError(`Person child records deletion failed for ID ${personId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a person profile with its child rows and associations
+     * @param {number} personId - Person ID
+     * @returns {Promise<boolean>} Whether the person existed
+     */
+    async deleteProfile(personId) {
+        try {
+            // Associations only reference persons through triggers, so remove them explicitly
+            await this.db.query(
+                `DELETE FROM associations
+                WHERE (source_id = $1 AND source_type = 'PERSON')
+                    OR (target_id = $1 AND target_type = 'PERSON')`,
+                [personId]
+            );
+
+            await this.db.query(
+                `DELETE FROM public_figure_associations
+                WHERE associate_id = $1 AND associate_type = 'PERSON'`,
+                [personId]
+            );
+
+            await this.db.query(
+                `DELETE FROM special_entity_associations
+                WHERE associate_id = $1 AND associate_type = 'PERSON'`,
+                [personId]
+            );
+
+            // Child tables cascade on delete
+            const result = await this.db.query(
+                `DELETE FROM ${this.tableName} WHERE id = $1`,
+                [personId]
+            );
+
+            logger.processInfo('Person deleted', {
+                id: personId,
+                existed: result.rowCount > 0
+            });
+
+            return result.rowCount > 0;
+        } catch (error) {
+            logger.processingError(`Person deletion failed for ID ${personId}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the person_names row for a person name record
+     * @param {Object} nameRecord - Person name record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareName(nameRecord) {
+        // Validate name record
+        if (!nameRecord.person_id) {
+            throw new Error('Person ID is required for name');
+        }
+
+        return {
+            person_id: nameRecord.person_id,
+            name_type: nameRecord.name_type?.trim() || null,
+            name_type_id: nameRecord.name_type_id || null,
+            title_honorific: nameRecord.title_honorific?.trim() || null,
+            maiden_name: nameRecord.maiden_name?.trim() || null,
+            first_name: nameRecord.first_name?.trim() || null,
+            middle_name: nameRecord.middle_name?.trim() || null,
+            surname: nameRecord.surname?.trim() || null,
+            suffix: nameRecord.suffix?.trim() || null,
+            single_string_name: nameRecord.single_string_name?.trim() || null,
+            original_script_name: nameRecord.original_script_name?.trim() || null,
+            is_primary: nameRecord.is_primary === undefined ? true : !!nameRecord.is_primary
+        };
+    }
+
     /**
      * Insert person name
      * @param {Object} nameRecord - Person name record
@@ -97,10 +213,7 @@ class PersonModel extends BaseModel {
      */
     async insertName(nameRecord) {
         try {
-            // Validate name record
-            if (!nameRecord.person_id) {
-                throw new Error('Person ID is required for name');
-            }
+            const row = this.prepareName(nameRecord);
 
             const query = `
                 INSERT INTO person_names 
@@ -111,22 +224,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                nameRecord.person_id,
-                nameRecord.name_type?.trim() || null,
-                nameRecord.name_type_id || null,
-                nameRecord.title_honorific?.trim() || null,
-                nameRecord.maiden_name?.trim() || null,
-                nameRecord.first_name?.trim() || null,
-                nameRecord.middle_name?.trim() || null,
-                nameRecord.surname?.trim() || null,
-                nameRecord.suffix?.trim() || null,
-                nameRecord.single_string_name?.trim() || null,
-                nameRecord.original_script_name?.trim() || null,
-                nameRecord.is_primary === undefined ? true : !!nameRecord.is_primary
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person name inserted', {
                 personId: nameRecord.person_id,
@@ -140,6 +238,28 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the person_descriptions row for a person description record
+     * @param {Object} descriptionRecord - Person description record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareDescription(descriptionRecord) {
+        // Validate description record
+        if (!descriptionRecord.person_id) {
+            throw new Error('Person ID is required for description');
+        }
+
+        return {
+            person_id: descriptionRecord.person_id,
+            description1_level: descriptionRecord.description1_level || 1,
+            description1_id: descriptionRecord.description1_id || null,
+            description2_level: descriptionRecord.description2_level || 2,
+            description2_id: descriptionRecord.description2_id || null,
+            description3_level: descriptionRecord.description3_level || 3,
+            description3_id: descriptionRecord.description3_id || null
+        };
+    }
+
     /**
      * Insert person description
      * @param {Object} descriptionRecord - Person description record
@@ -147,10 +267,7 @@ class PersonModel extends BaseModel {
      */
     async insertDescription(descriptionRecord) {
         try {
-            // Validate description record
-            if (!descriptionRecord.person_id) {
-                throw new Error('Person ID is required for description');
-            }
+            const row = this.prepareDescription(descriptionRecord);
 
             const query = `
                 INSERT INTO person_descriptions 
@@ -161,17 +278,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                descriptionRecord.person_id,
-                descriptionRecord.description1_level || 1,
-                descriptionRecord.description1_id || null,
-                descriptionRecord.description2_level || 2,
-                descriptionRecord.description2_id || null,
-                descriptionRecord.description3_level || 3,
-                descriptionRecord.description3_id || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person description inserted', {
                 personId: descriptionRecord.person_id
@@ -184,6 +291,34 @@ class PersonModel extends BaseModel {
         }
     }
     
+    /**
+     * Build the person_roles row for a person role record
+     * @param {Object} roleRecord - Person role record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareRole(roleRecord) {
+        // Validate role record
+        if (!roleRecord.person_id) {
+            throw new Error('Person ID is required for role');
+        }
+
+        return {
+            person_id: roleRecord.person_id,
+            role_type: roleRecord.role_type?.trim() || null,
+            role_type_id: roleRecord.role_type_id || null,
+            occupation_code: roleRecord.occupation_code || null,
+            title: roleRecord.title?.trim() || null,
+            start_date: roleRecord.start_date || null,
+            end_date: roleRecord.end_date || null,
+            start_day: roleRecord.start_day || null,
+            start_month: roleRecord.start_month?.trim() || null,
+            start_year: roleRecord.start_year || null,
+            end_day: roleRecord.end_day || null,
+            end_month: roleRecord.end_month?.trim() || null,
+            end_year: roleRecord.end_year || null
+        };
+    }
+
     /**
      * Insert person role
      * @param {Object} roleRecord - Person role record
@@ -191,10 +326,7 @@ class PersonModel extends BaseModel {
      */
     async insertRole(roleRecord) {
         try {
-            // Validate role record
-            if (!roleRecord.person_id) {
-                throw new Error('Person ID is required for role');
-            }
+            const row = this.prepareRole(roleRecord);
 
             const query = `
                 INSERT INTO person_roles 
@@ -205,23 +337,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                roleRecord.person_id,
-                roleRecord.role_type?.trim() || null,
-                roleRecord.role_type_id || null,
-                roleRecord.occupation_code || null,
-                roleRecord.title?.trim() || null,
-                roleRecord.start_date || null,
-                roleRecord.end_date || null,
-                roleRecord.start_day || null,
-                roleRecord.start_month?.trim() || null,
-                roleRecord.start_year || null,
-                roleRecord.end_day || null,
-                roleRecord.end_month?.trim() || null,
-                roleRecord.end_year || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person role inserted', {
                 personId: roleRecord.person_id,
@@ -235,6 +351,48 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the person_dates row for a person date record
+     * @param {Object} dateRecord - Person date record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareDate(dateRecord) {
+        // Validate date record
+        if (!dateRecord.person_id) {
+            throw new Error('Person ID is required for date');
+        }
+
+        // Calculate full date if day, month, and year are provided
+        let fullDate = null;
+        if (dateRecord.year && dateRecord.month && dateRecord.day) {
+            try {
+                // Convert month names to numbers if necessary
+                let monthNum = dateRecord.month;
+                if (isNaN(dateRecord.month)) {
+                    const monthMap = {
+                        'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
+                        'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
+                    };
+                    monthNum = monthMap[dateRecord.month.toUpperCase()] || 1;
+                }
+                fullDate = new Date(dateRecord.year, monthNum - 1, dateRecord.day);
+            } catch (e) {
+                logger.processingError('Date conversion error', e);
+            }
+        }
+
+        return {
+            person_id: dateRecord.person_id,
+            date_type: dateRecord.date_type?.trim() || null,
+            date_type_id: dateRecord.date_type_id || null,
+            date: fullDate,
+            day: dateRecord.day || null,
+            month: dateRecord.month?.trim() || null,
+            year: dateRecord.year || null,
+            notes: dateRecord.notes?.trim() || null
+        };
+    }
+
     /**
      * Insert person date
      * @param {Object} dateRecord - Person date record
@@ -242,10 +400,7 @@ class PersonModel extends BaseModel {
      */
     async insertDate(dateRecord) {
         try {
-            // Validate date record
-            if (!dateRecord.person_id) {
-                throw new Error('Person ID is required for date');
-            }
+            const row = this.prepareDate(dateRecord);
 
             const query = `
                 INSERT INTO person_dates 
@@ -254,37 +409,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            // Calculate full date if day, month, and year are provided
-            let fullDate = null;
-            if (dateRecord.year && dateRecord.month && dateRecord.day) {
-                try {
-                    // Convert month names to numbers if necessary
-                    let monthNum = dateRecord.month;
-                    if (isNaN(dateRecord.month)) {
-                        const monthMap = {
-                            'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
-                            'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
-                        };
-                        monthNum = monthMap[dateRecord.month.toUpperCase()] || 1;
-                    }
-                    fullDate = new Date(dateRecord.year, monthNum - 1, dateRecord.day);
-                } catch (e) {
-                    logger.processingError('Date conversion error', e);
-                }
-            }
-
-            const values = [
-                dateRecord.person_id,
-                dateRecord.date_type?.trim() || null,
-                dateRecord.date_type_id || null,
-                fullDate,
-                dateRecord.day || null,
-                dateRecord.month?.trim() || null,
-                dateRecord.year || null,
-                dateRecord.notes?.trim() || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person date inserted', {
                 personId: dateRecord.person_id,
@@ -298,6 +423,26 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the person_addresses row for a person address record
+     * @param {Object} addressRecord - Person address record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareAddress(addressRecord) {
+        // Validate address record
+        if (!addressRecord.person_id) {
+            throw new Error('Person ID is required for address');
+        }
+
+        return {
+            person_id: addressRecord.person_id,
+            address_line: addressRecord.address_line?.trim() || null,
+            city: addressRecord.city?.trim() || null,
+            country_code: addressRecord.country_code?.trim() || null,
+            url: addressRecord.url?.trim() || null
+        };
+    }
+
     /**
      * Insert person address
      * @param {Object} addressRecord - Person address record
@@ -305,10 +450,7 @@ class PersonModel extends BaseModel {
      */
     async insertAddress(addressRecord) {
         try {
-            // Validate address record
-            if (!addressRecord.person_id) {
-                throw new Error('Person ID is required for address');
-            }
+            const row = this.prepareAddress(addressRecord);
 
             const query = `
                 INSERT INTO person_addresses 
@@ -317,15 +459,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                addressRecord.person_id,
-                addressRecord.address_line?.trim() || null,
-                addressRecord.city?.trim() || null,
-                addressRecord.country_code?.trim() || null,
-                addressRecord.url?.trim() || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person address inserted', {
                 personId: addressRecord.person_id
@@ -338,6 +472,25 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the person_documents row for a person document record
+     * @param {Object} documentRecord - Person document record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareDocument(documentRecord) {
+        // Validate document record
+        if (!documentRecord.person_id) {
+            throw new Error('Person ID is required for document');
+        }
+
+        return {
+            person_id: documentRecord.person_id,
+            document_type: documentRecord.document_type?.trim() || null,
+            document_number: documentRecord.document_number?.trim() || null,
+            notes: documentRecord.notes?.trim() || null
+        };
+    }
+
     /**
      * Insert person document (ID)
      * @param {Object} documentRecord - Person document record
@@ -345,10 +498,7 @@ class PersonModel extends BaseModel {
      */
     async insertDocument(documentRecord) {
         try {
-            // Validate document record
-            if (!documentRecord.person_id) {
-                throw new Error('Person ID is required for document');
-            }
+            const row = this.prepareDocument(documentRecord);
 
             const query = `
                 INSERT INTO person_documents 
@@ -357,14 +507,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                documentRecord.person_id,
-                documentRecord.document_type?.trim() || null,
-                documentRecord.document_number?.trim() || null,
-                documentRecord.notes?.trim() || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person document inserted', {
                 personId: documentRecord.person_id,
@@ -378,6 +521,28 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the person_images row for a person image record
+     * @param {Object} imageRecord - Person image record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareImage(imageRecord) {
+        // Validate image record
+        if (!imageRecord.person_id) {
+            throw new Error('Person ID is required for image');
+        }
+
+        if (!imageRecord.url) {
+            throw new Error('Image URL is required');
+        }
+
+        return {
+            person_id: imageRecord.person_id,
+            url: imageRecord.url.trim(),
+            is_primary: imageRecord.is_primary === undefined ? false : !!imageRecord.is_primary
+        };
+    }
+
     /**
      * Insert person image
      * @param {Object} imageRecord - Person image record
@@ -385,14 +550,7 @@ class PersonModel extends BaseModel {
      */
     async insertImage(imageRecord) {
         try {
-            // Validate image record
-            if (!imageRecord.person_id) {
-                throw new Error('Person ID is required for image');
-            }
-
-            if (!imageRecord.url) {
-                throw new Error('Image URL is required');
-            }
+            const row = this.prepareImage(imageRecord);
 
             const query = `
                 INSERT INTO person_images 
@@ -401,13 +559,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                imageRecord.person_id,
-                imageRecord.url.trim(),
-                imageRecord.is_primary === undefined ? false : !!imageRecord.is_primary
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person image inserted', {
                 personId: imageRecord.person_id
@@ -420,6 +572,24 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the person_birth_places row for a person birth place record
+     * @param {Object} birthPlaceRecord - Person birth place record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareBirthPlace(birthPlaceRecord) {
+        // Validate birth place record
+        if (!birthPlaceRecord.person_id) {
+            throw new Error('Person ID is required for birth place');
+        }
+
+        return {
+            person_id: birthPlaceRecord.person_id,
+            place_name: birthPlaceRecord.place_name?.trim() || null,
+            country_code: birthPlaceRecord.country_code?.trim() || null
+        };
+    }
+
     /**
      * Insert person birth place
      * @param {Object} birthPlaceRecord - Person birth place record
@@ -427,10 +597,7 @@ class PersonModel extends BaseModel {
      */
     async insertBirthPlace(birthPlaceRecord) {
         try {
-            // Validate birth place record
-            if (!birthPlaceRecord.person_id) {
-                throw new Error('Person ID is required for birth place');
-            }
+            const row = this.prepareBirthPlace(birthPlaceRecord);
 
             const query = `
                 INSERT INTO person_birth_places 
@@ -439,13 +606,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            const values = [
-                birthPlaceRecord.person_id,
-                birthPlaceRecord.place_name?.trim() || null,
-                birthPlaceRecord.country_code?.trim() || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person birth place inserted', {
                 personId: birthPlaceRecord.person_id
@@ -458,6 +619,81 @@ class PersonModel extends BaseModel {
         }
     }
 
+    /**
+     * Build the person_sanctions row for a person sanction record
+     * @param {Object} sanctionRecord - Person sanction record
+     * @returns {Object} Column values keyed by column name
+     */
+    prepareSanction(sanctionRecord) {
+        // Validate sanction record
+        if (!sanctionRecord.person_id) {
+            throw new Error('Person ID is required for sanction');
+        }
+
+        if (!sanctionRecord.reference_code) {
+            throw new Error('Reference code is required for sanction');
+        }
+
+        // Calculate start and end dates if components are provided
+        let startDate = null;
+        let endDate = null;
+
+        if (sanctionRecord.start_year && sanctionRecord.start_month) {
+            try {
+                // Convert month names to numbers if necessary
+                let startMonthNum = sanctionRecord.start_month;
+                if (isNaN(sanctionRecord.start_month)) {
+                    const monthMap = {
+                        'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
+                        'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
+                    };
+                    startMonthNum = monthMap[sanctionRecord.start_month.toUpperCase()] || 1;
+                }
+                startDate = new Date(
+                    sanctionRecord.start_year, 
+                    startMonthNum - 1, 
+                    sanctionRecord.start_day || 1
+                );
+            } catch (e) {
+                logger.processingError('Start date conversion error', e);
+            }
+        }
+
+        if (sanctionRecord.end_year && sanctionRecord.end_month) {
+            try {
+                // Convert month names to numbers if necessary
+                let endMonthNum = sanctionRecord.end_month;
+                if (isNaN(sanctionRecord.end_month)) {
+                    const monthMap = {
+                        'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
+                        'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
+                    };
+                    endMonthNum = monthMap[sanctionRecord.end_month.toUpperCase()] || 1;
+                }
+                endDate = new Date(
+                    sanctionRecord.end_year, 
+                    endMonthNum - 1, 
+                    sanctionRecord.end_day || 1
+                );
+            } catch (e) {
+                logger.processingError('End date conversion error', e);
+            }
+        }
+
+        return {
+            person_id: sanctionRecord.person_id,
+            reference_code: sanctionRecord.reference_code,
+            start_date: startDate || sanctionRecord.start_date,
+            end_date: endDate || sanctionRecord.end_date,
+            start_day: sanctionRecord.start_day || null,
+            start_month: sanctionRecord.start_month?.trim() || null,
+            start_year: sanctionRecord.start_year || null,
+            end_day: sanctionRecord.end_day || null,
+            end_month: sanctionRecord.end_month?.trim() || null,
+            end_year: sanctionRecord.end_year || null
+        };
+    }
+
     /**
      * Insert person sanction reference
      * @param {Object} sanctionRecord - Person sanction record
@@ -465,14 +701,7 @@ class PersonModel extends BaseModel {
      */
     async insertSanction(sanctionRecord) {
         try {
-            // Validate sanction record
-            if (!sanctionRecord.person_id) {
-                throw new Error('Person ID is required for sanction');
-            }
-
-            if (!sanctionRecord.reference_code) {
-                throw new Error('Reference code is required for sanction');
-            }
+            const row = this.prepareSanction(sanctionRecord);
 
             const query = `
                 INSERT INTO person_sanctions 
@@ -483,66 +712,7 @@ class PersonModel extends BaseModel {
                 RETURNING *
             `;
 
-            // Calculate start and end dates if components are provided
-            let startDate = null;
-            let endDate = null;
-
-            if (sanctionRecord.start_year && sanctionRecord.start_month) {
-                try {
-                    // Convert month names to numbers if necessary
-                    let startMonthNum = sanctionRecord.start_month;
-                    if (isNaN(sanctionRecord.start_month)) {
-                        const monthMap = {
-                            'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
-                            'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
-                        };
-                        startMonthNum = monthMap[sanctionRecord.start_month.toUpperCase()] || 1;
-                    }
-                    startDate = new Date(
-                        sanctionRecord.start_year, 
-                        startMonthNum - 1, 
-                        sanctionRecord.start_day || 1
-                    );
-                } catch (e) {
-                    logger.processingError('Start date conversion error', e);
-                }
-            }
-
-            if (sanctionRecord.end_year && sanctionRecord.end_month) {
-                try {
-                    // Convert month names to numbers if necessary
-                    let endMonthNum = sanctionRecord.end_month;
-                    if (isNaN(sanctionRecord.end_month)) {
-                        const monthMap = {
-                            'JAN': 1, 'FEB': 2, 'MAR': 3, 'APR': 4, 'MAY': 5, 'JUN': 6,
-                            'JUL': 7, 'AUG': 8, 'SEP': 9, 'OCT': 10, 'NOV': 11, 'DEC': 12
-                        };
-                        endMonthNum = monthMap[sanctionRecord.end_month.toUpperCase()] || 1;
-                    }
-                    endDate = new Date(
-                        sanctionRecord.end_year, 
-                        endMonthNum - 1, 
-                        sanctionRecord.end_day || 1
-                    );
-                } catch (e) {
-                    logger.processingError('End date conversion error', e);
-                }
-            }
-
-            const values = [
-                sanctionRecord.person_id,
-                sanctionRecord.reference_code,
-                startDate || sanctionRecord.start_date,
-                endDate || sanctionRecord.end_date,
-                sanctionRecord.start_day || null,
-                sanctionRecord.start_month?.trim() || null,
-                sanctionRecord.start_year || null,
-                sanctionRecord.end_day || null,
-                sanctionRecord.end_month?.trim() || null,
-                sanctionRecord.end_year || null
-            ];
-
-            const result = await this.db.query(query, values);
+            const result = await this.db.query(query, Object.values(row));
 
             logger.processInfo('Person sanction inserted', {
                 personId: sanctionRecord.person_id,
@@ -736,9 +906,9 @@ class PersonModel extends BaseModel {
             
             // Get sources
             const sourcesQuery = `
-                SELECT ps.*, is.name as source_name
+                SELECT ps.*, src.name as source_name
                 FROM person_sources ps
-                JOIN information_sources is ON ps.source_id = is.id
+                JOIN information_sources src ON ps.source_id = src.id
                 WHERE ps.person_id = $1
             `;
             
@@ -785,6 +955,31 @@ class PersonModel extends BaseModel {
             throw error;
         }
     }
+
+    /**
+     * Ranked search of persons by name, with the trigram and full-text indexes of person_names
+     * Full names, single string names and original script names are searched;
+     * each person is returned once, with its best scoring name, best first
+     * @param {string} nameQuery - Name to search for
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of persons
+     * @param {number} options.offset - Number of persons skipped
+     * @param {number} options.minSimilarity - Minimum score and trigram word similarity of a name, 0 to 1
+     * @param {Array<string>} options.nameTypes - Only search names of these name types
+     * @returns {Promise<Array>} Persons with matched_name, name_type, is_primary and score
+     */
+    async search(nameQuery, options = {}) {
+        const { limit = 20, offset = 0, minSimilarity = 0.3, nameTypes = [] } = options;
+
+        try {
+            const { text, values } = buildNameSearch(NAME_TABLES.person, nameQuery, { limit, offset, minSimilarity, nameTypes });
+            const result = await queryWithThreshold(this.db, minSimilarity, text, values);
+            return result.rows.map(row => ({ ...row, type: 'person', score: Number(row.score) }));
+        } catch (error) {
+            logger.processingError('Person ranked search failed', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = PersonModel;
\ No newline at end of file
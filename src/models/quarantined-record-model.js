@@ -0,0 +1,179 @@
+// src/models/quarantined-record-model.js
+const BaseModel = require('./base-model');
+const logger = require('../utils/logging');
+
+/**
+ * Records that failed processing, kept with the parsed XML element so they
+ * can be retried after a fix without reloading the whole feed
+ */
+class QuarantinedRecordModel extends BaseModel {
+    constructor(dbClient) {
+        super(dbClient);
+        this.tableName = 'quarantined_records';
+        this.primaryKey = 'id';
+    }
+
+    /**
+     * Validate quarantined record
+     * @param {Object} record - Quarantined record to validate
+     */
+    validate(record) {
+        super.validate(record);
+
+        if (!record.record_type) {
+            throw new Error('Quarantined record type is required');
+        }
+
+        if (!record.element) {
+            throw new Error('Quarantined record element is required');
+        }
+    }
+
+    /**
+     * Quarantine a failed record
+     * @param {Object} record - Quarantined record
+     * @returns {Promise<Object>} Inserted quarantined record
+     */
+    async add(record) {
+        try {
+            this.validate(record);
+
+            const query = `
+                INSERT INTO ${this.tableName}
+                (import_run_id, run_key, record_type, record_id, load_type, element, error_message)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING id
+            `;
+
+            const values = [
+                record.import_run_id || null,
+                record.run_key || null,
+                record.record_type,
+                record.record_id || null,
+                record.load_type || 'full',
+                JSON.stringify(record.element),
+                record.error_message || 'Unknown error'
+            ];
+
+            const result = await this.db.query(query, values);
+            return result.rows[0];
+        } catch (error) {
+            logger.processingError('Quarantine insert failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the WHERE clause of a quarantine filter
+     * @param {Object} filters - Filters
+     * @param {Array<number>} filters.ids - Quarantined record IDs
+     * @param {number} filters.importRunId - Import run ID
+     * @param {string} filters.recordType - Record type (Person, Entity)
+     * @param {number} filters.afterId - Only records with a greater ID
+     * @returns {Object} WHERE clause and its values
+     */
+    buildFilter(filters = {}) {
+        const conditions = [];
+        const values = [];
+
+        if (filters.ids && filters.ids.length > 0) {
+            values.push(filters.ids);
+            conditions.push(`id = ANY($${values.length})`);
+        }
+
+        if (filters.importRunId) {
+            values.push(filters.importRunId);
+            conditions.push(`import_run_id = $${values.length}`);
+        }
+
+        if (filters.recordType) {
+            values.push(filters.recordType);
+            conditions.push(`record_type = $${values.length}`);
+        }
+
+        if (filters.afterId) {
+            values.push(filters.afterId);
+            conditions.push(`id > $${values.length}`);
+        }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            values
+        };
+    }
+
+    /**
+     * List quarantined records in ID order
+     * @param {Object} filters - Filters, see buildFilter
+     * @param {Object} options - Query options
+     * @returns {Promise<Array>} Quarantined records
+     */
+    async list(filters = {}, options = {}) {
+        const { limit = 100 } = options;
+
+        try {
+            const { where, values } = this.buildFilter(filters);
+
+            const query = `
+                SELECT * FROM ${this.tableName}
+                ${where}
+                ORDER BY id
+                LIMIT $${values.length + 1}
+            `;
+
+            const result = await this.db.query(query, [...values, limit]);
+            return result.rows;
+        } catch (error) {
+            logger.processingError('Quarantine list failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed retry of a quarantined record
+     * @param {number} id - Quarantined record ID
+     * @param {string} errorMessage - Error of the retry
+     * @returns {Promise<void>}
+     */
+    async recordRetryFailure(id, errorMessage) {
+        try {
+            const query = `
+                UPDATE ${this.tableName}
+                SET
+                    error_message = $2,
+                    retry_count = retry_count + 1,
+                    last_retry_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `;
+
+            await this.db.query(query, [id, errorMessage]);
+        } catch (error) {
+            logger.processingError('Quarantine retry update failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete quarantined records
+     * @param {Object} filters - Filters, see buildFilter
+     * @returns {Promise<number>} Number of deleted records
+     */
+    async purge(filters = {}) {
+        try {
+            const { where, values } = this.buildFilter(filters);
+
+            const query = `
+                DELETE FROM ${this.tableName}
+                ${where}
+            `;
+
+            const result = await this.db.query(query, values);
+            return result.rowCount;
+        } catch (error) {
+            logger.processingError('Quarantine purge failed', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = QuarantinedRecordModel;
@@ -1,9 +1,12 @@
 // src/processors/association-processor.js
 const BaseProcessor = require('./base-processor');
+const RecordSpool = require('../utils/record-spool');
 const logger = require('../utils/logging');
 
 /**
  * Processor for Association XML elements
+ * Associations are spooled to disk while the file is streamed and written in a
+ * second phase, once every person and entity they reference has been loaded
  */
 class AssociationProcessor extends BaseProcessor {
     constructor(dbClient, models, options = {}) {
@@ -15,6 +18,24 @@ class AssociationProcessor extends BaseProcessor {
             specialEntityAssociations: 0,
             associations: 0
         };
+        
+        // Associates whose profile could not be found once all profiles were loaded
+        this.stats.unresolvedAssociates = 0;
+        
+        this.spool = new RecordSpool({
+            tempDir: this.config.tempDir,
+            name: 'associations'
+        });
+        
+        // Set when the import is stopped before the deferred associations are all written
+        this.stopRequested = false;
+    }
+    
+    /**
+     * Stop resolving deferred associations after the current record
+     */
+    requestStop() {
+        this.stopRequested = true;
     }
     
     /**
@@ -22,26 +43,17 @@ class AssociationProcessor extends BaseProcessor {
      * @param {Object} xml - XML stream
      */
     setupHandlers(xml) {
+        // Keep every associate of a record, not only the last one
+        xml.collect('Associate');
+        
         // Public Figure associations handler
-        xml.on('endElement: PublicFigure', async (publicFigure) => {
-            try {
-                await this.processPublicFigure(publicFigure);
-                this.updateStats(true);
-            } catch (error) {
-                logger.processingError(`Public Figure Association processing error for ID: ${this.getAttribute(publicFigure.$, 'id')}`, error);
-                this.updateStats(false);
-            }
+        xml.on('endElement: PublicFigure', (publicFigure) => {
+            this.deferRecord('PublicFigure', publicFigure);
         });
         
         // Special Entity associations handler
-        xml.on('endElement: SpecialEntity', async (specialEntity) => {
-            try {
-                await this.processSpecialEntity(specialEntity);
-                this.updateStats(true);
-            } catch (error) {
-                logger.processingError(`Special Entity Association processing error for ID: ${this.getAttribute(specialEntity.$, 'id')}`, error);
-                this.updateStats(false);
-            }
+        xml.on('endElement: SpecialEntity', (specialEntity) => {
+            this.deferRecord('SpecialEntity', specialEntity);
         });
         
         // Return the processor for chaining
@@ -49,159 +61,259 @@ class AssociationProcessor extends BaseProcessor {
     }
     
     /**
-     * Process a Public Figure record (association)
-     * @param {Object} publicFigure - PublicFigure XML element
+     * Spool an association record until all profiles are loaded
+     * @param {string} type - Record element (PublicFigure or SpecialEntity)
+     * @param {Object} element - XML element
      */
-    async processPublicFigure(publicFigure) {
-        const publicFigureId = this.safeParseInt(this.getAttribute(publicFigure.$, 'id'));
+    deferRecord(type, element) {
+        try {
+            this.spool.append({
+                type,
+                id: this.safeParseInt(this.getAttribute(element.$, 'id')),
+                associates: [].concat(element.Associate || []).map(associate => associate.$ || {})
+            });
+        } catch (error) {
+            logger.processingError(`Failed to defer ${type} associations for ID: ${this.getAttribute(element.$, 'id')}`, error);
+            this.updateStats(false);
+        }
+    }
+    
+    /**
+     * Write the spooled associations
+     * Must run after every person and entity of the file has been loaded
+     * @returns {Promise<void>}
+     */
+    async resolveDeferred() {
+        if (this.spool.count === 0) {
+            return;
+        }
+        
+        // Bulk-loaded profiles must be in the database before associates are looked up
+        await this.flushPendingWrites();
         
-        // Begin transaction for public figure associations
-        await this.db.query('BEGIN');
+        logger.processInfo('Resolving deferred associations', {
+            records: this.spool.count
+        });
         
         try {
-            // Process associates
-            if (publicFigure.Associate) {
-                for (const associate of publicFigure.Associate) {
-                    try {
-                        const associateId = this.safeParseInt(this.getAttribute(associate.$, 'id'));
-                        const relationshipCode = this.safeParseInt(this.getAttribute(associate.$, 'code'));
-                        const isFormer = this.getAttribute(associate.$, 'ex') === 'true';
-                        
-                        // Determine if this is a person or entity
-                        const personResult = await this.db.query(
-                            'SELECT 1 FROM persons WHERE id = $1',
-                            [associateId]
-                        );
-                        
-                        const associateType = personResult.rows.length > 0 ? 'PERSON' : 'ENTITY';
-                        
-                        // Create a generic association
-                        const associationResult = await this.models.association.create({
-                            source_id: publicFigureId,
-                            source_type: 'PERSON',
-                            target_id: associateId,
-                            target_type: associateType,
-                            relationship_code: relationshipCode,
-                            is_former: isFormer,
-                            // Extract date information if available
-                            start_day: this.safeParseInt(this.getAttribute(associate.$, 'SinceDay')),
-                            start_month: this.getAttribute(associate.$, 'SinceMonth'),
-                            start_year: this.safeParseInt(this.getAttribute(associate.$, 'SinceYear')),
-                            end_day: this.safeParseInt(this.getAttribute(associate.$, 'ToDay')),
-                            end_month: this.getAttribute(associate.$, 'ToMonth'),
-                            end_year: this.safeParseInt(this.getAttribute(associate.$, 'ToYear'))
-                        });
-                        
-                        this.stats.counts.associations++;
-                        
-                        // Also create a specific public figure association
-                        await this.models.association.createPublicFigureAssociation({
-                            public_figure_id: publicFigureId,
-                            associate_id: associateId,
-                            associate_type: associateType,
-                            relationship_code: relationshipCode,
-                            is_former: isFormer,
-                            start_day: this.safeParseInt(this.getAttribute(associate.$, 'SinceDay')),
-                            start_month: this.getAttribute(associate.$, 'SinceMonth'),
-                            start_year: this.safeParseInt(this.getAttribute(associate.$, 'SinceYear')),
-                            end_day: this.safeParseInt(this.getAttribute(associate.$, 'ToDay')),
-                            end_month: this.getAttribute(associate.$, 'ToMonth'),
-                            end_year: this.safeParseInt(this.getAttribute(associate.$, 'ToYear'))
-                        });
-                        
-                        this.stats.counts.publicFigureAssociations++;
-                    } catch (error) {
-                        logger.processingError(`Associate processing error for Public Figure ID: ${publicFigureId}, Associate ID: ${this.getAttribute(associate.$, 'id')}`, error);
-                        // Continue processing other associates even if one fails
+            for await (const record of this.spool.read()) {
+                if (this.stopRequested) {
+                    logger.processInfo('Stopped resolving deferred associations', {
+                        processed: this.stats.processedCount
+                    });
+                    break;
+                }
+
+                try {
+                    if (record.type === 'PublicFigure') {
+                        await this.processPublicFigure(record);
+                    } else {
+                        await this.processSpecialEntity(record);
                     }
+                    this.updateStats(true);
+                } catch (error) {
+                    logger.processingError(`${record.type} Association processing error for ID: ${record.id}`, error);
+                    this.updateStats(false);
                 }
             }
-            
-            // Commit transaction
-            await this.db.query('COMMIT');
-        } catch (error) {
-            // Rollback transaction on error
-            await this.db.query('ROLLBACK');
-            throw error;
+        } finally {
+            await this.spool.remove();
         }
+        
+        logger.processInfo('Deferred associations resolved', {
+            ...this.stats.counts,
+            unresolvedAssociates: this.stats.unresolvedAssociates
+        });
     }
     
     /**
-     * Process a Special Entity record (association)
-     * @param {Object} specialEntity - SpecialEntity XML element
+     * Find whether an ID belongs to a person or an entity
+     * @param {Object} scope - Processor scope of the current transaction
+     * @param {number} id - Profile ID
+     * @returns {Promise<string|null>} PERSON, ENTITY or null when no profile exists
      */
-    async processSpecialEntity(specialEntity) {
-        const specialEntityId = this.safeParseInt(this.getAttribute(specialEntity.$, 'id'));
+    async resolveProfileType(scope, id) {
+        const result = await scope.db.query(
+            `SELECT CASE
+                WHEN EXISTS (SELECT 1 FROM persons WHERE id = $1) THEN 'PERSON'
+                WHEN EXISTS (SELECT 1 FROM entities WHERE id = $1) THEN 'ENTITY'
+            END AS type`,
+            [id]
+        );
         
-        // Begin transaction for special entity associations
-        await this.db.query('BEGIN');
+        return result.rows[0]?.type || null;
+    }
+    
+    /**
+     * Process a spooled Public Figure record (association)
+     * @param {Object} publicFigure - Spooled record with id and associate attributes
+     */
+    async processPublicFigure(publicFigure) {
+        const publicFigureId = publicFigure.id;
         
-        try {
+        // All associations of the public figure are committed together
+        await this.withTransaction(async (scope) => {
+            // Without its own profile none of the associates can be linked
+            if (await this.resolveProfileType(scope, publicFigureId) !== 'PERSON') {
+                this.stats.unresolvedAssociates += publicFigure.associates.length;
+                logger.processInfo('Public Figure not found, associations skipped', {
+                    id: publicFigureId,
+                    associates: publicFigure.associates.length
+                });
+                return;
+            }
+            
             // Process associates
-            if (specialEntity.Associate) {
-                for (const associate of specialEntity.Associate) {
-                    try {
-                        const associateId = this.safeParseInt(this.getAttribute(associate.$, 'id'));
-                        const relationshipCode = this.safeParseInt(this.getAttribute(associate.$, 'code'));
-                        const isFormer = this.getAttribute(associate.$, 'ex') === 'true';
-                        
-                        // Determine if this is a person or entity
-                        const personResult = await this.db.query(
-                            'SELECT 1 FROM persons WHERE id = $1',
-                            [associateId]
-                        );
-                        
-                        const associateType = personResult.rows.length > 0 ? 'PERSON' : 'ENTITY';
-                        
-                        // Create a generic association
-                        const associationResult = await this.models.association.create({
-                            source_id: specialEntityId,
-                            source_type: 'ENTITY',
-                            target_id: associateId,
-                            target_type: associateType,
-                            relationship_code: relationshipCode,
-                            is_former: isFormer,
-                            // Extract date information if available
-                            start_day: this.safeParseInt(this.getAttribute(associate.$, 'SinceDay')),
-                            start_month: this.getAttribute(associate.$, 'SinceMonth'),
-                            start_year: this.safeParseInt(this.getAttribute(associate.$, 'SinceYear')),
-                            end_day: this.safeParseInt(this.getAttribute(associate.$, 'ToDay')),
-                            end_month: this.getAttribute(associate.$, 'ToMonth'),
-                            end_year: this.safeParseInt(this.getAttribute(associate.$, 'ToYear'))
-                        });
-                        
-                        this.stats.counts.associations++;
-                        
-                        // Also create a specific special entity association
-                        await this.models.association.createSpecialEntityAssociation({
-                            special_entity_id: specialEntityId,
-                            associate_id: associateId,
-                            associate_type: associateType,
-                            relationship_code: relationshipCode,
-                            is_former: isFormer,
-                            start_day: this.safeParseInt(this.getAttribute(associate.$, 'SinceDay')),
-                            start_month: this.getAttribute(associate.$, 'SinceMonth'),
-                            start_year: this.safeParseInt(this.getAttribute(associate.$, 'SinceYear')),
-                            end_day: this.safeParseInt(this.getAttribute(associate.$, 'ToDay')),
-                            end_month: this.getAttribute(associate.$, 'ToMonth'),
-                            end_year: this.safeParseInt(this.getAttribute(associate.$, 'ToYear'))
-                        });
-                        
-                        this.stats.counts.specialEntityAssociations++;
-                    } catch (error) {
-                        logger.processingError(`Associate processing error for Special Entity ID: ${specialEntityId}, Associate ID: ${this.getAttribute(associate.$, 'id')}`, error);
-                        // Continue processing other associates even if one fails
-                    }
+            for (const associate of publicFigure.associates) {
+                const associateId = this.safeParseInt(this.getAttribute(associate, 'id'));
+                const associateType = await this.resolveProfileType(scope, associateId);
+                
+                if (!associateType) {
+                    this.stats.unresolvedAssociates++;
+                    logger.processInfo('Associate not found, association skipped', {
+                        publicFigureId,
+                        associateId
+                    });
+                    continue;
+                }
+                
+                // A failed associate must not abort the transaction for the others
+                await scope.db.query('SAVEPOINT associate');
+                
+                try {
+                    const relationshipCode = this.safeParseInt(this.getAttribute(associate, 'code'));
+                    const isFormer = this.getAttribute(associate, 'ex') === 'true';
+                    
+                    // Create a generic association
+                    const associationResult = await scope.models.association.create({
+                        source_id: publicFigureId,
+                        source_type: 'PERSON',
+                        target_id: associateId,
+                        target_type: associateType,
+                        relationship_code: relationshipCode,
+                        is_former: isFormer,
+                        // Extract date information if available
+                        start_day: this.safeParseInt(this.getAttribute(associate, 'SinceDay')),
+                        start_month: this.getAttribute(associate, 'SinceMonth'),
+                        start_year: this.safeParseInt(this.getAttribute(associate, 'SinceYear')),
+                        end_day: this.safeParseInt(this.getAttribute(associate, 'ToDay')),
+                        end_month: this.getAttribute(associate, 'ToMonth'),
+                        end_year: this.safeParseInt(this.getAttribute(associate, 'ToYear'))
+                    });
+                    
+                    this.stats.counts.associations++;
+                    
+                    // Also create a specific public figure association
+                    await scope.models.association.createPublicFigureAssociation({
+                        public_figure_id: publicFigureId,
+                        associate_id: associateId,
+                        associate_type: associateType,
+                        relationship_code: relationshipCode,
+                        is_former: isFormer,
+                        start_day: this.safeParseInt(this.getAttribute(associate, 'SinceDay')),
+                        start_month: this.getAttribute(associate, 'SinceMonth'),
+                        start_year: this.safeParseInt(this.getAttribute(associate, 'SinceYear')),
+                        end_day: this.safeParseInt(this.getAttribute(associate, 'ToDay')),
+                        end_month: this.getAttribute(associate, 'ToMonth'),
+                        end_year: this.safeParseInt(this.getAttribute(associate, 'ToYear'))
+                    });
+                    
+                    this.stats.counts.publicFigureAssociations++;
+                    
+                    await scope.db.query('RELEASE SAVEPOINT associate');
+                } catch (error) {
+                    await scope.db.query('ROLLBACK TO SAVEPOINT associate');
+                    logger.processingError(`Associate processing error for Public Figure ID: ${publicFigureId}, Associate ID: ${this.getAttribute(associate, 'id')}`, error);
+                    // Continue processing other associates even if one fails
                 }
             }
+        });
+    }
+    
+    /**
+     * Process a spooled Special Entity record (association)
+     * @param {Object} specialEntity - Spooled record with id and associate attributes
+     */
+    async processSpecialEntity(specialEntity) {
+        const specialEntityId = specialEntity.id;
+        
+        // All associations of the special entity are committed together
+        await this.withTransaction(async (scope) => {
+            // Without its own profile none of the associates can be linked
+            if (await this.resolveProfileType(scope, specialEntityId) !== 'ENTITY') {
+                this.stats.unresolvedAssociates += specialEntity.associates.length;
+                logger.processInfo('Special Entity not found, associations skipped', {
+                    id: specialEntityId,
+                    associates: specialEntity.associates.length
+                });
+                return;
+            }
             
-            // Commit transaction
-            await this.db.query('COMMIT');
-        } catch (error) {
-            // Rollback transaction on error
-            await this.db.query('ROLLBACK');
-            throw error;
-        }
+            // Process associates
+            for (const associate of specialEntity.associates) {
+                const associateId = this.safeParseInt(this.getAttribute(associate, 'id'));
+                const associateType = await this.resolveProfileType(scope, associateId);
+                
+                if (!associateType) {
+                    this.stats.unresolvedAssociates++;
+                    logger.processInfo('Associate not found, association skipped', {
+                        specialEntityId,
+                        associateId
+                    });
+                    continue;
+                }
+                
+                // A failed associate must not abort the transaction for the others
+                await scope.db.query('SAVEPOINT associate');
+                
+                try {
+                    const relationshipCode = this.safeParseInt(this.getAttribute(associate, 'code'));
+                    const isFormer = this.getAttribute(associate, 'ex') === 'true';
+                    
+                    // Create a generic association
+                    const associationResult = await scope.models.association.create({
+                        source_id: specialEntityId,
+                        source_type: 'ENTITY',
+                        target_id: associateId,
+                        target_type: associateType,
+                        relationship_code: relationshipCode,
+                        is_former: isFormer,
+                        // Extract date information if available
+                        start_day: this.safeParseInt(this.getAttribute(associate, 'SinceDay')),
+                        start_month: this.getAttribute(associate, 'SinceMonth'),
+                        start_year: this.safeParseInt(this.getAttribute(associate, 'SinceYear')),
+                        end_day: this.safeParseInt(this.getAttribute(associate, 'ToDay')),
+                        end_month: this.getAttribute(associate, 'ToMonth'),
+                        end_year: this.safeParseInt(this.getAttribute(associate, 'ToYear'))
+                    });
+                    
+                    this.stats.counts.associations++;
+                    
+                    // Also create a specific special entity association
+                    await scope.models.association.createSpecialEntityAssociation({
+                        special_entity_id: specialEntityId,
+                        associate_id: associateId,
+                        associate_type: associateType,
+                        relationship_code: relationshipCode,
+                        is_former: isFormer,
+                        start_day: this.safeParseInt(this.getAttribute(associate, 'SinceDay')),
+                        start_month: this.getAttribute(associate, 'SinceMonth'),
+                        start_year: this.safeParseInt(this.getAttribute(associate, 'SinceYear')),
+                        end_day: this.safeParseInt(this.getAttribute(associate, 'ToDay')),
+                        end_month: this.getAttribute(associate, 'ToMonth'),
+                        end_year: this.safeParseInt(this.getAttribute(associate, 'ToYear'))
+                    });
+                    
+                    this.stats.counts.specialEntityAssociations++;
+                    
+                    await scope.db.query('RELEASE SAVEPOINT associate');
+                } catch (error) {
+                    await scope.db.query('ROLLBACK TO SAVEPOINT associate');
+                    logger.processingError(`Associate processing error for Special Entity ID: ${specialEntityId}, Associate ID: ${this.getAttribute(associate, 'id')}`, error);
+                    // Continue processing other associates even if one fails
+                }
+            }
+        });
     }
 }
 
@@ -1,5 +1,6 @@
 // src/processors/base-processor.js
 const logger = require('../utils/logging');
+const DatabaseHandler = require('../services/database-handler');
 
 /**
  * Base processor class for XML parsing
@@ -19,9 +20,15 @@ class BaseProcessor {
         this.config = {
             batchSize: 500,
             logInterval: 5000,
+            loadType: 'full',
             ...options
         };
 
+        // Every write goes through a database handler; without one, records are written unbuffered
+        if (!this.config.databaseHandler) {
+            this.config.databaseHandler = new DatabaseHandler(dbClient, { buffered: false, pool: this.config.pool });
+        }
+
         this.stats = {
             processedCount: 0,
             successCount: 0,
@@ -86,6 +93,273 @@ class BaseProcessor {
         }
     }
 
+    /**
+     * Whether the current load applies record actions (delta or incremental files)
+     * @returns {boolean} True for delta and incremental loads
+     */
+    isDeltaLoad() {
+        return this.config.loadType === 'delta' || this.config.loadType === 'incremental';
+    }
+
+    /**
+     * Normalize a record action attribute
+     * @param {string} action - Action attribute value (add, amend, del)
+     * @returns {string} Normalized action, 'add' when missing or unknown
+     */
+    normalizeAction(action) {
+        const normalized = (action || '').trim().toLowerCase();
+        return ['add', 'amend', 'del'].includes(normalized) ? normalized : 'add';
+    }
+
+    /**
+     * Count a processed record action for the final summary
+     * @param {string} action - Normalized action
+     */
+    recordAction(action) {
+        if (!this.stats.actions) {
+            this.stats.actions = { add: 0, amend: 0, del: 0 };
+        }
+        this.stats.actions[action] = (this.stats.actions[action] || 0) + 1;
+    }
+
+    /**
+     * Whether a profile record passes the filter of the load, if any
+     * @param {Object} record - Person or entity XML element
+     * @returns {boolean} True when the record is to be loaded
+     */
+    matchesFilter(record) {
+        return !this.config.filter || this.config.filter.matches(record);
+    }
+
+    /**
+     * Count a profile record left out by the filter
+     */
+    recordFiltered() {
+        this.stats.filteredCount = (this.stats.filteredCount || 0) + 1;
+    }
+
+    /**
+     * Run the async handler of one XML record
+     * The handler is reported to the flow controller, if any, so the parser
+     * can pause reading while too many records are still being written
+     * @param {string} element - Element name of the record
+     * @param {Function} work - Async handler
+     * @returns {Promise<any>} Result of the handler
+     */
+    trackRecord(element, work) {
+        if (this.config.flowController) {
+            return this.config.flowController.track(element, work);
+        }
+        return work();
+    }
+
+    /**
+     * Run the async handler of a person or entity record
+     * The record is numbered by the import checkpoint, if any, and skipped when
+     * the interrupted run being resumed already committed it
+     * @param {string} element - Element name of the record
+     * @param {string} recordId - Record id attribute
+     * @param {Function} work - Async handler
+     * @returns {Promise<any>} Result of the handler, null when skipped
+     */
+    trackProfile(element, recordId, work) {
+        // Taken before the record is tracked, so the wait does not include it
+        const referenceWrites = this.waitForReferenceWrites();
+        const checkpoint = this.config.checkpoint;
+        if (!checkpoint) {
+            return this.trackRecord(element, async () => {
+                await referenceWrites;
+                return work();
+            });
+        }
+
+        const sequence = checkpoint.begin(recordId);
+        if (sequence === null) {
+            return Promise.resolve(null);
+        }
+
+        return this.trackRecord(element, async () => {
+            try {
+                await referenceWrites;
+                return await work();
+            } finally {
+                checkpoint.complete(sequence);
+            }
+        });
+    }
+
+    /**
+     * Wait for the reference list writes started before the first profile
+     * Profiles may be written on their own pooled clients while the reference lists
+     * are written on the database handler client, so without this wait a profile could
+     * reference a name type or country not committed yet
+     * @returns {Promise<void>} Settled once the earlier reference writes are done
+     */
+    waitForReferenceWrites() {
+        if (!this.referenceWrites) {
+            this.referenceWrites = this.settleReferenceWrites();
+        }
+        return this.referenceWrites;
+    }
+
+    /**
+     * Let the records in flight finish, then the writes queued on the database handler
+     * Profiles read after the first one are not waited for, they wait here too
+     * @returns {Promise<void>}
+     */
+    async settleReferenceWrites() {
+        if (this.config.flowController) {
+            await this.config.flowController.settle();
+        }
+
+        // The handler runs its writes in order, so this one completes after them
+        await this.config.databaseHandler.write(async () => {});
+    }
+
+    /**
+     * Keep a record that failed processing so it can be retried after a fix
+     * Quarantine failures are only logged, like the processing error itself
+     * @param {string} element - Element name of the record
+     * @param {Object} record - Parsed XML element
+     * @param {Error} error - Processing error
+     * @returns {Promise<void>}
+     */
+    async quarantineRecord(element, record, error) {
+        const quarantine = this.models.quarantinedRecord;
+        if (!quarantine) {
+            return;
+        }
+
+        const recordId = this.getAttribute(record.$, 'id');
+        const runContext = this.config.runContext || {};
+
+        try {
+            await this.withWrites(scope => scope.models.quarantinedRecord.add({
+                import_run_id: runContext.importRunId,
+                run_key: runContext.runKey,
+                record_type: element,
+                record_id: recordId,
+                load_type: this.config.loadType,
+                element: record,
+                error_message: error.message
+            }));
+            this.stats.quarantinedCount = (this.stats.quarantinedCount || 0) + 1;
+        } catch (quarantineError) {
+            logger.processingError(`Failed to quarantine ${element} ID: ${recordId}`, quarantineError);
+        }
+    }
+
+    /**
+     * Run the writes of one record in its own transaction
+     * @param {Function} work - Async function receiving a processor scope bound to the transaction client
+     * @returns {Promise<any>} Result of the work function
+     */
+    async withTransaction(work) {
+        return this.config.databaseHandler.transaction(client => work(this.scopeFor(client)));
+    }
+
+    /**
+     * Run the writes of a person or entity profile
+     * With the batch and copy load strategies the writes are buffered by the
+     * database handler, which commits them per batch, so no per-record
+     * transaction is opened
+     * @param {Function} work - Async function receiving the processor scope to write with
+     * @returns {Promise<any>} Result of the work function
+     */
+    async withProfileWrites(work) {
+        const handler = this.config.databaseHandler;
+        if (!handler.config.buffered) {
+            return this.withTransaction(work);
+        }
+
+        const result = await work(this);
+        await handler.endRecord();
+        return result;
+    }
+
+    /**
+     * Run writes outside the profiles, such as reference lists, on the database handler client
+     * @param {Function} work - Async function receiving a processor scope bound to the handler client
+     * @returns {Promise<any>} Result of the work function
+     */
+    async withWrites(work) {
+        return this.config.databaseHandler.write(client => work(this.scopeFor(client)));
+    }
+
+    /**
+     * Processor scope writing with a client
+     * @param {Object} client - Database client
+     * @returns {Object} This processor for its own client, a bound view otherwise
+     */
+    scopeFor(client) {
+        return client === this.db ? this : this.bindClient(client);
+    }
+
+    /**
+     * Create a view of this processor whose database client and models use another client
+     * Statistics and configuration stay shared with the processor
+     * @param {Object} client - Database client
+     * @returns {Object} Processor scope bound to the client
+     */
+    bindClient(client) {
+        const models = {};
+        for (const [name, model] of Object.entries(this.models)) {
+            models[name] = Object.create(model, { db: { value: client } });
+        }
+
+        return Object.create(this, {
+            db: { value: client },
+            models: { value: models }
+        });
+    }
+
+    /**
+     * Write rows still buffered by the database handler, if any
+     * Needed before queries that rely on previously processed profiles
+     * @returns {Promise<void>}
+     */
+    async flushPendingWrites() {
+        await this.config.databaseHandler.flush();
+    }
+
+    /**
+     * Convert an element emitted by xml-stream to the shape the processors read
+     * Every child becomes an array (`person.NameDetails[0].Name`), text-only
+     * children stay strings and the text of elements with attributes is `_`.
+     * Repeated children are only all kept when collected (see xml.collect).
+     * @param {Object|string} node - xml-stream element
+     * @returns {Object|string} Element with attributes in `$`, text in `_` and child arrays
+     */
+    toElementTree(node) {
+        if (node === null || typeof node !== 'object') {
+            return node;
+        }
+
+        const element = {};
+        for (const [key, value] of Object.entries(node)) {
+            if (key === '$') {
+                element.$ = value;
+            } else if (key === '$text') {
+                element._ = value;
+            } else if (!key.startsWith('$')) {
+                element[key] = [].concat(value).map(child => this.toElementTree(child));
+            }
+        }
+        return element;
+    }
+
+    /**
+     * Get the text of an element
+     * @param {Object|string} node - Element, a string for text-only elements
+     * @returns {string} Text content or empty string
+     */
+    getText(node) {
+        if (typeof node === 'string') {
+            return node;
+        }
+        return node && typeof node._ === 'string' ? node._ : '';
+    }
+
     /**
      * Get attribute from XML node safely
      * @param {Object} attributes - XML node attributes
@@ -2,6 +2,12 @@
 const BaseProcessor = require('./base-processor');
 const logger = require('../utils/logging');
 
+// Repeated children of an entity; xml-stream keeps only the last one of the others
+const REPEATED_ELEMENTS = [
+    'Name', 'NameValue', 'Description', 'Date', 'DateValue', 'Reference',
+    'Address', 'CompanyDetails', 'VesselDetails', 'Image', 'Source'
+];
+
 /**
  * Processor for Entity XML elements
  */
@@ -28,15 +34,24 @@ class EntityProcessor extends BaseProcessor {
      * @param {Object} xml - XML stream
      */
     setupHandlers(xml) {
+        // Keep every occurrence of the repeated children
+        for (const element of REPEATED_ELEMENTS) {
+            xml.collect(element);
+        }
+        
         // Main entity element handler
-        xml.on('endElement: Entity', async (entity) => {
-            try {
-                await this.processRecord(entity);
-                this.updateStats(true);
-            } catch (error) {
-                logger.processingError(`Entity processing error for ID: ${this.getAttribute(entity.$, 'id')}`, error);
-                this.updateStats(false);
-            }
+        xml.on('endElement: Entity', (element) => {
+            const entity = this.toElementTree(element);
+            return this.trackProfile('Entity', this.getAttribute(entity.$, 'id'), async () => {
+                try {
+                    await this.processRecord(entity);
+                    this.updateStats(true);
+                } catch (error) {
+                    logger.processingError(`Entity processing error for ID: ${this.getAttribute(entity.$, 'id')}`, error);
+                    this.updateStats(false);
+                    await this.quarantineRecord('Entity', entity, error);
+                }
+            });
         });
         
         // Return the processor for chaining
@@ -49,13 +64,24 @@ class EntityProcessor extends BaseProcessor {
      */
     async processRecord(entity) {
         const entityId = this.safeParseInt(this.getAttribute(entity.$, 'id'));
+        const action = this.normalizeAction(this.getAttribute(entity.$, 'action'));
         
-        // Begin transaction for entity processing
-        await this.db.query('BEGIN');
+        // Delta deletions remove the profile instead of upserting it
+        if (this.isDeltaLoad() && action === 'del') {
+            return this.deleteRecord(entityId);
+        }
+        
+        // Entities outside the filter are not loaded; an amended one that no longer
+        // matches is removed so the database keeps only the filtered profiles
+        if (!this.matchesFilter(entity)) {
+            this.recordFiltered();
+            return this.isDeltaLoad() && action === 'amend' ? this.deleteRecord(entityId) : null;
+        }
         
-        try {
+        // All writes for the entity are committed together
+        const entityRecord = await this.withProfileWrites(async (scope) => {
             // Upsert entity record
-            const entityRecord = await this.models.entity.upsert({
+            const record = await scope.models.entity.upsert({
                 id: entityId,
                 action: this.getAttribute(entity.$, 'action'),
                 date: this.getAttribute(entity.$, 'date'),
@@ -66,39 +92,55 @@ class EntityProcessor extends BaseProcessor {
             
             this.stats.counts.entities++;
             
+            // Every record carries the complete profile, so replace existing child rows
+            // to keep re-loads idempotent (nothing to clear for a freshly inserted entity)
+            if (!record.inserted) {
+                await scope.models.entity.deleteChildren(entityId);
+            }
+            
             // Process names
-            await this.processNames(entityId, entity);
+            await scope.processNames(entityId, entity);
             
             // Process descriptions
-            await this.processDescriptions(entityId, entity);
+            await scope.processDescriptions(entityId, entity);
             
             // Process dates
-            await this.processDates(entityId, entity);
+            await scope.processDates(entityId, entity);
             
             // Process sanctions
-            await this.processSanctions(entityId, entity);
+            await scope.processSanctions(entityId, entity);
             
             // Process addresses
-            await this.processAddresses(entityId, entity);
+            await scope.processAddresses(entityId, entity);
             
             // Process vessel details
-            await this.processVesselDetails(entityId, entity);
+            await scope.processVesselDetails(entityId, entity);
             
             // Process images
-            await this.processImages(entityId, entity);
+            await scope.processImages(entityId, entity);
             
             // Process sources
-            await this.processSources(entityId, entity);
-            
-            // Commit transaction
-            await this.db.query('COMMIT');
+            await scope.processSources(entityId, entity);
             
-            return entityRecord;
-        } catch (error) {
-            // Rollback transaction on error
-            await this.db.query('ROLLBACK');
-            throw error;
-        }
+            return record;
+        });
+        
+        this.recordAction(action);
+        
+        return entityRecord;
+    }
+    
+    /**
+     * Delete a entity profile for a delta 'del' action
+     * @param {number} entityId - Entity ID
+     * @returns {Promise<null>} Resolves once the profile is deleted
+     */
+    async deleteRecord(entityId) {
+        await this.withProfileWrites(scope => scope.models.entity.deleteProfile(entityId));
+        
+        this.recordAction('del');
+        
+        return null;
     }
     
     /**
@@ -193,7 +235,7 @@ class EntityProcessor extends BaseProcessor {
         for (const reference of entity.SanctionsReferences[0].Reference) {
             await this.models.entity.insertSanction({
                 entity_id: entityId,
-                reference_code: this.safeParseInt(reference._),
+                reference_code: this.safeParseInt(this.getText(reference)),
                 start_day: this.safeParseInt(this.getAttribute(reference.$, 'SinceDay')),
                 start_month: this.getAttribute(reference.$, 'SinceMonth'),
                 start_year: this.safeParseInt(this.getAttribute(reference.$, 'SinceYear')),
@@ -2,6 +2,12 @@
 const BaseProcessor = require('./base-processor');
 const logger = require('../utils/logging');
 
+// Repeated children of a person; xml-stream keeps only the last one of the others
+const REPEATED_ELEMENTS = [
+    'Name', 'NameValue', 'Description', 'Roles', 'OccTitle', 'Date', 'DateValue',
+    'Place', 'Reference', 'Address', 'ID', 'IDValue', 'Image', 'Source'
+];
+
 /**
  * Processor for Person XML elements
  */
@@ -30,15 +36,24 @@ class PersonProcessor extends BaseProcessor {
      * @param {Object} xml - XML stream
      */
     setupHandlers(xml) {
+        // Keep every occurrence of the repeated children
+        for (const element of REPEATED_ELEMENTS) {
+            xml.collect(element);
+        }
+        
         // Main person element handler
-        xml.on('endElement: Person', async (person) => {
-            try {
-                await this.processRecord(person);
-                this.updateStats(true);
-            } catch (error) {
-                logger.processingError(`Person processing error for ID: ${this.getAttribute(person.$, 'id')}`, error);
-                this.updateStats(false);
-            }
+        xml.on('endElement: Person', (element) => {
+            const person = this.toElementTree(element);
+            return this.trackProfile('Person', this.getAttribute(person.$, 'id'), async () => {
+                try {
+                    await this.processRecord(person);
+                    this.updateStats(true);
+                } catch (error) {
+                    logger.processingError(`Person processing error for ID: ${this.getAttribute(person.$, 'id')}`, error);
+                    this.updateStats(false);
+                    await this.quarantineRecord('Person', person, error);
+                }
+            });
         });
         
         // Return the processor for chaining
@@ -51,13 +66,24 @@ class PersonProcessor extends BaseProcessor {
      */
     async processRecord(person) {
         const personId = this.safeParseInt(this.getAttribute(person.$, 'id'));
+        const action = this.normalizeAction(this.getAttribute(person.$, 'action'));
         
-        // Begin transaction for person processing
-        await this.db.query('BEGIN');
+        // Delta deletions remove the profile instead of upserting it
+        if (this.isDeltaLoad() && action === 'del') {
+            return this.deleteRecord(personId);
+        }
+        
+        // Persons outside the filter are not loaded; an amended one that no longer
+        // matches is removed so the database keeps only the filtered profiles
+        if (!this.matchesFilter(person)) {
+            this.recordFiltered();
+            return this.isDeltaLoad() && action === 'amend' ? this.deleteRecord(personId) : null;
+        }
         
-        try {
+        // All writes for the person are committed together
+        const personRecord = await this.withProfileWrites(async (scope) => {
             // Upsert person record
-            const personRecord = await this.models.person.upsert({
+            const record = await scope.models.person.upsert({
                 id: personId,
                 action: this.getAttribute(person.$, 'action'),
                 date: this.getAttribute(person.$, 'date'),
@@ -69,45 +95,61 @@ class PersonProcessor extends BaseProcessor {
             
             this.stats.counts.persons++;
             
+            // Every record carries the complete profile, so replace existing child rows
+            // to keep re-loads idempotent (nothing to clear for a freshly inserted person)
+            if (!record.inserted) {
+                await scope.models.person.deleteChildren(personId);
+            }
+            
             // Process names
-            await this.processNames(personId, person);
+            await scope.processNames(personId, person);
             
             // Process descriptions
-            await this.processDescriptions(personId, person);
+            await scope.processDescriptions(personId, person);
             
             // Process roles
-            await this.processRoles(personId, person);
+            await scope.processRoles(personId, person);
             
             // Process dates
-            await this.processDates(personId, person);
+            await scope.processDates(personId, person);
             
             // Process birth places
-            await this.processBirthPlaces(personId, person);
+            await scope.processBirthPlaces(personId, person);
             
             // Process sanctions
-            await this.processSanctions(personId, person);
+            await scope.processSanctions(personId, person);
             
             // Process addresses
-            await this.processAddresses(personId, person);
+            await scope.processAddresses(personId, person);
             
             // Process documents
-            await this.processDocuments(personId, person);
+            await scope.processDocuments(personId, person);
             
             // Process images
-            await this.processImages(personId, person);
+            await scope.processImages(personId, person);
             
             // Process sources
-            await this.processSources(personId, person);
-            
-            // Commit transaction
-            await this.db.query('COMMIT');
+            await scope.processSources(personId, person);
             
-            return personRecord;
-        } catch (error) {
-            // Rollback transaction on error
-            await this.db.query('ROLLBACK');
-            throw error;
-        }
+            return record;
+        });
+        
+        this.recordAction(action);
+        
+        return personRecord;
+    }
+    
+    /**
+     * Delete a person profile for a delta 'del' action
+     * @param {number} personId - Person ID
+     * @returns {Promise<null>} Resolves once the profile is deleted
+     */
+    async deleteRecord(personId) {
+        await this.withProfileWrites(scope => scope.models.person.deleteProfile(personId));
+        
+        this.recordAction('del');
+        
+        return null;
     }
     
     /**
@@ -185,7 +227,7 @@ class PersonProcessor extends BaseProcessor {
                         role_type: roleType,
                         role_type_id: this.safeParseInt(this.getAttribute(role.$, 'RoleTypeID')),
                         occupation_code: this.safeParseInt(this.getAttribute(occTitle.$, 'OccCat')),
-                        title: occTitle._ || null,
+                        title: this.getText(occTitle) || null,
                         start_day: this.safeParseInt(this.getAttribute(occTitle.$, 'SinceDay')),
                         start_month: this.getAttribute(occTitle.$, 'SinceMonth'),
                         start_year: this.safeParseInt(this.getAttribute(occTitle.$, 'SinceYear')),
@@ -259,7 +301,7 @@ class PersonProcessor extends BaseProcessor {
         for (const reference of person.SanctionsReferences[0].Reference) {
             await this.models.person.insertSanction({
                 person_id: personId,
-                reference_code: this.safeParseInt(reference._),
+                reference_code: this.safeParseInt(this.getText(reference)),
                 start_day: this.safeParseInt(this.getAttribute(reference.$, 'SinceDay')),
                 start_month: this.getAttribute(reference.$, 'SinceMonth'),
                 start_year: this.safeParseInt(this.getAttribute(reference.$, 'SinceYear')),
@@ -309,7 +351,7 @@ class PersonProcessor extends BaseProcessor {
                     await this.models.person.insertDocument({
                         person_id: personId,
                         document_type: idType,
-                        document_number: idValue._ || null,
+                        document_number: this.getText(idValue) || null,
                         notes: this.getAttribute(idValue.$, 'IDnotes')
                     });
                     
@@ -2,6 +2,12 @@
 const BaseProcessor = require('./base-processor');
 const logger = require('../utils/logging');
 
+// Reference list elements whose text content is read
+const REFERENCE_ELEMENTS = [
+    'Description1Name', 'Description2Name', 'Description3Name', 'NameType', 'DateType',
+    'RoleType', 'ReferenceName', 'Relationship', 'Occupation', 'CountryName'
+];
+
 /**
  * Processor for Reference data XML elements
  */
@@ -27,115 +33,120 @@ class ReferenceProcessor extends BaseProcessor {
      * @param {Object} xml - XML stream
      */
     setupHandlers(xml) {
+        // Capture the text content of the reference list elements
+        for (const element of REFERENCE_ELEMENTS) {
+            xml.preserve(element, true);
+        }
+
         // Country references
-        xml.on('endElement: CountryName', async (country) => {
+        xml.on('endElement: CountryName', (country) => this.trackRecord('CountryName', async () => {
             try {
-                await this.processCountry(country);
+                await this.withWrites(scope => scope.processCountry(country));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Country processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Occupation references
-        xml.on('endElement: Occupation', async (occupation) => {
+        xml.on('endElement: Occupation', (occupation) => this.trackRecord('Occupation', async () => {
             try {
-                await this.processOccupation(occupation);
+                await this.withWrites(scope => scope.processOccupation(occupation));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Occupation processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Relationship references
-        xml.on('endElement: Relationship', async (relationship) => {
+        xml.on('endElement: Relationship', (relationship) => this.trackRecord('Relationship', async () => {
             try {
-                await this.processRelationship(relationship);
+                await this.withWrites(scope => scope.processRelationship(relationship));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Relationship processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Sanctions references
-        xml.on('endElement: ReferenceName', async (reference) => {
+        xml.on('endElement: ReferenceName', (reference) => this.trackRecord('ReferenceName', async () => {
             try {
-                await this.processSanctionsReference(reference);
+                await this.withWrites(scope => scope.processSanctionsReference(reference));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Sanctions reference processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Description types (Level 1)
-        xml.on('endElement: Description1Name', async (description) => {
+        xml.on('endElement: Description1Name', (description) => this.trackRecord('Description1Name', async () => {
             try {
-                await this.processDescription1(description);
+                await this.withWrites(scope => scope.processDescription1(description));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Description1 processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Description types (Level 2)
-        xml.on('endElement: Description2Name', async (description) => {
+        xml.on('endElement: Description2Name', (description) => this.trackRecord('Description2Name', async () => {
             try {
-                await this.processDescription2(description);
+                await this.withWrites(scope => scope.processDescription2(description));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Description2 processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Description types (Level 3)
-        xml.on('endElement: Description3Name', async (description) => {
+        xml.on('endElement: Description3Name', (description) => this.trackRecord('Description3Name', async () => {
             try {
-                await this.processDescription3(description);
+                await this.withWrites(scope => scope.processDescription3(description));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Description3 processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Date type references
-        xml.on('endElement: DateType', async (dateType) => {
+        xml.on('endElement: DateType', (dateType) => this.trackRecord('DateType', async () => {
             try {
-                await this.processDateType(dateType);
+                await this.withWrites(scope => scope.processDateType(dateType));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Date type processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Name type references
-        xml.on('endElement: NameType', async (nameType) => {
+        xml.on('endElement: NameType', (nameType) => this.trackRecord('NameType', async () => {
             try {
-                await this.processNameType(nameType);
+                await this.withWrites(scope => scope.processNameType(nameType));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Name type processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Role type references
-        xml.on('endElement: RoleType', async (roleType) => {
+        xml.on('endElement: RoleType', (roleType) => this.trackRecord('RoleType', async () => {
             try {
-                await this.processRoleType(roleType);
+                await this.withWrites(scope => scope.processRoleType(roleType));
                 this.updateStats(true);
             } catch (error) {
                 logger.processingError('Role type processing error', error);
                 this.updateStats(false);
             }
-        });
+        }));
 
         // Return the processor for chaining
         return this;
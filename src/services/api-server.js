@@ -0,0 +1,402 @@
+// src/services/api-server.js
+const http = require('http');
+const logger = require('../utils/logging');
+const { createModels } = require('../models/models-index');
+const SearchService = require('./search-service');
+
+// Reference tables served under /reference/:table, with their model and order
+const REFERENCE_TABLES = {
+    countries: { model: 'country', orderBy: 'code' },
+    occupations: { model: 'occupation', orderBy: 'code' },
+    relationships: { model: 'relationship', orderBy: 'code' },
+    sanctions_references: { model: 'sanctionsReference', orderBy: 'code' },
+    description_types: { model: 'descriptionType', orderBy: 'level, id' },
+    date_types: { model: 'dateType', orderBy: 'date_type_id, record_type' },
+    name_types: { model: 'nameType', orderBy: 'name_type_id, record_type' },
+    role_types: { model: 'roleType', orderBy: 'role_type_id' }
+};
+
+// Profile types of /network/:type/:id
+const NETWORK_TYPES = ['person', 'entity'];
+
+// Profile ids are integer columns
+const MAX_PROFILE_ID = 2147483647;
+
+/**
+ * Create an error answered with an HTTP status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message returned to the client
+ * @returns {Error} Error with a status property
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Read-only HTTP/JSON API over the loaded data
+ * Serves profiles, name search, association networks and reference tables
+ * through the read methods of the models. Lists are paginated with `limit`
+ * and `offset` and answered as { data, pagination }; errors are answered as
+ * { error: { status, message } }.
+ */
+class ApiServer {
+    /**
+     * Constructor
+     * @param {Object} pool - Database pool
+     * @param {Object} options - Server options
+     * @param {number} options.port - Port to listen on
+     * @param {string} options.host - Interface to listen on
+     * @param {number} options.defaultLimit - Page size when no limit is given
+     * @param {number} options.maxLimit - Largest accepted page size
+     * @param {number} options.maxDepth - Largest accepted network depth
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.models = createModels(pool);
+        this.searchService = new SearchService(pool);
+        this.server = null;
+
+        this.config = {
+            port: 8080,
+            host: '127.0.0.1',
+            defaultLimit: 50,
+            maxLimit: 500,
+            maxDepth: 5,
+            ...options
+        };
+
+        // Routes by path pattern; captured groups are passed to the handler
+        this.routes = [
+            { pattern: /^\/persons$/, handler: (params, query) => this.listPersons(query) },
+            { pattern: /^\/persons\/(\d+)$/, handler: ([id]) => this.getProfile('person', id) },
+            { pattern: /^\/entities$/, handler: (params, query) => this.listEntities(query) },
+            { pattern: /^\/entities\/(\d+)$/, handler: ([id]) => this.getProfile('entity', id) },
+            { pattern: /^\/search$/, handler: (params, query) => this.search(query) },
+            { pattern: /^\/network\/(\w+)\/(\d+)$/, handler: ([type, id], query) => this.getNetwork(type, id, query) },
+            { pattern: /^\/reference\/(\w+)$/, handler: ([table], query) => this.listReference(table, query) }
+        ];
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<Object>} Address the server listens on
+     */
+    async start() {
+        this.server = http.createServer((request, response) => this.handle(request, response));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, resolve);
+        });
+
+        const address = this.server.address();
+        logger.processInfo('API server listening', { host: address.address, port: address.port });
+        return address;
+    }
+
+    /**
+     * Stop accepting connections and wait for the open ones to finish
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        const server = this.server;
+        this.server = null;
+        await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+        logger.processInfo('API server stopped');
+    }
+
+    /**
+     * Answer one request
+     * @param {Object} request - HTTP request
+     * @param {Object} response - HTTP response
+     * @returns {Promise<void>}
+     */
+    async handle(request, response) {
+        const startTime = Date.now();
+        let status = 200;
+        let body;
+
+        try {
+            if (request.method !== 'GET' && request.method !== 'HEAD') {
+                response.setHeader('Allow', 'GET, HEAD');
+                throw httpError(405, `Method ${request.method} not allowed, the API is read-only`);
+            }
+
+            const url = new URL(request.url, 'http://localhost');
+            const path = url.pathname.replace(/\/+$/, '') || '/';
+            const route = this.routes.find(candidate => candidate.pattern.test(path));
+            if (!route) {
+                throw httpError(404, `No route for ${path}`);
+            }
+
+            body = await route.handler(route.pattern.exec(path).slice(1), url.searchParams);
+        } catch (error) {
+            status = error.status || 500;
+            if (status === 500) {
+                logger.processingError(`API request failed: ${request.method} ${request.url}`, error);
+            }
+            body = { error: { status, message: status === 500 ? 'Internal server error' : error.message } };
+        }
+
+        const json = JSON.stringify(body);
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json)
+        });
+        response.end(request.method === 'HEAD' ? undefined : json);
+
+        logger.processInfo('API request', {
+            method: request.method,
+            url: request.url,
+            status,
+            duration: Date.now() - startTime
+        });
+    }
+
+    /**
+     * GET /persons: persons filtered by gender, active_status, deceased or action
+     * @param {URLSearchParams} query - Query string
+     * @returns {Promise<Object>} Page of persons
+     */
+    async listPersons(query) {
+        const page = this.pagination(query);
+        const criteria = this.criteria(query, ['gender', 'active_status', 'action']);
+        if (query.has('deceased')) {
+            criteria.deceased = this.booleanParam(query, 'deceased');
+        }
+
+        return this.page(await this.models.person.findPersons(criteria, page), page);
+    }
+
+    /**
+     * GET /entities: entities filtered by entity_type, active_status or action
+     * @param {URLSearchParams} query - Query string
+     * @returns {Promise<Object>} Page of entities
+     */
+    async listEntities(query) {
+        const page = this.pagination(query);
+        const criteria = this.criteria(query, ['entity_type', 'active_status', 'action']);
+
+        return this.page(await this.models.entity.findEntities(criteria, page), page);
+    }
+
+    /**
+     * GET /persons/:id and /entities/:id: full profile
+     * @param {string} type - person or entity
+     * @param {string} id - Profile id
+     * @returns {Promise<Object>} Profile
+     */
+    async getProfile(type, id) {
+        const profile = await this.models[type].getFullProfile(this.profileId(id));
+        if (!profile) {
+            throw httpError(404, `${type === 'person' ? 'Person' : 'Entity'} ${id} not found`);
+        }
+        return { data: profile };
+    }
+
+    /**
+     * GET /search?q=: persons and entities ranked by name similarity, best first
+     * `type` restricts the search to persons or entities, `min_similarity`
+     * (0 to 1) sets the minimum score and `name_type` (repeatable) the name
+     * types searched
+     * @param {URLSearchParams} query - Query string
+     * @returns {Promise<Object>} Matching profiles
+     */
+    async search(query) {
+        const name = (query.get('q') || '').trim();
+        if (!name) {
+            throw httpError(400, 'Query parameter q is required');
+        }
+
+        const type = query.get('type');
+        if (type && !NETWORK_TYPES.includes(type)) {
+            throw httpError(400, `Invalid type: ${type} (expected person or entity)`);
+        }
+
+        const page = this.pagination(query);
+        const data = await this.searchService.search(name, {
+            ...page,
+            minSimilarity: this.fractionParam(query, 'min_similarity', this.searchService.config.minSimilarity),
+            nameTypes: query.getAll('name_type'),
+            types: type ? [type] : NETWORK_TYPES
+        });
+
+        return { data, pagination: { ...page, next: data.length === page.limit ? page.offset + page.limit : null } };
+    }
+
+    /**
+     * GET /network/:type/:id: profiles and associations around a person or entity
+     * `direction` (both, outgoing, incoming), `category` (repeatable) and
+     * `former` (true or false) filter the associations followed
+     * @param {string} type - person or entity
+     * @param {string} id - Profile id
+     * @param {URLSearchParams} query - Query string
+     * @returns {Promise<Object>} Nodes and edges of the network
+     */
+    async getNetwork(type, id, query) {
+        const profileType = type.toLowerCase();
+        if (!NETWORK_TYPES.includes(profileType)) {
+            throw httpError(400, `Invalid type: ${type} (expected person or entity)`);
+        }
+
+        const direction = query.get('direction') || 'both';
+        if (!['both', 'outgoing', 'incoming'].includes(direction)) {
+            throw httpError(400, `Invalid direction: ${direction} (expected both, outgoing or incoming)`);
+        }
+
+        const depth = this.integerParam(query, 'depth', 2, 1, this.config.maxDepth);
+        const limit = this.integerParam(query, 'limit', this.config.maxLimit, 1, this.config.maxLimit);
+        const network = await this.models.association.getAssociationNetwork({
+            id: this.profileId(id),
+            type: profileType.toUpperCase(),
+            depth,
+            limit,
+            direction,
+            categories: query.getAll('category'),
+            isFormer: query.has('former') ? this.booleanParam(query, 'former') : undefined
+        });
+
+        return {
+            data: { nodes: network.nodes, edges: network.edges },
+            depth,
+            limit,
+            truncated: network.truncated
+        };
+    }
+
+    /**
+     * GET /reference/:table: rows of a reference table
+     * Sanctions references can be filtered by status
+     * @param {string} table - Reference table name
+     * @param {URLSearchParams} query - Query string
+     * @returns {Promise<Object>} Page of reference rows
+     */
+    async listReference(table, query) {
+        const reference = REFERENCE_TABLES[table];
+        if (!reference) {
+            throw httpError(404, `Unknown reference table: ${table} (expected one of ${Object.keys(REFERENCE_TABLES).join(', ')})`);
+        }
+
+        const page = this.pagination(query);
+        const rows = table === 'sanctions_references' && query.has('status')
+            ? await this.models.sanctionsReference.findByStatus(query.get('status'), page)
+            : await this.models[reference.model].find({}, { ...page, orderBy: reference.orderBy });
+
+        return this.page(rows, page);
+    }
+
+    /**
+     * Read limit and offset
+     * @param {URLSearchParams} query - Query string
+     * @returns {Object} limit and offset
+     */
+    pagination(query) {
+        return {
+            limit: this.integerParam(query, 'limit', this.config.defaultLimit, 1, this.config.maxLimit),
+            offset: this.integerParam(query, 'offset', 0, 0, Number.MAX_SAFE_INTEGER)
+        };
+    }
+
+    /**
+     * Wrap a page of rows with its pagination
+     * @param {Array<Object>} rows - Rows of the page
+     * @param {Object} page - limit and offset
+     * @returns {Object} { data, pagination }, next is the offset of the next page or null on the last one
+     */
+    page(rows, page) {
+        return {
+            data: rows,
+            pagination: { ...page, next: rows.length === page.limit ? page.offset + page.limit : null }
+        };
+    }
+
+    /**
+     * Read the filters given in the query string
+     * @param {URLSearchParams} query - Query string
+     * @param {Array<string>} names - Accepted filters
+     * @returns {Object} Criteria of the find methods
+     */
+    criteria(query, names) {
+        const criteria = {};
+        for (const name of names) {
+            if (query.has(name)) {
+                criteria[name] = query.get(name);
+            }
+        }
+        return criteria;
+    }
+
+    /**
+     * Read an integer parameter
+     * @param {URLSearchParams} query - Query string
+     * @param {string} name - Parameter name
+     * @param {number} defaultValue - Value when the parameter is missing
+     * @param {number} min - Smallest accepted value
+     * @param {number} max - Largest accepted value
+     * @returns {number} Value
+     */
+    integerParam(query, name, defaultValue, min, max) {
+        if (!query.has(name)) {
+            return defaultValue;
+        }
+
+        const value = query.get(name);
+        if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+            throw httpError(400, `Invalid ${name}: ${value} (expected an integer from ${min} to ${max})`);
+        }
+        return Number(value);
+    }
+
+    /**
+     * Read a profile id from the path
+     * @param {string} id - Digits captured by the route
+     * @returns {number} Profile id
+     */
+    profileId(id) {
+        if (Number(id) > MAX_PROFILE_ID) {
+            throw httpError(400, `Invalid id: ${id} (expected an integer up to ${MAX_PROFILE_ID})`);
+        }
+        return parseInt(id, 10);
+    }
+
+    /**
+     * Read a number from 0 to 1
+     * @param {URLSearchParams} query - Query string
+     * @param {string} name - Parameter name
+     * @param {number} defaultValue - Value when the parameter is missing
+     * @returns {number} Value
+     */
+    fractionParam(query, name, defaultValue) {
+        if (!query.has(name)) {
+            return defaultValue;
+        }
+
+        const value = query.get(name);
+        if (!/^(0|1)?(\.\d+)?$/.test(value) || value === '' || Number(value) > 1) {
+            throw httpError(400, `Invalid ${name}: ${value} (expected a number from 0 to 1)`);
+        }
+        return Number(value);
+    }
+
+    /**
+     * Read a boolean parameter
+     * @param {URLSearchParams} query - Query string
+     * @param {string} name - Parameter name
+     * @returns {boolean} Value
+     */
+    booleanParam(query, name) {
+        const value = query.get(name);
+        if (value !== 'true' && value !== 'false') {
+            throw httpError(400, `Invalid ${name}: ${value} (expected true or false)`);
+        }
+        return value === 'true';
+    }
+}
+
+module.exports = ApiServer;
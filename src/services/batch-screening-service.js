@@ -0,0 +1,247 @@
+// src/services/batch-screening-service.js
+const { once } = require('events');
+const logger = require('../utils/logging');
+const ScreeningService = require('./screening-service');
+const { CsvReader, formatCsvRow } = require('../utils/csv');
+const { nameTokens } = require('../utils/name-matcher');
+
+// Columns of the hit report, one row per matched profile
+const REPORT_COLUMNS = [
+    'row', 'customer_id', 'customer_name', 'customer_dob', 'customer_nationality',
+    'profile_type', 'profile_id', 'primary_name', 'matched_name', 'name_type',
+    'score', 'dob_match', 'country_match', 'sanctions'
+];
+
+// Separator between the sanction list names of a profile
+const SANCTION_SEPARATOR = ' | ';
+
+// Customers screened between two progress log lines
+const LOG_INTERVAL = 1000;
+
+// Sanction list names of matched profiles, references missing from sanctions_references by code
+const SANCTION_QUERIES = {
+    person: `
+        SELECT ps.person_id AS profile_id, COALESCE(sr.name, ps.reference_code::text) AS name
+        FROM person_sanctions ps
+        LEFT JOIN sanctions_references sr ON sr.code = ps.reference_code
+        WHERE ps.person_id = ANY($1)
+        ORDER BY ps.person_id, ps.id
+    `,
+    entity: `
+        SELECT es.entity_id AS profile_id, COALESCE(sr.name, es.reference_code::text) AS name
+        FROM entity_sanctions es
+        LEFT JOIN sanctions_references sr ON sr.code = es.reference_code
+        WHERE es.entity_id = ANY($1)
+        ORDER BY es.entity_id, es.id
+    `
+};
+
+/**
+ * Screens a CSV file of customers and writes a CSV hit report
+ * Each customer name, with its date of birth and nationality when the file
+ * has them, is screened by ScreeningService; every matched profile becomes
+ * a report row with its score and the names of its sanction lists.
+ * Customers are read and screened one at a time, so files of any size fit.
+ */
+class BatchScreeningService {
+    /**
+     * Constructor
+     * @param {Object} db - Database pool or client
+     * @param {Object} options - Screening options
+     * @param {string} options.type - person or entity, both by default
+     * @param {number} options.threshold - Minimum score of a hit, 0 to 1
+     * @param {number} options.maxHits - Maximum number of hits per customer
+     * @param {string} options.idColumn - Column with the customer reference, copied to the report when present
+     * @param {string} options.nameColumn - Column with the customer name
+     * @param {string} options.dobColumn - Column with the date of birth, used when present
+     * @param {string} options.nationalityColumn - Column with the nationality country code, used when present
+     * @param {string} options.delimiter - Field delimiter of the input and the report
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+
+        this.config = {
+            type: null,
+            threshold: 0.85,
+            maxHits: 10,
+            idColumn: 'id',
+            nameColumn: 'name',
+            dobColumn: 'dob',
+            nationalityColumn: 'nationality',
+            delimiter: ',',
+            ...options
+        };
+
+        this.screening = new ScreeningService(db, {
+            threshold: this.config.threshold,
+            limit: this.config.maxHits
+        });
+    }
+
+    /**
+     * Screen every customer of a CSV file
+     * Customers without a name are skipped and customers with an invalid date
+     * of birth are logged and counted as invalid; database errors stop the run.
+     * @param {Object} input - Readable stream of the customer CSV
+     * @param {Object} output - Writable stream of the hit report
+     * @returns {Promise<Object>} Screening statistics
+     */
+    async screenFile(input, output) {
+        const startTime = Date.now();
+        const reader = new CsvReader(input, { delimiter: this.config.delimiter });
+        const stats = { customers: 0, hits: 0, customersWithHits: 0, skipped: 0, invalid: 0, truncated: 0 };
+        let columns = null;
+
+        try {
+            await this.write(output, formatCsvRow(REPORT_COLUMNS, this.config.delimiter));
+
+            for await (const record of reader.records()) {
+                columns = columns || this.resolveColumns(reader.header);
+                stats.customers++;
+
+                const customer = {
+                    row: stats.customers,
+                    id: columns.id ? record[columns.id].trim() : '',
+                    name: record[columns.name].trim(),
+                    dob: columns.dob ? record[columns.dob].trim() : '',
+                    nationality: columns.nationality ? record[columns.nationality].trim() : ''
+                };
+
+                if (nameTokens(customer.name).length === 0) {
+                    stats.skipped++;
+                    continue;
+                }
+
+                const hits = await this.screenCustomer(customer, output, stats);
+                if (hits.length > 0) {
+                    stats.customersWithHits++;
+                    stats.hits += hits.length;
+                }
+
+                if (stats.customers % LOG_INTERVAL === 0) {
+                    logger.processInfo(`Screened ${stats.customers} customers`, { hits: stats.hits });
+                }
+            }
+        } catch (error) {
+            logger.processingError('Batch screening failed', error);
+            throw error;
+        }
+
+        stats.duration = (Date.now() - startTime) / 1000;
+        logger.processInfo('Batch screening completed', stats);
+        return stats;
+    }
+
+    /**
+     * Find the columns of the input, ignoring case
+     * @param {Array<string>} header - Header of the input
+     * @returns {Object} Column names of id, name, dob and nationality; null for optional columns not found
+     */
+    resolveColumns(header) {
+        const find = (column) => header.find(name => name.toLowerCase() === column.toLowerCase()) || null;
+
+        const columns = {
+            id: find(this.config.idColumn),
+            name: find(this.config.nameColumn),
+            dob: find(this.config.dobColumn),
+            nationality: find(this.config.nationalityColumn)
+        };
+        if (!columns.name) {
+            throw new Error(`Name column "${this.config.nameColumn}" not found in the input (columns: ${header.join(', ')})`);
+        }
+        return columns;
+    }
+
+    /**
+     * Screen one customer and write its hits
+     * @param {Object} customer - Row number, id, name, dob and nationality of the customer
+     * @param {Object} output - Writable stream of the hit report
+     * @param {Object} stats - Screening statistics
+     * @returns {Promise<Array<Object>>} Hits
+     */
+    async screenCustomer(customer, output, stats) {
+        if (customer.dob) {
+            try {
+                this.screening.parseDob(customer.dob);
+            } catch (error) {
+                logger.processingError(`Customer on row ${customer.row} not screened`, error);
+                stats.invalid++;
+                return [];
+            }
+        }
+
+        const { matches: hits, truncated } = await this.screening.screen(customer.name, {
+            type: this.config.type,
+            dob: customer.dob || null,
+            country: customer.nationality || null
+        });
+
+        // More candidate names than maxCandidates: a less similar one may have been a hit
+        if (truncated) {
+            stats.truncated++;
+            logger.processInfo(`Customer on row ${customer.row} screened against the most similar names only`, {
+                name: customer.name
+            });
+        }
+
+        const sanctions = await this.sanctionNames(hits);
+        for (const hit of hits) {
+            await this.write(output, formatCsvRow([
+                customer.row,
+                customer.id,
+                customer.name,
+                customer.dob,
+                customer.nationality,
+                hit.type,
+                hit.id,
+                hit.primaryName,
+                hit.matchedName,
+                hit.nameType,
+                hit.score,
+                hit.dobMatch,
+                hit.countryMatch,
+                (sanctions.get(`${hit.type}:${hit.id}`) || []).join(SANCTION_SEPARATOR)
+            ], this.config.delimiter));
+        }
+        return hits;
+    }
+
+    /**
+     * Read the sanction list names of matched profiles
+     * @param {Array<Object>} hits - Hits of a customer
+     * @returns {Promise<Map>} Sanction names by "type:id"
+     */
+    async sanctionNames(hits) {
+        const names = new Map();
+
+        for (const [type, query] of Object.entries(SANCTION_QUERIES)) {
+            const ids = hits.filter(hit => hit.type === type).map(hit => hit.id);
+            if (ids.length === 0) continue;
+
+            const { rows } = await this.db.query(query, [ids]);
+            for (const row of rows) {
+                const key = `${type}:${row.profile_id}`;
+                if (!names.has(key)) {
+                    names.set(key, []);
+                }
+                if (!names.get(key).includes(row.name)) {
+                    names.get(key).push(row.name);
+                }
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Write to the output, waiting for it to drain when its buffer is full
+     * @param {Object} output - Writable stream
+     * @param {string} text - Text to write
+     */
+    async write(output, text) {
+        if (!output.write(text)) {
+            await once(output, 'drain');
+        }
+    }
+}
+
+module.exports = BatchScreeningService;
@@ -0,0 +1,161 @@
+// src/services/bulk-loader.js
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+const { prepareValue } = require('pg/lib/utils');
+const DatabaseHandler = require('./database-handler');
+
+/**
+ * Bulk loader for person and entity profiles
+ * A database handler whose batches are written with COPY FROM STDIN into
+ * temporary staging tables, which are then merged into the real tables
+ * in the batch transaction
+ */
+class BulkLoader extends DatabaseHandler {
+    /**
+     * Constructor
+     * @param {Object} dbClient - Dedicated database client (staging tables are session-scoped)
+     * @param {Object} options - Loader options, see DatabaseHandler
+     */
+    constructor(dbClient, options = {}) {
+        super(dbClient, options);
+
+        this.stagingTables = new Set();
+    }
+
+    /**
+     * Write one batch, forgetting the staging tables when it rolls back
+     * Staging tables are created in the batch transaction, so a rollback drops
+     * those created by the batch and they are created again on the next attempt
+     * @param {Object} batch - Buffered rows
+     * @returns {Promise<void>}
+     */
+    async writeBatch(batch) {
+        try {
+            await super.writeBatch(batch);
+        } catch (error) {
+            this.stagingTables.clear();
+            throw error;
+        }
+    }
+
+    /**
+     * Upsert profile rows through their staging table
+     * @param {string} table - Profile table name
+     * @param {Array<Object>} rows - Rows sharing the same columns, one per profile
+     * @returns {Promise<void>}
+     */
+    async writeProfiles(table, rows) {
+        await this.copyToStaging(table, rows);
+        await this.mergeProfiles(table, Object.keys(rows[0]));
+    }
+
+    /**
+     * Append child rows through their staging table
+     * @param {string} table - Child table name
+     * @param {Array<Object>} rows - Rows sharing the same columns
+     * @returns {Promise<void>}
+     */
+    async writeChildren(table, rows) {
+        await this.copyToStaging(table, rows);
+        await this.mergeChildren(table, Object.keys(rows[0]));
+    }
+
+    /**
+     * COPY rows into the staging table of a target table
+     * @param {string} table - Target table name
+     * @param {Array<Object>} rows - Rows sharing the same columns
+     * @returns {Promise<void>}
+     */
+    async copyToStaging(table, rows) {
+        const stagingTable = await this.ensureStagingTable(table);
+        const columns = Object.keys(rows[0]);
+
+        const copyStream = this.db.query(copyFrom(
+            `COPY ${stagingTable} (${columns.join(', ')}) FROM STDIN`
+        ));
+
+        await pipeline(Readable.from(this.formatRows(rows, columns)), copyStream);
+    }
+
+    /**
+     * Create the session staging table for a target table if needed
+     * @param {string} table - Target table name
+     * @returns {Promise<string>} Staging table name
+     */
+    async ensureStagingTable(table) {
+        const stagingTable = `staging_${table}`;
+
+        if (!this.stagingTables.has(stagingTable)) {
+            await this.db.query(`
+                CREATE TEMP TABLE IF NOT EXISTS ${stagingTable}
+                (LIKE ${table} INCLUDING DEFAULTS)
+                ON COMMIT DELETE ROWS
+            `);
+            this.stagingTables.add(stagingTable);
+        }
+
+        return stagingTable;
+    }
+
+    /**
+     * Upsert staged profiles into their table
+     * @param {string} table - Profile table name
+     * @param {Array<string>} columns - Staged columns
+     * @returns {Promise<void>}
+     */
+    async mergeProfiles(table, columns) {
+        await this.db.query(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            SELECT ${columns.join(', ')} FROM staging_${table}
+            ${this.profileConflictClause(columns)}
+        `);
+    }
+
+    /**
+     * Append staged child rows to their table
+     * Rows violating a unique constraint are skipped instead of failing the whole batch
+     * @param {string} table - Child table name
+     * @param {Array<string>} columns - Staged columns
+     * @returns {Promise<void>}
+     */
+    async mergeChildren(table, columns) {
+        await this.db.query(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            SELECT ${columns.join(', ')} FROM staging_${table}
+            ON CONFLICT DO NOTHING
+        `);
+    }
+
+    /**
+     * Serialize rows in the COPY text format
+     * @param {Array<Object>} rows - Rows to serialize
+     * @param {Array<string>} columns - Column order
+     * @returns {Generator<string>} One line per row
+     */
+    *formatRows(rows, columns) {
+        for (const row of rows) {
+            yield columns.map(column => this.formatValue(row[column])).join('\t') + '\n';
+        }
+    }
+
+    /**
+     * Serialize a single value in the COPY text format
+     * @param {any} value - Value to serialize
+     * @returns {string} Escaped value, \N for NULL
+     */
+    formatValue(value) {
+        if (value === null || value === undefined) {
+            return '\\N';
+        }
+
+        // Same conversion the driver applies to query parameters (dates, booleans, ...)
+        return String(prepareValue(value))
+            .replace(/\\/g, '\\\\')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t');
+    }
+}
+
+module.exports = BulkLoader;
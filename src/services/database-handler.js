@@ -1,12 +1,572 @@
-// Database batch processing service
+// src/services/database-handler.js
+const logger = require('../utils/logging');
+const { PersonModel, EntityModel } = require('../models/models-index');
+
+// Profile record types, with their table and the column children reference them by
+const PROFILE_TYPES = {
+    person: { table: 'persons', foreignKey: 'person_id', Model: PersonModel },
+    entity: { table: 'entities', foreignKey: 'entity_id', Model: EntityModel }
+};
+
+// Child record types of a profile (person_name, entity_sanction, ...), with their
+// table suffix and the profile model method that inserts them row by row
+const CHILD_TYPES = {
+    name: { suffix: 'names', method: 'insertName' },
+    description: { suffix: 'descriptions', method: 'insertDescription' },
+    role: { suffix: 'roles', method: 'insertRole' },
+    date: { suffix: 'dates', method: 'insertDate' },
+    address: { suffix: 'addresses', method: 'insertAddress' },
+    document: { suffix: 'documents', method: 'insertDocument' },
+    image: { suffix: 'images', method: 'insertImage' },
+    birth_place: { suffix: 'birth_places', method: 'insertBirthPlace' },
+    sanction: { suffix: 'sanctions', method: 'insertSanction' },
+    vessel: { suffix: 'vessels', method: 'insertVesselDetails' },
+    source: { suffix: 'sources', method: null }
+};
+
+// Every record type accepted by add(), keyed by name
+const RECORD_TYPES = {};
+for (const [profile, { table, foreignKey, Model }] of Object.entries(PROFILE_TYPES)) {
+    RECORD_TYPES[profile] = { profile, table };
+
+    for (const [child, { suffix, method }] of Object.entries(CHILD_TYPES)) {
+        if (method && typeof Model.prototype[method] !== 'function') continue;
+        RECORD_TYPES[`${profile}_${child}`] = { profile, table: `${profile}_${suffix}`, foreignKey, method };
+    }
+}
+
+// SQLSTATE codes of errors that go away when the batch is written again:
+// serialization failure, deadlock and lock timeout
+const TRANSIENT_ERRORS = ['40001', '40P01', '55P03'];
+
+// PostgreSQL accepts at most this many parameters per statement
+const MAX_PARAMETERS = 65535;
+
+/**
+ * Write path of the processors
+ * With the batch and copy load strategies processors hand it typed records
+ * (person, person_name, entity_sanction, ...) instead of writing them row by
+ * row. Records are buffered per table and
+ * written in a single transaction once the batch size is reached, on a timer,
+ * or when flushed explicitly; a batch failing on a transient error is
+ * written again. A batch that still fails fails the handler: later batches
+ * are not written, the checkpoint stays before the failed batch and every
+ * later flush rejects. Each batch replaces the child rows of its profiles, so
+ * re-loads stay idempotent.
+ * Unbuffered, for the insert strategy, nothing is batched: each profile is
+ * written in its own transaction, so a failing record is quarantined alone.
+ * Associations always get a transaction per record, and reference lists and
+ * quarantined records are written on the handler client in turn with the batches.
+ */
 class DatabaseHandler {
-  constructor(config) {
-    this.config = config;
-  }
+    /**
+     * Constructor
+     * @param {Object} dbClient - Dedicated database client
+     * @param {Object} options - Handler options
+     * @param {number} options.batchSize - Profile records per batch
+     * @param {number} options.flushInterval - Write a partial batch after this many milliseconds (0 disables)
+     * @param {number} options.maxRetries - Attempts to write a batch again after a transient error
+     * @param {number} options.retryDelay - Delay before the first retry in milliseconds, doubled for each retry
+     * @param {Object} options.checkpoint - Import checkpoint committed after each written batch
+     * @param {Function} options.onFailure - Called with the error of the first batch that fails
+     * @param {boolean} options.buffered - Buffer profile records in batches (false for the insert strategy)
+     * @param {Object} options.pool - Pool giving each record transaction its own client
+     */
+    constructor(dbClient, options = {}) {
+        this.db = dbClient;
+
+        this.config = {
+            batchSize: 500,
+            flushInterval: 0,
+            maxRetries: 3,
+            retryDelay: 100,
+            buffered: true,
+            pool: null,
+            ...options
+        };
+
+        // Models bound to the handler client, used for deletes during a batch
+        this.models = {};
+        for (const [type, { Model }] of Object.entries(PROFILE_TYPES)) {
+            this.models[type] = new Model(dbClient);
+        }
+
+        this.pending = Promise.resolve();
+        this.failure = null;
+        this.timer = null;
+        this.closed = false;
+        this.resetBuffers();
+
+        this.stats = {
+            batches: 0,
+            rows: 0,
+            retries: 0,
+            failedBatches: 0
+        };
+    }
+
+    /**
+     * Start a new, empty batch
+     */
+    resetBuffers() {
+        this.buffers = {
+            profiles: {},
+            deletes: {},
+            children: {}
+        };
+
+        for (const type of Object.keys(PROFILE_TYPES)) {
+            this.buffers.profiles[type] = new Map();
+            this.buffers.deletes[type] = new Set();
+        }
+    }
+
+    /**
+     * Number of profile records (upserts and deletes) waiting in the current batch
+     * @returns {number} Buffered record count
+     */
+    getBufferedCount() {
+        let count = 0;
+        for (const type of Object.keys(PROFILE_TYPES)) {
+            count += this.buffers.profiles[type].size + this.buffers.deletes[type].size;
+        }
+        return count;
+    }
+
+    /**
+     * Whether the current batch holds anything to write
+     * @returns {boolean} True when rows or deletes are buffered
+     */
+    hasBufferedRows() {
+        return this.getBufferedCount() > 0 || Object.keys(this.buffers.children).length > 0;
+    }
+
+    /**
+     * Add a typed record to the current batch
+     * @param {string} type - Record type, e.g. person, person_name, entity_sanction
+     * @param {Object} row - Prepared row
+     * @returns {Object} Buffered row
+     */
+    add(type, row) {
+        const recordType = RECORD_TYPES[type];
+        if (!recordType) {
+            throw new Error(`Unknown record type: ${type}`);
+        }
+        if (this.closed) {
+            throw new Error('Database handler is closed');
+        }
+
+        this.startTimer();
+
+        if (recordType.profile === type) {
+            return this.bufferProfile(type, row);
+        }
+        return this.bufferChild(recordType.table, recordType.foreignKey, row);
+    }
+
+    /**
+     * Wrap the parser models so person and entity writes are buffered
+     * instead of being sent to the database row by row
+     * Unbuffered, the models are returned as they are
+     * @param {Object} models - Model objects
+     * @returns {Object} Models with buffering person, entity and source writes
+     */
+    createModels(models) {
+        if (!this.config.buffered) {
+            return models;
+        }
+
+        const handler = this;
+        const person = Object.create(models.person);
+        const entity = Object.create(models.entity);
+        const informationSource = Object.create(models.informationSource);
+
+        for (const [type, model] of [['person', person], ['entity', entity]]) {
+            model.upsert = async (record) => {
+                model.validate(record);
+                return handler.add(type, model.sanitize(record));
+            };
+
+            // Children of buffered profiles are replaced when the batch is written
+            model.deleteChildren = async () => 0;
+
+            model.deleteProfile = async (id) => {
+                handler.bufferDelete(type, id);
+                return true;
+            };
+
+            for (const [child, { method }] of Object.entries(CHILD_TYPES)) {
+                if (!RECORD_TYPES[`${type}_${child}`] || !method) continue;
+
+                const prepare = `prepare${method.slice('insert'.length)}`;
+                model[method] = async (record) => handler.add(`${type}_${child}`, model[prepare](record));
+            }
+        }
+
+        informationSource.addPersonSource = async (personId, sourceId) =>
+            handler.add('person_source', { person_id: personId, source_id: sourceId });
+
+        informationSource.addEntitySource = async (entityId, sourceId) =>
+            handler.add('entity_source', { entity_id: entityId, source_id: sourceId });
+
+        return { ...models, person, entity, informationSource };
+    }
+
+    /**
+     * Buffer a person or entity row
+     * @param {string} type - Profile type (person or entity)
+     * @param {Object} row - Sanitized profile row
+     * @returns {Object} Buffered row
+     */
+    bufferProfile(type, row) {
+        // A profile repeated within a batch replaces the earlier occurrence
+        if (this.buffers.profiles[type].has(row.id)) {
+            this.dropChildren(type, row.id);
+        }
+
+        this.buffers.profiles[type].set(row.id, row);
+        return row;
+    }
+
+    /**
+     * Buffer the deletion of a person or entity profile
+     * @param {string} type - Profile type (person or entity)
+     * @param {number} id - Profile ID
+     */
+    bufferDelete(type, id) {
+        this.startTimer();
+        this.buffers.profiles[type].delete(id);
+        this.dropChildren(type, id);
+        this.buffers.deletes[type].add(id);
+    }
+
+    /**
+     * Buffer a child row (name, date, sanction, ...)
+     * @param {string} table - Child table name
+     * @param {string} foreignKey - Column referencing the profile
+     * @param {Object} row - Prepared row
+     * @returns {Object} Buffered row
+     */
+    bufferChild(table, foreignKey, row) {
+        if (!this.buffers.children[table]) {
+            this.buffers.children[table] = { foreignKey, rows: [] };
+        }
+
+        this.buffers.children[table].rows.push(row);
+        return row;
+    }
+
+    /**
+     * Remove buffered child rows of a profile
+     * @param {string} type - Profile type (person or entity)
+     * @param {number} id - Profile ID
+     */
+    dropChildren(type, id) {
+        const { foreignKey } = PROFILE_TYPES[type];
+
+        for (const buffer of Object.values(this.buffers.children)) {
+            if (buffer.foreignKey === foreignKey) {
+                buffer.rows = buffer.rows.filter(row => row[foreignKey] !== id);
+            }
+        }
+    }
+
+    /**
+     * Mark the end of a record, writing the batch once it reaches the batch size
+     * A failed batch holds the rows of many records, so its error is not
+     * reported against the record that filled it: it fails the next flush or close
+     * @returns {Promise<void>}
+     */
+    async endRecord() {
+        if (this.getBufferedCount() >= this.config.batchSize) {
+            await this.flush().catch(() => {});
+        }
+    }
+
+    /**
+     * Write partial batches periodically, so rows of a slow feed do not wait for the batch size
+     */
+    startTimer() {
+        if (this.timer || !this.config.flushInterval) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            if (!this.hasBufferedRows()) {
+                return;
+            }
+
+            // Nobody awaits a timed flush; its failure fails the next flush or close
+            this.flush().catch(() => {});
+        }, this.config.flushInterval);
+
+        // The timer alone must not keep the process alive
+        this.timer.unref();
+    }
+
+    /**
+     * Write all buffered rows
+     * Batches are written one at a time in the order they were flushed.
+     * Once a batch failed, nothing more is written or committed and the
+     * returned promise rejects with the error of that batch.
+     * @returns {Promise<void>}
+     */
+    flush() {
+        // Every record completed by now has its rows in this batch or an earlier one
+        const checkpoint = this.config.checkpoint;
+        const position = checkpoint ? checkpoint.position() : null;
+
+        const batch = this.hasBufferedRows() ? this.buffers : null;
+        if (batch) {
+            this.resetBuffers();
+        }
+
+        const write = this.pending.then(async () => {
+            if (this.failure) {
+                throw this.failure;
+            }
+
+            if (batch) {
+                await this.writeBatchWithRetry(batch);
+            }
+            if (checkpoint) {
+                checkpoint.commit(position);
+            }
+        });
+
+        this.pending = write.catch((error) => {
+            if (!this.failure) {
+                this.failure = error;
+                if (this.config.onFailure) {
+                    this.config.onFailure(error);
+                }
+            }
+        });
+
+        return write;
+    }
+
+    /**
+     * Run the writes of one record in its own transaction
+     * When a pool is configured each record gets a dedicated client, so concurrent
+     * records never share a transaction and a failed record only rolls back itself
+     * @param {Function} work - Async function receiving the transaction client
+     * @returns {Promise<any>} Result of the work function
+     */
+    async transaction(work) {
+        const client = this.config.pool ? await this.config.pool.connect() : this.db;
+        let releaseError;
+
+        try {
+            await client.query('BEGIN');
+
+            try {
+                const result = await work(client);
+                await client.query('COMMIT');
+                return result;
+            } catch (error) {
+                try {
+                    await client.query('ROLLBACK');
+                } catch (rollbackError) {
+                    // Do not hand a broken connection back to the pool
+                    releaseError = rollbackError;
+                }
+                throw error;
+            }
+        } finally {
+            if (client !== this.db) {
+                client.release(releaseError);
+            }
+        }
+    }
+
+    /**
+     * Run writes outside the batches on the handler client
+     * The writes wait for the batches flushed before them, so they never run
+     * inside a batch transaction and later batches see them
+     * @param {Function} work - Async function receiving the handler client
+     * @returns {Promise<any>} Result of the work function
+     */
+    write(work) {
+        const result = this.pending.then(() => work(this.db));
+
+        // A failed write fails its caller, not the batches
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Write the remaining rows and stop the flush timer
+     * Called when the import ends, whether it succeeded or not
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        try {
+            await this.flush();
+        } finally {
+            this.closed = true;
+
+            logger.processInfo('Database handler closed', this.stats);
+        }
+    }
+
+    /**
+     * Write one batch, writing it again after a transient error
+     * @param {Object} batch - Buffered rows
+     * @returns {Promise<void>}
+     */
+    async writeBatchWithRetry(batch) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.writeBatch(batch);
+                return;
+            } catch (error) {
+                if (!this.isTransientError(error) || attempt > this.config.maxRetries) {
+                    this.stats.failedBatches++;
+                    throw error;
+                }
+
+                const delay = this.config.retryDelay * 2 ** (attempt - 1);
+                this.stats.retries++;
+                logger.processInfo('Batch write failed with a transient error, retrying', {
+                    code: error.code,
+                    attempt,
+                    delay: `${delay}ms`
+                });
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Whether an error is worth writing the batch again
+     * @param {Error} error - Database error
+     * @returns {boolean} True for serialization failures, deadlocks and lock timeouts
+     */
+    isTransientError(error) {
+        return TRANSIENT_ERRORS.includes(error.code);
+    }
+
+    /**
+     * Write one batch: deletes, profile upserts, child replacement
+     * @param {Object} batch - Buffered rows
+     * @returns {Promise<void>}
+     */
+    async writeBatch(batch) {
+        const startTime = Date.now();
+        let rowCount = 0;
+
+        await this.db.query('BEGIN');
+
+        try {
+            for (const type of Object.keys(PROFILE_TYPES)) {
+                for (const id of batch.deletes[type]) {
+                    await this.models[type].deleteProfile(id);
+                }
+            }
+
+            for (const [type, { table }] of Object.entries(PROFILE_TYPES)) {
+                const rows = [...batch.profiles[type].values()];
+                if (rows.length === 0) continue;
+
+                await this.writeProfiles(table, rows);
+
+                // Every record carries the complete profile, so replace existing child rows
+                await this.models[type].deleteChildren(rows.map(row => row.id));
+                rowCount += rows.length;
+            }
+
+            for (const [table, { rows }] of Object.entries(batch.children)) {
+                if (rows.length === 0) continue;
+
+                await this.writeChildren(table, rows);
+                rowCount += rows.length;
+            }
+
+            await this.db.query('COMMIT');
+        } catch (error) {
+            // A failed rollback must not hide the error that decides on a retry
+            await this.db.query('ROLLBACK').catch(() => {});
+            logger.processingError('Batch write failed', error);
+            throw error;
+        }
+
+        this.stats.batches++;
+        this.stats.rows += rowCount;
+
+        logger.processInfo('Batch written', {
+            rowCount,
+            duration: `${Date.now() - startTime}ms`
+        });
+    }
+
+    /**
+     * Upsert profile rows into their table
+     * @param {string} table - Profile table name
+     * @param {Array<Object>} rows - Rows sharing the same columns, one per profile
+     * @returns {Promise<void>}
+     */
+    async writeProfiles(table, rows) {
+        await this.insertRows(table, rows, this.profileConflictClause(Object.keys(rows[0])));
+    }
+
+    /**
+     * Append child rows to their table
+     * Rows violating a unique constraint are skipped instead of failing the whole batch
+     * @param {string} table - Child table name
+     * @param {Array<Object>} rows - Rows sharing the same columns
+     * @returns {Promise<void>}
+     */
+    async writeChildren(table, rows) {
+        await this.insertRows(table, rows, 'ON CONFLICT DO NOTHING');
+    }
+
+    /**
+     * Conflict clause updating an existing profile with the written columns
+     * @param {Array<string>} columns - Written columns
+     * @returns {string} ON CONFLICT clause
+     */
+    profileConflictClause(columns) {
+        const updates = columns
+            .filter(column => column !== 'id')
+            .map(column => `${column} = EXCLUDED.${column}`);
+
+        return `ON CONFLICT (id) DO UPDATE SET ${[...updates, 'last_updated = CURRENT_TIMESTAMP'].join(', ')}`;
+    }
+
+    /**
+     * Insert rows with multi-row INSERT statements
+     * @param {string} table - Table name
+     * @param {Array<Object>} rows - Rows sharing the same columns
+     * @param {string} conflictClause - ON CONFLICT clause of the statements
+     * @returns {Promise<void>}
+     */
+    async insertRows(table, rows, conflictClause) {
+        const columns = Object.keys(rows[0]);
+        const rowsPerStatement = Math.max(1, Math.floor(MAX_PARAMETERS / columns.length));
+
+        for (let start = 0; start < rows.length; start += rowsPerStatement) {
+            const values = [];
+            const tuples = rows.slice(start, start + rowsPerStatement).map(row => {
+                const placeholders = columns.map(column => {
+                    values.push(row[column] === undefined ? null : row[column]);
+                    return `$${values.length}`;
+                });
+                return `(${placeholders.join(', ')})`;
+            });
 
-  batchProcess(data) {
-    // Implementation
-  }
+            await this.db.query(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')} ${conflictClause}`,
+                values
+            );
+        }
+    }
 }
 
 module.exports = DatabaseHandler;
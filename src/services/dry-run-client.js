@@ -0,0 +1,131 @@
+// src/services/dry-run-client.js
+const logger = require('../utils/logging');
+
+// Profile tables whose ids are remembered so associations can be resolved
+const PROFILE_TABLES = ['persons', 'entities'];
+
+// Quarantine candidates kept in the report (all are counted)
+const MAX_QUARANTINE_CANDIDATES = 1000;
+
+/**
+ * In-memory stand-in for a database client, used by dry runs
+ * The models run unchanged (validation, sanitizing and row preparation
+ * included) but their statements are only counted: inserts are tallied per
+ * table and person and entity ids are remembered so associations resolve
+ * as they would after a real load. Nothing is sent to PostgreSQL.
+ */
+class DryRunClient {
+    constructor() {
+        this.profiles = { persons: new Set(), entities: new Set() };
+        this.nextId = 1;
+
+        this.stats = {
+            statements: 0,
+            rows: {}
+        };
+
+        // Records that a real load would quarantine
+        this.quarantineCandidates = [];
+        this.quarantineCount = 0;
+    }
+
+    /**
+     * Answer a statement the way the models expect, without running it
+     * @param {string} text - SQL statement
+     * @param {Array} values - Statement parameters
+     * @returns {Promise<Object>} Query result with rows and rowCount
+     */
+    async query(text, values = []) {
+        this.stats.statements++;
+
+        const insert = /^\s*INSERT\s+INTO\s+(\w+)/i.exec(text);
+        if (insert) {
+            const table = insert[1];
+            this.stats.rows[table] = (this.stats.rows[table] || 0) + 1;
+
+            // Profile upserts return the record id and whether the row is new (see PersonModel.upsert)
+            if (PROFILE_TABLES.includes(table)) {
+                const [id] = values;
+                const inserted = !this.profiles[table].has(id);
+                this.profiles[table].add(id);
+                return { rows: [{ id, inserted }], rowCount: 1 };
+            }
+
+            return { rows: [{ id: this.nextId++, inserted: true }], rowCount: 1 };
+        }
+
+        const deleteProfile = /^\s*DELETE\s+FROM\s+(persons|entities)\s+WHERE\s+id\s*=\s*\$1/i.exec(text);
+        if (deleteProfile) {
+            const deleted = this.profiles[deleteProfile[1]].delete(values[0]);
+            return { rows: [], rowCount: deleted ? 1 : 0 };
+        }
+
+        // Profile type lookup of AssociationProcessor.resolveProfileType
+        if (/\bAS\s+type\b/i.test(text) && /FROM\s+persons/i.test(text)) {
+            const [id] = values;
+            const type = this.profiles.persons.has(id) ? 'PERSON' : this.profiles.entities.has(id) ? 'ENTITY' : null;
+            return { rows: [{ type }], rowCount: 1 };
+        }
+
+        // Transaction control, other deletes and lookups
+        return { rows: [], rowCount: 0 };
+    }
+
+    /**
+     * Create a quarantine model that keeps candidates in memory
+     * @param {Object} model - QuarantinedRecordModel
+     * @returns {Object} Quarantine model for the dry run
+     */
+    createQuarantineModel(model) {
+        const client = this;
+        const quarantine = Object.create(model);
+
+        quarantine.add = async (record) => {
+            model.validate(record);
+            client.quarantineCount++;
+
+            if (client.quarantineCandidates.length < MAX_QUARANTINE_CANDIDATES) {
+                client.quarantineCandidates.push({
+                    record_type: record.record_type,
+                    record_id: record.record_id,
+                    error_message: record.error_message
+                });
+            }
+            return { id: client.quarantineCount };
+        };
+
+        return quarantine;
+    }
+
+    /**
+     * Summary of what a real load would have written
+     * @returns {Object} Row counts per table and quarantine candidates
+     */
+    getReport() {
+        const report = {
+            statements: this.stats.statements,
+            rows: { ...this.stats.rows },
+            profiles: {
+                persons: this.profiles.persons.size,
+                entities: this.profiles.entities.size
+            },
+            quarantineCount: this.quarantineCount,
+            quarantineCandidates: this.quarantineCandidates
+        };
+
+        logger.processInfo('Dry run completed, nothing was written', {
+            statements: report.statements,
+            rows: report.rows,
+            quarantineCount: report.quarantineCount
+        });
+
+        return report;
+    }
+
+    /**
+     * Pool client interface; nothing to release
+     */
+    release() {}
+}
+
+module.exports = DryRunClient;
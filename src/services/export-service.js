@@ -0,0 +1,222 @@
+// src/services/export-service.js
+const { once } = require('events');
+const logger = require('../utils/logging');
+const { formatCsvRow } = require('../utils/csv');
+const { PersonModel, EntityModel } = require('../models/models-index');
+
+// Separator between the values of a repeated child collection in a CSV cell
+const CSV_VALUE_SEPARATOR = ' | ';
+
+// Profiles exported between two progress log lines
+const LOG_INTERVAL = 10000;
+
+/**
+ * Format a date column or the day, month and year parts of a partial date
+ * @param {Date|string|null} date - Full date
+ * @param {number|null} year - Year part
+ * @param {string|number|null} month - Month part
+ * @param {number|null} day - Day part
+ * @returns {string} YYYY-MM-DD, or the known parts joined with '-'
+ */
+function formatDate(date, year, month, day) {
+    if (date instanceof Date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    if (date) {
+        return String(date);
+    }
+    return [year, month, day].filter(part => part !== null && part !== undefined && part !== '').join('-');
+}
+
+/**
+ * Join the non-empty parts of a value
+ * @param {Array} parts - Value parts
+ * @param {string} separator - Separator
+ * @returns {string} Joined parts
+ */
+function joinParts(parts, separator = ' ') {
+    return parts.filter(part => part !== null && part !== undefined && part !== '').join(separator);
+}
+
+/**
+ * Start and end of a sanction or role period
+ * @param {Object} row - Child row with start_* and end_* columns
+ * @returns {string} Period, empty when unknown
+ */
+function formatPeriod(row) {
+    const start = formatDate(row.start_date, row.start_year, row.start_month, row.start_day);
+    const end = formatDate(row.end_date, row.end_year, row.end_month, row.end_day);
+    return start || end ? `${start}/${end}` : '';
+}
+
+// Flattening of repeated children into one CSV cell: one value per child row
+const formatName = (name) => name.single_string_name || name.entity_name
+    || joinParts([name.title_honorific, name.first_name, name.middle_name, name.surname, name.suffix]);
+const formatDescription = (description) => joinParts(
+    [description.description1_text, description.description2_text, description.description3_text], ' > ');
+const formatDateRow = (row) => joinParts([row.date_type, formatDate(row.date, row.year, row.month, row.day)], ': ');
+const formatSanction = (sanction) => joinParts([sanction.sanction_name || sanction.reference_code, formatPeriod(sanction)], ' ');
+const formatAddress = (address) => joinParts([address.address_line, address.city, address.country_name || address.country_code], ', ');
+
+/**
+ * CSV columns per profile type
+ * Each column reads a value from a full profile (see getFullProfile); repeated
+ * child collections are flattened with CSV_VALUE_SEPARATOR between child rows
+ */
+const CSV_COLUMNS = {
+    person: {
+        id: (profile) => profile.id,
+        primary_name: (profile) => (profile.names[0] ? formatName(profile.names[0]) : ''),
+        gender: (profile) => profile.gender,
+        active_status: (profile) => profile.active_status,
+        deceased: (profile) => profile.deceased,
+        names: (profile) => profile.names.map(formatName),
+        descriptions: (profile) => profile.descriptions.map(formatDescription),
+        roles: (profile) => profile.roles.map(role => joinParts([role.title || role.occupation_name, formatPeriod(role)], ' ')),
+        dates: (profile) => profile.dates.map(formatDateRow),
+        birth_places: (profile) => profile.birthPlaces.map(place => joinParts([place.place_name, place.country_name || place.country_code], ', ')),
+        sanctions: (profile) => profile.sanctions.map(formatSanction),
+        addresses: (profile) => profile.addresses.map(formatAddress),
+        documents: (profile) => profile.documents.map(document => joinParts([document.document_type, document.document_number], ': ')),
+        sources: (profile) => profile.sources.map(source => source.source_name),
+        last_updated: (profile) => profile.last_updated
+    },
+    entity: {
+        id: (profile) => profile.id,
+        primary_name: (profile) => (profile.names[0] ? formatName(profile.names[0]) : ''),
+        entity_type: (profile) => profile.entity_type,
+        active_status: (profile) => profile.active_status,
+        names: (profile) => profile.names.map(formatName),
+        descriptions: (profile) => profile.descriptions.map(formatDescription),
+        dates: (profile) => profile.dates.map(formatDateRow),
+        sanctions: (profile) => profile.sanctions.map(formatSanction),
+        addresses: (profile) => profile.addresses.map(formatAddress),
+        vessels: (profile) => profile.vessels.map(vessel => joinParts([vessel.vessel_type, vessel.call_sign, vessel.flag], ', ')),
+        sources: (profile) => profile.sources.map(source => source.source_name),
+        last_updated: (profile) => profile.last_updated
+    }
+};
+
+// Profile table and model of each exported type
+const PROFILE_TYPES = {
+    person: { table: 'persons', Model: PersonModel },
+    entity: { table: 'entities', Model: EntityModel }
+};
+
+const FORMATS = ['ndjson', 'csv'];
+
+/**
+ * Exports loaded profiles in bulk
+ * Profile ids are read through a server-side cursor in a read-only snapshot,
+ * so the export is consistent while imports run, and each full profile is
+ * written to the output stream as an NDJSON line or a CSV row.
+ */
+class ExportService {
+    /**
+     * Constructor
+     * @param {Object} pool - Database pool
+     * @param {Object} options - Export options
+     * @param {number} options.fetchSize - Profile ids fetched from the cursor at a time
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool;
+
+        this.config = {
+            fetchSize: 500,
+            ...options
+        };
+    }
+
+    /**
+     * Export every profile of a type
+     * @param {Object} output - Writable stream
+     * @param {Object} options - Export options
+     * @param {string} options.type - person or entity
+     * @param {string} options.format - ndjson or csv
+     * @returns {Promise<Object>} Export statistics
+     */
+    async export(output, { type = 'person', format = 'ndjson' } = {}) {
+        const profileType = PROFILE_TYPES[type];
+        if (!profileType) {
+            throw new Error(`Unknown profile type: ${type}`);
+        }
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const startTime = Date.now();
+        const client = await this.pool.connect();
+        const model = new profileType.Model(client);
+        let exported = 0;
+
+        try {
+            await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+            await client.query(`DECLARE profile_export NO SCROLL CURSOR FOR SELECT id FROM ${profileType.table} ORDER BY id`);
+
+            if (format === 'csv') {
+                await this.write(output, this.formatCsvRow(Object.keys(CSV_COLUMNS[type])));
+            }
+
+            for (;;) {
+                const { rows } = await client.query(`FETCH ${this.config.fetchSize} FROM profile_export`);
+                if (rows.length === 0) break;
+
+                for (const { id } of rows) {
+                    const profile = await model.getFullProfile(id);
+                    if (!profile) continue;
+
+                    await this.write(output, format === 'csv'
+                        ? this.formatCsvRow(Object.values(CSV_COLUMNS[type]).map(column => column(profile)))
+                        : `${JSON.stringify(profile)}\n`);
+
+                    exported++;
+                    if (exported % LOG_INTERVAL === 0) {
+                        logger.processInfo(`Exported ${exported} ${profileType.table}`, { type, format });
+                    }
+                }
+            }
+
+            await client.query('CLOSE profile_export');
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            logger.processingError(`Export of ${profileType.table} failed`, error);
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const stats = { type, format, exported, duration: (Date.now() - startTime) / 1000 };
+        logger.processInfo('Export completed', stats);
+        return stats;
+    }
+
+    /**
+     * Write to the output, waiting for it to drain when its buffer is full
+     * @param {Object} output - Writable stream
+     * @param {string} text - Text to write
+     */
+    async write(output, text) {
+        if (!output.write(text)) {
+            await once(output, 'drain');
+        }
+    }
+
+    /**
+     * Format one CSV row (RFC 4180)
+     * Arrays are flattened into a single cell with CSV_VALUE_SEPARATOR
+     * @param {Array} values - Cell values
+     * @returns {string} CSV line
+     */
+    formatCsvRow(values) {
+        return formatCsvRow(values.map((value) => {
+            if (Array.isArray(value)) {
+                return value.filter(item => item !== '').join(CSV_VALUE_SEPARATOR);
+            }
+            return value instanceof Date ? value.toISOString() : value;
+        }));
+    }
+}
+
+module.exports = ExportService;
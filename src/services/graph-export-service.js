@@ -0,0 +1,245 @@
+// src/services/graph-export-service.js
+const logger = require('../utils/logging');
+const AssociationModel = require('../models/association-model');
+const { createGraphWriter } = require('../utils/graph-writer');
+
+/**
+ * Profile table of each node type and the query reading the primary name of
+ * nodes, the first name listed with primary names first
+ */
+const NODE_TYPES = {
+    PERSON: {
+        table: 'persons',
+        description: 'Person',
+        labels: `
+            SELECT DISTINCT ON (person_id) person_id AS id,
+                COALESCE(NULLIF(concat_ws(' ', first_name, middle_name, surname), ''), single_string_name, original_script_name) AS label
+            FROM person_names
+            WHERE person_id = ANY($1)
+            ORDER BY person_id, is_primary DESC, id
+        `
+    },
+    ENTITY: {
+        table: 'entities',
+        description: 'Entity',
+        labels: `
+            SELECT DISTINCT ON (entity_id) entity_id AS id,
+                COALESCE(NULLIF(entity_name, ''), original_script_name) AS label
+            FROM entity_names
+            WHERE entity_id = ANY($1)
+            ORDER BY entity_id, is_primary DESC, id
+        `
+    }
+};
+
+/**
+ * Exports associations as a graph for visualization tools
+ * Either the network around one person or entity (getAssociationNetwork) or
+ * the whole associations table is written as GraphML, GEXF or a Cypher
+ * script. Nodes are labelled with their primary name and edges with the
+ * relationship name. The whole table is read through server-side cursors in
+ * a read-only snapshot, so it can be exported while imports are loading.
+ */
+class GraphExportService {
+    /**
+     * Constructor
+     * @param {Object} pool - Database pool
+     * @param {Object} options - Export options
+     * @param {number} options.fetchSize - Rows fetched from a cursor at a time
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool;
+
+        this.config = {
+            fetchSize: 1000,
+            ...options
+        };
+    }
+
+    /**
+     * Write the graph
+     * @param {Object} output - Writable stream
+     * @param {Object} options - Export options
+     * @param {string} options.format - graphml, gexf or cypher
+     * @param {number} options.id - Profile at the centre of the network, the whole table when omitted
+     * @param {string} options.type - PERSON or ENTITY, type of the profile at the centre
+     * @param {number} options.depth - Number of hops from the profile at the centre
+     * @param {number} options.limit - Maximum number of associations of the network
+     * @param {string} options.direction - both, outgoing or incoming, associations followed from the profile at the centre
+     * @param {Array<string>} options.categories - Only associations of these association type categories
+     * @param {boolean} options.isFormer - Only former (true) or only current (false) associations
+     * @returns {Promise<Object>} Counts of the written nodes and edges
+     */
+    async export(output, options = {}) {
+        const { format = 'graphml', id = null, depth = 2, limit = 1000, direction = 'both', categories = null, isFormer } = options;
+        const type = String(options.type || 'PERSON').toUpperCase();
+
+        if (!NODE_TYPES[type]) {
+            throw new Error(`Unknown profile type: ${options.type} (expected PERSON or ENTITY)`);
+        }
+        const writer = createGraphWriter(format, output);
+
+        const startTime = Date.now();
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+            await writer.start();
+            if (id) {
+                await this.writeNetwork(client, writer, { id, type, depth, limit, direction, categories, isFormer });
+            } else {
+                await this.writeAll(client, writer);
+            }
+            await writer.end();
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            logger.processingError('Graph export failed', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const stats = { format, ...writer.counts, duration: (Date.now() - startTime) / 1000 };
+        logger.processInfo('Graph export completed', stats);
+        return stats;
+    }
+
+    /**
+     * Write the network around one profile
+     * @param {Object} client - Database client in the export transaction
+     * @param {Object} writer - GraphWriter
+     * @param {Object} options - id, type, depth, limit and filters of getAssociationNetwork
+     */
+    async writeNetwork(client, writer, options) {
+        const { id, type } = options;
+        const { rowCount } = await client.query(`SELECT 1 FROM ${NODE_TYPES[type].table} WHERE id = $1`, [id]);
+        if (rowCount === 0) {
+            throw new Error(`${NODE_TYPES[type].description} ${id} not found`);
+        }
+
+        const network = await new AssociationModel(client).getAssociationNetwork(options);
+        if (network.truncated) {
+            logger.processInfo('Graph export network truncated', { id, type, limit: options.limit });
+        }
+
+        await this.writeNodes(client, writer, network.nodes);
+        await writer.startEdges();
+        for (const row of network.edges) {
+            await writer.writeEdge(this.toEdge(row));
+        }
+    }
+
+    /**
+     * Write every profile with associations and every association
+     * @param {Object} client - Database client in the export transaction
+     * @param {Object} writer - GraphWriter
+     */
+    async writeAll(client, writer) {
+        await client.query(`
+            DECLARE graph_nodes NO SCROLL CURSOR FOR
+            SELECT source_type AS type, source_id AS id FROM associations
+            UNION
+            SELECT target_type, target_id FROM associations
+            ORDER BY type DESC, id
+        `);
+        for (;;) {
+            const { rows } = await client.query(`FETCH ${this.config.fetchSize} FROM graph_nodes`);
+            if (rows.length === 0) break;
+            await this.writeNodes(client, writer, rows);
+        }
+        await client.query('CLOSE graph_nodes');
+
+        await writer.startEdges();
+
+        await client.query(`
+            DECLARE graph_edges NO SCROLL CURSOR FOR
+            SELECT a.id, a.source_id, a.source_type, a.target_id, a.target_type,
+                a.relationship_code, a.is_former, r.name AS relationship_name
+            FROM associations a
+            LEFT JOIN relationships r ON r.code = a.relationship_code
+            ORDER BY a.id
+        `);
+        for (;;) {
+            const { rows } = await client.query(`FETCH ${this.config.fetchSize} FROM graph_edges`);
+            if (rows.length === 0) break;
+            for (const row of rows) {
+                await writer.writeEdge(this.toEdge(row));
+            }
+        }
+        await client.query('CLOSE graph_edges');
+    }
+
+    /**
+     * Label nodes with their primary name and write them
+     * @param {Object} client - Database client in the export transaction
+     * @param {Object} writer - GraphWriter
+     * @param {Array<Object>} nodes - Nodes with id and type
+     */
+    async writeNodes(client, writer, nodes) {
+        const labels = await this.readLabels(client, nodes);
+        for (const node of nodes) {
+            await writer.writeNode({ id: node.id, type: node.type, label: labels.get(`${node.type}:${node.id}`) });
+        }
+    }
+
+    /**
+     * Read the primary name of persons and entities
+     * Profiles without a name are labelled with their type and id
+     * @param {Array<Object>} nodes - Profiles with id and type (PERSON or ENTITY)
+     * @returns {Promise<Map>} Labels by "TYPE:id"
+     */
+    async nodeLabels(nodes) {
+        return this.readLabels(this.pool, nodes);
+    }
+
+    /**
+     * Read the primary name of persons and entities through a pool or client
+     * Exports read them with the client of their transaction, in its snapshot
+     * @param {Object} db - Database pool or client
+     * @param {Array<Object>} nodes - Profiles with id and type (PERSON or ENTITY)
+     * @returns {Promise<Map>} Labels by "TYPE:id"
+     */
+    async readLabels(db, nodes) {
+        const labels = new Map();
+        for (const [type, { labels: query }] of Object.entries(NODE_TYPES)) {
+            const ids = nodes.filter(node => node.type === type).map(node => node.id);
+            if (ids.length === 0) continue;
+
+            const { rows } = await db.query(query, [ids]);
+            for (const row of rows) {
+                labels.set(`${type}:${row.id}`, row.label);
+            }
+        }
+
+        for (const node of nodes) {
+            const key = `${node.type}:${node.id}`;
+            if (!labels.get(key)) {
+                labels.set(key, `${NODE_TYPES[node.type].description} ${node.id}`);
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * Edge of an association row
+     * @param {Object} row - Association with relationship_name
+     * @returns {Object} Edge
+     */
+    toEdge(row) {
+        return {
+            id: row.id,
+            sourceId: row.source_id,
+            sourceType: row.source_type,
+            targetId: row.target_id,
+            targetType: row.target_type,
+            label: row.relationship_name || null,
+            relationshipCode: row.relationship_code,
+            isFormer: !!row.is_former
+        };
+    }
+}
+
+module.exports = GraphExportService;
@@ -0,0 +1,96 @@
+// src/services/quarantine-service.js
+const logger = require('../utils/logging');
+const PersonProcessor = require('../processors/person-processor');
+const EntityProcessor = require('../processors/entity-processor');
+const { createModels } = require('../models/models-index');
+
+// Processor handling each quarantined record type
+const PROCESSORS = {
+    Person: PersonProcessor,
+    Entity: EntityProcessor
+};
+
+/**
+ * Re-processes quarantined records with the current code
+ * Records that now succeed are removed from the quarantine; the others keep
+ * their latest error and a retry count
+ */
+class QuarantineService {
+    /**
+     * Constructor
+     * @param {Object} pool - Database pool
+     * @param {Object} options - Service options
+     * @param {number} options.batchSize - Quarantined records read per query
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.models = createModels(pool);
+
+        this.config = {
+            batchSize: 100,
+            ...options
+        };
+
+        // Processors by record type and load type
+        this.processors = new Map();
+    }
+
+    /**
+     * Get the processor for a quarantined record
+     * @param {string} recordType - Record type (Person, Entity)
+     * @param {string} loadType - Load type the record was quarantined by
+     * @returns {Object} Processor
+     */
+    getProcessor(recordType, loadType) {
+        const Processor = PROCESSORS[recordType];
+        if (!Processor) {
+            throw new Error(`No processor for quarantined record type: ${recordType}`);
+        }
+
+        const key = `${recordType}:${loadType}`;
+        if (!this.processors.has(key)) {
+            this.processors.set(key, new Processor(this.pool, this.models, { pool: this.pool, loadType }));
+        }
+        return this.processors.get(key);
+    }
+
+    /**
+     * Retry quarantined records
+     * @param {Object} filters - Filters, see QuarantinedRecordModel.buildFilter
+     * @returns {Promise<Object>} Retried, succeeded and failed counts
+     */
+    async retry(filters = {}) {
+        const result = { retried: 0, succeeded: 0, failed: 0 };
+        let afterId = 0;
+
+        for (;;) {
+            const records = await this.models.quarantinedRecord.list(
+                { ...filters, afterId },
+                { limit: this.config.batchSize }
+            );
+            if (records.length === 0) {
+                break;
+            }
+
+            for (const record of records) {
+                afterId = record.id;
+                result.retried++;
+
+                try {
+                    await this.getProcessor(record.record_type, record.load_type).processRecord(record.element);
+                    await this.models.quarantinedRecord.purge({ ids: [record.id] });
+                    result.succeeded++;
+                } catch (error) {
+                    logger.processingError(`Retry failed for quarantined ${record.record_type} ID: ${record.record_id}`, error);
+                    await this.models.quarantinedRecord.recordRetryFailure(record.id, error.message);
+                    result.failed++;
+                }
+            }
+        }
+
+        logger.processInfo('Quarantined records retried', result);
+        return result;
+    }
+}
+
+module.exports = QuarantineService;
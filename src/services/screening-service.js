@@ -0,0 +1,330 @@
+// src/services/screening-service.js
+const logger = require('../utils/logging');
+const { nameTokens, scoreName } = require('../utils/name-matcher');
+const { convertMonthNameToNumber } = require('../utils/date-formatter');
+const { NAME_TABLES, queryWithThreshold } = require('../utils/name-search');
+
+// Length of the token prefixes candidates must share with the screened name
+const PREFIX_LENGTH = 3;
+
+/**
+ * Name tables of each profile type and the names of a name row that are scored
+ */
+const PROFILE_TYPES = {
+    person: {
+        table: 'person_names',
+        foreignKey: 'person_id',
+        search: NAME_TABLES.person,
+        columns: ['first_name', 'middle_name', 'surname', 'maiden_name', 'single_string_name', 'original_script_name'],
+        names: (row) => [
+            joinParts([row.first_name, row.middle_name, row.surname]),
+            row.maiden_name ? joinParts([row.first_name, row.maiden_name]) : null,
+            row.single_string_name,
+            row.original_script_name
+        ],
+        countries: `
+            SELECT person_id AS profile_id, country_code FROM person_addresses
+            WHERE person_id = ANY($1) AND country_code IS NOT NULL
+            UNION ALL
+            SELECT person_id AS profile_id, country_code FROM person_birth_places
+            WHERE person_id = ANY($1) AND country_code IS NOT NULL
+        `,
+        birthDates: `
+            SELECT person_id AS profile_id, date, day, month, year FROM person_dates
+            WHERE person_id = ANY($1) AND date_type ILIKE 'Date of Birth'
+        `
+    },
+    entity: {
+        table: 'entity_names',
+        foreignKey: 'entity_id',
+        search: NAME_TABLES.entity,
+        columns: ['entity_name', 'original_script_name'],
+        names: (row) => [row.entity_name, row.original_script_name],
+        countries: `
+            SELECT entity_id AS profile_id, country_code FROM entity_addresses
+            WHERE entity_id = ANY($1) AND country_code IS NOT NULL
+        `,
+        birthDates: null
+    }
+};
+
+/**
+ * Join the non-empty parts of a name
+ * @param {Array<string>} parts - Name parts
+ * @returns {string} Name
+ */
+function joinParts(parts) {
+    return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Screens names against the person and entity names of the loaded feed
+ * Candidates with a word starting like a token of the screened name, or close
+ * to it by trigram word similarity, are read from person_names and
+ * entity_names through their full-text and trigram indexes, most similar
+ * first, and scored in memory with Jaro-Winkler, regardless of name order
+ * (see name-matcher). Each profile is reported once, with its best scoring
+ * name: primary name or alias.
+ */
+class ScreeningService {
+    /**
+     * Constructor
+     * @param {Object} db - Database pool or client
+     * @param {Object} options - Screening defaults
+     * @param {number} options.threshold - Minimum score of a match, 0 to 1
+     * @param {number} options.limit - Maximum number of matches returned
+     * @param {number} options.maxCandidates - Maximum number of name rows scored per profile type, the most similar
+     * @param {number} options.candidateSimilarity - Minimum trigram word similarity of a candidate without a common word prefix
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+
+        this.config = {
+            threshold: 0.85,
+            limit: 20,
+            maxCandidates: 5000,
+            candidateSimilarity: 0.4,
+            ...options
+        };
+    }
+
+    /**
+     * Screen a name, returning its matches only
+     * See screen() for the options
+     * @param {string} name - Name to screen
+     * @param {Object} options - Screening options
+     * @returns {Promise<Array<Object>>} Matches by descending score
+     */
+    async screenName(name, options = {}) {
+        const { matches } = await this.screen(name, options);
+        return matches;
+    }
+
+    /**
+     * Screen a name
+     * A date of birth or country narrows the matches: a person whose recorded
+     * dates of birth all differ, or a profile whose countries (addresses, birth
+     * places) all differ, is left out. Profiles without such data are kept.
+     * @param {string} name - Name to screen
+     * @param {Object} options - Screening options
+     * @param {string} options.type - person or entity, both by default
+     * @param {string|Date} options.dob - Date of birth, YYYY, YYYY-MM or YYYY-MM-DD
+     * @param {string} options.country - Country code as in the feed
+     * @param {number} options.threshold - Minimum score, defaults to the service threshold
+     * @param {number} options.limit - Maximum number of matches, defaults to the service limit
+     * @returns {Promise<Object>} matches by descending score (id, type, score, matchedName, nameType,
+     *     primaryName, dobMatch, countryMatch) and truncated, true when more than maxCandidates names
+     *     of a profile type were candidates, so less similar ones were not scored
+     */
+    async screen(name, options = {}) {
+        const {
+            type = null,
+            dob = null,
+            country = null,
+            threshold = this.config.threshold,
+            limit = this.config.limit
+        } = options;
+
+        if (nameTokens(name).length === 0) {
+            throw new Error('Name to screen is empty');
+        }
+        if (type && !PROFILE_TYPES[type]) {
+            throw new Error(`Unknown profile type: ${type}`);
+        }
+        const birthDate = dob ? this.parseDob(dob) : null;
+
+        try {
+            const matches = [];
+            let truncated = false;
+            for (const profileType of type ? [type] : Object.keys(PROFILE_TYPES)) {
+                const candidates = await this.scoreCandidates(profileType, name, threshold);
+                truncated = truncated || candidates.truncated;
+                matches.push(...await this.checkProfiles(profileType, candidates.best, birthDate, country));
+            }
+
+            return {
+                matches: matches
+                    .sort((a, b) => b.score - a.score || a.type.localeCompare(b.type) || a.id - b.id)
+                    .slice(0, limit),
+                truncated
+            };
+        } catch (error) {
+            logger.processingError('Name screening failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the candidate names of a profile type and keep the best match per profile
+     * Only the maxCandidates names most similar to the screened name by
+     * trigram word similarity are scored
+     * @param {string} type - Profile type
+     * @param {string} name - Name to screen
+     * @param {number} threshold - Minimum score
+     * @returns {Promise<Object>} best, the best match by profile id, and truncated
+     */
+    async scoreCandidates(type, name, threshold) {
+        const { table, foreignKey, search, columns, names } = PROFILE_TYPES[type];
+
+        const result = await queryWithThreshold(this.db, this.config.candidateSimilarity, `
+            SELECT ${foreignKey} AS profile_id, name_type, ${columns.join(', ')}
+            FROM ${table}
+            WHERE to_tsvector('simple'::regconfig, ${search.document}) @@ to_tsquery('simple'::regconfig, $1)
+                OR ${search.names.map(expression => `$2 <% ${expression}`).join(' OR ')}
+            ORDER BY GREATEST(${search.names.map(expression => `word_similarity($2, ${expression})`).join(', ')}) DESC NULLS LAST, id
+            LIMIT $3
+        `, [this.candidateQuery(name), name, this.config.maxCandidates + 1]);
+
+        const truncated = result.rows.length > this.config.maxCandidates;
+        if (truncated) {
+            logger.processInfo('Name screening candidates truncated', {
+                type,
+                name,
+                maxCandidates: this.config.maxCandidates
+            });
+        }
+
+        const best = new Map();
+        for (const row of result.rows.slice(0, this.config.maxCandidates)) {
+            for (const candidate of names(row)) {
+                if (!candidate) continue;
+
+                const score = scoreName(name, candidate);
+                const current = best.get(row.profile_id);
+                if (score >= threshold && (!current || score > current.score)) {
+                    best.set(row.profile_id, { score, matchedName: candidate, nameType: row.name_type });
+                }
+            }
+        }
+        return { best, truncated };
+    }
+
+    /**
+     * Full-text query selecting names with a word starting like a token of the screened name
+     * Tokens are given both folded and as written, so names stored with
+     * diacritics or in another script than Latin are selected too
+     * @param {string} name - Name to screen
+     * @returns {string} Prefix tsquery, e.g. dup:* | mar:*
+     */
+    candidateQuery(name) {
+        const written = String(name).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        const prefixes = new Set([...nameTokens(name), ...written]
+            .map(token => Array.from(token).slice(0, PREFIX_LENGTH).join('')));
+
+        return [...prefixes].map(prefix => `${prefix}:*`).join(' | ');
+    }
+
+    /**
+     * Apply the date of birth and country of the screened name and describe the matches
+     * @param {string} type - Profile type
+     * @param {Map} candidates - Best match by profile id
+     * @param {Object|null} birthDate - Parsed date of birth
+     * @param {string|null} country - Country code
+     * @returns {Promise<Array<Object>>} Matches
+     */
+    async checkProfiles(type, candidates, birthDate, country) {
+        if (candidates.size === 0) {
+            return [];
+        }
+
+        const { table, foreignKey, columns, names, countries, birthDates } = PROFILE_TYPES[type];
+        const ids = [...candidates.keys()];
+
+        const { rows: nameRows } = await this.db.query(`
+            SELECT ${foreignKey} AS profile_id, ${columns.join(', ')}
+            FROM ${table}
+            WHERE ${foreignKey} = ANY($1)
+            ORDER BY ${foreignKey}, is_primary DESC, id
+        `, [ids]);
+        const primaryNames = new Map();
+        for (const row of nameRows) {
+            if (!primaryNames.has(row.profile_id)) {
+                primaryNames.set(row.profile_id, names(row).find(Boolean) || null);
+            }
+        }
+
+        const countryCodes = country ? await this.groupColumn(countries, ids, 'country_code') : new Map();
+        const dates = birthDate && birthDates ? await this.groupColumn(birthDates, ids) : new Map();
+
+        const matches = [];
+        for (const [id, match] of candidates) {
+            const dobMatch = dates.has(id)
+                ? dates.get(id).some(row => this.sameDate(birthDate, row))
+                : null;
+            const countryMatch = countryCodes.has(id)
+                ? countryCodes.get(id).some(code => code.toUpperCase() === country.toUpperCase())
+                : null;
+            if (dobMatch === false || countryMatch === false) continue;
+
+            matches.push({
+                id,
+                type,
+                score: Math.round(match.score * 1000) / 1000,
+                matchedName: match.matchedName,
+                nameType: match.nameType,
+                primaryName: primaryNames.get(id) || null,
+                dobMatch,
+                countryMatch
+            });
+        }
+        return matches;
+    }
+
+    /**
+     * Run a query over profile ids and group its rows by profile
+     * @param {string} query - Query with the profile ids as $1, selecting profile_id
+     * @param {Array<number>} ids - Profile ids
+     * @param {string} column - Column to keep, the whole row when omitted
+     * @returns {Promise<Map>} Rows or column values by profile id
+     */
+    async groupColumn(query, ids, column = null) {
+        const { rows } = await this.db.query(query, [ids]);
+
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row.profile_id)) {
+                groups.set(row.profile_id, []);
+            }
+            groups.get(row.profile_id).push(column ? row[column] : row);
+        }
+        return groups;
+    }
+
+    /**
+     * Parse the date of birth of a screened name
+     * @param {string|Date} dob - YYYY, YYYY-MM, YYYY-MM-DD or a Date
+     * @returns {Object} year, month and day, month and day null when unknown
+     */
+    parseDob(dob) {
+        if (dob instanceof Date && !isNaN(dob)) {
+            return { year: dob.getFullYear(), month: dob.getMonth() + 1, day: dob.getDate() };
+        }
+
+        const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(String(dob).trim());
+        if (!match) {
+            throw new Error(`Invalid date of birth: ${dob} (expected YYYY, YYYY-MM or YYYY-MM-DD)`);
+        }
+        return {
+            year: parseInt(match[1], 10),
+            month: match[2] ? parseInt(match[2], 10) : null,
+            day: match[3] ? parseInt(match[3], 10) : null
+        };
+    }
+
+    /**
+     * Whether a recorded date of birth agrees with the screened one
+     * Only the parts known on both sides are compared
+     * @param {Object} birthDate - Parsed date of birth
+     * @param {Object} row - person_dates row
+     * @returns {boolean} True when no known part differs
+     */
+    sameDate(birthDate, row) {
+        const recorded = !row.year && row.date instanceof Date
+            ? { year: row.date.getFullYear(), month: row.date.getMonth() + 1, day: row.date.getDate() }
+            : { year: row.year, month: convertMonthNameToNumber(row.month ? String(row.month) : null), day: row.day };
+
+        return ['year', 'month', 'day'].every(part => !birthDate[part] || !recorded[part] || birthDate[part] === recorded[part]);
+    }
+}
+
+module.exports = ScreeningService;
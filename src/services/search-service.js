@@ -0,0 +1,84 @@
+// src/services/search-service.js
+const { PersonModel, EntityModel } = require('../models/models-index');
+
+// Profile types searched, in the order ties are listed
+const SEARCH_TYPES = ['person', 'entity'];
+
+/**
+ * Ranked name search over persons and entities together
+ * Each type is searched with the trigram and full-text indexes of its name
+ * table; results are merged by score, best first.
+ */
+class SearchService {
+    /**
+     * Constructor
+     * @param {Object} db - Database pool or client
+     * @param {Object} options - Search defaults
+     * @param {number} options.limit - Maximum number of profiles returned
+     * @param {number} options.minSimilarity - Minimum score of a name, 0 to 1
+     */
+    constructor(db, options = {}) {
+        this.models = {
+            person: new PersonModel(db),
+            entity: new EntityModel(db)
+        };
+
+        this.config = {
+            limit: 20,
+            minSimilarity: 0.3,
+            ...options
+        };
+    }
+
+    /**
+     * Search persons and entities by name
+     * @param {string} query - Name to search for
+     * @param {Object} options - Search options
+     * @param {number} options.limit - Maximum number of profiles
+     * @param {number} options.offset - Number of profiles skipped
+     * @param {number} options.minSimilarity - Minimum score and trigram word similarity of a name, 0 to 1
+     * @param {Array<string>} options.nameTypes - Only search names of these name types
+     * @param {Array<string>} options.types - Profile types searched, person and entity by default
+     * @returns {Promise<Array>} Profiles with type, id, matched_name, name_type, is_primary and score
+     */
+    async search(query, options = {}) {
+        const {
+            limit = this.config.limit,
+            offset = 0,
+            minSimilarity = this.config.minSimilarity,
+            nameTypes = [],
+            types = SEARCH_TYPES
+        } = options;
+
+        const name = (query || '').trim();
+        if (!name) {
+            throw new Error('Search query is required');
+        }
+        if (!(minSimilarity >= 0 && minSimilarity <= 1)) {
+            throw new Error(`Invalid minimum similarity: ${minSimilarity} (expected 0 to 1)`);
+        }
+        for (const type of types) {
+            if (!SEARCH_TYPES.includes(type)) {
+                throw new Error(`Unknown profile type: ${type}`);
+            }
+        }
+
+        // Every page of the merged list starts within the first offset + limit results of each type
+        const results = [];
+        for (const type of SEARCH_TYPES.filter(searched => types.includes(searched))) {
+            results.push(...await this.models[type].search(name, {
+                limit: offset + limit,
+                offset: 0,
+                minSimilarity,
+                nameTypes
+            }));
+        }
+
+        results.sort((a, b) => b.score - a.score
+            || SEARCH_TYPES.indexOf(a.type) - SEARCH_TYPES.indexOf(b.type)
+            || a.id - b.id);
+        return results.slice(offset, offset + limit);
+    }
+}
+
+module.exports = SearchService;
@@ -0,0 +1,276 @@
+// src/services/xml-export-service.js
+const logger = require('../utils/logging');
+const PfaXmlWriter = require('../utils/pfa-xml-writer');
+
+// Reference tables by reference list of PfaXmlWriter; description types come
+// before the sanctions references whose Description2Id points to them
+const REFERENCE_QUERIES = {
+    countries: 'SELECT * FROM countries ORDER BY code',
+    occupations: 'SELECT * FROM occupations ORDER BY code',
+    relationships: 'SELECT * FROM relationships ORDER BY code',
+    description1Types: 'SELECT * FROM description_types WHERE level = 1 ORDER BY id',
+    description2Types: 'SELECT * FROM description_types WHERE level = 2 ORDER BY id',
+    description3Types: 'SELECT * FROM description_types WHERE level = 3 ORDER BY id',
+    sanctionsReferences: 'SELECT * FROM sanctions_references ORDER BY code',
+    dateTypes: 'SELECT * FROM date_types ORDER BY date_type_id, record_type',
+    nameTypes: 'SELECT * FROM name_types ORDER BY name_type_id, record_type',
+    roleTypes: 'SELECT * FROM role_types ORDER BY role_type_id'
+};
+
+/**
+ * Profile tables with their child tables, keyed like getFullProfile
+ */
+const PROFILE_TYPES = {
+    person: {
+        table: 'persons',
+        foreignKey: 'person_id',
+        children: {
+            names: 'person_names',
+            descriptions: 'person_descriptions',
+            roles: 'person_roles',
+            dates: 'person_dates',
+            birthPlaces: 'person_birth_places',
+            sanctions: 'person_sanctions',
+            addresses: 'person_addresses',
+            documents: 'person_documents',
+            images: 'person_images',
+            sources: 'person_sources'
+        }
+    },
+    entity: {
+        table: 'entities',
+        foreignKey: 'entity_id',
+        children: {
+            names: 'entity_names',
+            descriptions: 'entity_descriptions',
+            dates: 'entity_dates',
+            sanctions: 'entity_sanctions',
+            addresses: 'entity_addresses',
+            vessels: 'entity_vessels',
+            images: 'entity_images',
+            sources: 'entity_sources'
+        }
+    }
+};
+
+// Association records of the feed: element, table and the column holding the record id
+const ASSOCIATION_TYPES = [
+    { element: 'PublicFigure', table: 'public_figure_associations', idColumn: 'public_figure_id', type: 'person' },
+    { element: 'SpecialEntity', table: 'special_entity_associations', idColumn: 'special_entity_id', type: 'entity' }
+];
+
+/**
+ * Regenerates a PFA XML file from the database
+ * Reference lists, profiles and associations are read in a read-only
+ * snapshot, profiles and associations through server-side cursors, and
+ * streamed to PfaXmlWriter. The file can be trimmed to some profile types
+ * or to the first profiles of each type; associations are then limited to
+ * the exported profiles so the file loads without unresolved associates.
+ */
+class XmlExportService {
+    /**
+     * Constructor
+     * @param {Object} pool - Database pool
+     * @param {Object} options - Export options
+     * @param {number} options.fetchSize - Rows fetched from a cursor at a time
+     */
+    constructor(pool, options = {}) {
+        this.pool = pool;
+
+        this.config = {
+            fetchSize: 500,
+            ...options
+        };
+    }
+
+    /**
+     * Write the PFA file
+     * @param {Object} output - Writable stream
+     * @param {Object} options - Export options
+     * @param {Array<string>} options.types - Profile types to export (person, entity), all by default
+     * @param {number} options.limit - Export only the first profiles of each type, by id
+     * @returns {Promise<Object>} Counts of the written references, profiles and associations
+     */
+    async export(output, { types = Object.keys(PROFILE_TYPES), limit = null } = {}) {
+        for (const type of types) {
+            if (!PROFILE_TYPES[type]) {
+                throw new Error(`Unknown profile type: ${type}`);
+            }
+        }
+
+        const startTime = Date.now();
+        const client = await this.pool.connect();
+        const writer = new PfaXmlWriter(output);
+
+        try {
+            await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+            await writer.start({ date: this.feedDate(new Date()), type: 'full' });
+
+            for (const [list, query] of Object.entries(REFERENCE_QUERIES)) {
+                const { rows } = await client.query(query);
+                await writer.writeReferenceList(list, rows);
+            }
+
+            // Sources are shared by all profiles, so they are looked up by id
+            const { rows: sources } = await client.query('SELECT id, name, description, url FROM information_sources');
+            const sourcesById = new Map(sources.map(source => [source.id, source]));
+
+            await writer.startRecords();
+            for (const type of types) {
+                await this.writeProfiles(client, writer, type, limit, sourcesById);
+            }
+            await writer.endRecords();
+
+            await writer.startAssociations();
+            for (const association of ASSOCIATION_TYPES) {
+                if (types.includes(association.type)) {
+                    await this.writeAssociations(client, writer, association, types, limit);
+                }
+            }
+            await writer.endAssociations();
+
+            await writer.end();
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK').catch(() => {});
+            logger.processingError('XML export failed', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        const stats = { ...writer.counts, duration: (Date.now() - startTime) / 1000 };
+        logger.processInfo('XML export completed', stats);
+        return stats;
+    }
+
+    /**
+     * Ids of the exported profiles of a type, as a subquery
+     * @param {string} type - Profile type
+     * @param {Array<string>} types - Exported profile types
+     * @param {number} limit - Profiles exported per type
+     * @returns {string} Subquery selecting the ids
+     */
+    profileScope(type, types, limit) {
+        const { table } = PROFILE_TYPES[type];
+        if (!types.includes(type)) {
+            return `SELECT id FROM ${table} WHERE false`;
+        }
+        return limit ? `SELECT id FROM ${table} ORDER BY id LIMIT ${limit}` : `SELECT id FROM ${table}`;
+    }
+
+    /**
+     * Stream the profiles of a type with their child rows
+     * @param {Object} client - Database client in the export transaction
+     * @param {Object} writer - PfaXmlWriter
+     * @param {string} type - Profile type
+     * @param {number} limit - Profiles exported per type
+     * @param {Map} sourcesById - Information sources by id
+     */
+    async writeProfiles(client, writer, type, limit, sourcesById) {
+        const { table, foreignKey, children } = PROFILE_TYPES[type];
+
+        await client.query(`DECLARE profile_export NO SCROLL CURSOR FOR SELECT * FROM ${table} ORDER BY id${limit ? ` LIMIT ${limit}` : ''}`);
+
+        for (;;) {
+            const { rows: profiles } = await client.query(`FETCH ${this.config.fetchSize} FROM profile_export`);
+            if (profiles.length === 0) break;
+
+            // Child rows of the whole page, one query per child table
+            const ids = profiles.map(profile => profile.id);
+            const childRows = {};
+            for (const [key, childTable] of Object.entries(children)) {
+                const { rows } = await client.query(
+                    `SELECT * FROM ${childTable} WHERE ${foreignKey} = ANY($1) ORDER BY ${foreignKey}, id`,
+                    [ids]
+                );
+                childRows[key] = this.groupBy(rows, foreignKey);
+            }
+
+            for (const profile of profiles) {
+                for (const key of Object.keys(children)) {
+                    profile[key] = childRows[key].get(profile.id) || [];
+                }
+                profile.sources = profile.sources.map(link => sourcesById.get(link.source_id)).filter(Boolean);
+
+                await (type === 'person' ? writer.writePerson(profile) : writer.writeEntity(profile));
+            }
+        }
+
+        await client.query('CLOSE profile_export');
+    }
+
+    /**
+     * Stream the associations of public figures or special entities
+     * @param {Object} client - Database client in the export transaction
+     * @param {Object} writer - PfaXmlWriter
+     * @param {Object} association - Entry of ASSOCIATION_TYPES
+     * @param {Array<string>} types - Exported profile types
+     * @param {number} limit - Profiles exported per type
+     */
+    async writeAssociations(client, writer, association, types, limit) {
+        const { element, table, idColumn, type } = association;
+
+        await client.query(`
+            DECLARE association_export NO SCROLL CURSOR FOR
+            SELECT * FROM ${table}
+            WHERE ${idColumn} IN (${this.profileScope(type, types, limit)})
+                AND ((associate_type = 'PERSON' AND associate_id IN (${this.profileScope('person', types, limit)}))
+                    OR (associate_type = 'ENTITY' AND associate_id IN (${this.profileScope('entity', types, limit)})))
+            ORDER BY ${idColumn}, id
+        `);
+
+        // Rows arrive ordered by record, so a record is written once its next one starts
+        let current = null;
+        for (;;) {
+            const { rows } = await client.query(`FETCH ${this.config.fetchSize} FROM association_export`);
+            if (rows.length === 0) break;
+
+            for (const row of rows) {
+                if (current && current.id !== row[idColumn]) {
+                    await writer.writeAssociation(element, current.id, current.associates);
+                    current = null;
+                }
+                if (!current) {
+                    current = { id: row[idColumn], associates: [] };
+                }
+                current.associates.push(row);
+            }
+        }
+        if (current) {
+            await writer.writeAssociation(element, current.id, current.associates);
+        }
+
+        await client.query('CLOSE association_export');
+    }
+
+    /**
+     * Group rows by a column
+     * @param {Array<Object>} rows - Rows
+     * @param {string} column - Column
+     * @returns {Map} Rows by column value, in their order
+     */
+    groupBy(rows, column) {
+        const groups = new Map();
+        for (const row of rows) {
+            if (!groups.has(row[column])) {
+                groups.set(row[column], []);
+            }
+            groups.get(row[column]).push(row);
+        }
+        return groups;
+    }
+
+    /**
+     * Format the date attribute of the feed
+     * @param {Date} date - Export time
+     * @returns {string} YYYYMMDDHHmm
+     */
+    feedDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}`;
+    }
+}
+
+module.exports = XmlExportService;
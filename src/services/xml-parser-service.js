@@ -6,28 +6,18 @@ const { Pool } = require('pg');
 const path = require('path');
 const { EventEmitter } = require('events');
 const os = require('os');
-
-// Import processors
-const ReferenceProcessor = require('../processors/reference-processor');
-const PersonProcessor = require('../processors/person-processor');
-const EntityProcessor = require('../processors/entity-processor');
-const AssociationProcessor = require('../processors/association-processor');
+const XmlFileSplitter = require('../utils/xml-file-splitter');
+const DatabaseHandler = require('./database-handler');
+const BulkLoader = require('./bulk-loader');
+const FlowController = require('../utils/flow-controller');
+const ImportCheckpoint = require('../utils/import-checkpoint');
+const FileValidator = require('../utils/file-validator');
+const DryRunClient = require('./dry-run-client');
+const XmlProcessorFactory = require('./xml-processor-factory');
+const RecordFilter = require('../utils/record-filter');
 
 // Import models
-const {
-    CountryModel,
-    PersonModel,
-    EntityModel,
-    AssociationModel,
-    RelationshipModel,
-    DescriptionTypeModel,
-    OccupationModel,
-    SanctionsReferenceModel,
-    DateTypeModel,
-    NameTypeModel,
-    RoleTypeModel,
-    InformationSourceModel
-} = require('../models/models-index');
+const { createModels } = require('../models/models-index');
 
 /**
  * Memory-optimized XML Parser Service
@@ -44,13 +34,20 @@ class XMLParserService extends EventEmitter {
         super();
 
         // Initialize database connection
-        this.pool = new Pool({
+        // One client is held for reference data (plus one for the database handler
+        // of the batched strategies), the rest of the pool serves the per-record transactions
+        // A dry run never connects, its statements are answered in memory
+        const reservedClients = options.loadStrategy && options.loadStrategy !== 'insert' ? 2 : 1;
+        this.pool = options.dryRun ? null : new Pool({
             ...dbConfig,
             // Reduce connection pool size to manage memory better
-            max: options.maxConnections || 5,
+            max: Math.max(options.maxConnections || 5, reservedClients + 1),
             idleTimeoutMillis: options.idleTimeout || 10000
         });
         this.dbClient = null;
+        this.dryRunClient = null;
+        this.batchClient = null;
+        this.databaseHandler = null;
 
         // Configuration options
         this.config = {
@@ -64,14 +61,38 @@ class XMLParserService extends EventEmitter {
             gcInterval: options.gcInterval || 500, // More frequent GC
             maxMemoryMB: options.maxMemoryMB || 4096,  // Max memory in MB
             chunkSize: options.chunkSize || 50 * 1024 * 1024, // 50MB chunks for large files
+            disableChunking: !!options.disableChunking,
+            loadType: options.loadType || 'full', // full, delta or incremental
+            loadStrategy: options.dryRun ? 'insert' : (options.loadStrategy || 'insert'), // insert (row by row), batch (multi-row INSERT) or copy (bulk COPY)
+            flushInterval: options.flushInterval || 5000, // Write partial batches of the batched strategies after this many milliseconds
+            maxInFlight: options.maxInFlight || 50, // Pause reading when this many records are pending
+            resume: !!options.resume, // Skip the records committed by an interrupted run of the same file
+            dryRun: !!options.dryRun, // Run the processors against an in-memory client, nothing is written
+            processors: options.processors || [], // Custom processors: { name, module, options } definitions
+            only: options.only && options.only.length > 0 ? options.only : null, // Run only these processors
+            skip: options.skip && options.skip.length > 0 ? options.skip : null, // Run every processor but these
+            filter: options.filter || null, // Load only the persons and entities matching this expression
             logMemoryInterval: options.logMemoryInterval || 10000 // Log memory usage every 10 seconds
         };
 
+        // Parsed up front so an invalid expression fails before anything is read or written
+        this.recordFilter = this.config.filter ? new RecordFilter(this.config.filter) : null;
+
         // Ensure temp directory exists
         if (!fs.existsSync(this.config.tempDir)) {
             fs.mkdirSync(this.config.tempDir, { recursive: true });
         }
 
+        // Pauses the XML stream while too many async record handlers are pending
+        this.flowController = new FlowController({ maxInFlight: this.config.maxInFlight });
+
+        // Created per file by parseXMLFile
+        this.checkpoint = null;
+        this.importRun = null;
+
+        // Identifies the current run in quarantined records, filled in once the run is recorded
+        this.runContext = { importRunId: null, runKey: null };
+
         // Processing state
         this.state = {
             processedRecords: 0,
@@ -82,13 +103,15 @@ class XMLParserService extends EventEmitter {
             lastMemoryUsage: process.memoryUsage(),
             currentChunk: 0,
             totalChunks: 0,
-            activeElements: new Set(), // Track active element processing
+            activeElements: this.flowController.active, // Records currently being handled
             aborted: false,
+            stopping: false,
             memoryWarningCount: 0,
             elementCounts: {}
         };
 
-        // Processors
+        // Processors, built by the factory
+        this.processorFactory = null;
         this.processors = {};
 
         // Memory management
@@ -238,37 +261,64 @@ class XMLParserService extends EventEmitter {
      */
     async initialize() {
         try {
-            this.dbClient = await this.pool.connect();
+            if (this.config.dryRun) {
+                this.dryRunClient = new DryRunClient();
+                this.dbClient = this.dryRunClient;
+            } else {
+                this.dbClient = await this.pool.connect();
+            }
 
             // Initialize models with the client
-            this.models = {
-                country: new CountryModel(this.dbClient),
-                person: new PersonModel(this.dbClient),
-                entity: new EntityModel(this.dbClient),
-                association: new AssociationModel(this.dbClient),
-                relationship: new RelationshipModel(this.dbClient),
-                descriptionType: new DescriptionTypeModel(this.dbClient),
-                occupation: new OccupationModel(this.dbClient),
-                sanctionsReference: new SanctionsReferenceModel(this.dbClient),
-                dateType: new DateTypeModel(this.dbClient),
-                nameType: new NameTypeModel(this.dbClient),
-                roleType: new RoleTypeModel(this.dbClient),
-                informationSource: new InformationSourceModel(this.dbClient)
-            };
+            this.models = createModels(this.dbClient);
+            if (this.dryRunClient) {
+                this.models.quarantinedRecord = this.dryRunClient.createQuarantineModel(this.models.quarantinedRecord);
+            }
 
             // Initialize processors with optimized options for streaming
             const processorOptions = {
                 batchSize: this.config.batchSize,
                 logInterval: this.config.logInterval,
-                streamMode: this.config.streamMode
+                streamMode: this.config.streamMode,
+                loadType: this.config.loadType,
+                flowController: this.flowController,
+                tempDir: this.config.tempDir,
+                checkpoint: this.checkpoint,
+                runContext: this.runContext,
+                filter: this.recordFilter
             };
 
-            this.processors = {
-                reference: new ReferenceProcessor(this.dbClient, this.models, processorOptions),
-                person: new PersonProcessor(this.dbClient, this.models, processorOptions),
-                entity: new EntityProcessor(this.dbClient, this.models, processorOptions),
-                association: new AssociationProcessor(this.dbClient, this.models, processorOptions)
-            };
+            // Every processor write goes through the database handler. The batch and copy strategies
+            // buffer profile rows and write them in batches on their own client; the insert strategy
+            // writes each profile in its own transaction
+            if (this.config.loadStrategy !== 'insert') {
+                const Handler = this.config.loadStrategy === 'copy' ? BulkLoader : DatabaseHandler;
+                this.batchClient = await this.pool.connect();
+                this.databaseHandler = new Handler(this.batchClient, {
+                    batchSize: this.config.batchSize,
+                    flushInterval: this.config.flushInterval,
+                    checkpoint: this.checkpoint,
+                    pool: this.pool,
+                    // Records after a lost batch would not be written either
+                    onFailure: () => this.stop('batch write failed')
+                });
+            } else {
+                this.databaseHandler = new DatabaseHandler(this.dbClient, { buffered: false, pool: this.pool });
+            }
+            const processorModels = this.databaseHandler.createModels(this.models);
+            processorOptions.databaseHandler = this.databaseHandler;
+
+            // Built-in processors plus the custom ones listed in the configuration
+            this.processorFactory = new XmlProcessorFactory(this.dbClient, processorModels, processorOptions);
+            for (const definition of this.config.processors) {
+                this.processorFactory.registerModule(definition);
+            }
+
+            // Sections selected with --only or --skip; a resumed run must select the same
+            const sections = this.processorFactory.selectProcessors({ only: this.config.only, skip: this.config.skip });
+            this.processors = this.processorFactory.initializeAll(sections);
+            if (this.checkpoint && (this.config.only || this.config.skip)) {
+                this.checkpoint.sections = sections;
+            }
 
             // Start memory monitoring
             this.state.lastMemoryCheck = Date.now();
@@ -277,10 +327,12 @@ class XMLParserService extends EventEmitter {
             }, 15000); // Check every 15 seconds
 
             logger.processInfo('Database connection established and components initialized', {
+                dryRun: this.config.dryRun,
                 streamMode: this.config.streamMode,
                 gcInterval: this.config.gcInterval,
                 maxMemoryMB: this.config.maxMemoryMB,
-                batchSize: this.config.batchSize
+                batchSize: this.config.batchSize,
+                loadStrategy: this.config.loadStrategy
             });
 
             return true;
@@ -299,6 +351,16 @@ class XMLParserService extends EventEmitter {
             this.memoryCheckInterval = null;
         }
 
+        // Write the rows still buffered, also when the import failed, and stop the flush timer
+        if (this.databaseHandler) {
+            try {
+                await this.databaseHandler.close();
+            } catch (error) {
+                logger.processingError('Failed to write the last batch', error);
+            }
+            this.databaseHandler = null;
+        }
+
         if (this.dbClient) {
             try {
                 // Make sure any pending transactions are committed or rolled back
@@ -311,11 +373,16 @@ class XMLParserService extends EventEmitter {
             logger.processInfo('Database connection released');
         }
 
+        if (this.batchClient) {
+            this.batchClient.release();
+            this.batchClient = null;
+        }
+
         // Clean up temporary files if enabled
         if (this.config.cleanupTemp) {
             try {
                 const tempFiles = fs.readdirSync(this.config.tempDir)
-                    .filter(file => file.startsWith('xml_chunk_'));
+                    .filter(file => file.startsWith('xml_chunk_') || file.startsWith('spool_'));
                 
                 for (const file of tempFiles) {
                     fs.unlinkSync(path.join(this.config.tempDir, file));
@@ -342,26 +409,29 @@ class XMLParserService extends EventEmitter {
         const stats = fs.statSync(filePath);
         const fileSizeBytes = stats.size;
         
-        // If file is small enough, just return it directly
-        if (fileSizeBytes <= this.config.chunkSize) {
+        // If file is small enough (or chunking is disabled), just return it directly
+        if (this.config.disableChunking || fileSizeBytes <= this.config.chunkSize) {
+            this.state.totalChunks = 1;
             return [filePath];
         }
         
-        const chunkCount = Math.ceil(fileSizeBytes / this.config.chunkSize);
         logger.processInfo('Splitting large XML file', {
             filePath,
             fileSizeBytes,
             chunkSizeBytes: this.config.chunkSize,
-            chunkCount
+            estimatedChunkCount: Math.ceil(fileSizeBytes / this.config.chunkSize)
         });
         
-        this.state.totalChunks = chunkCount;
+        // Split on record boundaries so every chunk is a well-formed document
+        const splitter = new XmlFileSplitter({
+            chunkSize: this.config.chunkSize,
+            tempDir: this.config.tempDir
+        });
         
-        // Reading and splitting large XML files requires special handling
-        // For simplicity, we'll return the original file path and handle the chunking differently
-        // A real implementation would need to preserve XML structure when splitting
+        const chunkPaths = await splitter.split(filePath);
+        this.state.totalChunks = chunkPaths.length;
         
-        return [filePath];
+        return chunkPaths;
     }
 
     /**
@@ -371,6 +441,17 @@ class XMLParserService extends EventEmitter {
      */
     async parseXMLFile(filePath) {
         try {
+            // Numbers person and entity records so an interrupted run can be resumed
+            // A dry run writes nothing, so there is nothing to resume
+            this.checkpoint = this.config.dryRun ? null : new ImportCheckpoint({
+                filePath,
+                directory: this.config.tempDir,
+                loadType: this.config.loadType,
+                saveInterval: this.config.batchSize,
+                filter: this.config.filter,
+                deferCommit: this.config.loadStrategy !== 'insert'
+            });
+
             // Initialize connections
             await this.initialize();
 
@@ -389,12 +470,22 @@ class XMLParserService extends EventEmitter {
                 throw new Error(`File too large. Max size is ${this.config.maxFileSizeGB}GB, file is ${fileSizeInGB.toFixed(2)}GB`);
             }
 
+            if (this.checkpoint) {
+                this.checkpoint.start(this.config.resume);
+                await this.startImportRun(filePath, stats);
+            }
+
             logger.processInfo('Starting XML processing', {
                 filePath,
                 fileSize: `${fileSizeInGB.toFixed(2)} GB`,
+                loadType: this.config.loadType,
+                loadStrategy: this.config.loadStrategy,
                 batchSize: this.config.batchSize,
                 streamMode: this.config.streamMode,
-                maxMemoryMB: this.config.maxMemoryMB
+                maxMemoryMB: this.config.maxMemoryMB,
+                runId: this.checkpoint ? this.checkpoint.runId : null,
+                resume: this.config.resume,
+                dryRun: this.config.dryRun
             });
 
             // Log initial memory usage
@@ -407,7 +498,7 @@ class XMLParserService extends EventEmitter {
             // Process each chunk
             const allStats = [];
             
-            for (let i = 0; i < chunkPaths.length; i++) {
+            for (let i = 0; i < chunkPaths.length && !this.state.stopping; i++) {
                 this.state.currentChunk = i + 1;
                 logger.processInfo(`Processing chunk ${this.state.currentChunk} of ${chunkPaths.length}`);
                 
@@ -417,8 +508,7 @@ class XMLParserService extends EventEmitter {
                 // Force garbage collection between chunks
                 this.tryForceGC();
                 
-                // Reset element tracking between chunks
-                this.state.activeElements.clear();
+                // Reset element counts between chunks
                 this.state.elementCounts = {};
                 
                 // Log progress
@@ -436,8 +526,51 @@ class XMLParserService extends EventEmitter {
                 });
             }
             
+            // Associations are written once every profile of the file is loaded
+            if (!this.state.stopping && this.processors.association) {
+                allStats.push(await this.resolveAssociations());
+            }
+            
             // Combine stats from all chunks
             const combinedStats = this.combineStats(allStats);
+            combinedStats.loadType = this.config.loadType;
+            combinedStats.loadStrategy = this.config.loadStrategy;
+            combinedStats.actions = this.collectProcessorActions();
+            combinedStats.sections = Object.keys(this.processors);
+            combinedStats.unresolvedAssociates = this.processors.association
+                ? this.processors.association.stats.unresolvedAssociates
+                : 0;
+            combinedStats.runId = this.checkpoint ? this.checkpoint.runId : null;
+            combinedStats.skippedRecords = this.checkpoint ? this.checkpoint.skipped : 0;
+            combinedStats.filteredRecords = Object.values(this.processors)
+                .reduce((sum, processor) => sum + (processor.stats.filteredCount || 0), 0);
+            combinedStats.interrupted = this.state.stopping;
+            combinedStats.errorCount = this.collectProcessorErrors();
+            combinedStats.quarantinedRecords = Object.values(this.processors)
+                .reduce((sum, processor) => sum + (processor.stats.quarantinedCount || 0), 0);
+            combinedStats.importRunId = this.importRun ? this.importRun.id : null;
+            if (this.dryRunClient) {
+                combinedStats.dryRun = this.dryRunClient.getReport();
+            }
+            
+            // An interrupted run keeps its checkpoint so it can be resumed
+            if (this.checkpoint && combinedStats.interrupted) {
+                this.checkpoint.save();
+                logger.processInfo('XML processing stopped, resume with --resume', {
+                    runId: this.checkpoint.runId,
+                    committedRecords: this.checkpoint.committed,
+                    lastCommitted: this.checkpoint.committedRecord
+                });
+            } else if (this.checkpoint) {
+                this.checkpoint.remove();
+            }
+            
+            await this.finishImportRun({
+                status: combinedStats.interrupted ? 'interrupted' : 'completed',
+                counts: combinedStats.counts,
+                processedRecords: combinedStats.processedRecords,
+                errorCount: combinedStats.errorCount
+            });
             
             // Final cleanup
             await this.cleanup();
@@ -445,10 +578,95 @@ class XMLParserService extends EventEmitter {
             return combinedStats;
         } catch (error) {
             logger.processingError('Error in XML parsing', error);
+            if (this.checkpoint && this.checkpoint.runId) {
+                this.checkpoint.save();
+            }
+            await this.finishImportRun({
+                status: 'failed',
+                counts: this.collectProcessorCounts(),
+                errorCount: this.collectProcessorErrors(),
+                errorMessage: error.message
+            });
             await this.cleanup();
             throw error;
         }
     }
+
+    /**
+     * Record the start of the import in the run history
+     * A missing run history table must not prevent loading, so failures are only logged
+     * @param {string} filePath - Path to XML file
+     * @param {fs.Stats} fileStats - Stats of the XML file
+     */
+    async startImportRun(filePath, fileStats) {
+        try {
+            this.runContext.runKey = this.checkpoint.runId;
+
+            logger.processInfo('Computing file checksum', { filePath });
+            const checksum = await FileValidator.checksum(filePath);
+
+            this.importRun = await this.models.importRun.start({
+                run_key: this.checkpoint.runId,
+                file_name: path.basename(filePath),
+                file_path: path.resolve(filePath),
+                file_size: fileStats.size,
+                file_checksum: checksum,
+                load_type: this.config.loadType,
+                load_strategy: this.config.loadStrategy,
+                resumed: this.config.resume
+            });
+            this.runContext.importRunId = this.importRun.id;
+
+            logger.processInfo('Import run started', {
+                importRunId: this.importRun.id,
+                runKey: this.importRun.run_key,
+                checksum
+            });
+        } catch (error) {
+            this.importRun = null;
+            logger.processingError('Failed to record the import run, continuing without run history', error);
+        }
+    }
+
+    /**
+     * Record the outcome of the import in the run history
+     * @param {Object} outcome - Import outcome, see ImportRunModel.finish
+     */
+    async finishImportRun(outcome) {
+        if (!this.importRun) {
+            return;
+        }
+
+        try {
+            await this.models.importRun.finish(this.importRun.id, outcome);
+        } catch (error) {
+            logger.processingError('Failed to record the import run outcome', error);
+        }
+    }
+
+    /**
+     * Stop the import gracefully
+     * Reading stops at once; records in flight and buffered rows are still
+     * written and the checkpoint is saved, so the run can be resumed
+     * @param {string} reason - Why the import is stopped (e.g. the signal name)
+     */
+    stop(reason) {
+        if (this.state.stopping) {
+            return;
+        }
+
+        logger.processInfo('Stopping XML processing after the current batch', {
+            reason,
+            inFlight: this.flowController.inFlight
+        });
+
+        this.state.stopping = true;
+        this.flowController.halt();
+        if (this.processors.association) {
+            this.processors.association.requestStop();
+        }
+        this.emit('stop', { reason });
+    }
     
     /**
      * Format time in seconds to human-readable format
@@ -494,6 +712,80 @@ class XMLParserService extends EventEmitter {
         return combined;
     }
     
+    /**
+     * Collect the current counts from all processors
+     * Person and entity processors count the same record types (names,
+     * sanctions, ...), so counts are keyed by processor: person.names, entity.names
+     * @returns {Object} Counts keyed by processor and record type
+     */
+    collectProcessorCounts() {
+        const counts = {};
+        for (const [name, processor] of Object.entries(this.processors)) {
+            for (const [key, value] of Object.entries(processor.stats.counts || {})) {
+                counts[`${name}.${key}`] = value;
+            }
+        }
+        return counts;
+    }
+
+    /**
+     * Compute how much the processor counts grew since a snapshot
+     * @param {Object} countsBefore - Counts returned by collectProcessorCounts
+     * @returns {Object} Count deltas keyed by record type
+     */
+    countsSince(countsBefore) {
+        const counts = {};
+        for (const [key, value] of Object.entries(this.collectProcessorCounts())) {
+            counts[key] = value - (countsBefore[key] || 0);
+        }
+        return counts;
+    }
+
+    /**
+     * Write the associations deferred while the chunks were streamed
+     * @returns {Promise<Object>} Processing statistics of the association phase
+     */
+    async resolveAssociations() {
+        const startTime = Date.now();
+        const countsBefore = this.collectProcessorCounts();
+
+        await this.processors.association.resolveDeferred();
+
+        const processingTime = (Date.now() - startTime) / 1000;
+        const counts = this.countsSince(countsBefore);
+        const processedRecords = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+        return {
+            processingTime,
+            processedRecords,
+            recordsPerSecond: processingTime > 0 ? processedRecords / processingTime : 0,
+            counts
+        };
+    }
+
+    /**
+     * Count the records that failed processing in all processors
+     * @returns {number} Error count
+     */
+    collectProcessorErrors() {
+        return Object.values(this.processors)
+            .reduce((sum, processor) => sum + processor.stats.errorCount, 0);
+    }
+
+    /**
+     * Collect per-action record counts (add, amend, del) from all processors
+     * @returns {Object} Action counts keyed by processor name
+     */
+    collectProcessorActions() {
+        const actions = {};
+        for (const [name, processor] of Object.entries(this.processors)) {
+            if (processor.stats.actions) {
+                actions[name] = { ...processor.stats.actions };
+            }
+        }
+        return actions;
+    }
+
     /**
      * Process a single XML chunk with memory optimization
      * @param {string} chunkPath - Path to XML chunk
@@ -520,33 +812,21 @@ class XMLParserService extends EventEmitter {
                     collect: false
                 });
 
-                // Track active elements to help diagnose memory issues
+                // Count elements to help diagnose memory issues
                 xml.on('startElement', (name) => {
-                    this.state.activeElements.add(name);
                     this.state.elementCounts[name] = (this.state.elementCounts[name] || 0) + 1;
                 });
-                
-                xml.on('endElement', (name) => {
-                    this.state.activeElements.delete(name);
-                });
 
-                // Configure the parser to capture text content
-                xml.preserve('Description1Name', true);
-                xml.preserve('Description2Name', true);
-                xml.preserve('Description3Name', true);
-                xml.preserve('NameType', true);
-                xml.preserve('DateType', true);
-                xml.preserve('RoleType', true);
-                xml.preserve('ReferenceName', true);
-                xml.preserve('Relationship', true);
-                xml.preserve('Occupation', true);
-                xml.preserve('CountryName', true);
-
-                // Initialize XML processors
-                this.processors.reference.setupHandlers(xml);
-                this.processors.person.setupHandlers(xml);
-                this.processors.entity.setupHandlers(xml);
-                this.processors.association.setupHandlers(xml);
+                // Pause reading while too many records are still being processed
+                this.flowController.attach(xml);
+
+                // Record the chunk of each person and entity
+                if (this.checkpoint) {
+                    this.checkpoint.setChunk(this.state.currentChunk);
+                }
+
+                // Initialize XML processors of the selected sections
+                this.processorFactory.setupAllHandlers(xml);
 
                 // Stream checkpoint handling - memory optimization
                 let recordCounter = 0;
@@ -570,22 +850,39 @@ class XMLParserService extends EventEmitter {
                 });
 
                 // Set up abort handling
-                this.on('abort', () => {
+                const onAbort = () => {
                     logger.processInfo('Aborting XML processing due to resource constraints');
                     stream.destroy(); // Force stream to close
-                });
+                };
+                this.once('abort', onAbort);
+                xml.on('end', () => this.removeListener('abort', onAbort));
 
-                // Stream completion handling
-                xml.on('end', async () => {
+                // Processor counts are cumulative, so snapshot them to report this chunk only
+                const chunkStartTime = Date.now();
+                const countsBefore = this.collectProcessorCounts();
+
+                // Chunk completion, once the stream ends or the import is stopped
+                let completion = null;
+                const complete = () => completion || (completion = (async () => {
                     try {
-                        const processingTime = (Date.now() - this.state.startTime) / 1000;
+                        // The stream ends before the last async record handlers complete
+                        await this.flowController.drain();
+                        this.flowController.detach();
 
-                        // Consolidate counts from all processors
-                        const counts = {};
-                        for (const [name, processor] of Object.entries(this.processors)) {
-                            Object.assign(counts, processor.stats.counts);
+                        // Write the rows still buffered for this chunk
+                        if (this.databaseHandler) {
+                            await this.databaseHandler.flush();
                         }
 
+                        if (this.checkpoint) {
+                            this.checkpoint.save();
+                        }
+
+                        const processingTime = (Date.now() - chunkStartTime) / 1000;
+
+                        // Consolidate counts from all processors for this chunk
+                        const counts = this.countsSince(countsBefore);
+
                         // Final memory usage report
                         logger.logMemoryUsage();
 
@@ -596,18 +893,36 @@ class XMLParserService extends EventEmitter {
                             counts
                         };
 
-                        logger.processInfo('XML chunk processing completed', stats);
+                        logger.processInfo('XML chunk processing completed', {
+                            ...stats,
+                            streamPauses: this.flowController.stats.pauseCount,
+                            maxInFlight: this.flowController.stats.maxObservedInFlight
+                        });
 
                         resolve(stats);
                     } catch (error) {
                         logger.processingError('Completion processing failed', error);
                         reject(error);
                     }
-                });
+                })());
+
+                // Stream completion handling
+                xml.on('end', complete);
+
+                // Graceful stop: the halted stream never ends, so complete the chunk here
+                const onStop = () => {
+                    this.removeListener('abort', onAbort);
+                    clearInterval(memoryInterval);
+                    complete().finally(() => stream.destroy());
+                };
+                this.once('stop', onStop);
+                xml.on('end', () => this.removeListener('stop', onStop));
+                xml.on('error', () => this.removeListener('stop', onStop));
 
                 // Error handling
                 xml.on('error', (error) => {
                     logger.processingError('XML parsing error', error);
+                    this.flowController.detach();
                     reject(error);
                 });
 
@@ -1,12 +1,24 @@
 // src/services/xml-processor-factory.js
+const path = require('path');
+const BaseProcessor = require('../processors/base-processor');
 const ReferenceProcessor = require('../processors/reference-processor');
 const PersonProcessor = require('../processors/person-processor');
 const EntityProcessor = require('../processors/entity-processor');
 const AssociationProcessor = require('../processors/association-processor');
 const logger = require('../utils/logging');
 
+// Processors of every import, in the order their handlers are set up
+const BUILT_IN_PROCESSORS = {
+    reference: ReferenceProcessor,
+    person: PersonProcessor,
+    entity: EntityProcessor,
+    association: AssociationProcessor
+};
+
 /**
  * Factory for creating and managing XML processors
+ * Custom processors, subclasses of BaseProcessor, can be registered next to
+ * the built-in ones to handle additional sections of the feed
  */
 class XmlProcessorFactory {
     /**
@@ -20,20 +32,114 @@ class XmlProcessorFactory {
         this.models = models;
         this.options = options;
         this.processors = {};
+
+        // Processor classes by name, with the options specific to each
+        this.registry = new Map();
+        for (const [name, Processor] of Object.entries(BUILT_IN_PROCESSORS)) {
+            this.registry.set(name, { Processor, options: {} });
+        }
+    }
+
+    /**
+     * Register a custom processor
+     * @param {string} name - Processor name, unique within the factory
+     * @param {Function} Processor - Subclass of BaseProcessor
+     * @param {Object} options - Options merged over the processing options for this processor
+     * @returns {XmlProcessorFactory} The factory, for chaining
+     */
+    register(name, Processor, options = {}) {
+        if (!name) {
+            throw new Error('Processor name is required');
+        }
+
+        if (this.registry.has(name)) {
+            throw new Error(`Processor already registered: ${name}`);
+        }
+
+        if (typeof Processor !== 'function' || !(Processor.prototype instanceof BaseProcessor)) {
+            throw new Error(`Processor ${name} must be a subclass of BaseProcessor`);
+        }
+
+        this.registry.set(name, { Processor, options });
+        logger.processInfo('Custom processor registered', { name, processor: Processor.name });
+        return this;
+    }
+
+    /**
+     * Register a custom processor exported by a module
+     * @param {Object} definition - Processor definition, as listed in the configuration
+     * @param {string} definition.name - Processor name
+     * @param {string} definition.module - Path of the module exporting the processor class
+     * @param {Object} definition.options - Options for this processor
+     * @returns {XmlProcessorFactory} The factory, for chaining
+     */
+    registerModule(definition) {
+        if (!definition || !definition.module) {
+            throw new Error('Processor module path is required');
+        }
+
+        const modulePath = path.resolve(definition.module);
+        let Processor;
+        try {
+            Processor = require(modulePath);
+        } catch (error) {
+            logger.processingError(`Failed to load processor module: ${modulePath}`, error);
+            throw error;
+        }
+
+        const name = definition.name || path.basename(modulePath, path.extname(modulePath));
+        return this.register(name, Processor, definition.options);
+    }
+
+    /**
+     * Create a processor from its registration
+     * @param {string} name - Processor name
+     * @returns {Object} Processor instance
+     */
+    createProcessor(name) {
+        const registration = this.registry.get(name);
+        if (!registration) {
+            throw new Error(`Unknown processor type: ${name}`);
+        }
+
+        const { Processor, options } = registration;
+        return new Processor(this.dbClient, this.models, { ...this.options, ...options });
+    }
+
+    /**
+     * Names of the processors to run
+     * @param {Object} selection - Processor selection
+     * @param {Array<string>} selection.only - Run only these processors
+     * @param {Array<string>} selection.skip - Run every processor but these
+     * @returns {Array<string>} Selected processor names, in registration order
+     */
+    selectProcessors({ only = null, skip = null } = {}) {
+        for (const name of [...(only || []), ...(skip || [])]) {
+            if (!this.registry.has(name)) {
+                throw new Error(`Unknown processor type: ${name}`);
+            }
+        }
+
+        const names = [...this.registry.keys()]
+            .filter(name => (!only || only.includes(name)) && !(skip && skip.includes(name)));
+
+        if (names.length === 0) {
+            throw new Error('No processor selected');
+        }
+        return names;
     }
 
     /**
      * Initialize all processors
+     * @param {Array<string>} names - Processors to initialize, all registered ones by default
      */
-    initializeAll() {
-        this.processors = {
-            reference: new ReferenceProcessor(this.dbClient, this.models, this.options),
-            person: new PersonProcessor(this.dbClient, this.models, this.options),
-            entity: new EntityProcessor(this.dbClient, this.models, this.options),
-            association: new AssociationProcessor(this.dbClient, this.models, this.options)
-        };
-        
-        logger.processInfo('All processors initialized');
+    initializeAll(names = [...this.registry.keys()]) {
+        this.processors = {};
+        for (const name of names) {
+            this.processors[name] = this.createProcessor(name);
+        }
+
+        logger.processInfo('All processors initialized', { processors: Object.keys(this.processors) });
         return this.processors;
     }
 
@@ -44,24 +150,9 @@ class XmlProcessorFactory {
      */
     getProcessor(name) {
         if (!this.processors[name]) {
-            switch (name) {
-                case 'reference':
-                    this.processors[name] = new ReferenceProcessor(this.dbClient, this.models, this.options);
-                    break;
-                case 'person':
-                    this.processors[name] = new PersonProcessor(this.dbClient, this.models, this.options);
-                    break;
-                case 'entity':
-                    this.processors[name] = new EntityProcessor(this.dbClient, this.models, this.options);
-                    break;
-                case 'association':
-                    this.processors[name] = new AssociationProcessor(this.dbClient, this.models, this.options);
-                    break;
-                default:
-                    throw new Error(`Unknown processor type: ${name}`);
-            }
+            this.processors[name] = this.createProcessor(name);
         }
-        
+
         return this.processors[name];
     }
 
@@ -74,12 +165,34 @@ class XmlProcessorFactory {
         if (Object.keys(this.processors).length === 0) {
             this.initializeAll();
         }
-        
+
+        // xml-stream emits a selector event once per listener registered for it, so
+        // processors listening to the same element would each be called repeatedly:
+        // register every event once and dispatch it to the listeners of all processors
+        const on = xml.on;
+        const listeners = new Map();
+        xml.on = (eventName, listener) => {
+            if (!listeners.has(eventName)) {
+                listeners.set(eventName, []);
+                on.call(xml, eventName, (...args) => {
+                    for (const handler of listeners.get(eventName)) {
+                        handler(...args);
+                    }
+                });
+            }
+            listeners.get(eventName).push(listener);
+            return xml;
+        };
+
         // Setup handlers for each processor
-        for (const [name, processor] of Object.entries(this.processors)) {
-            processor.setupHandlers(xml);
+        try {
+            for (const processor of Object.values(this.processors)) {
+                processor.setupHandlers(xml);
+            }
+        } finally {
+            xml.on = on;
         }
-        
+
         logger.processInfo('All XML handlers setup complete');
         return this;
     }
@@ -95,25 +208,25 @@ class XmlProcessorFactory {
             errorCount: 0,
             counts: {}
         };
-        
-        for (const [name, processor] of Object.entries(this.processors)) {
+
+        for (const processor of Object.values(this.processors)) {
             const stats = processor.getStats();
-            
+
             combinedStats.processedCount += stats.processedCount;
             combinedStats.successCount += stats.successCount;
             combinedStats.errorCount += stats.errorCount;
-            
+
             // Merge counts
             Object.assign(combinedStats.counts, stats.counts);
         }
-        
+
         // Calculate derived stats
         const duration = (Date.now() - this.processors.reference.stats.startTime) / 1000;
         combinedStats.duration = duration;
         combinedStats.recordsPerSecond = combinedStats.processedCount / duration;
-        
+
         return combinedStats;
     }
 }
 
-module.exports = XmlProcessorFactory;
\ No newline at end of file
+module.exports = XmlProcessorFactory;
@@ -0,0 +1,140 @@
+// src/utils/csv.js
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Format one CSV row (RFC 4180)
+ * @param {Array} values - Cell values, null and undefined written as empty cells
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} CSV line ending with CRLF
+ */
+function formatCsvRow(values, delimiter = ',') {
+    return values.map((value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter) + '\r\n';
+}
+
+/**
+ * Streaming CSV reader (RFC 4180)
+ * Quoted fields may hold delimiters, doubled quotes and line breaks; CRLF and
+ * LF line endings and a leading byte order mark are accepted. The first row
+ * is the header.
+ */
+class CsvReader {
+    /**
+     * Constructor
+     * @param {Object} input - Readable stream
+     * @param {Object} options - Reader options
+     * @param {string} options.delimiter - Field delimiter
+     */
+    constructor(input, options = {}) {
+        this.input = input;
+        this.header = null;
+
+        this.config = {
+            delimiter: ',',
+            ...options
+        };
+    }
+
+    /**
+     * Read the rows of the input
+     * @yields {Array<string>} Fields of a row
+     */
+    async *rows() {
+        const decoder = new StringDecoder('utf8');
+        const { delimiter } = this.config;
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        let quoteSeen = false;
+        let line = 1;
+        let start = true;
+
+        const chunks = async function* (input) {
+            for await (const chunk of input) {
+                yield typeof chunk === 'string' ? chunk : decoder.write(chunk);
+            }
+            yield decoder.end();
+        };
+
+        for await (let text of chunks(this.input)) {
+            if (start && text.length > 0) {
+                text = text.replace(/^\uFEFF/, '');
+                start = false;
+            }
+
+            for (const char of text) {
+                if (inQuotes) {
+                    if (quoteSeen) {
+                        quoteSeen = false;
+                        if (char === '"') {
+                            field += '"';
+                            continue;
+                        }
+                        inQuotes = false;
+                    } else if (char === '"') {
+                        quoteSeen = true;
+                        continue;
+                    } else {
+                        if (char === '\n') line++;
+                        field += char;
+                        continue;
+                    }
+                }
+
+                if (char === '"' && field === '') {
+                    inQuotes = true;
+                } else if (char === delimiter) {
+                    row.push(field);
+                    field = '';
+                } else if (char === '\n') {
+                    row.push(field);
+                    yield row;
+                    row = [];
+                    field = '';
+                    line++;
+                } else if (char !== '\r') {
+                    field += char;
+                }
+            }
+        }
+
+        if (inQuotes && !quoteSeen) {
+            throw new Error(`Unterminated quoted field at line ${line}`);
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            yield row;
+        }
+    }
+
+    /**
+     * Read the records of the input, keyed by the header
+     * Blank lines are skipped; missing trailing fields are empty strings.
+     * The header is available in `header` once the first record is read.
+     * @yields {Object} Record by column name
+     */
+    async *records() {
+        for await (const row of this.rows()) {
+            if (row.length === 1 && row[0].trim() === '') {
+                continue;
+            }
+            if (!this.header) {
+                this.header = row.map(column => column.trim());
+                continue;
+            }
+
+            const record = {};
+            this.header.forEach((column, i) => {
+                record[column] = row[i] === undefined ? '' : row[i];
+            });
+            yield record;
+        }
+    }
+}
+
+module.exports = {
+    CsvReader,
+    formatCsvRow
+};
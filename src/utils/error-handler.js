@@ -9,6 +9,10 @@ class ErrorHandler {
      * Constructor
      */
     constructor() {
+        // Called on SIGINT/SIGTERM instead of exiting right away
+        this.shutdownHandlers = [];
+        this.shuttingDown = false;
+
         this.setupGlobalHandlers();
     }
     
@@ -37,24 +41,54 @@ class ErrorHandler {
         });
         
         // Handle SIGTERM
-        process.on('SIGTERM', () => {
-            logger.info('Received SIGTERM signal');
-            
-            // Allow logs to flush before exiting
-            setTimeout(() => {
-                process.exit(0);
-            }, 1000);
-        });
+        process.on('SIGTERM', () => this.handleSignal('SIGTERM'));
         
         // Handle SIGINT (Ctrl+C)
-        process.on('SIGINT', () => {
-            logger.info('Received SIGINT signal');
+        process.on('SIGINT', () => this.handleSignal('SIGINT'));
+    }
+    
+    /**
+     * Register a handler that shuts the application down gracefully on SIGINT/SIGTERM
+     * While handlers are registered the process is not exited on the first signal;
+     * the application is expected to finish its current work and exit by itself
+     * @param {Function} handler - Called with the signal name
+     */
+    onShutdown(handler) {
+        this.shutdownHandlers.push(handler);
+    }
+    
+    /**
+     * Handle a termination signal
+     * @param {string} signal - Signal name
+     */
+    handleSignal(signal) {
+        logger.info(`Received ${signal} signal`);
+        
+        if (this.shutdownHandlers.length === 0 || this.shuttingDown) {
+            if (this.shuttingDown) {
+                logger.info(`Received ${signal} during graceful shutdown, exiting immediately`);
+            }
             
             // Allow logs to flush before exiting
             setTimeout(() => {
-                process.exit(0);
+                process.exit(this.shuttingDown ? 1 : 0);
             }, 1000);
-        });
+            return;
+        }
+        
+        this.shuttingDown = true;
+        console.warn(`\nReceived ${signal}: finishing the current batch before exiting (send again to exit immediately)`);
+        
+        for (const handler of this.shutdownHandlers) {
+            try {
+                handler(signal);
+            } catch (error) {
+                logger.error('Shutdown handler failed', {
+                    error: error.message,
+                    stack: error.stack
+                });
+            }
+        }
     }
     
     /**
@@ -1,6 +1,7 @@
 // src/utils/file-validator.js
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const logger = require('./logging');
 
 class FileValidator {
@@ -96,6 +97,21 @@ class FileValidator {
         logger.processInfo('Directory validated', { path: directoryPath });
         return directoryPath;
     }
+
+    /**
+     * Compute the SHA-256 checksum of a file
+     * @param {string} filePath - Path to the file
+     * @returns {Promise<string>} Hex-encoded checksum
+     */
+    static checksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
 }
 
 module.exports = FileValidator;
\ No newline at end of file
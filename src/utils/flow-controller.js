@@ -0,0 +1,159 @@
+// src/utils/flow-controller.js
+const logger = require('./logging');
+
+/**
+ * Backpressure between the XML stream and the async record handlers
+ * xml-stream does not wait for async event handlers, so records are counted
+ * while in flight and the stream is paused once too many are pending,
+ * then resumed when they drain below the low watermark
+ */
+class FlowController {
+    /**
+     * Constructor
+     * @param {Object} options - Flow control options
+     * @param {number} options.maxInFlight - Pause reading at this many in-flight records
+     * @param {number} options.resumeAt - Resume reading at this many in-flight records
+     */
+    constructor(options = {}) {
+        this.maxInFlight = Math.max(1, options.maxInFlight || 50);
+        this.resumeAt = Math.min(
+            options.resumeAt !== undefined ? options.resumeAt : Math.floor(this.maxInFlight / 2),
+            this.maxInFlight - 1
+        );
+
+        // Records currently being handled
+        this.active = new Set();
+        this.stream = null;
+        this.paused = false;
+        this.halted = false;
+        this.drainWaiters = [];
+
+        this.stats = {
+            pauseCount: 0,
+            maxObservedInFlight: 0
+        };
+    }
+
+    /**
+     * Number of records currently being handled
+     * @returns {number} In-flight record count
+     */
+    get inFlight() {
+        return this.active.size;
+    }
+
+    /**
+     * Attach the XML stream to pause and resume
+     * @param {Object} stream - XML stream exposing pause() and resume()
+     */
+    attach(stream) {
+        this.stream = stream;
+        this.paused = false;
+    }
+
+    /**
+     * Detach the current XML stream
+     */
+    detach() {
+        this.stream = null;
+        this.paused = false;
+    }
+
+    /**
+     * Run an async record handler while tracking it as in flight
+     * @param {string} element - Element name of the record
+     * @param {Function} work - Async handler
+     * @returns {Promise<any>} Result of the handler
+     */
+    async track(element, work) {
+        const entry = { element, startTime: Date.now() };
+        this.start(entry);
+
+        try {
+            return await work();
+        } finally {
+            this.finish(entry);
+        }
+    }
+
+    /**
+     * Register an in-flight record, pausing the stream at the limit
+     * @param {Object} entry - In-flight record entry
+     */
+    start(entry) {
+        entry.finished = new Promise(resolve => {
+            entry.resolveFinished = resolve;
+        });
+        this.active.add(entry);
+        this.stats.maxObservedInFlight = Math.max(this.stats.maxObservedInFlight, this.active.size);
+
+        if (this.stream && !this.paused && this.active.size >= this.maxInFlight) {
+            this.paused = true;
+            this.stats.pauseCount++;
+            this.stream.pause();
+        }
+    }
+
+    /**
+     * Release an in-flight record, resuming the stream once drained enough
+     * @param {Object} entry - In-flight record entry
+     */
+    finish(entry) {
+        this.active.delete(entry);
+        entry.resolveFinished();
+
+        if (this.stream && this.paused && !this.halted && this.active.size <= this.resumeAt) {
+            // Cleared first: resuming parses buffered data synchronously and may pause again
+            this.paused = false;
+
+            try {
+                this.stream.resume();
+            } catch (error) {
+                logger.processingError('Failed to resume XML stream', error);
+            }
+        }
+
+        if (this.active.size === 0) {
+            const waiters = this.drainWaiters;
+            this.drainWaiters = [];
+            waiters.forEach(resolve => resolve());
+        }
+    }
+
+    /**
+     * Pause the XML stream for good, letting the in-flight records finish
+     * Used to stop an import after the current batch
+     */
+    halt() {
+        this.halted = true;
+
+        if (this.stream && !this.paused) {
+            this.paused = true;
+            this.stream.pause();
+        }
+    }
+
+    /**
+     * Wait until no records are in flight
+     * @returns {Promise<void>}
+     */
+    drain() {
+        if (this.active.size === 0) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.drainWaiters.push(resolve));
+    }
+
+    /**
+     * Wait until the records in flight now are handled
+     * Unlike drain(), records started meanwhile are not waited for, so a record
+     * may wait for the earlier ones without waiting for itself
+     * @returns {Promise<void>}
+     */
+    async settle() {
+        await Promise.all([...this.active].map(entry => entry.finished));
+    }
+}
+
+module.exports = FlowController;
@@ -0,0 +1,349 @@
+// src/utils/graph-writer.js
+const { once } = require('events');
+const { normalizeName } = require('./name-matcher');
+const { escapeXml } = require('./xml-escape');
+
+/**
+ * Identifier of a node in GraphML and GEXF files
+ * @param {string} type - PERSON or ENTITY
+ * @param {number} id - Profile id
+ * @returns {string} Node identifier, e.g. person-123
+ */
+function nodeKey(type, id) {
+    return `${type.toLowerCase()}-${id}`;
+}
+
+/**
+ * Streaming writer of association graphs
+ * Nodes are persons and entities ({ id, type, label }), edges are associations
+ * ({ id, sourceId, sourceType, targetId, targetType, label, relationshipCode,
+ * isFormer }). Every node is written before the first edge; subclasses
+ * produce the text of each format.
+ */
+class GraphWriter {
+    /**
+     * Constructor
+     * @param {Object} output - Writable stream
+     */
+    constructor(output) {
+        this.output = output;
+        this.counts = { nodes: 0, edges: 0 };
+    }
+
+    /**
+     * Write to the output, waiting for it to drain when its buffer is full
+     * @param {string} text - Text to write
+     */
+    async write(text) {
+        if (!this.output.write(text)) {
+            await once(this.output, 'drain');
+        }
+    }
+
+    /**
+     * Write the start of the file
+     */
+    async start() {
+        await this.write(this.header());
+    }
+
+    /**
+     * Write a node
+     * @param {Object} node - Node
+     */
+    async writeNode(node) {
+        await this.write(this.formatNode(node));
+        this.counts.nodes++;
+    }
+
+    /**
+     * Close the nodes and open the edges
+     */
+    async startEdges() {
+        await this.write(this.edgesHeader());
+    }
+
+    /**
+     * Write an edge
+     * @param {Object} edge - Edge
+     */
+    async writeEdge(edge) {
+        await this.write(this.formatEdge(edge));
+        this.counts.edges++;
+    }
+
+    /**
+     * Write the end of the file
+     */
+    async end() {
+        await this.write(this.footer());
+    }
+}
+
+/**
+ * GraphML (http://graphml.graphdrawing.org), read by yEd, Gephi, Cytoscape and networkx
+ */
+class GraphMLWriter extends GraphWriter {
+    /**
+     * Start of the file, declaring the node and edge attributes
+     * @returns {string} Text
+     */
+    header() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+            '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+            '  <key id="pfa_id" for="node" attr.name="pfa_id" attr.type="int"/>',
+            '  <key id="relationship" for="edge" attr.name="label" attr.type="string"/>',
+            '  <key id="relationship_code" for="edge" attr.name="relationship_code" attr.type="int"/>',
+            '  <key id="is_former" for="edge" attr.name="is_former" attr.type="boolean"/>',
+            '  <graph id="associations" edgedefault="directed">',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Build the data elements of a node or edge
+     * @param {Object} values - Values by key id, those without value are left out
+     * @returns {string} Data elements
+     */
+    data(values) {
+        return Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `<data key="${key}">${escapeXml(value)}</data>`)
+            .join('');
+    }
+
+    /**
+     * Build a node
+     * @param {Object} node - Node
+     * @returns {string} Text
+     */
+    formatNode(node) {
+        const data = this.data({ label: node.label, type: node.type, pfa_id: node.id });
+        return `    <node id="${nodeKey(node.type, node.id)}">${data}</node>\n`;
+    }
+
+    /**
+     * GraphML mixes nodes and edges in the graph element
+     * @returns {string} Text
+     */
+    edgesHeader() {
+        return '';
+    }
+
+    /**
+     * Build an edge
+     * @param {Object} edge - Edge
+     * @returns {string} Text
+     */
+    formatEdge(edge) {
+        const data = this.data({ relationship: edge.label, relationship_code: edge.relationshipCode, is_former: edge.isFormer });
+        return `    <edge id="association-${edge.id}" source="${nodeKey(edge.sourceType, edge.sourceId)}" target="${nodeKey(edge.targetType, edge.targetId)}">${data}</edge>\n`;
+    }
+
+    /**
+     * End of the file
+     * @returns {string} Text
+     */
+    footer() {
+        return '  </graph>\n</graphml>\n';
+    }
+}
+
+/**
+ * GEXF 1.3 (https://gexf.net), the native format of Gephi
+ */
+class GexfWriter extends GraphWriter {
+    /**
+     * Start of the file, declaring the node and edge attributes and opening the nodes
+     * @returns {string} Text
+     */
+    header() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+            `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}"><creator>pfa-xml-handler</creator></meta>`,
+            '  <graph mode="static" defaultedgetype="directed">',
+            '    <attributes class="node">',
+            '      <attribute id="type" title="type" type="string"/>',
+            '      <attribute id="pfa_id" title="pfa_id" type="integer"/>',
+            '    </attributes>',
+            '    <attributes class="edge">',
+            '      <attribute id="relationship_code" title="relationship_code" type="integer"/>',
+            '      <attribute id="is_former" title="is_former" type="boolean"/>',
+            '    </attributes>',
+            '    <nodes>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Build the attvalues element of a node or edge
+     * @param {Object} values - Values by attribute id, those without value are left out
+     * @returns {string} attvalues element
+     */
+    attvalues(values) {
+        const attvalues = Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `<attvalue for="${key}" value="${escapeXml(value)}"/>`)
+            .join('');
+        return attvalues ? `<attvalues>${attvalues}</attvalues>` : '';
+    }
+
+    /**
+     * Build a node
+     * @param {Object} node - Node
+     * @returns {string} Text
+     */
+    formatNode(node) {
+        const attvalues = this.attvalues({ type: node.type, pfa_id: node.id });
+        return `      <node id="${nodeKey(node.type, node.id)}" label="${escapeXml(node.label)}">${attvalues}</node>\n`;
+    }
+
+    /**
+     * Close the nodes and open the edges
+     * @returns {string} Text
+     */
+    edgesHeader() {
+        return '    </nodes>\n    <edges>\n';
+    }
+
+    /**
+     * Build an edge
+     * @param {Object} edge - Edge
+     * @returns {string} Text
+     */
+    formatEdge(edge) {
+        const label = edge.label ? ` label="${escapeXml(edge.label)}"` : '';
+        const attvalues = this.attvalues({ relationship_code: edge.relationshipCode, is_former: edge.isFormer });
+        return `      <edge id="${edge.id}" source="${nodeKey(edge.sourceType, edge.sourceId)}" target="${nodeKey(edge.targetType, edge.targetId)}"${label}>${attvalues}</edge>\n`;
+    }
+
+    /**
+     * End of the file
+     * @returns {string} Text
+     */
+    footer() {
+        return '    </edges>\n  </graph>\n</gexf>\n';
+    }
+}
+
+/**
+ * Neo4j Cypher script, run with cypher-shell or pasted in Neo4j Browser
+ * Nodes are :Person and :Entity with pfa_id and name properties; edges are
+ * relationships typed after the relationship name (e.g. BUSINESS_ASSOCIATE,
+ * ASSOCIATED_WITH when the code is unknown) with name, code and is_former.
+ */
+class CypherWriter extends GraphWriter {
+    /**
+     * Cypher string literal
+     * @param {string} value - Text
+     * @returns {string} Double-quoted literal
+     */
+    literal(value) {
+        return JSON.stringify(String(value));
+    }
+
+    /**
+     * Node label of a profile type
+     * @param {string} type - PERSON or ENTITY
+     * @returns {string} Person or Entity
+     */
+    label(type) {
+        return type === 'PERSON' ? 'Person' : 'Entity';
+    }
+
+    /**
+     * Relationship type of a relationship name
+     * @param {string|null} name - Relationship name
+     * @returns {string} Upper-case identifier
+     */
+    relationshipType(name) {
+        const type = normalizeName(name || '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        return /^[A-Z]/.test(type) ? type : 'ASSOCIATED_WITH';
+    }
+
+    /**
+     * Start of the script: indexes the edges are matched on
+     * @returns {string} Text
+     */
+    header() {
+        return [
+            'CREATE INDEX person_pfa_id IF NOT EXISTS FOR (n:Person) ON (n.pfa_id);',
+            'CREATE INDEX entity_pfa_id IF NOT EXISTS FOR (n:Entity) ON (n.pfa_id);',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Build a node
+     * @param {Object} node - Node
+     * @returns {string} Text
+     */
+    formatNode(node) {
+        return `CREATE (:${this.label(node.type)} {pfa_id: ${node.id}, name: ${this.literal(node.label)}});\n`;
+    }
+
+    /**
+     * Nothing separates nodes from edges
+     * @returns {string} Text
+     */
+    edgesHeader() {
+        return '';
+    }
+
+    /**
+     * Build an edge
+     * @param {Object} edge - Edge
+     * @returns {string} Text
+     */
+    formatEdge(edge) {
+        const properties = [`pfa_id: ${edge.id}`];
+        if (edge.label) properties.push(`name: ${this.literal(edge.label)}`);
+        if (edge.relationshipCode !== null && edge.relationshipCode !== undefined) properties.push(`code: ${edge.relationshipCode}`);
+        properties.push(`is_former: ${edge.isFormer ? 'true' : 'false'}`);
+
+        return `MATCH (s:${this.label(edge.sourceType)} {pfa_id: ${edge.sourceId}}), (t:${this.label(edge.targetType)} {pfa_id: ${edge.targetId}}) `
+            + `CREATE (s)-[:${this.relationshipType(edge.label)} {${properties.join(', ')}}]->(t);\n`;
+    }
+
+    /**
+     * Nothing closes the script
+     * @returns {string} Text
+     */
+    footer() {
+        return '';
+    }
+}
+
+// Writer class of each format
+const GRAPH_FORMATS = {
+    graphml: GraphMLWriter,
+    gexf: GexfWriter,
+    cypher: CypherWriter
+};
+
+/**
+ * Create the writer of a format
+ * @param {string} format - graphml, gexf or cypher
+ * @param {Object} output - Writable stream
+ * @returns {GraphWriter} Writer
+ */
+function createGraphWriter(format, output) {
+    const Writer = GRAPH_FORMATS[format];
+    if (!Writer) {
+        throw new Error(`Unknown graph format: ${format} (expected ${Object.keys(GRAPH_FORMATS).join(', ')})`);
+    }
+    return new Writer(output);
+}
+
+module.exports = {
+    GRAPH_FORMATS,
+    GraphWriter,
+    createGraphWriter
+};
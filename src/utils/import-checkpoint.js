@@ -0,0 +1,260 @@
+// src/utils/import-checkpoint.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logging');
+
+/**
+ * Checkpoint of an import run, kept in a JSON file next to the temp files
+ * Person and entity records are numbered in document order; the checkpoint
+ * holds the highest number up to which every record is committed, so an
+ * interrupted run can be resumed by skipping those records. A resumed run
+ * reads the file from the start again to number the records; it does not seek
+ */
+class ImportCheckpoint {
+    /**
+     * Constructor
+     * @param {Object} options - Checkpoint options
+     * @param {string} options.filePath - XML file being imported
+     * @param {string} options.directory - Directory of the checkpoint file
+     * @param {string} options.loadType - Load type of the run (full, delta, incremental)
+     * @param {number} options.saveInterval - Write the file every this many committed records
+     * @param {boolean} options.deferCommit - Records are committed later by the database handler, not when completed
+     * @param {Array<string>} options.sections - Processors of the run, a resumed run must use the same
+     * @param {string} options.filter - Record filter expression of the run, a resumed run must use the same
+     */
+    constructor(options = {}) {
+        this.filePath = path.resolve(options.filePath);
+        this.directory = options.directory || path.join(process.cwd(), 'temp');
+        this.loadType = options.loadType || 'full';
+        this.saveInterval = options.saveInterval || 500;
+        this.deferCommit = !!options.deferCommit;
+        this.sections = options.sections || null;
+        this.filter = options.filter || null;
+
+        const key = crypto.createHash('sha1').update(this.filePath).digest('hex').slice(0, 12);
+        this.checkpointPath = path.join(this.directory, `checkpoint_${path.basename(this.filePath)}_${key}.json`);
+
+        this.runId = null;
+        this.startedAt = null;
+
+        // Record numbers: last assigned, completed and committed without gaps, and skipped on resume
+        this.sequence = 0;
+        this.completed = 0;
+        this.committed = 0;
+        this.resumeFrom = 0;
+        this.skipped = 0;
+        this.lastSaved = 0;
+
+        // Records started but not yet part of the completed watermark, by number
+        this.records = new Map();
+        this.completedRecord = null;
+        this.committedRecord = null;
+
+        // Chunk of the XML currently being read
+        this.chunk = 0;
+    }
+
+    /**
+     * Start a run, either fresh or resuming the saved checkpoint of the same file
+     * @param {boolean} resume - Resume the interrupted run
+     * @returns {Object|null} Saved checkpoint being resumed
+     */
+    start(resume = false) {
+        const saved = this.load();
+        const file = fs.statSync(this.filePath);
+
+        if (resume) {
+            if (!saved) {
+                throw new Error(`No checkpoint to resume for ${this.filePath}`);
+            }
+            if (saved.fileSize !== file.size || saved.fileModifiedAt !== file.mtime.toISOString()) {
+                throw new Error(`Cannot resume: ${this.filePath} changed since the checkpoint was written`);
+            }
+            if (saved.loadType !== this.loadType) {
+                throw new Error(`Cannot resume: checkpoint was written by a ${saved.loadType} load, not ${this.loadType}`);
+            }
+            // Records are only numbered by the person and entity processors of the run
+            const sections = (list) => (list ? [...list].sort().join(',') : 'all');
+            if (sections(saved.sections) !== sections(this.sections)) {
+                throw new Error(`Cannot resume: checkpoint was written loading ${sections(saved.sections)}, not ${sections(this.sections)}`);
+            }
+            // Records left out by the filter are numbered too
+            const filter = (expression) => (expression ? `filter "${expression}"` : 'no filter');
+            if (filter(saved.filter) !== filter(this.filter)) {
+                throw new Error(`Cannot resume: checkpoint was written with ${filter(saved.filter)}, not ${filter(this.filter)}`);
+            }
+
+            this.runId = saved.runId;
+            this.startedAt = saved.startedAt;
+            this.resumeFrom = saved.committedRecords;
+            this.completed = this.committed = this.lastSaved = saved.committedRecords;
+            this.completedRecord = this.committedRecord = saved.lastCommitted;
+
+            logger.processInfo('Resuming import from checkpoint', {
+                runId: this.runId,
+                committedRecords: this.resumeFrom,
+                lastCommitted: saved.lastCommitted
+            });
+        } else {
+            if (saved) {
+                logger.processInfo('Discarding checkpoint of a previous run', {
+                    runId: saved.runId,
+                    committedRecords: saved.committedRecords
+                });
+            }
+
+            this.startedAt = new Date().toISOString();
+            this.runId = `${this.startedAt.replace(/[-:.]/g, '')}_${process.pid}`;
+        }
+
+        this.fileSize = file.size;
+        this.fileModifiedAt = file.mtime.toISOString();
+        this.save();
+
+        return resume ? saved : null;
+    }
+
+    /**
+     * Read the saved checkpoint of the file
+     * @returns {Object|null} Saved checkpoint or null when there is none
+     */
+    load() {
+        if (!fs.existsSync(this.checkpointPath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.checkpointPath, 'utf8'));
+        } catch (error) {
+            logger.processingError(`Unreadable checkpoint file: ${this.checkpointPath}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Set the chunk recorded with the records numbered next
+     * @param {number} chunk - Chunk number, starting at 1
+     */
+    setChunk(chunk) {
+        this.chunk = chunk;
+    }
+
+    /**
+     * Number the next record in document order
+     * @param {number|string} recordId - Record id attribute
+     * @returns {number|null} Record number, or null when an interrupted run already committed the record
+     */
+    begin(recordId) {
+        const sequence = ++this.sequence;
+
+        if (sequence <= this.resumeFrom) {
+            this.skipped++;
+            return null;
+        }
+
+        this.records.set(sequence, {
+            id: recordId,
+            chunk: this.chunk,
+            done: false
+        });
+
+        return sequence;
+    }
+
+    /**
+     * Mark a record as handled, whether it succeeded or failed
+     * Records finish out of order; the watermark only advances over a gapless run
+     * @param {number} sequence - Record number returned by begin()
+     */
+    complete(sequence) {
+        const record = this.records.get(sequence);
+        if (!record) {
+            return;
+        }
+        record.done = true;
+
+        let next = this.records.get(this.completed + 1);
+        while (next && next.done) {
+            this.records.delete(this.completed + 1);
+            this.completed++;
+            this.completedRecord = { id: next.id, chunk: next.chunk };
+            next = this.records.get(this.completed + 1);
+        }
+
+        if (!this.deferCommit) {
+            this.commit(this.position());
+        }
+    }
+
+    /**
+     * Current completed watermark
+     * With deferred commits, take it before writing a batch and commit it once the batch is written
+     * @returns {Object} Completed record count and last completed record
+     */
+    position() {
+        return { records: this.completed, record: this.completedRecord };
+    }
+
+    /**
+     * Mark records up to a completed watermark as committed
+     * @param {Object} position - Watermark returned by position()
+     */
+    commit(position) {
+        if (position.records <= this.committed) {
+            return;
+        }
+
+        this.committed = position.records;
+        this.committedRecord = position.record;
+
+        if (this.committed - this.lastSaved >= this.saveInterval) {
+            this.save();
+        }
+    }
+
+    /**
+     * Write the checkpoint file
+     * Written to a temporary file first so a crash never leaves a truncated checkpoint
+     */
+    save() {
+        const checkpoint = {
+            runId: this.runId,
+            filePath: this.filePath,
+            fileSize: this.fileSize,
+            fileModifiedAt: this.fileModifiedAt,
+            loadType: this.loadType,
+            sections: this.sections,
+            filter: this.filter,
+            committedRecords: this.committed,
+            lastCommitted: this.committedRecord,
+            startedAt: this.startedAt,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            const tempPath = `${this.checkpointPath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(checkpoint, null, 2));
+            fs.renameSync(tempPath, this.checkpointPath);
+            this.lastSaved = this.committed;
+        } catch (error) {
+            logger.processingError(`Failed to write checkpoint file: ${this.checkpointPath}`, error);
+        }
+    }
+
+    /**
+     * Delete the checkpoint file once the run has completed
+     */
+    remove() {
+        try {
+            if (fs.existsSync(this.checkpointPath)) {
+                fs.unlinkSync(this.checkpointPath);
+            }
+        } catch (error) {
+            logger.processingError(`Failed to remove checkpoint file: ${this.checkpointPath}`, error);
+        }
+    }
+}
+
+module.exports = ImportCheckpoint;
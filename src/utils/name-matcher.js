@@ -0,0 +1,161 @@
+// src/utils/name-matcher.js
+/**
+ * Name normalization and fuzzy scoring used by name screening
+ */
+
+// Letters that do not decompose into a base letter and diacritics
+const SPECIAL_LETTERS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd',
+    'þ': 'th', 'ł': 'l', 'ı': 'i', 'ħ': 'h', 'ŧ': 't', 'ŋ': 'n'
+};
+
+// Cyrillic to Latin, so names in original script compare with their Latin spelling
+const CYRILLIC_LETTERS = {
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'є': 'ye',
+    'ж': 'zh', 'з': 'z', 'и': 'i', 'і': 'i', 'ї': 'yi', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm',
+    'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ў': 'u', 'ф': 'f',
+    'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '',
+    'э': 'e', 'ю': 'yu', 'я': 'ya'
+};
+
+// Weight of the share of candidate tokens matched by the query (see scoreTokens)
+const COVERAGE_WEIGHT = 0.2;
+
+/**
+ * Normalize a name for comparison
+ * Lowercases, removes diacritics, transliterates Cyrillic and turns
+ * punctuation into spaces ("Müller-Lüdenscheidt" -> "muller ludenscheidt")
+ * @param {string} name - Name
+ * @returns {string} Normalized name, tokens separated by single spaces
+ */
+function normalizeName(name) {
+    if (!name) return '';
+
+    return String(name)
+        .toLowerCase()
+        .replace(/\p{L}/gu, letter => SPECIAL_LETTERS[letter] ?? CYRILLIC_LETTERS[letter] ?? letter)
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Tokens of a name
+ * @param {string} name - Name
+ * @returns {Array<string>} Normalized tokens
+ */
+function nameTokens(name) {
+    const normalized = normalizeName(name);
+    return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Jaro-Winkler similarity
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - window);
+        const end = Math.min(b.length, i + window + 1);
+        for (let j = start; j < end; j++) {
+            if (!bMatches[j] && a[i] === b[j]) {
+                aMatches[i] = true;
+                bMatches[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    // Common prefix of up to 4 characters
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Score two names regardless of token order
+ * Each query token is paired with a distinct candidate token, best pairs
+ * first; the score is the mean similarity of the query tokens, lowered by
+ * up to COVERAGE_WEIGHT when candidate tokens are left unpaired (middle
+ * names, patronymics).
+ * @param {Array<string>} queryTokens - Tokens of the screened name
+ * @param {Array<string>} candidateTokens - Tokens of the candidate name
+ * @returns {number} Score between 0 and 1
+ */
+function scoreTokens(queryTokens, candidateTokens) {
+    const pairs = [];
+    queryTokens.forEach((queryToken, i) => {
+        candidateTokens.forEach((candidateToken, j) => {
+            pairs.push({ i, j, similarity: jaroWinkler(queryToken, candidateToken) });
+        });
+    });
+    pairs.sort((x, y) => y.similarity - x.similarity);
+
+    const pairedQuery = new Set();
+    const pairedCandidate = new Set();
+    let total = 0;
+    for (const { i, j, similarity } of pairs) {
+        if (pairedQuery.has(i) || pairedCandidate.has(j)) continue;
+        pairedQuery.add(i);
+        pairedCandidate.add(j);
+        total += similarity;
+    }
+
+    const coverage = pairedCandidate.size / candidateTokens.length;
+    return (total / queryTokens.length) * (1 - COVERAGE_WEIGHT + COVERAGE_WEIGHT * coverage);
+}
+
+/**
+ * Score a candidate name against a screened name
+ * The best of the whole-name similarity and the order-independent token
+ * score, so "Dupont Marie" matches "Marie Dupont"
+ * @param {string} query - Screened name
+ * @param {string} candidate - Candidate name
+ * @returns {number} Score between 0 and 1
+ */
+function scoreName(query, candidate) {
+    const queryTokens = nameTokens(query);
+    const candidateTokens = nameTokens(candidate);
+    if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+    return Math.max(
+        jaroWinkler(queryTokens.join(' '), candidateTokens.join(' ')),
+        scoreTokens(queryTokens, candidateTokens)
+    );
+}
+
+module.exports = {
+    normalizeName,
+    nameTokens,
+    jaroWinkler,
+    scoreName
+};
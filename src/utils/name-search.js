@@ -0,0 +1,128 @@
+// src/utils/name-search.js
+const { Pool } = require('pg');
+
+/**
+ * Searched name expressions of the name tables, written exactly as in the
+ * idx_*_names_*_trgm and idx_*_names_fts indexes of database/schema.sql
+ */
+const NAME_TABLES = {
+    person: {
+        name: 'person_names',
+        foreignKey: 'person_id',
+        names: [
+            "(COALESCE(first_name, '') || ' ' || COALESCE(middle_name, '') || ' ' || COALESCE(surname, ''))",
+            'single_string_name',
+            'original_script_name'
+        ],
+        document: "COALESCE(first_name, '') || ' ' || COALESCE(middle_name, '') || ' ' || COALESCE(surname, '') || ' ' || " +
+            "COALESCE(maiden_name, '') || ' ' || COALESCE(single_string_name, '') || ' ' || COALESCE(original_script_name, '')"
+    },
+    entity: {
+        name: 'entity_names',
+        foreignKey: 'entity_id',
+        names: ['entity_name', 'original_script_name'],
+        document: "COALESCE(entity_name, '') || ' ' || COALESCE(original_script_name, '')"
+    }
+};
+
+/**
+ * Build the ranked name search of a name table
+ * Candidate names contain every word of the query (full-text index) or are
+ * within pg_trgm.word_similarity_threshold of it (trigram indexes), which
+ * queryWithThreshold sets to the minimum similarity. Each name
+ * is scored with the best trigram similarity or word similarity of its name
+ * columns, and each profile is kept once, with its best scoring name.
+ * Searched expressions must be written exactly as in the indexes of
+ * database/schema.sql for the planner to use them; the matched name is
+ * returned with the spaces of empty name parts collapsed.
+ * @param {Object} table - Name table
+ * @param {string} table.name - Table name
+ * @param {string} table.foreignKey - Column with the profile id
+ * @param {Array<string>} table.names - Name expressions, scored and matched with trigram indexes
+ * @param {string} table.document - Text expression of the full-text index
+ * @param {string} query - Searched name
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of profiles
+ * @param {number} options.offset - Number of profiles skipped
+ * @param {number} options.minSimilarity - Minimum score, 0 to 1
+ * @param {Array<string>} options.nameTypes - Only names of these name types
+ * @returns {Object} text and values of the query
+ */
+function buildNameSearch(table, query, { limit, offset, minSimilarity, nameTypes }) {
+    const values = [query, minSimilarity];
+    const conditions = [
+        `(to_tsvector('simple'::regconfig, ${table.document}) @@ plainto_tsquery('simple'::regconfig, $1)
+            OR ${table.names.map(name => `$1 <% ${name}`).join(' OR ')})`,
+        'best_name.score >= $2'
+    ];
+
+    if (nameTypes && nameTypes.length > 0) {
+        conditions.push(`name_type = ANY($${values.length + 1})`);
+        values.push(nameTypes);
+    }
+
+    const text = `
+        SELECT * FROM (
+            SELECT DISTINCT ON (${table.foreignKey})
+                ${table.foreignKey} AS id,
+                regexp_replace(best_name.name, '\\s+', ' ', 'g') AS matched_name,
+                name_type,
+                COALESCE(is_primary, false) AS is_primary,
+                best_name.score
+            FROM ${table.name}
+            CROSS JOIN LATERAL (
+                SELECT candidate.name, GREATEST(similarity(candidate.name, $1), word_similarity($1, candidate.name)) AS score
+                FROM (VALUES ${table.names.map(name => `(NULLIF(btrim(${name}), ''))`).join(', ')}) AS candidate(name)
+                WHERE candidate.name IS NOT NULL
+                ORDER BY score DESC
+                LIMIT 1
+            ) best_name
+            WHERE ${conditions.join('\n                AND ')}
+            ORDER BY ${table.foreignKey}, best_name.score DESC, is_primary DESC, ${table.name}.id
+        ) best
+        ORDER BY score DESC, is_primary DESC, id
+        LIMIT $${values.length + 1}
+        OFFSET $${values.length + 2}
+    `;
+
+    return { text, values: [...values, limit, offset] };
+}
+
+/**
+ * Run a query with pg_trgm.word_similarity_threshold set to a minimum similarity
+ * The <% operator compares the word similarity with this setting, so it
+ * decides which names the trigram indexes return. The setting is made on the
+ * session of the query and reset afterwards; a pool is asked for a dedicated
+ * client so other queries never see it.
+ * @param {Object} db - Database pool or client
+ * @param {number} threshold - Word similarity threshold, 0 to 1
+ * @param {string} text - Query text
+ * @param {Array} values - Query values
+ * @returns {Promise<Object>} Query result
+ */
+async function queryWithThreshold(db, threshold, text, values) {
+    const client = db instanceof Pool ? await db.connect() : db;
+    let releaseError;
+
+    try {
+        await client.query("SELECT set_config('pg_trgm.word_similarity_threshold', $1, false)", [String(threshold)]);
+        return await client.query(text, values);
+    } finally {
+        try {
+            await client.query('RESET pg_trgm.word_similarity_threshold');
+        } catch (resetError) {
+            // Fails in an aborted transaction, whose rollback undoes the setting anyway;
+            // a pool client is not handed back in an unknown state
+            releaseError = resetError;
+        }
+        if (client !== db) {
+            client.release(releaseError);
+        }
+    }
+}
+
+module.exports = {
+    NAME_TABLES,
+    buildNameSearch,
+    queryWithThreshold
+};
@@ -0,0 +1,431 @@
+// src/utils/pfa-xml-writer.js
+const { once } = require('events');
+const { escapeXml } = require('./xml-escape');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Reference lists of the feed: container, element, and the attributes and
+ * text of each element built from a row of the reference table
+ */
+const REFERENCE_LISTS = {
+    countries: {
+        container: 'CountryList',
+        element: 'CountryName',
+        attributes: (row) => ({ code: row.code, name: row.name, IsTerritory: row.is_territory ? 'true' : null, ProfileURL: row.profile_url })
+    },
+    occupations: {
+        container: 'OccupationList',
+        element: 'Occupation',
+        attributes: (row) => ({ code: row.code, name: row.name })
+    },
+    relationships: {
+        container: 'RelationshipList',
+        element: 'Relationship',
+        attributes: (row) => ({ code: row.code, name: row.name })
+    },
+    sanctionsReferences: {
+        container: 'SanctionsReferencesList',
+        element: 'ReferenceName',
+        attributes: (row) => ({ code: row.code, name: row.name, status: row.status, Description2Id: row.description2_id })
+    },
+    description1Types: {
+        container: 'Description1List',
+        element: 'Description1Name',
+        attributes: (row) => ({ Description1Id: row.id, RecordType: row.record_type }),
+        text: (row) => row.description
+    },
+    description2Types: {
+        container: 'Description2List',
+        element: 'Description2Name',
+        attributes: (row) => ({ Description2Id: row.id, Description1Id: row.parent_id }),
+        text: (row) => row.description
+    },
+    description3Types: {
+        container: 'Description3List',
+        element: 'Description3Name',
+        attributes: (row) => ({ Description3Id: row.id, Description2Id: row.parent_id }),
+        text: (row) => row.description
+    },
+    dateTypes: {
+        container: 'DateTypeList',
+        element: 'DateType',
+        attributes: (row) => ({ Id: row.date_type_id, RecordType: row.record_type, name: row.name })
+    },
+    nameTypes: {
+        container: 'NameTypeList',
+        element: 'NameType',
+        attributes: (row) => ({ NameTypeID: row.name_type_id, RecordType: row.record_type }),
+        text: (row) => row.name
+    },
+    roleTypes: {
+        container: 'RoleTypeList',
+        element: 'RoleType',
+        attributes: (row) => ({ Id: row.role_type_id, name: row.name })
+    }
+};
+
+/**
+ * Whether a column holds a value worth writing
+ * @param {any} value - Column value
+ * @returns {boolean} False for null, undefined and empty strings
+ */
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Format a date column the way the feed writes profile dates (15-Mar-2012)
+ * @param {Date|string|null} date - Date column
+ * @returns {string|null} Feed date
+ */
+function formatFeedDate(date) {
+    if (!(date instanceof Date)) {
+        return hasValue(date) ? String(date) : null;
+    }
+    return `${String(date.getDate()).padStart(2, '0')}-${MONTHS[date.getMonth()]}-${date.getFullYear()}`;
+}
+
+/**
+ * Period attributes of a role, sanction or associate
+ * @param {Object} row - Row with start_* and end_* columns
+ * @returns {Object} SinceDay, SinceMonth, SinceYear, ToDay, ToMonth and ToYear
+ */
+function periodAttributes(row) {
+    return {
+        SinceDay: row.start_day,
+        SinceMonth: row.start_month,
+        SinceYear: row.start_year,
+        ToDay: row.end_day,
+        ToMonth: row.end_month,
+        ToYear: row.end_year
+    };
+}
+
+/**
+ * Group consecutive rows sharing a key, keeping their order
+ * @param {Array<Object>} rows - Rows
+ * @param {Function} key - Key of a row
+ * @returns {Array<Array<Object>>} Groups of rows
+ */
+function groupRows(rows, key) {
+    const groups = [];
+    for (const row of rows) {
+        const last = groups[groups.length - 1];
+        if (last && key(last[0]) === key(row)) {
+            last.push(row);
+        } else {
+            groups.push([row]);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Streaming writer of PFA XML files
+ * Writes profiles, reference lists and associations with the elements and
+ * attributes the processors read, so a written file loads back into the same
+ * rows. Profiles are the rows of the persons and entities tables with their
+ * child rows under the keys of getFullProfile (names, descriptions, roles,
+ * dates, birthPlaces, sanctions, addresses, documents, vessels, images and
+ * sources); sources carry the name, description and url of the information source.
+ */
+class PfaXmlWriter {
+    /**
+     * Constructor
+     * @param {Object} output - Writable stream
+     */
+    constructor(output) {
+        this.output = output;
+        this.counts = { references: 0, persons: 0, entities: 0, associations: 0 };
+    }
+
+    /**
+     * Write to the output, waiting for it to drain when its buffer is full
+     * @param {string} text - Text to write
+     */
+    async write(text) {
+        if (!this.output.write(text)) {
+            await once(this.output, 'drain');
+        }
+    }
+
+    /**
+     * Build an element
+     * @param {string} name - Element name
+     * @param {Object} attributes - Attributes, those without value are left out
+     * @param {string|Array<string>} content - Text, or child elements already built
+     * @returns {string} Element
+     */
+    element(name, attributes = {}, content = null) {
+        const attributeText = Object.entries(attributes)
+            .filter(([, value]) => hasValue(value))
+            .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+            .join('');
+
+        const children = Array.isArray(content) ? content.join('') : (hasValue(content) ? escapeXml(content) : '');
+        return children ? `<${name}${attributeText}>${children}</${name}>` : `<${name}${attributeText}/>`;
+    }
+
+    /**
+     * Build a text-only element for a column, left out when the column has no value
+     * @param {string} name - Element name
+     * @param {any} value - Column value
+     * @returns {string} Element or empty string
+     */
+    field(name, value) {
+        return hasValue(value) ? this.element(name, {}, value) : '';
+    }
+
+    /**
+     * Build a container element around child elements, empty when there are none
+     * @param {string} name - Container element name
+     * @param {Array<string>} children - Child elements
+     * @returns {string} Container element
+     */
+    container(name, children) {
+        return children.length > 0 ? `<${name}>${children.join('')}</${name}>` : '';
+    }
+
+    /**
+     * Start the file
+     * @param {Object} options - Root attributes
+     * @param {string} options.date - Feed date, YYYYMMDDHHmm
+     * @param {string} options.type - Feed type
+     */
+    async start({ date, type = 'full' } = {}) {
+        await this.write(`<?xml version="1.0" encoding="UTF-8"?>\n<PFA${date ? ` date="${escapeXml(date)}"` : ''} type="${escapeXml(type)}">\n`);
+    }
+
+    /**
+     * Write a reference list
+     * @param {string} list - Key of REFERENCE_LISTS
+     * @param {Array<Object>} rows - Rows of the reference table
+     */
+    async writeReferenceList(list, rows) {
+        const definition = REFERENCE_LISTS[list];
+        if (!definition) {
+            throw new Error(`Unknown reference list: ${list}`);
+        }
+        if (rows.length === 0) {
+            return;
+        }
+
+        await this.write(`<${definition.container}>\n`);
+        for (const row of rows) {
+            const text = definition.text ? definition.text(row) : null;
+            await this.write(`${this.element(definition.element, definition.attributes(row), text)}\n`);
+            this.counts.references++;
+        }
+        await this.write(`</${definition.container}>\n`);
+    }
+
+    /**
+     * Start the profile records
+     */
+    async startRecords() {
+        await this.write('<Records>\n');
+    }
+
+    /**
+     * End the profile records
+     */
+    async endRecords() {
+        await this.write('</Records>\n');
+    }
+
+    /**
+     * Write a person profile
+     * @param {Object} person - Person row with its child rows
+     */
+    async writePerson(person) {
+        const children = [
+            this.field('Gender', person.gender),
+            this.field('ActiveStatus', person.active_status),
+            person.deceased ? this.field('Deceased', 'true') : '',
+            this.field('ProfileNotes', person.profile_notes),
+            this.nameDetails(person.names || [], name => [
+                this.field('TitleHonorific', name.title_honorific),
+                this.field('MaidenName', name.maiden_name),
+                this.field('FirstName', name.first_name),
+                this.field('MiddleName', name.middle_name),
+                this.field('Surname', name.surname),
+                this.field('Suffix', name.suffix),
+                this.field('SingleStringName', name.single_string_name),
+                this.field('OriginalScriptName', name.original_script_name)
+            ]),
+            this.descriptions(person.descriptions || []),
+            this.container('RoleDetail', groupRows(person.roles || [], role => `${role.role_type}|${role.role_type_id}`)
+                .map(roles => this.element('Roles', { RoleType: roles[0].role_type, RoleTypeID: roles[0].role_type_id },
+                    roles.map(role => this.element('OccTitle', { OccCat: role.occupation_code, ...periodAttributes(role) }, role.title))))),
+            this.dateDetails(person.dates || []),
+            this.container('BirthPlace', (person.birthPlaces || [])
+                .map(place => this.element('Place', { name: place.place_name, country: place.country_code }))),
+            this.sanctions(person.sanctions || []),
+            ...this.addresses(person.addresses || []),
+            this.container('IDNumberTypes', groupRows(person.documents || [], document => document.document_type)
+                .map(documents => this.element('ID', { IDType: documents[0].document_type },
+                    documents.map(document => this.element('IDValue', { IDnotes: document.notes }, document.document_number))))),
+            this.images(person.images || []),
+            this.sources(person.sources || [])
+        ];
+
+        await this.write(`${this.element('Person', { id: person.id, action: person.action, date: formatFeedDate(person.date) }, children)}\n`);
+        this.counts.persons++;
+    }
+
+    /**
+     * Write an entity profile
+     * @param {Object} entity - Entity row with its child rows
+     */
+    async writeEntity(entity) {
+        const children = [
+            this.field('ActiveStatus', entity.active_status),
+            this.field('EntityType', entity.entity_type),
+            this.field('ProfileNotes', entity.profile_notes),
+            this.nameDetails(entity.names || [], name => [
+                this.field('EntityName', name.entity_name),
+                this.field('Suffix', name.suffix),
+                this.field('OriginalScriptName', name.original_script_name)
+            ]),
+            this.descriptions(entity.descriptions || []),
+            this.dateDetails(entity.dates || []),
+            this.sanctions(entity.sanctions || []),
+            ...this.addresses(entity.addresses || []),
+            ...(entity.vessels || []).map(vessel => this.element('VesselDetails', {}, [
+                this.field('VesselCallSign', vessel.call_sign),
+                this.field('VesselType', vessel.vessel_type),
+                this.field('VesselTonnage', vessel.tonnage),
+                this.field('VesselGRT', vessel.grt),
+                this.field('VesselOwner', vessel.owner),
+                this.field('VesselFlag', vessel.flag)
+            ])),
+            this.images(entity.images || []),
+            this.sources(entity.sources || [])
+        ];
+
+        await this.write(`${this.element('Entity', { id: entity.id, action: entity.action, date: formatFeedDate(entity.date) }, children)}\n`);
+        this.counts.entities++;
+    }
+
+    /**
+     * Start the associations
+     */
+    async startAssociations() {
+        await this.write('<Associations>\n');
+    }
+
+    /**
+     * End the associations
+     */
+    async endAssociations() {
+        await this.write('</Associations>\n');
+    }
+
+    /**
+     * Write the associates of a public figure or special entity
+     * @param {string} type - PublicFigure or SpecialEntity
+     * @param {number} id - Person ID of the public figure, entity ID of the special entity
+     * @param {Array<Object>} associates - Rows of public_figure_associations or special_entity_associations
+     */
+    async writeAssociation(type, id, associates) {
+        const children = associates.map(associate => this.element('Associate', {
+            id: associate.associate_id,
+            code: associate.relationship_code,
+            ex: associate.is_former ? 'true' : 'false',
+            ...periodAttributes(associate)
+        }));
+
+        await this.write(`${this.element(type, { id }, children)}\n`);
+        this.counts.associations += associates.length;
+    }
+
+    /**
+     * End the file
+     */
+    async end() {
+        await this.write('</PFA>\n');
+    }
+
+    /**
+     * Build NameDetails, one Name per run of rows sharing a name type
+     * @param {Array<Object>} names - Name rows
+     * @param {Function} nameValue - Child elements of the NameValue of a row
+     * @returns {string} NameDetails element
+     */
+    nameDetails(names, nameValue) {
+        return this.container('NameDetails', groupRows(names, name => `${name.name_type}|${name.name_type_id}`)
+            .map(group => this.element('Name', { NameType: group[0].name_type, NameTypeID: group[0].name_type_id },
+                group.map(name => this.element('NameValue', {}, nameValue(name))))));
+    }
+
+    /**
+     * Build Descriptions
+     * @param {Array<Object>} descriptions - Description rows
+     * @returns {string} Descriptions element
+     */
+    descriptions(descriptions) {
+        return this.container('Descriptions', descriptions.map(description => this.element('Description', {
+            Description1: description.description1_id,
+            Description2: description.description2_id,
+            Description3: description.description3_id
+        })));
+    }
+
+    /**
+     * Build DateDetails, one Date per run of rows sharing a date type
+     * @param {Array<Object>} dates - Date rows
+     * @returns {string} DateDetails element
+     */
+    dateDetails(dates) {
+        return this.container('DateDetails', groupRows(dates, date => `${date.date_type}|${date.date_type_id}`)
+            .map(group => this.element('Date', { DateType: group[0].date_type, DateTypeID: group[0].date_type_id },
+                group.map(date => this.element('DateValue', { Day: date.day, Month: date.month, Year: date.year, Dnotes: date.notes })))));
+    }
+
+    /**
+     * Build SanctionsReferences
+     * @param {Array<Object>} sanctions - Sanction rows
+     * @returns {string} SanctionsReferences element
+     */
+    sanctions(sanctions) {
+        return this.container('SanctionsReferences', sanctions
+            .map(sanction => this.element('Reference', periodAttributes(sanction), sanction.reference_code)));
+    }
+
+    /**
+     * Build the Address elements, repeated directly under the profile
+     * @param {Array<Object>} addresses - Address rows
+     * @returns {Array<string>} Address elements
+     */
+    addresses(addresses) {
+        return addresses.map(address => this.element('Address', {}, [
+            this.field('AddressLine', address.address_line),
+            this.field('AddressCity', address.city),
+            this.field('AddressCountry', address.country_code),
+            this.field('URL', address.url)
+        ]));
+    }
+
+    /**
+     * Build Images
+     * @param {Array<Object>} images - Image rows
+     * @returns {string} Images element
+     */
+    images(images) {
+        return this.container('Images', images
+            .map(image => this.element('Image', { URL: image.url, IsPrimary: image.is_primary ? 'true' : null })));
+    }
+
+    /**
+     * Build SourceDescription
+     * @param {Array<Object>} sources - Information sources of the profile
+     * @returns {string} SourceDescription element
+     */
+    sources(sources) {
+        return this.container('SourceDescription', sources
+            .map(source => this.element('Source', { name: source.name, description: source.description, url: source.url })));
+    }
+}
+
+module.exports = PfaXmlWriter;
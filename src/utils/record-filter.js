@@ -0,0 +1,265 @@
+// src/utils/record-filter.js
+
+/**
+ * Values of a profile record that filters can test, by field name
+ * Each field may have several values (a profile is on several sanctions
+ * lists, has several descriptions and addresses)
+ */
+const FIELDS = {
+    sanction: (record) => (record.SanctionsReferences?.[0]?.Reference || [])
+        .map(reference => (typeof reference === 'string' ? reference : reference._)),
+    description1: (record) => descriptionValues(record, 'Description1'),
+    description2: (record) => descriptionValues(record, 'Description2'),
+    description3: (record) => descriptionValues(record, 'Description3'),
+    country: (record) => [...(record.Address || []), ...(record.CompanyDetails || [])]
+        .map(address => address.AddressCountry?.[0])
+};
+
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+
+/**
+ * Description attribute values of a profile record
+ * @param {Object} record - Person or entity XML element
+ * @param {string} attribute - Description1, Description2 or Description3
+ * @returns {Array<string>} Attribute values
+ */
+function descriptionValues(record, attribute) {
+    return (record.Descriptions?.[0]?.Description || [])
+        .map(description => description.$?.[attribute]);
+}
+
+/**
+ * Normalize a value for comparison: numbers lose leading zeros, codes are case-insensitive
+ * @param {any} value - Record or expression value
+ * @returns {string|null} Normalized value, null when empty
+ */
+function normalize(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    const text = String(value).trim();
+    if (text === '') {
+        return null;
+    }
+    return /^\d+$/.test(text) ? String(Number(text)) : text.toUpperCase();
+}
+
+/**
+ * Filter expression deciding which person and entity records are loaded
+ * Comparisons test the values of a field: `sanction in (1, 5, 23)`,
+ * `description1 = 2`, `country != US`, `country not in (US, GB)`; they are
+ * combined with `and`, `or`, `not` and parentheses. A comparison holds when
+ * any value of the field matches (`!=` and `not in` when none does).
+ */
+class RecordFilter {
+    /**
+     * Constructor
+     * @param {string} expression - Filter expression
+     */
+    constructor(expression) {
+        this.expression = expression;
+        this.tokens = this.tokenize(expression);
+        this.position = 0;
+
+        this.tree = this.parseOr();
+        if (this.position < this.tokens.length) {
+            this.fail('end of expression');
+        }
+    }
+
+    /**
+     * Whether a record passes the filter
+     * @param {Object} record - Person or entity XML element
+     * @returns {boolean} True when the record matches the expression
+     */
+    matches(record) {
+        const values = new Map();
+        const fieldValues = (field) => {
+            if (!values.has(field)) {
+                values.set(field, new Set(FIELDS[field](record).map(normalize).filter(value => value !== null)));
+            }
+            return values.get(field);
+        };
+
+        const evaluate = (node) => {
+            switch (node.type) {
+                case 'or':
+                    return evaluate(node.left) || evaluate(node.right);
+                case 'and':
+                    return evaluate(node.left) && evaluate(node.right);
+                case 'not':
+                    return !evaluate(node.operand);
+                default: {
+                    const recordValues = fieldValues(node.field);
+                    const found = node.values.some(value => recordValues.has(value));
+                    return node.negate ? !found : found;
+                }
+            }
+        };
+
+        return evaluate(this.tree);
+    }
+
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - Filter expression
+     * @returns {Array<Object>} Tokens with their type, value and position
+     */
+    tokenize(expression) {
+        if (typeof expression !== 'string' || expression.trim() === '') {
+            throw new Error('Filter expression is empty');
+        }
+
+        const pattern = /\s*(?:(\(|\)|,|!=|=)|'([^']*)'|"([^"]*)"|([A-Za-z0-9_.-]+))/y;
+        const tokens = [];
+
+        while (pattern.lastIndex < expression.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(expression);
+
+            if (!match) {
+                const offset = expression.slice(start).search(/\S/);
+                if (offset === -1) break;
+                throw new Error(`Invalid filter at position ${start + offset + 1}: unexpected "${expression[start + offset]}"`);
+            }
+
+            // Position of the token itself, after the whitespace before it
+            const position = start + match[0].length - match[0].trimStart().length;
+
+            const [, symbol, single, double, word] = match;
+            if (symbol) {
+                tokens.push({ type: 'symbol', value: symbol, position });
+            } else if (word !== undefined && KEYWORDS.includes(word.toLowerCase())) {
+                tokens.push({ type: 'keyword', value: word.toLowerCase(), position });
+            } else {
+                tokens.push({ type: 'value', value: word !== undefined ? word : (single !== undefined ? single : double), position });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Consume the next token if it matches
+     * @param {string} type - Token type
+     * @param {string} value - Token value, any when omitted
+     * @returns {Object|null} Consumed token
+     */
+    accept(type, value) {
+        const token = this.tokens[this.position];
+        if (token && token.type === type && (value === undefined || token.value === value)) {
+            this.position++;
+            return token;
+        }
+        return null;
+    }
+
+    /**
+     * Consume the next token, failing when it does not match
+     * @param {string} type - Token type
+     * @param {string} value - Token value, any when omitted
+     * @param {string} expected - Description for the error message
+     * @returns {Object} Consumed token
+     */
+    expect(type, value, expected) {
+        return this.accept(type, value) || this.fail(expected);
+    }
+
+    /**
+     * Report a syntax error at the current token
+     * @param {string} expected - What was expected
+     */
+    fail(expected) {
+        const token = this.tokens[this.position];
+        const found = token ? `"${token.value}"` : 'end of expression';
+        const position = token ? token.position + 1 : this.expression.length + 1;
+        throw new Error(`Invalid filter at position ${position}: expected ${expected}, found ${found}`);
+    }
+
+    /**
+     * Parse one or more and-expressions joined by "or"
+     * @returns {Object} Expression node
+     */
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.accept('keyword', 'or')) {
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    /**
+     * Parse one or more operands joined by "and"
+     * @returns {Object} Expression node
+     */
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.accept('keyword', 'and')) {
+            node = { type: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    /**
+     * Parse a negated operand, a parenthesized expression or a comparison
+     * @returns {Object} Expression node
+     */
+    parseNot() {
+        if (this.accept('keyword', 'not')) {
+            return { type: 'not', operand: this.parseNot() };
+        }
+        if (this.accept('symbol', '(')) {
+            const node = this.parseOr();
+            this.expect('symbol', ')', '")"');
+            return node;
+        }
+        return this.parseComparison();
+    }
+
+    /**
+     * Parse a comparison of a field with "=", "!=", "in" or "not in"
+     * @returns {Object} Compare node with field, normalized values and negate flag
+     */
+    parseComparison() {
+        const fieldToken = this.expect('value', undefined, `a field (${Object.keys(FIELDS).join(', ')})`);
+        const field = fieldToken.value.toLowerCase();
+        if (!FIELDS[field]) {
+            throw new Error(`Invalid filter at position ${fieldToken.position + 1}: unknown field "${fieldToken.value}", expected one of ${Object.keys(FIELDS).join(', ')}`);
+        }
+
+        if (this.accept('symbol', '=')) {
+            return { type: 'compare', field, values: [this.parseValue()], negate: false };
+        }
+        if (this.accept('symbol', '!=')) {
+            return { type: 'compare', field, values: [this.parseValue()], negate: true };
+        }
+
+        const negate = !!this.accept('keyword', 'not');
+        this.expect('keyword', 'in', negate ? '"in"' : '"=", "!=", "in" or "not in"');
+        this.expect('symbol', '(', '"("');
+
+        const values = [this.parseValue()];
+        while (this.accept('symbol', ',')) {
+            values.push(this.parseValue());
+        }
+        this.expect('symbol', ')', '")"');
+
+        return { type: 'compare', field, values, negate };
+    }
+
+    /**
+     * Parse a value of a comparison
+     * @returns {string} Normalized value
+     */
+    parseValue() {
+        const value = normalize(this.expect('value', undefined, 'a value').value);
+        if (value === null) {
+            this.position--;
+            this.fail('a non-empty value');
+        }
+        return value;
+    }
+}
+
+module.exports = RecordFilter;
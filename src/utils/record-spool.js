@@ -0,0 +1,102 @@
+// src/utils/record-spool.js
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logging');
+
+/**
+ * Append-only spool of JSON records on disk (one record per line)
+ * Used to hold records that can only be processed in a later phase
+ */
+class RecordSpool {
+    /**
+     * Constructor
+     * @param {Object} options - Spool options
+     * @param {string} options.tempDir - Directory for the spool file
+     * @param {string} options.name - Spool name, used in the file name
+     */
+    constructor(options = {}) {
+        this.tempDir = options.tempDir || path.join(process.cwd(), 'temp');
+        this.name = options.name || 'records';
+        this.filePath = null;
+        this.stream = null;
+        this.count = 0;
+    }
+
+    /**
+     * Append a record to the spool, creating the file on first use
+     * @param {Object} record - JSON-serializable record
+     */
+    append(record) {
+        if (!this.stream) {
+            fs.mkdirSync(this.tempDir, { recursive: true });
+            this.filePath = path.join(this.tempDir, `spool_${this.name}_${Date.now()}.ndjson`);
+            this.stream = fs.createWriteStream(this.filePath, { encoding: 'utf8' });
+        }
+
+        this.stream.write(JSON.stringify(record) + '\n');
+        this.count++;
+    }
+
+    /**
+     * Flush and close the spool file
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (!this.stream) {
+            return Promise.resolve();
+        }
+
+        const stream = this.stream;
+        this.stream = null;
+
+        return new Promise((resolve, reject) => {
+            stream.on('error', reject);
+            stream.end(resolve);
+        });
+    }
+
+    /**
+     * Read the spooled records back in order
+     * @returns {AsyncGenerator<Object>} Spooled records
+     */
+    async *read() {
+        await this.close();
+
+        if (!this.filePath) {
+            return;
+        }
+
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.filePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lines) {
+            if (line) {
+                yield JSON.parse(line);
+            }
+        }
+    }
+
+    /**
+     * Close and delete the spool file
+     * @returns {Promise<void>}
+     */
+    async remove() {
+        await this.close();
+
+        if (this.filePath) {
+            try {
+                fs.unlinkSync(this.filePath);
+            } catch (error) {
+                logger.processingError(`Failed to remove spool file: ${this.filePath}`, error);
+            }
+        }
+
+        this.filePath = null;
+        this.count = 0;
+    }
+}
+
+module.exports = RecordSpool;
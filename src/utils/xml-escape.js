@@ -0,0 +1,24 @@
+// src/utils/xml-escape.js
+
+// Characters XML 1.0 does not allow, not even as character references:
+// C0 controls other than tab, line feed and carriage return, U+FFFE, U+FFFF
+// and surrogates that are not part of a pair
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Escape text or an attribute value
+ * Characters XML 1.0 does not allow are left out, so the document stays well-formed
+ * @param {any} value - Value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARACTERS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = { escapeXml };
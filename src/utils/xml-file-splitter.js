@@ -0,0 +1,332 @@
+// src/utils/xml-file-splitter.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logging');
+
+// Top-level PFA records that are safe to split on
+const DEFAULT_RECORD_ELEMENTS = ['Person', 'Entity', 'PublicFigure', 'SpecialEntity'];
+
+/**
+ * Streaming splitter for large XML files
+ * Splits a file on record element boundaries into well-formed chunk files.
+ * Every chunk repeats the XML declaration and re-opens the enclosing
+ * elements (root wrapper and section containers) that were open at the split point.
+ */
+class XmlFileSplitter {
+    /**
+     * Constructor
+     * @param {Object} options - Splitter options
+     */
+    constructor(options = {}) {
+        this.config = {
+            chunkSize: 50 * 1024 * 1024,
+            tempDir: path.join(process.cwd(), 'temp'),
+            recordElements: DEFAULT_RECORD_ELEMENTS,
+            filePrefix: 'xml_chunk_',
+            highWaterMark: 64 * 1024,
+            ...options
+        };
+
+        this.recordElements = new Set(this.config.recordElements);
+    }
+
+    /**
+     * Split an XML file into chunk files
+     * @param {string} filePath - Path to XML file
+     * @returns {Promise<Array<string>>} Array of chunk file paths
+     */
+    async split(filePath) {
+        if (!fs.existsSync(this.config.tempDir)) {
+            fs.mkdirSync(this.config.tempDir, { recursive: true });
+        }
+
+        this.reset(path.basename(filePath, path.extname(filePath)));
+
+        const stream = fs.createReadStream(filePath, {
+            encoding: 'utf8',
+            highWaterMark: this.config.highWaterMark
+        });
+
+        try {
+            for await (const data of stream) {
+                this.buffer += data;
+                await this.consume(false);
+            }
+
+            await this.consume(true);
+
+            if (this.stack.length > 0) {
+                throw new Error(`Unexpected end of file, unclosed element <${this.stack[this.stack.length - 1].name}>`);
+            }
+
+            await this.closeChunk(false);
+        } catch (error) {
+            stream.destroy();
+            await this.closeChunk(false).catch(() => {});
+            this.removeChunks();
+            logger.processingError(`Failed to split XML file: ${filePath}`, error);
+            throw error;
+        }
+
+        logger.processInfo('XML file split completed', {
+            filePath,
+            chunkCount: this.chunkPaths.length,
+            recordCount: this.recordCount
+        });
+
+        return this.chunkPaths;
+    }
+
+    /**
+     * Reset the splitter state before a new run
+     * @param {string} baseName - Base name of the source file
+     */
+    reset(baseName) {
+        this.baseName = `${this.config.filePrefix}${baseName.replace(/[^\w.-]/g, '_')}_${Date.now()}`;
+        this.buffer = '';
+        this.prolog = '';
+        this.stack = [];
+        this.openRecords = 0;
+        this.recordCount = 0;
+        this.rootSeen = false;
+        this.chunkPaths = [];
+        this.writer = null;
+        this.chunkBytes = 0;
+    }
+
+    /**
+     * Consume as much of the buffer as can be tokenized
+     * @param {boolean} final - Whether the input stream has ended
+     */
+    async consume(final) {
+        let pos = 0;
+
+        while (pos < this.buffer.length) {
+            const tagStart = this.buffer.indexOf('<', pos);
+
+            // Plain text up to the next tag (or all remaining text)
+            if (tagStart === -1) {
+                await this.writeText(this.buffer.slice(pos));
+                pos = this.buffer.length;
+                break;
+            }
+
+            if (tagStart > pos) {
+                await this.writeText(this.buffer.slice(pos, tagStart));
+                pos = tagStart;
+            }
+
+            const markupEnd = this.findMarkupEnd(tagStart);
+            if (markupEnd === -1) {
+                if (final) {
+                    throw new Error('Unexpected end of file inside markup');
+                }
+                break; // Wait for more data
+            }
+
+            await this.handleMarkup(this.buffer.slice(tagStart, markupEnd));
+            pos = markupEnd;
+        }
+
+        this.buffer = this.buffer.slice(pos);
+    }
+
+    /**
+     * Find the end offset (exclusive) of the markup starting at the given offset
+     * @param {number} start - Offset of '<'
+     * @returns {number} End offset, or -1 if the markup is incomplete
+     */
+    findMarkupEnd(start) {
+        const buffer = this.buffer;
+
+        if (buffer.startsWith('<!--', start)) {
+            const end = buffer.indexOf('-->', start + 4);
+            return end === -1 ? -1 : end + 3;
+        }
+
+        if (buffer.startsWith('<![CDATA[', start)) {
+            const end = buffer.indexOf(']]>', start + 9);
+            return end === -1 ? -1 : end + 3;
+        }
+
+        if (buffer.startsWith('<?', start)) {
+            const end = buffer.indexOf('?>', start + 2);
+            return end === -1 ? -1 : end + 2;
+        }
+
+        // Need enough characters to recognize the special forms above
+        if (buffer.length - start < 9 && buffer[start + 1] === '!') {
+            return -1;
+        }
+
+        // Element tags and declarations: stop at the first '>' outside quotes and brackets
+        let quote = null;
+        let bracketDepth = 0;
+        for (let i = start + 1; i < buffer.length; i++) {
+            const ch = buffer[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === '[') {
+                bracketDepth++;
+            } else if (ch === ']') {
+                bracketDepth--;
+            } else if (ch === '>' && bracketDepth <= 0) {
+                return i + 1;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Handle a complete markup token
+     * @param {string} markup - Markup text including angle brackets
+     */
+    async handleMarkup(markup) {
+        // Declarations, processing instructions and comments before the root element form the prolog
+        if (markup.startsWith('<?') || markup.startsWith('<!')) {
+            if (!this.rootSeen && !markup.startsWith('<![CDATA[')) {
+                this.prolog += markup + '\n';
+                return;
+            }
+            await this.write(markup);
+            return;
+        }
+
+        // Closing tag
+        if (markup.startsWith('</')) {
+            const name = markup.slice(2, -1).trim();
+            const open = this.stack.pop();
+
+            if (!open || open.name !== name) {
+                throw new Error(`Mismatched closing tag </${name}>${open ? `, expected </${open.name}>` : ''}`);
+            }
+
+            await this.write(markup);
+
+            if (this.recordElements.has(name)) {
+                this.openRecords--;
+                this.recordCount++;
+            }
+            return;
+        }
+
+        // Opening or self-closing tag
+        const name = markup.slice(1).match(/^[^\s/>]+/)[0];
+        const selfClosing = markup.endsWith('/>');
+        const isRecord = this.recordElements.has(name);
+        this.rootSeen = true;
+
+        // Only split in front of a top-level record, once the chunk is full
+        if (isRecord && this.openRecords === 0 && this.writer && this.chunkBytes >= this.config.chunkSize) {
+            await this.closeChunk(true);
+        }
+
+        await this.write(markup);
+
+        if (selfClosing) {
+            if (isRecord) {
+                this.recordCount++;
+            }
+            return;
+        }
+
+        this.stack.push({ name, startTag: markup });
+        if (isRecord) {
+            this.openRecords++;
+        }
+    }
+
+    /**
+     * Write character data to the current chunk
+     * Whitespace between chunks is dropped to avoid empty trailing chunks.
+     * @param {string} text - Character data
+     */
+    async writeText(text) {
+        if (!this.writer && text.trim() === '') {
+            return;
+        }
+        await this.write(text);
+    }
+
+    /**
+     * Write to the current chunk, opening a new chunk file if needed
+     * @param {string} text - Text to write
+     */
+    async write(text) {
+        if (!this.writer) {
+            await this.openChunk();
+        }
+
+        this.chunkBytes += Buffer.byteLength(text, 'utf8');
+
+        if (!this.writer.write(text)) {
+            await new Promise(resolve => this.writer.once('drain', resolve));
+        }
+    }
+
+    /**
+     * Open a new chunk file and re-open the enclosing elements
+     */
+    async openChunk() {
+        const chunkPath = path.join(
+            this.config.tempDir,
+            `${this.baseName}_${String(this.chunkPaths.length + 1).padStart(4, '0')}.xml`
+        );
+
+        this.writer = fs.createWriteStream(chunkPath, { encoding: 'utf8' });
+        this.chunkPaths.push(chunkPath);
+        this.chunkBytes = 0;
+
+        const header = this.prolog + this.stack.map(element => element.startTag).join('\n');
+        if (header) {
+            this.chunkBytes += Buffer.byteLength(header, 'utf8');
+            this.writer.write(header);
+        }
+    }
+
+    /**
+     * Close the current chunk file
+     * @param {boolean} closeOpenElements - Whether to close the enclosing elements first
+     */
+    async closeChunk(closeOpenElements) {
+        if (!this.writer) {
+            return;
+        }
+
+        const writer = this.writer;
+        this.writer = null;
+
+        if (closeOpenElements && this.stack.length > 0) {
+            const footer = this.stack
+                .slice()
+                .reverse()
+                .map(element => `</${element.name}>`)
+                .join('\n');
+            writer.write('\n' + footer + '\n');
+        }
+
+        await new Promise((resolve, reject) => {
+            writer.once('error', reject);
+            writer.end(resolve);
+        });
+    }
+
+    /**
+     * Remove chunk files written by the current run
+     */
+    removeChunks() {
+        for (const chunkPath of this.chunkPaths) {
+            try {
+                fs.unlinkSync(chunkPath);
+            } catch (e) {
+                // Ignore files that were never created
+            }
+        }
+        this.chunkPaths = [];
+    }
+}
+
+module.exports = XmlFileSplitter;
@@ -0,0 +1,182 @@
+// src/utils/xml-structure-validator.js
+const fs = require('fs');
+const expat = require('node-expat');
+const logger = require('./logging');
+
+// Children of profile records read by the person and entity processors
+const PERSON_CHILDREN = [
+    'Gender', 'ActiveStatus', 'Deceased', 'ProfileNotes', 'NameDetails', 'Descriptions',
+    'RoleDetail', 'DateDetails', 'BirthPlace', 'SanctionsReferences', 'Address',
+    'IDNumberTypes', 'Images', 'SourceDescription'
+];
+const ENTITY_CHILDREN = [
+    'ActiveStatus', 'EntityType', 'ProfileNotes', 'NameDetails', 'Descriptions',
+    'DateDetails', 'SanctionsReferences', 'Address', 'CompanyDetails', 'VesselDetails',
+    'Images', 'SourceDescription'
+];
+
+/**
+ * Structural rules of the PFA format, by element name
+ * required: attributes the processors cannot do without
+ * children: known child elements; others are reported as warnings because
+ * their content would be silently ignored
+ */
+const PFA_RULES = {
+    Person: { required: ['id'], children: PERSON_CHILDREN },
+    Entity: { required: ['id'], children: ENTITY_CHILDREN },
+    PublicFigure: { required: ['id'], children: ['Associate'] },
+    SpecialEntity: { required: ['id'], children: ['Associate'] },
+    Associate: { required: ['id', 'code'] },
+    CountryName: { required: ['code', 'name'] },
+    Occupation: { required: ['code', 'name'] },
+    Relationship: { required: ['code', 'name'] },
+    ReferenceName: { required: ['code', 'name'] },
+    Description1Name: { required: ['Description1Id'] },
+    Description2Name: { required: ['Description2Id', 'Description1Id'] },
+    Description3Name: { required: ['Description3Id', 'Description2Id'] },
+    DateType: { required: ['Id'] },
+    NameType: { required: ['NameTypeID'] },
+    RoleType: { required: ['Id'] }
+};
+
+/**
+ * Streaming structural validator for PFA XML files
+ * Checks well-formedness, the root element, required attributes and the
+ * children of profile records, reporting each violation with its line and column
+ */
+class XmlStructureValidator {
+    /**
+     * Constructor
+     * @param {Object} options - Validator options
+     * @param {string} options.rootElement - Expected root element
+     * @param {Object} options.rules - Element rules, see PFA_RULES
+     * @param {number} options.maxViolations - Violations kept in the report (all are counted)
+     */
+    constructor(options = {}) {
+        this.config = {
+            rootElement: 'PFA',
+            rules: PFA_RULES,
+            maxViolations: 1000,
+            highWaterMark: 64 * 1024,
+            ...options
+        };
+    }
+
+    /**
+     * Validate an XML file
+     * @param {string} filePath - Path to XML file
+     * @returns {Promise<Object>} Validation report
+     */
+    validate(filePath) {
+        const report = {
+            filePath,
+            valid: true,
+            errorCount: 0,
+            warningCount: 0,
+            errors: [],
+            warnings: [],
+            elementCounts: {}
+        };
+
+        const parser = new expat.Parser('UTF-8');
+        const stack = [];
+
+        const addViolation = (severity, element, message) => {
+            const violation = {
+                // expat columns are 0-based
+                line: parser.getCurrentLineNumber(),
+                column: parser.getCurrentColumnNumber() + 1,
+                element,
+                message
+            };
+
+            if (severity === 'error') {
+                report.errorCount++;
+                if (report.errors.length < this.config.maxViolations) {
+                    report.errors.push(violation);
+                }
+            } else {
+                report.warningCount++;
+                if (report.warnings.length < this.config.maxViolations) {
+                    report.warnings.push(violation);
+                }
+            }
+        };
+
+        parser.on('startElement', (name, attributes) => {
+            report.elementCounts[name] = (report.elementCounts[name] || 0) + 1;
+
+            if (stack.length === 0 && name !== this.config.rootElement) {
+                addViolation('error', name, `Unexpected root element <${name}>, expected <${this.config.rootElement}>`);
+            }
+
+            const parentRule = stack.length > 0 ? this.config.rules[stack[stack.length - 1]] : null;
+            if (parentRule && parentRule.children && !parentRule.children.includes(name)) {
+                addViolation('warning', name, `Unknown child <${name}> of <${stack[stack.length - 1]}> will be ignored`);
+            }
+
+            const rule = this.config.rules[name];
+            if (rule && rule.required) {
+                for (const attribute of rule.required) {
+                    if (!attributes[attribute] || !attributes[attribute].trim()) {
+                        addViolation('error', name, `<${name}> is missing required attribute "${attribute}"`);
+                    }
+                }
+            }
+
+            stack.push(name);
+        });
+
+        parser.on('endElement', () => {
+            stack.pop();
+        });
+
+        return new Promise((resolve, reject) => {
+            const stream = fs.createReadStream(filePath, { highWaterMark: this.config.highWaterMark });
+            let done = false;
+
+            const fail = () => {
+                // Well-formedness errors stop the parser, so this is always the last violation
+                addViolation('error', stack[stack.length - 1] || null, `Malformed XML: ${parser.getError()}`);
+                stream.destroy();
+                finish();
+            };
+
+            const finish = () => {
+                done = true;
+                report.valid = report.errorCount === 0;
+                logger.processInfo('XML structure validation completed', {
+                    filePath,
+                    valid: report.valid,
+                    errorCount: report.errorCount,
+                    warningCount: report.warningCount
+                });
+                resolve(report);
+            };
+
+            stream.on('data', (chunk) => {
+                if (!done && !parser.parse(chunk, false)) {
+                    fail();
+                }
+            });
+
+            stream.on('end', () => {
+                if (done) {
+                    return;
+                }
+                if (!parser.parse('', true)) {
+                    fail();
+                    return;
+                }
+                finish();
+            });
+
+            stream.on('error', (error) => {
+                logger.processingError(`Failed to read XML file for validation: ${filePath}`, error);
+                reject(error);
+            });
+        });
+    }
+}
+
+module.exports = XmlStructureValidator;
@@ -0,0 +1,113 @@
+const ApiServer = require('../src/services/api-server');
+
+const persons = [
+  { id: 1, gender: 'Female', active_status: 'Active', deceased: false },
+  { id: 2, gender: 'Male', active_status: 'Active', deceased: false }
+];
+
+const createPool = () => ({
+  query: jest.fn(async (text, values) => {
+    if (text.includes('FROM persons')) {
+      const [limit, offset] = values.slice(-2);
+      return { rows: persons.slice(offset, offset + limit) };
+    }
+    if (text.includes('FROM countries')) {
+      return { rows: [{ code: 'FR', name: 'France' }] };
+    }
+    if (text.includes('FROM associations a')) {
+      return { rows: values[0].includes(1) ? [{ id: 7, source_id: 1, source_type: 'PERSON', target_id: 3, target_type: 'ENTITY', bi_directional: false }] : [] };
+    }
+    return { rows: [] };
+  })
+});
+
+describe('ApiServer', () => {
+  let pool;
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    pool = createPool();
+    server = new ApiServer(pool, { port: 0, defaultLimit: 1, maxLimit: 10, maxDepth: 3 });
+    const address = await server.start();
+    baseUrl = `http://127.0.0.1:${address.port}`;
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('should paginate lists and pass filters to the models', async () => {
+    const first = await (await fetch(`${baseUrl}/persons?gender=Female&deceased=false`)).json();
+    expect(first).toEqual({ data: [persons[0]], pagination: { limit: 1, offset: 0, next: 1 } });
+
+    const [query, values] = pool.query.mock.calls[0];
+    expect(query).toContain('gender = $1');
+    expect(query).toContain('deceased = $2');
+    expect(values).toEqual(['Female', false, 1, 0]);
+
+    const last = await (await fetch(`${baseUrl}/persons?limit=10&offset=1`)).json();
+    expect(last.pagination).toEqual({ limit: 10, offset: 1, next: null });
+
+    const countries = await (await fetch(`${baseUrl}/reference/countries`)).json();
+    expect(countries.data).toEqual([{ code: 'FR', name: 'France' }]);
+    expect(pool.query.mock.calls[2][0]).toContain('ORDER BY code');
+  });
+
+  test('should serve profiles, search results and networks', async () => {
+    server.models.person.getFullProfile = jest.fn(async id => (id === 1 ? { id: 1, names: [] } : null));
+    server.searchService.search = jest.fn(async () => [{ type: 'person', id: 1, score: 0.9 }]);
+
+    const profile = await fetch(`${baseUrl}/persons/1`);
+    expect(profile.status).toBe(200);
+    expect(await profile.json()).toEqual({ data: { id: 1, names: [] } });
+
+    const search = await (await fetch(`${baseUrl}/search?q=Dupont&type=entity&min_similarity=0.5&name_type=Primary%20Name`)).json();
+    expect(search).toEqual({ data: [{ type: 'person', id: 1, score: 0.9 }], pagination: { limit: 1, offset: 0, next: 1 } });
+    expect(server.searchService.search).toHaveBeenCalledWith('Dupont', {
+      limit: 1, offset: 0, minSimilarity: 0.5, nameTypes: ['Primary Name'], types: ['entity']
+    });
+
+    const network = await (await fetch(`${baseUrl}/network/person/1?depth=3&category=Family&category=Business&former=false`)).json();
+    expect(network).toMatchObject({ depth: 3, limit: 10, truncated: false });
+    expect(network.data.nodes).toEqual([{ id: 1, type: 'PERSON', distance: 0 }, { id: 3, type: 'ENTITY', distance: 1 }]);
+    expect(network.data.edges).toMatchObject([{ id: 7, target_type: 'ENTITY', depth: 1 }]);
+    const [networkQuery, networkValues] = pool.query.mock.calls.find(([text]) => text.includes('FROM associations a'));
+    expect(networkQuery).toContain('a.is_former IS NOT TRUE');
+    expect(networkValues).toEqual([[1], [], ['Family', 'Business']]);
+  });
+
+  test('should answer errors as JSON with their status', async () => {
+    server.models.person.getFullProfile = jest.fn(async () => null);
+    pool.query.mockImplementationOnce(async () => {
+      throw new Error('connection refused');
+    });
+
+    const expectError = async (path, status, message, init) => {
+      const response = await fetch(`${baseUrl}${path}`, init);
+      expect(response.status).toBe(status);
+      expect(response.headers.get('content-type')).toContain('application/json');
+      const body = await response.json();
+      expect(body.error.status).toBe(status);
+      expect(body.error.message).toContain(message);
+      return response;
+    };
+
+    await expectError('/entities', 500, 'Internal server error');
+    await expectError('/persons/99', 404, 'Person 99 not found');
+    await expectError('/persons/2147483648', 400, 'Invalid id: 2147483648');
+    await expectError('/entities/99999999999999999999', 400, 'Invalid id: 99999999999999999999');
+    await expectError('/network/person/2147483648', 400, 'Invalid id: 2147483648');
+    await expectError('/unknown', 404, 'No route for /unknown');
+    await expectError('/reference/persons', 404, 'Unknown reference table: persons');
+    await expectError('/search', 400, 'q is required');
+    await expectError('/search?q=Dupont&min_similarity=1.5', 400, 'Invalid min_similarity: 1.5');
+    await expectError('/persons?limit=11', 400, 'Invalid limit: 11');
+    await expectError('/network/vessel/1', 400, 'Invalid type: vessel');
+    await expectError('/network/person/1?depth=4', 400, 'Invalid depth: 4');
+    await expectError('/network/person/1?direction=up', 400, 'Invalid direction: up');
+
+    const response = await expectError('/persons', 405, 'read-only', { method: 'POST' });
+    expect(response.headers.get('allow')).toBe('GET, HEAD');
+  });
+});
@@ -0,0 +1,118 @@
+const AssociationModel = require('../src/models/association-model');
+
+// P1 -Wife-> P2, P1 -Business Associate (former)-> E5 -> E6, E6 -Director-> P2,
+// P2 -Sibling-> P1 (a cycle), P2 -Sibling-> P4 -Director-> E6 (a longer path);
+// Sibling is the only bi-directional association type
+const associations = [
+  { id: 7, source_id: 1, source_type: 'PERSON', target_id: 2, target_type: 'PERSON', relationship_code: 3, is_former: false, relationship_name: 'Wife', category: 'Family', bi_directional: false },
+  { id: 8, source_id: 1, source_type: 'PERSON', target_id: 5, target_type: 'ENTITY', relationship_code: 21, is_former: true, relationship_name: 'Business Associate', category: 'Business', bi_directional: false },
+  { id: 9, source_id: 5, source_type: 'ENTITY', target_id: 6, target_type: 'ENTITY', relationship_code: null, is_former: false, relationship_name: null, category: null, bi_directional: false },
+  { id: 10, source_id: 6, source_type: 'ENTITY', target_id: 2, target_type: 'PERSON', relationship_code: 30, is_former: false, relationship_name: 'Director', category: 'Business', bi_directional: false },
+  { id: 11, source_id: 2, source_type: 'PERSON', target_id: 1, target_type: 'PERSON', relationship_code: 4, is_former: false, relationship_name: 'Sibling', category: 'Family', bi_directional: true },
+  { id: 12, source_id: 2, source_type: 'PERSON', target_id: 4, target_type: 'PERSON', relationship_code: 4, is_former: false, relationship_name: 'Sibling', category: 'Family', bi_directional: true },
+  { id: 13, source_id: 4, source_type: 'PERSON', target_id: 6, target_type: 'ENTITY', relationship_code: 30, is_former: false, relationship_name: 'Director', category: 'Business', bi_directional: false }
+];
+
+const createDb = () => ({
+  query: jest.fn(async (text, [personIds, entityIds, categories]) => {
+    const touches = (type, id) => (type === 'PERSON' ? personIds : entityIds).includes(id);
+    return {
+      rows: associations.filter(row =>
+        (touches(row.source_type, row.source_id) || touches(row.target_type, row.target_id))
+        && !(text.includes('is_former IS NOT TRUE') && row.is_former)
+        && !(text.includes('is_former IS TRUE') && !row.is_former)
+        && !(text.includes('t.category = ANY') && !categories.includes(row.category)))
+    };
+  })
+});
+
+const hopIds = path => path.hops.map(hop => hop.association_id);
+
+describe('AssociationModel', () => {
+  test('should return every shortest path, following associations both ways', async () => {
+    const db = createDb();
+    const paths = await new AssociationModel(db).findPaths({ id: 1, type: 'person' }, { id: 6, type: 'ENTITY' });
+
+    expect(paths.map(hopIds)).toEqual([[8, 9], [7, 10], [11, 10]]);
+    expect(paths.every(path => path.length === 2)).toBe(true);
+    expect(paths[0].hops[0]).toEqual({
+      association_id: 8,
+      from_id: 1,
+      from_type: 'PERSON',
+      to_id: 5,
+      to_type: 'ENTITY',
+      relationship_code: 21,
+      relationship_name: 'Business Associate',
+      is_former: true,
+      reversed: false
+    });
+    expect(paths[1].hops[1]).toMatchObject({ from_id: 2, from_type: 'PERSON', to_id: 6, to_type: 'ENTITY', relationship_name: 'Director', reversed: true });
+
+    // The search stops at the depth where the end profile is reached
+    expect(db.query).toHaveBeenCalledTimes(2);
+    expect(db.query.mock.calls[1][1]).toEqual([[2], [5]]);
+  });
+
+  test('should honour excludeFormer, maxDepth and limit', async () => {
+    const model = new AssociationModel(createDb());
+    const from = { id: 1, type: 'PERSON' };
+    const to = { id: 6, type: 'ENTITY' };
+
+    expect((await model.findPaths(from, to, { excludeFormer: true })).map(hopIds)).toEqual([[7, 10], [11, 10]]);
+    expect(await model.findPaths(from, to, { maxDepth: 1 })).toEqual([]);
+    expect((await model.findPaths(from, to, { limit: 1 })).map(hopIds)).toEqual([[8, 9]]);
+    expect(await model.findPaths(from, { id: 99, type: 'PERSON' })).toEqual([]);
+  });
+
+  test('should reject invalid or identical profiles', async () => {
+    const model = new AssociationModel(createDb());
+
+    await expect(model.findPaths({ id: 1, type: 'PERSON' }, { id: 1, type: 'person' })).rejects.toThrow('must be different profiles');
+    await expect(model.findPaths({ id: 1, type: 'VESSEL' }, { id: 2, type: 'PERSON' })).rejects.toThrow('type of PERSON or ENTITY');
+    await expect(model.findPaths({ type: 'PERSON' }, { id: 2, type: 'PERSON' })).rejects.toThrow('must have an id');
+  });
+
+  test('should expand each profile once and return nodes and edges at their minimum distance', async () => {
+    const db = createDb();
+    const network = await new AssociationModel(db).getAssociationNetwork({ id: 1, type: 'PERSON', depth: 3 });
+
+    expect(network.nodes).toEqual([
+      { id: 1, type: 'PERSON', distance: 0 },
+      { id: 2, type: 'PERSON', distance: 1 },
+      { id: 5, type: 'ENTITY', distance: 1 },
+      { id: 6, type: 'ENTITY', distance: 2 },
+      { id: 4, type: 'PERSON', distance: 2 }
+    ]);
+    expect(network.edges.map(edge => [edge.id, edge.depth])).toEqual([[7, 1], [8, 1], [11, 1], [9, 2], [10, 2], [12, 2], [13, 3]]);
+    expect(network.truncated).toBe(false);
+    expect(db.query.mock.calls.map(([, values]) => values)).toEqual([[[1], []], [[2], [5]], [[4], [6]]]);
+  });
+
+  test('should follow directed associations one way unless their type is bi-directional', async () => {
+    const model = new AssociationModel(createDb());
+    const edgeIds = async options => (await model.getAssociationNetwork({ id: 2, type: 'PERSON', depth: 1, ...options })).edges.map(edge => edge.id);
+
+    expect(await edgeIds({ direction: 'outgoing' })).toEqual([11, 12]);
+    expect(await edgeIds({ direction: 'incoming' })).toEqual([7, 10, 11, 12]);
+    expect(await edgeIds({})).toEqual([7, 10, 11, 12]);
+    await expect(model.getAssociationNetwork({ id: 2, direction: 'up' })).rejects.toThrow('Invalid direction: up');
+  });
+
+  test('should filter the network by category and is_former and stop at the limit', async () => {
+    const model = new AssociationModel(createDb());
+
+    const family = await model.getAssociationNetwork({ id: 1, type: 'PERSON', depth: 3, categories: ['Family'] });
+    expect(family.edges.map(edge => edge.id)).toEqual([7, 11, 12]);
+    expect(family.nodes.map(node => node.id)).toEqual([1, 2, 4]);
+
+    const current = await model.getAssociationNetwork({ id: 1, type: 'PERSON', depth: 1, isFormer: false });
+    expect(current.edges.map(edge => edge.id)).toEqual([7, 11]);
+    const former = await model.getAssociationNetwork({ id: 1, type: 'PERSON', depth: 1, isFormer: true });
+    expect(former.edges.map(edge => edge.id)).toEqual([8]);
+
+    const limited = await model.getAssociationNetwork({ id: 1, type: 'PERSON', depth: 3, limit: 2 });
+    expect(limited.edges.map(edge => edge.id)).toEqual([7, 8]);
+    expect(limited.nodes).toHaveLength(3);
+    expect(limited.truncated).toBe(true);
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XmlStream = require('xml-stream');
+const AssociationProcessor = require('../src/processors/association-processor');
+
+const PROFILE_TYPES = { 1: 'PERSON', 2: 'PERSON', 3: 'ENTITY', 10: 'ENTITY' };
+
+const createProcessor = (tempDir) => {
+  const db = {
+    query: jest.fn(async (text, values) => {
+      if (text.includes('CASE')) {
+        return { rows: [{ type: PROFILE_TYPES[values[0]] || null }] };
+      }
+      return { rows: [], rowCount: 0 };
+    })
+  };
+  const models = {
+    association: {
+      create: jest.fn().mockResolvedValue({}),
+      createPublicFigureAssociation: jest.fn().mockResolvedValue({}),
+      createSpecialEntityAssociation: jest.fn().mockResolvedValue({})
+    }
+  };
+
+  return { db, models, processor: new AssociationProcessor(db, models, { tempDir }) };
+};
+
+const streamFile = (filePath, processor) => new Promise((resolve, reject) => {
+  const xml = new XmlStream(fs.createReadStream(filePath), 'utf8');
+  processor.setupHandlers(xml);
+  xml.on('end', resolve);
+  xml.on('error', reject);
+});
+
+describe('AssociationProcessor', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-assoc-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should defer associations until profiles are loaded', async () => {
+    const filePath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(filePath, [
+      '<PFA><Associations>',
+      '<PublicFigure id="1"><Associate id="2" code="1" ex="No"/><Associate id="3" code="2" ex="No"/><Associate id="99" code="1" ex="No"/></PublicFigure>',
+      '<SpecialEntity id="10"><Associate id="1" code="5" ex="No"/></SpecialEntity>',
+      '<PublicFigure id="77"><Associate id="2" code="1" ex="No"/></PublicFigure>',
+      '</Associations></PFA>'
+    ].join('\n'));
+
+    const { db, models, processor } = createProcessor(tempDir);
+    await streamFile(filePath, processor);
+
+    expect(db.query).not.toHaveBeenCalled();
+    expect(processor.spool.count).toBe(3);
+
+    await processor.resolveDeferred();
+
+    expect(models.association.create.mock.calls.map(([record]) => [record.target_id, record.target_type])).toEqual([
+      [2, 'PERSON'],
+      [3, 'ENTITY'],
+      [1, 'PERSON']
+    ]);
+    expect(models.association.createSpecialEntityAssociation).toHaveBeenCalledWith(
+      expect.objectContaining({ special_entity_id: 10, associate_id: 1, associate_type: 'PERSON' })
+    );
+
+    // Associate 99 does not exist, and neither does public figure 77
+    expect(processor.stats.unresolvedAssociates).toBe(2);
+    expect(processor.stats.counts.associations).toBe(3);
+    expect(fs.readdirSync(tempDir).filter(file => file.startsWith('spool_'))).toEqual([]);
+  });
+
+  test('should keep other associates when one fails', async () => {
+    const { db, models, processor } = createProcessor(tempDir);
+    models.association.create.mockRejectedValueOnce(new Error('constraint violation'));
+
+    await processor.processPublicFigure({ id: 1, associates: [{ id: '2', code: '1' }, { id: '3', code: '1' }] });
+
+    const statements = db.query.mock.calls.map(call => call[0]).filter(text => !text.includes('CASE'));
+    expect(statements).toEqual([
+      'BEGIN',
+      'SAVEPOINT associate',
+      'ROLLBACK TO SAVEPOINT associate',
+      'SAVEPOINT associate',
+      'RELEASE SAVEPOINT associate',
+      'COMMIT'
+    ]);
+    expect(processor.stats.counts.publicFigureAssociations).toBe(1);
+  });
+});
@@ -0,0 +1,82 @@
+const { Readable, PassThrough } = require('stream');
+const BatchScreeningService = require('../src/services/batch-screening-service');
+const ScreeningService = require('../src/services/screening-service');
+
+const collect = (output) => {
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks).toString();
+};
+
+const createDb = () => ({
+  query: jest.fn(async (text, values) => {
+    if (text.includes('FROM person_sanctions')) {
+      return {
+        rows: [
+          { profile_id: 1, name: 'OFAC - Specially Designated Nationals' },
+          { profile_id: 1, name: 'EU Consolidated List' },
+          { profile_id: 1, name: 'EU Consolidated List' }
+        ].filter(row => values[0].includes(row.profile_id))
+      };
+    }
+    return { rows: [] };
+  })
+});
+
+describe('BatchScreeningService', () => {
+  let screen;
+
+  beforeEach(() => {
+    screen = jest.spyOn(ScreeningService.prototype, 'screen').mockImplementation(async (name) => ({
+      truncated: name === 'John Smith',
+      matches: name === 'Marie Dupont'
+        ? [
+          { id: 1, type: 'person', score: 1, matchedName: 'Marie Dupont', nameType: 'Primary Name', primaryName: 'Marie Dupont', dobMatch: true, countryMatch: null },
+          { id: 3, type: 'person', score: 0.9, matchedName: 'Mari Dupont', nameType: 'Also Known As', primaryName: 'Maria Lopez', dobMatch: null, countryMatch: null }
+        ]
+        : []
+    }));
+  });
+
+  afterEach(() => {
+    screen.mockRestore();
+  });
+
+  test('should write one report row per hit with the sanction list names', async () => {
+    const db = createDb();
+    const input = Readable.from(['Customer_ID,Name,DOB,Nationality\nC1,Marie Dupont,1965-02,FR\nC2,John Smith,,\nC3,,,\n']);
+    const output = new PassThrough();
+    const text = collect(output);
+
+    const stats = await new BatchScreeningService(db, { idColumn: 'customer_id', threshold: 0.9, maxHits: 5 })
+      .screenFile(input, output);
+
+    expect(stats).toMatchObject({ customers: 3, hits: 2, customersWithHits: 1, skipped: 1, invalid: 0, truncated: 1 });
+    expect(screen).toHaveBeenCalledWith('Marie Dupont', { type: null, dob: '1965-02', country: 'FR' });
+    expect(screen).toHaveBeenCalledWith('John Smith', { type: null, dob: null, country: null });
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(text().split('\r\n')).toEqual([
+      'row,customer_id,customer_name,customer_dob,customer_nationality,profile_type,profile_id,primary_name,matched_name,name_type,score,dob_match,country_match,sanctions',
+      '1,C1,Marie Dupont,1965-02,FR,person,1,Marie Dupont,Marie Dupont,Primary Name,1,true,,OFAC - Specially Designated Nationals | EU Consolidated List',
+      '1,C1,Marie Dupont,1965-02,FR,person,3,Maria Lopez,Mari Dupont,Also Known As,0.9,,,',
+      ''
+    ]);
+  });
+
+  test('should count customers with an invalid date of birth without screening them', async () => {
+    const input = Readable.from(['name;dob\nMarie Dupont;14/02/1965\n']);
+    const output = new PassThrough();
+
+    const stats = await new BatchScreeningService(createDb(), { delimiter: ';' }).screenFile(input, output);
+
+    expect(stats).toMatchObject({ customers: 1, hits: 0, invalid: 1 });
+    expect(screen).not.toHaveBeenCalled();
+  });
+
+  test('should fail when the name column is missing', async () => {
+    const input = Readable.from(['customer,dob\nMarie Dupont,1965\n']);
+
+    await expect(new BatchScreeningService(createDb()).screenFile(input, new PassThrough()))
+      .rejects.toThrow('Name column "name" not found in the input (columns: customer, dob)');
+  });
+});
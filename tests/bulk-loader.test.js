@@ -0,0 +1,143 @@
+const BulkLoader = require('../src/services/bulk-loader');
+const PersonProcessor = require('../src/processors/person-processor');
+const { PersonModel, EntityModel, InformationSourceModel } = require('../src/models/models-index');
+
+const createLoader = (options = {}) => {
+  const db = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+  const loader = new BulkLoader(db, options);
+  jest.spyOn(loader, 'copyToStaging').mockResolvedValue();
+
+  const models = loader.createModels({
+    person: new PersonModel(db),
+    entity: new EntityModel(db),
+    informationSource: new InformationSourceModel(db)
+  });
+
+  return { db, loader, models };
+};
+
+const statements = (db) => db.query.mock.calls.map(call => call[0].replace(/\s+/g, ' ').trim());
+
+describe('BulkLoader', () => {
+  test('should buffer prepared rows instead of querying', async () => {
+    const { db, loader, models } = createLoader();
+
+    await models.person.upsert({ id: 42, gender: ' Female ' });
+    await models.person.insertName({ person_id: 42, first_name: ' Jane ', surname: 'Doe' });
+    await models.informationSource.addPersonSource(42, 7);
+
+    expect(db.query).not.toHaveBeenCalled();
+    expect(loader.buffers.profiles.person.get(42).gender).toBe('Female');
+    expect(loader.buffers.children.person_names.rows[0]).toMatchObject({ person_id: 42, first_name: 'Jane', is_primary: true });
+    expect(loader.buffers.children.person_sources.rows).toEqual([{ person_id: 42, source_id: 7 }]);
+  });
+
+  test('should keep only the latest occurrence of a profile in a batch', async () => {
+    const { loader, models } = createLoader();
+
+    await models.person.upsert({ id: 42 });
+    await models.person.insertName({ person_id: 42, first_name: 'Old' });
+    await models.person.upsert({ id: 42 });
+    await models.person.insertName({ person_id: 42, first_name: 'New' });
+    await models.entity.upsert({ id: 9 });
+    await models.entity.insertName({ entity_id: 9, single_string_name: 'Acme' });
+    await models.entity.deleteProfile(9);
+
+    expect(loader.buffers.children.person_names.rows.map(row => row.first_name)).toEqual(['New']);
+    expect(loader.buffers.profiles.entity.size).toBe(0);
+    expect(loader.buffers.children.entity_names.rows).toEqual([]);
+    expect([...loader.buffers.deletes.entity]).toEqual([9]);
+  });
+
+  test('should merge a batch in one transaction, replacing child rows', async () => {
+    const { db, loader, models } = createLoader();
+
+    await models.person.deleteProfile(7);
+    await models.person.upsert({ id: 42 });
+    await models.person.insertName({ person_id: 42, first_name: 'Jane' });
+    await loader.flush();
+
+    const sql = statements(db);
+    expect(sql[0]).toBe('BEGIN');
+    expect(sql[sql.length - 1]).toBe('COMMIT');
+
+    const upsertIndex = sql.findIndex(text => text.startsWith('INSERT INTO persons'));
+    const clearIndex = sql.findIndex(text => text === 'DELETE FROM person_names WHERE person_id = ANY($1)');
+    const namesIndex = sql.findIndex(text => text.startsWith('INSERT INTO person_names'));
+
+    expect(sql.findIndex(text => text.startsWith('DELETE FROM persons'))).toBeLessThan(upsertIndex);
+    expect(upsertIndex).toBeLessThan(clearIndex);
+    expect(clearIndex).toBeLessThan(namesIndex);
+    expect(sql[upsertIndex]).toContain('ON CONFLICT (id) DO UPDATE');
+    expect(db.query.mock.calls[clearIndex][1]).toEqual([[42]]);
+    expect(loader.copyToStaging).toHaveBeenCalledWith('persons', [expect.objectContaining({ id: 42 })]);
+    expect(loader.getBufferedCount()).toBe(0);
+  });
+
+  test('should roll back a failed batch', async () => {
+    const { db, loader, models } = createLoader();
+    loader.copyToStaging.mockRejectedValueOnce(new Error('copy failed'));
+
+    await models.person.upsert({ id: 42 });
+
+    await expect(loader.flush()).rejects.toThrow('copy failed');
+    expect(statements(db)).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+
+  test('should create the staging tables again after a rollback', async () => {
+    const { db, loader, models } = createLoader({ retryDelay: 0 });
+    loader.copyToStaging.mockImplementation(async (table) => {
+      await loader.ensureStagingTable(table);
+      if (loader.stats.retries === 0) {
+        throw Object.assign(new Error('deadlock detected'), { code: '40P01' });
+      }
+    });
+
+    await models.person.upsert({ id: 42 });
+    await loader.flush();
+
+    const sql = statements(db);
+    expect(sql.filter(text => text.startsWith('CREATE TEMP TABLE IF NOT EXISTS staging_persons'))).toHaveLength(2);
+    expect(sql[sql.length - 1]).toBe('COMMIT');
+    expect([...loader.stagingTables]).toEqual(['staging_persons']);
+  });
+
+  test('should flush once the batch size is reached', async () => {
+    const { loader, models } = createLoader({ batchSize: 2 });
+    jest.spyOn(loader, 'writeBatch').mockResolvedValue();
+
+    await models.person.upsert({ id: 1 });
+    await loader.endRecord();
+    expect(loader.writeBatch).not.toHaveBeenCalled();
+
+    await models.person.upsert({ id: 2 });
+    await loader.endRecord();
+    expect(loader.writeBatch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should serialize values in the COPY text format', () => {
+    const { loader } = createLoader();
+
+    const [line] = [...loader.formatRows(
+      [{ a: null, b: 'tab\there\nline \\ end', c: true, d: 3 }],
+      ['a', 'b', 'c', 'd']
+    )];
+
+    expect(line).toBe('\\N\ttab\\there\\nline \\\\ end\ttrue\t3\n');
+  });
+
+  test('should not open per-record transactions in a processor', async () => {
+    const { db, loader, models } = createLoader({ batchSize: 10 });
+    const processor = new PersonProcessor(db, models, { databaseHandler: loader });
+    jest.spyOn(loader, 'endRecord');
+
+    await processor.processRecord({
+      $: { id: '42', action: 'add' },
+      NameDetails: [{ Name: [{ $: { NameType: 'Primary Name' }, NameValue: [{ FirstName: ['Jane'] }] }] }]
+    });
+
+    expect(db.query).not.toHaveBeenCalled();
+    expect(loader.endRecord).toHaveBeenCalledTimes(1);
+    expect(loader.buffers.profiles.person.has(42)).toBe(true);
+  });
+});
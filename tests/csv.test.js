@@ -0,0 +1,42 @@
+const { Readable } = require('stream');
+const { CsvReader, formatCsvRow } = require('../src/utils/csv');
+
+const readAll = async (chunks, options) => {
+  const reader = new CsvReader(Readable.from(chunks.map(chunk => Buffer.from(chunk))), options);
+  const records = [];
+  for await (const record of reader.records()) {
+    records.push(record);
+  }
+  return records;
+};
+
+describe('csv', () => {
+  test('should read quoted fields, line breaks and multi-byte characters across chunks', async () => {
+    const text = '\uFEFFid, name ,dob\r\n1,"Dupont, Marie",1965\r\n\r\n2,"Say ""hi""\nthere"\n3,Jörg\n';
+    const bytes = Buffer.from(text);
+    const split = bytes.indexOf(Buffer.from('ö')) + 1;
+
+    const reader = new CsvReader(Readable.from([bytes.subarray(0, split), bytes.subarray(split)]));
+    const rows = [];
+    for await (const record of reader.records()) {
+      rows.push(record);
+    }
+
+    expect(reader.header).toEqual(['id', 'name', 'dob']);
+    expect(rows).toEqual([
+      { id: '1', name: 'Dupont, Marie', dob: '1965' },
+      { id: '2', name: 'Say "hi"\nthere', dob: '' },
+      { id: '3', name: 'Jörg', dob: '' }
+    ]);
+  });
+
+  test('should support other delimiters and reject unterminated quotes', async () => {
+    expect(await readAll(['name;dob\nMarie;1965'], { delimiter: ';' })).toEqual([{ name: 'Marie', dob: '1965' }]);
+    await expect(readAll(['name\n"Marie\n'])).rejects.toThrow('Unterminated quoted field at line 3');
+  });
+
+  test('should quote fields when needed', () => {
+    expect(formatCsvRow([1, 'a,b', 'say "hi"', null, undefined, false])).toBe('1,"a,b","say ""hi""",,,false\r\n');
+    expect(formatCsvRow(['a;b', 'c'], ';')).toBe('"a;b";c\r\n');
+  });
+});
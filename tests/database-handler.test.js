@@ -1,11 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const DatabaseHandler = require('../src/services/database-handler');
+const XmlParserService = require('../src/services/xml-parser-service');
+
+const createHandler = (options = {}) => {
+  const db = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+  return { db, handler: new DatabaseHandler(db, { retryDelay: 0, ...options }) };
+};
+
+const statements = (db) => db.query.mock.calls.map(call => call[0].replace(/\s+/g, ' ').trim());
+
+const transientError = () => Object.assign(new Error('could not serialize access'), { code: '40001' });
 
 describe('DatabaseHandler', () => {
-  test('should connect to database', () => {
-    // Test implementation
+  test('should buffer typed records per table', () => {
+    const { db, handler } = createHandler();
+
+    handler.add('person', { id: 42, gender: 'Female' });
+    handler.add('person_name', { person_id: 42, first_name: 'Jane' });
+    handler.add('entity_sanction', { entity_id: 9, sanction_id: 3 });
+
+    expect(db.query).not.toHaveBeenCalled();
+    expect(handler.getBufferedCount()).toBe(1);
+    expect(handler.buffers.children.person_names.rows).toEqual([{ person_id: 42, first_name: 'Jane' }]);
+    expect(handler.buffers.children.entity_sanctions.rows).toHaveLength(1);
+    expect(() => handler.add('person_vessel', { person_id: 42 })).toThrow('Unknown record type: person_vessel');
+  });
+
+  test('should write a batch with multi-row inserts in one transaction', async () => {
+    const { db, handler } = createHandler();
+
+    handler.add('person', { id: 1, gender: 'Male' });
+    handler.add('person', { id: 2, gender: 'Female' });
+    handler.add('person_name', { person_id: 2, first_name: 'Jane' });
+    await handler.flush();
+
+    const sql = statements(db);
+    expect(sql[0]).toBe('BEGIN');
+    expect(sql).toContain('INSERT INTO persons (id, gender) VALUES ($1, $2), ($3, $4) ' +
+      'ON CONFLICT (id) DO UPDATE SET gender = EXCLUDED.gender, last_updated = CURRENT_TIMESTAMP');
+    expect(sql).toContain('INSERT INTO person_names (person_id, first_name) VALUES ($1, $2) ON CONFLICT DO NOTHING');
+    expect(sql[sql.length - 1]).toBe('COMMIT');
+    expect(db.query.mock.calls[sql.indexOf('INSERT INTO person_names (person_id, first_name) VALUES ($1, $2) ON CONFLICT DO NOTHING')][1])
+      .toEqual([2, 'Jane']);
+    expect(handler.stats).toMatchObject({ batches: 1, rows: 3 });
+  });
+
+  test('should write a batch again after a transient error', async () => {
+    const checkpoint = { position: jest.fn(() => ({ completed: 1 })), commit: jest.fn() };
+    const { db, handler } = createHandler({ checkpoint });
+    db.query.mockImplementation(async (text) => {
+      if (text.includes('INSERT INTO persons') && handler.stats.retries === 0) {
+        throw transientError();
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    handler.add('person', { id: 1 });
+    await handler.flush();
+
+    expect(statements(db).filter(text => ['BEGIN', 'ROLLBACK', 'COMMIT'].includes(text)))
+      .toEqual(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+    expect(handler.stats).toMatchObject({ batches: 1, retries: 1, failedBatches: 0 });
+    expect(checkpoint.commit).toHaveBeenCalledWith({ completed: 1 });
+  });
+
+  test('should retry on the write error when the rollback fails too', async () => {
+    const { db, handler } = createHandler();
+    db.query.mockImplementation(async (text) => {
+      if (handler.stats.retries === 0 && text.includes('INSERT INTO persons')) {
+        throw transientError();
+      }
+      if (handler.stats.retries === 0 && text === 'ROLLBACK') {
+        throw new Error('Connection terminated');
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    handler.add('person', { id: 1 });
+    await handler.flush();
+
+    expect(handler.stats).toMatchObject({ batches: 1, retries: 1, failedBatches: 0 });
+  });
+
+  test('should give up after the last retry', async () => {
+    const checkpoint = { position: jest.fn(), commit: jest.fn() };
+    const { db, handler } = createHandler({ checkpoint, maxRetries: 2 });
+    db.query.mockImplementation(async (text) => {
+      if (text.includes('INSERT INTO persons')) {
+        throw transientError();
+      }
+      return { rows: [], rowCount: 0 };
+    });
+
+    handler.add('person', { id: 1 });
+
+    await expect(handler.flush()).rejects.toThrow('could not serialize access');
+    expect(handler.stats).toMatchObject({ batches: 0, retries: 2, failedBatches: 1 });
+    expect(checkpoint.commit).not.toHaveBeenCalled();
+  });
+
+  test('should not write or commit past a failed batch', async () => {
+    const positions = [{ completed: 1 }, { completed: 2 }, { completed: 3 }];
+    const checkpoint = { position: jest.fn(() => positions.shift()), commit: jest.fn() };
+    const onFailure = jest.fn();
+    const { handler } = createHandler({ checkpoint, onFailure, batchSize: 1 });
+    jest.spyOn(handler, 'writeBatch')
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('value too long for type character varying(50)'));
+
+    handler.add('person', { id: 1 });
+    await handler.endRecord();
+    expect(checkpoint.commit).toHaveBeenCalledWith({ completed: 1 });
+
+    // The record that filled the failed batch is not blamed for it
+    handler.add('person', { id: 2 });
+    await expect(handler.endRecord()).resolves.toBeUndefined();
+    expect(onFailure).toHaveBeenCalledTimes(1);
+
+    // Later batches are neither written nor committed
+    handler.add('person', { id: 3 });
+    await expect(handler.flush()).rejects.toThrow('value too long');
+    await expect(handler.close()).rejects.toThrow('value too long');
+    expect(handler.writeBatch).toHaveBeenCalledTimes(2);
+    expect(checkpoint.commit).toHaveBeenCalledTimes(1);
+    expect(onFailure).toHaveBeenCalledTimes(1);
+  });
+
+  test('should write partial batches on the flush interval', async () => {
+    jest.useFakeTimers();
+    try {
+      const { handler } = createHandler({ batchSize: 100, flushInterval: 1000 });
+      jest.spyOn(handler, 'writeBatch').mockResolvedValue();
+
+      handler.add('entity', { id: 9 });
+      await jest.advanceTimersByTimeAsync(999);
+      expect(handler.writeBatch).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(handler.writeBatch).toHaveBeenCalledTimes(1);
+
+      // Nothing buffered, nothing written
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(handler.writeBatch).toHaveBeenCalledTimes(1);
+
+      await handler.close();
+      expect(handler.timer).toBeNull();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should write the remaining rows when closed', async () => {
+    const { handler } = createHandler({ flushInterval: 1000 });
+    jest.spyOn(handler, 'writeBatch').mockResolvedValue();
+
+    handler.add('person', { id: 1 });
+    await handler.close();
+
+    expect(handler.writeBatch).toHaveBeenCalledTimes(1);
+    expect(() => handler.add('person', { id: 2 })).toThrow('Database handler is closed');
   });
 
-  test('should batch process data', () => {
-    // Test implementation
+  test('should write unbuffered records in a transaction per record', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    const pool = { connect: jest.fn().mockResolvedValue(client) };
+    const { db, handler } = createHandler({ buffered: false, pool });
+    const models = { person: {} };
+
+    expect(handler.createModels(models)).toBe(models);
+
+    await handler.transaction(async (transactionClient) => {
+      await transactionClient.query('INSERT INTO persons (id) VALUES ($1)', [1]);
+    });
+    await expect(handler.transaction(async () => {
+      throw new Error('invalid record');
+    })).rejects.toThrow('invalid record');
+
+    expect(statements(client)).toEqual(['BEGIN', 'INSERT INTO persons (id) VALUES ($1)', 'COMMIT', 'BEGIN', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalledTimes(2);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('should run other writes between the batches', async () => {
+    const { db, handler } = createHandler();
+
+    handler.add('person', { id: 1 });
+    const batch = handler.flush();
+    const write = handler.write(client => client.query('INSERT INTO name_types (name_type_id) VALUES ($1)', [1]));
+    await Promise.all([batch, write]);
+
+    const sql = statements(db);
+    expect(sql[0]).toBe('BEGIN');
+    expect(sql.slice(-2)).toEqual(['COMMIT', 'INSERT INTO name_types (name_type_id) VALUES ($1)']);
+
+    // A failed write fails its caller only
+    await expect(handler.write(async () => {
+      throw new Error('duplicate key');
+    })).rejects.toThrow('duplicate key');
+    await expect(handler.flush()).resolves.toBeUndefined();
+  });
+
+  test('should be closed by the parser cleanup', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-handler-'));
+    try {
+      const parser = new XmlParserService({}, { tempDir, loadStrategy: 'batch' });
+      const batchClient = { release: jest.fn() };
+      const handler = { close: jest.fn().mockResolvedValue() };
+      parser.batchClient = batchClient;
+      parser.databaseHandler = handler;
+
+      await parser.cleanup();
+      await parser.pool.end();
+
+      expect(handler.close).toHaveBeenCalledTimes(1);
+      expect(batchClient.release).toHaveBeenCalledTimes(1);
+      expect(parser.databaseHandler).toBeNull();
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
   });
 });
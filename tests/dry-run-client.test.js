@@ -0,0 +1,56 @@
+const DryRunClient = require('../src/services/dry-run-client');
+const { createModels } = require('../src/models/models-index');
+const PersonProcessor = require('../src/processors/person-processor');
+
+const person = (id) => ({
+  $: { id: String(id), action: 'add' },
+  Gender: ['Male'],
+  NameDetails: [{
+    Name: [{ $: { NameType: 'Primary Name' }, NameValue: [{ FirstName: ['Jane'], Surname: ['Doe'] }] }]
+  }]
+});
+
+describe('DryRunClient', () => {
+  test('should count the rows a load would write without a database', async () => {
+    const client = new DryRunClient();
+    const processor = new PersonProcessor(client, createModels(client), {});
+
+    await processor.processRecord(person(1));
+    await processor.processRecord(person(2));
+    await processor.processRecord(person(1));
+
+    const report = client.getReport();
+    expect(report.rows.persons).toBe(3);
+    expect(report.rows.person_names).toBe(3);
+    expect(report.profiles).toEqual({ persons: 2, entities: 0 });
+    expect(processor.stats.counts.persons).toBe(3);
+  });
+
+  test('should resolve profile types from the profiles seen so far', async () => {
+    const client = new DryRunClient();
+    await client.query('INSERT INTO entities (id) VALUES ($1)', [7]);
+
+    const lookup = 'SELECT CASE WHEN EXISTS (SELECT 1 FROM persons WHERE id = $1) THEN \'PERSON\' END AS type';
+    expect((await client.query(lookup, [7])).rows[0].type).toBe('ENTITY');
+    expect((await client.query(lookup, [8])).rows[0].type).toBeNull();
+
+    await client.query('DELETE FROM entities WHERE id = $1', [7]);
+    expect((await client.query(lookup, [7])).rows[0].type).toBeNull();
+  });
+
+  test('should keep quarantine candidates in memory', async () => {
+    const client = new DryRunClient();
+    const models = createModels(client);
+    models.quarantinedRecord = client.createQuarantineModel(models.quarantinedRecord);
+    const processor = new PersonProcessor(client, models, {});
+
+    await processor.quarantineRecord('Person', person(5), new Error('bad date'));
+
+    expect(processor.stats.quarantinedCount).toBe(1);
+    expect(client.getReport()).toMatchObject({
+      quarantineCount: 1,
+      quarantineCandidates: [{ record_type: 'Person', record_id: '5', error_message: 'bad date' }]
+    });
+    expect(client.stats.rows.quarantined_records).toBeUndefined();
+  });
+});
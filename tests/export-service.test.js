@@ -0,0 +1,99 @@
+const { PassThrough } = require('stream');
+const ExportService = require('../src/services/export-service');
+const { PersonModel } = require('../src/models/models-index');
+
+const person = (id) => ({
+  id,
+  gender: 'Female',
+  active_status: 'Active',
+  deceased: false,
+  last_updated: null,
+  names: [
+    { first_name: 'Jane', surname: 'Doe' },
+    { single_string_name: 'J. "JD" Doe' }
+  ],
+  descriptions: [{ description1_text: 'Politically Exposed Person (PEP)', description2_text: null, description3_text: null }],
+  roles: [],
+  dates: [{ date_type: 'Date of Birth', date: null, year: 1970, month: 'Jan', day: null }],
+  birthPlaces: [],
+  sanctions: [{ reference_code: 5, sanction_name: 'OFAC SDN', start_date: new Date(2020, 0, 31), end_date: null }],
+  addresses: [{ address_line: '1 Main St', city: 'Springfield', country_code: 'US', country_name: 'United States' }],
+  documents: [{ document_type: 'Passport', document_number: 'X123' }],
+  sources: []
+});
+
+const createService = (ids) => {
+  const client = {
+    query: jest.fn(async (text) => {
+      if (text.startsWith('FETCH')) {
+        return { rows: ids.splice(0, 2).map(id => ({ id })) };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  const pool = { connect: jest.fn().mockResolvedValue(client) };
+  return { client, service: new ExportService(pool, { fetchSize: 2 }) };
+};
+
+const collect = (output) => {
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  return () => Buffer.concat(chunks).toString();
+};
+
+describe('ExportService', () => {
+  let getFullProfile;
+
+  beforeEach(() => {
+    getFullProfile = jest.spyOn(PersonModel.prototype, 'getFullProfile').mockImplementation(async id => (id === 3 ? null : person(id)));
+  });
+
+  afterEach(() => {
+    getFullProfile.mockRestore();
+  });
+
+  test('should stream profiles from a cursor as NDJSON', async () => {
+    const { client, service } = createService([1, 2, 3]);
+    const output = new PassThrough();
+    const text = collect(output);
+
+    const stats = await service.export(output, { type: 'person', format: 'ndjson' });
+
+    const sql = client.query.mock.calls.map(call => call[0]);
+    expect(sql[0]).toBe('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    expect(sql[1]).toBe('DECLARE profile_export NO SCROLL CURSOR FOR SELECT id FROM persons ORDER BY id');
+    expect(sql.filter(query => query === 'FETCH 2 FROM profile_export')).toHaveLength(3);
+    expect(sql.slice(-2)).toEqual(['CLOSE profile_export', 'COMMIT']);
+    expect(client.release).toHaveBeenCalled();
+
+    const lines = text().trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.id)).toEqual([1, 2]);
+    expect(lines[0].names).toHaveLength(2);
+    expect(stats.exported).toBe(2);
+  });
+
+  test('should flatten repeated children into CSV cells', async () => {
+    const { service } = createService([1]);
+    const output = new PassThrough();
+    const text = collect(output);
+
+    await service.export(output, { type: 'person', format: 'csv' });
+
+    const [header, row] = text().split('\r\n');
+    expect(header).toBe('id,primary_name,gender,active_status,deceased,names,descriptions,roles,dates,birth_places,' +
+      'sanctions,addresses,documents,sources,last_updated');
+    expect(row).toBe('1,Jane Doe,Female,Active,false,"Jane Doe | J. ""JD"" Doe",Politically Exposed Person (PEP),,' +
+      'Date of Birth: 1970-Jan,,OFAC SDN 2020-01-31/,"1 Main St, Springfield, United States",Passport: X123,,');
+  });
+
+  test('should roll back and release the client when the export fails', async () => {
+    const { client, service } = createService([1]);
+    getFullProfile.mockRejectedValue(new Error('connection lost'));
+
+    await expect(service.export(new PassThrough(), { type: 'person' })).rejects.toThrow('connection lost');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+    await expect(service.export(new PassThrough(), { type: 'vessel' })).rejects.toThrow('Unknown profile type: vessel');
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XmlStream = require('xml-stream');
+const FlowController = require('../src/utils/flow-controller');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('FlowController', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-flow-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should bound in-flight records while streaming', async () => {
+    const persons = Array.from({ length: 500 }, (_, i) => `<Person id="${i + 1}"><Gender>Male</Gender></Person>`);
+    const filePath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(filePath, `<PFA><Records>${persons.join('\n')}</Records></PFA>`);
+
+    const controller = new FlowController({ maxInFlight: 10 });
+    const xml = new XmlStream(fs.createReadStream(filePath, { highWaterMark: 1024 }), 'utf8');
+    controller.attach(xml);
+
+    const processed = [];
+    xml.on('endElement: Person', (person) => controller.track('Person', async () => {
+      await delay(1);
+      processed.push(Number(person.$.id));
+    }));
+
+    await new Promise((resolve, reject) => {
+      xml.on('end', resolve);
+      xml.on('error', reject);
+    });
+    await controller.drain();
+
+    expect(processed).toHaveLength(500);
+    expect(controller.inFlight).toBe(0);
+    expect(controller.stats.maxObservedInFlight).toBeLessThanOrEqual(10);
+    expect(controller.stats.pauseCount).toBeGreaterThan(0);
+  });
+
+  test('should release records that fail', async () => {
+    const controller = new FlowController({ maxInFlight: 2 });
+    const stream = { pause: jest.fn(), resume: jest.fn() };
+    controller.attach(stream);
+
+    const first = controller.track('Person', () => delay(5));
+    const second = controller.track('Person', async () => {
+      throw new Error('boom');
+    });
+
+    expect(stream.pause).toHaveBeenCalledTimes(1);
+    await expect(second).rejects.toThrow('boom');
+    expect(stream.resume).toHaveBeenCalledTimes(1);
+
+    await first;
+    await controller.drain();
+    expect(controller.inFlight).toBe(0);
+  });
+
+  test('should start profiles once the reference records before them are written', async () => {
+    const BaseProcessor = require('../src/processors/base-processor');
+    const controller = new FlowController({ maxInFlight: 50 });
+    const processor = new BaseProcessor(null, {}, { flowController: controller });
+    const order = [];
+
+    const reference = processor.trackRecord('NameType', async () => {
+      await delay(10);
+      order.push('NameType');
+    });
+    const profiles = [1, 2].map(id => processor.trackProfile('Person', String(id), async () => {
+      order.push(`Person ${id}`);
+    }));
+
+    await Promise.all([reference, ...profiles]);
+    expect(order).toEqual(['NameType', 'Person 1', 'Person 2']);
+    expect(controller.inFlight).toBe(0);
+  });
+});
@@ -0,0 +1,125 @@
+const { PassThrough } = require('stream');
+const GraphExportService = require('../src/services/graph-export-service');
+
+const associations = [
+  { id: 7, source_id: 1, source_type: 'PERSON', target_id: 2, target_type: 'PERSON', relationship_code: 3, is_former: false, relationship_name: 'Wife' },
+  { id: 8, source_id: 1, source_type: 'PERSON', target_id: 5, target_type: 'ENTITY', relationship_code: 21, is_former: true, relationship_name: 'Business Associate' },
+  { id: 9, source_id: 5, source_type: 'ENTITY', target_id: 6, target_type: 'ENTITY', relationship_code: null, is_former: false, relationship_name: null }
+];
+
+const labels = {
+  person_names: [{ id: 1, label: 'Marie "Mimi" Dupont' }, { id: 2, label: 'Jean Dupont' }],
+  entity_names: [{ id: 5, label: 'Dupont & Fils' }]
+};
+
+const createPool = () => {
+  const cursors = {};
+
+  const client = {
+    query: jest.fn(async (text, values) => {
+      if (text.includes('DECLARE graph_nodes')) {
+        const nodes = new Map();
+        for (const row of associations) {
+          nodes.set(`${row.source_type}:${row.source_id}`, { type: row.source_type, id: row.source_id });
+          nodes.set(`${row.target_type}:${row.target_id}`, { type: row.target_type, id: row.target_id });
+        }
+        cursors.graph_nodes = [...nodes.values()];
+        return { rows: [] };
+      }
+      if (text.includes('DECLARE graph_edges')) {
+        cursors.graph_edges = [...associations];
+        return { rows: [] };
+      }
+
+      const fetch = /^FETCH\s+(\d+)\s+FROM\s+(\w+)/.exec(text);
+      if (fetch) {
+        return { rows: cursors[fetch[2]].splice(0, Number(fetch[1])) };
+      }
+
+      const names = /FROM (person_names|entity_names)/.exec(text);
+      if (names) {
+        return { rows: labels[names[1]].filter(row => values[0].includes(row.id)) };
+      }
+      if (text.startsWith('SELECT 1 FROM')) {
+        return { rows: values[0] === 1 ? [{}] : [], rowCount: values[0] === 1 ? 1 : 0 };
+      }
+      if (text.includes('FROM associations a') && text.includes('ANY')) {
+        const [personIds, entityIds] = values;
+        const touches = (type, id) => (type === 'PERSON' ? personIds : entityIds).includes(id);
+        return { rows: associations.filter(row => touches(row.source_type, row.source_id) || touches(row.target_type, row.target_id)) };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  return { client, pool: { connect: jest.fn().mockResolvedValue(client) } };
+};
+
+const exportGraph = async (pool, options) => {
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', chunk => { text += chunk; });
+
+  const stats = await new GraphExportService(pool, { fetchSize: 2 }).export(output, options);
+  return { stats, text };
+};
+
+describe('GraphExportService', () => {
+  test('should write the network around a profile', async () => {
+    const { client, pool } = createPool();
+
+    const { stats, text } = await exportGraph(pool, { id: 1, type: 'person', depth: 1, format: 'graphml' });
+
+    expect(stats).toMatchObject({ format: 'graphml', nodes: 3, edges: 2 });
+    expect(text).toContain('<node id="person-1"><data key="label">Marie &quot;Mimi&quot; Dupont</data><data key="type">PERSON</data><data key="pfa_id">1</data></node>');
+    expect(text).toContain('<node id="entity-5"><data key="label">Dupont &amp; Fils</data>');
+    expect(text).toContain('<edge id="association-8" source="person-1" target="entity-5"><data key="relationship">Business Associate</data><data key="relationship_code">21</data><data key="is_former">true</data></edge>');
+    expect(text.trim().endsWith('</graphml>')).toBe(true);
+
+    expect(text).not.toContain('entity-6');
+    const networkCalls = client.query.mock.calls.filter(([query]) => query.includes('FROM associations a'));
+    expect(networkCalls.map(([, values]) => values)).toEqual([[[1], []]]);
+    expect(client.query.mock.calls[0][0]).toContain('READ ONLY');
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stream every association as GEXF and Cypher', async () => {
+    const gexf = await exportGraph(createPool().pool, { format: 'gexf' });
+    expect(gexf.stats).toMatchObject({ nodes: 4, edges: 3 });
+    expect(gexf.text.indexOf('<node id="entity-6" label="Entity 6">')).toBeLessThan(gexf.text.indexOf('<edges>'));
+    expect(gexf.text).toContain('<edge id="7" source="person-1" target="person-2" label="Wife"><attvalues><attvalue for="relationship_code" value="3"/><attvalue for="is_former" value="false"/></attvalues></edge>');
+    expect(gexf.text).toContain('<edge id="9" source="entity-5" target="entity-6"><attvalues><attvalue for="is_former" value="false"/></attvalues></edge>');
+
+    const cypher = await exportGraph(createPool().pool, { format: 'cypher' });
+    const lines = cypher.text.trim().split('\n');
+    expect(lines).toContain('CREATE (:Person {pfa_id: 1, name: "Marie \\"Mimi\\" Dupont"});');
+    expect(lines).toContain('MATCH (s:Person {pfa_id: 1}), (t:Entity {pfa_id: 5}) CREATE (s)-[:BUSINESS_ASSOCIATE {pfa_id: 8, name: "Business Associate", code: 21, is_former: true}]->(t);');
+    expect(lines).toContain('MATCH (s:Entity {pfa_id: 5}), (t:Entity {pfa_id: 6}) CREATE (s)-[:ASSOCIATED_WITH {pfa_id: 9, is_former: false}]->(t);');
+  });
+
+  test('should reject unknown profiles and formats and roll back', async () => {
+    const { client, pool } = createPool();
+
+    await expect(exportGraph(pool, { id: 42, type: 'ENTITY' })).rejects.toThrow('Entity 42 not found');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalledTimes(1);
+
+    await expect(exportGraph(pool, { format: 'dot' })).rejects.toThrow('Unknown graph format: dot');
+    await expect(exportGraph(pool, { id: 1, type: 'vessel' })).rejects.toThrow('Unknown profile type: vessel');
+    expect(pool.connect).toHaveBeenCalledTimes(1);
+  });
+
+  test('should label profiles through the pool of the service', async () => {
+    const { client } = createPool();
+    const pool = { query: client.query, connect: jest.fn() };
+
+    const result = await new GraphExportService(pool).nodeLabels([
+      { id: 2, type: 'PERSON' },
+      { id: 5, type: 'ENTITY' },
+      { id: 6, type: 'ENTITY' }
+    ]);
+
+    expect([...result]).toEqual([['PERSON:2', 'Jean Dupont'], ['ENTITY:5', 'Dupont & Fils'], ['ENTITY:6', 'Entity 6']]);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImportCheckpoint = require('../src/utils/import-checkpoint');
+const PersonProcessor = require('../src/processors/person-processor');
+
+describe('ImportCheckpoint', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-checkpoint-'));
+    filePath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(filePath, '<PFA></PFA>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should only commit records without gaps', () => {
+    const checkpoint = new ImportCheckpoint({ filePath, directory: tempDir, saveInterval: 1 });
+    checkpoint.start();
+
+    const [first, second, third] = ['1', '2', '3'].map(id => checkpoint.begin(id));
+    checkpoint.complete(second);
+    checkpoint.complete(third);
+    expect(checkpoint.committed).toBe(0);
+
+    checkpoint.complete(first);
+    expect(checkpoint.committed).toBe(3);
+
+    const saved = checkpoint.load();
+    expect(saved.committedRecords).toBe(3);
+    expect(saved.lastCommitted.id).toBe('3');
+  });
+
+  test('should wait for the bulk loader before committing deferred records', () => {
+    const checkpoint = new ImportCheckpoint({ filePath, directory: tempDir, deferCommit: true });
+    checkpoint.start();
+
+    checkpoint.complete(checkpoint.begin('1'));
+    const position = checkpoint.position();
+    checkpoint.complete(checkpoint.begin('2'));
+    expect(checkpoint.committed).toBe(0);
+
+    checkpoint.commit(position);
+    expect(checkpoint.committed).toBe(1);
+    expect(checkpoint.committedRecord.id).toBe('1');
+  });
+
+  test('should skip committed records when resuming', async () => {
+    const interrupted = new ImportCheckpoint({ filePath, directory: tempDir });
+    interrupted.start();
+    ['1', '2'].forEach(id => interrupted.complete(interrupted.begin(id)));
+    interrupted.begin('3');
+    interrupted.save();
+
+    const checkpoint = new ImportCheckpoint({ filePath, directory: tempDir });
+    checkpoint.start(true);
+    expect(checkpoint.runId).toBe(interrupted.runId);
+
+    const processor = new PersonProcessor({}, {}, { checkpoint });
+    const work = jest.fn().mockResolvedValue({});
+    for (const id of ['1', '2', '3']) {
+      await processor.trackProfile('Person', id, work);
+    }
+
+    expect(work).toHaveBeenCalledTimes(1);
+    expect(checkpoint.skipped).toBe(2);
+    expect(checkpoint.committed).toBe(3);
+
+    checkpoint.remove();
+    expect(checkpoint.load()).toBeNull();
+  });
+
+  test('should refuse to resume a changed file', () => {
+    new ImportCheckpoint({ filePath, directory: tempDir }).start();
+    fs.appendFileSync(filePath, '\n<!-- changed -->');
+
+    expect(() => new ImportCheckpoint({ filePath, directory: tempDir }).start(true)).toThrow('changed since the checkpoint');
+    expect(() => new ImportCheckpoint({ filePath: path.join(tempDir, 'other.xml'), directory: tempDir }).start(true)).toThrow();
+  });
+
+  test('should refuse to resume with other sections', () => {
+    new ImportCheckpoint({ filePath, directory: tempDir, sections: ['person', 'entity'] }).start();
+
+    expect(() => new ImportCheckpoint({ filePath, directory: tempDir }).start(true))
+      .toThrow('checkpoint was written loading entity,person, not all');
+    expect(() => new ImportCheckpoint({ filePath, directory: tempDir, sections: ['entity', 'person'] }).start(true))
+      .not.toThrow();
+  });
+
+  test('should refuse to resume with another filter', () => {
+    new ImportCheckpoint({ filePath, directory: tempDir, filter: 'sanction = 1' }).start();
+
+    expect(() => new ImportCheckpoint({ filePath, directory: tempDir }).start(true))
+      .toThrow('checkpoint was written with filter "sanction = 1", not no filter');
+    expect(() => new ImportCheckpoint({ filePath, directory: tempDir, filter: 'sanction = 2' }).start(true))
+      .toThrow('not filter "sanction = 2"');
+    expect(() => new ImportCheckpoint({ filePath, directory: tempDir, filter: 'sanction = 1' }).start(true))
+      .not.toThrow();
+  });
+});
@@ -0,0 +1,39 @@
+const ImportRunModel = require('../src/models/import-run-model');
+
+describe('ImportRunModel', () => {
+  test('should record the start of a run', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7, status: 'running' }] }) };
+    const model = new ImportRunModel(db);
+
+    const run = await model.start({
+      run_key: '20261019T101500000Z_42',
+      file_name: 'pfa2_full.xml',
+      file_checksum: 'abc',
+      load_type: 'delta',
+      resumed: true
+    });
+
+    expect(run.id).toBe(7);
+    const [query, values] = db.query.mock.calls[0];
+    expect(query).toContain('INSERT INTO import_runs');
+    expect(values).toEqual(['20261019T101500000Z_42', 'pfa2_full.xml', null, null, 'abc', 'delta', 'insert', true]);
+  });
+
+  test('should require a run key and file name', async () => {
+    const model = new ImportRunModel({ query: jest.fn() });
+
+    await expect(model.start({ file_name: 'pfa2_full.xml' })).rejects.toThrow('Import run key is required');
+    await expect(model.start({ run_key: 'run' })).rejects.toThrow('Import run file name is required');
+  });
+
+  test('should store counts as JSON when a run finishes', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7 }] }) };
+    const model = new ImportRunModel(db);
+
+    await model.finish(7, { status: 'completed', counts: { persons: 10, entities: 2 }, processedRecords: 12, errorCount: 1 });
+
+    const [query, values] = db.query.mock.calls[0];
+    expect(query).toContain('UPDATE import_runs');
+    expect(values).toEqual([7, 'completed', '{"persons":10,"entities":2}', 12, 1, null]);
+  });
+});
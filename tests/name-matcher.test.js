@@ -0,0 +1,25 @@
+const { normalizeName, jaroWinkler, scoreName } = require('../src/utils/name-matcher');
+
+describe('name-matcher', () => {
+  test('should fold case, diacritics, punctuation and Cyrillic', () => {
+    expect(normalizeName('  Müller-Lüdenscheidt,  Jörg ')).toBe('muller ludenscheidt jorg');
+    expect(normalizeName('Łukasz Strauß')).toBe('lukasz strauss');
+    expect(normalizeName('Дмитрий Медведев')).toBe('dmitriy medvedev');
+    expect(normalizeName(null)).toBe('');
+  });
+
+  test('should compute Jaro-Winkler similarity', () => {
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+    expect(jaroWinkler('dixon', 'dicksonx')).toBeCloseTo(0.813, 3);
+    expect(jaroWinkler('abc', 'xyz')).toBe(0);
+  });
+
+  test('should score names regardless of order, spelling and extra middle names', () => {
+    expect(scoreName('Dupont Marie', 'Marie Dupont')).toBe(1);
+    expect(scoreName('José Muller', 'JOSE MÜLLER')).toBe(1);
+    expect(scoreName('Jon Smith', 'John Smith')).toBeGreaterThan(0.95);
+    expect(scoreName('Vladimir Putin', 'Putin Vladimir Vladimirovich')).toBeGreaterThan(0.9);
+    expect(scoreName('John Smith', 'Jane Doe')).toBeLessThan(0.7);
+    expect(scoreName('', 'Jane Doe')).toBe(0);
+  });
+});
@@ -0,0 +1,127 @@
+const PersonProcessor = require('../src/processors/person-processor');
+const RecordFilter = require('../src/utils/record-filter');
+
+const createProcessor = (options = {}) => {
+  const db = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+  const models = {
+    person: {
+      upsert: jest.fn(async record => record),
+      insertName: jest.fn(),
+      insertSanction: jest.fn(),
+      deleteChildren: jest.fn(),
+      deleteProfile: jest.fn().mockResolvedValue(true)
+    }
+  };
+
+  return { db, models, processor: new PersonProcessor(db, models, options) };
+};
+
+const person = (action) => ({
+  $: { id: '42', action },
+  NameDetails: [{
+    Name: [{ $: { NameType: 'Primary Name' }, NameValue: [{ FirstName: ['Jane'], Surname: ['Doe'] }] }]
+  }]
+});
+
+describe('PersonProcessor', () => {
+  test('should delete the profile for a delta del action', async () => {
+    const { db, models, processor } = createProcessor({ loadType: 'delta' });
+
+    await processor.processRecord(person('del'));
+
+    expect(models.person.deleteProfile).toHaveBeenCalledWith(42);
+    expect(models.person.upsert).not.toHaveBeenCalled();
+    expect(db.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'COMMIT']);
+    expect(processor.stats.actions).toEqual({ add: 0, amend: 0, del: 1 });
+  });
+
+  test('should replace child collections for a delta amend action', async () => {
+    const { models, processor } = createProcessor({ loadType: 'incremental' });
+
+    await processor.processRecord(person('amend'));
+
+    expect(models.person.deleteChildren).toHaveBeenCalledWith(42);
+    expect(models.person.deleteChildren.mock.invocationCallOrder[0])
+      .toBeLessThan(models.person.insertName.mock.invocationCallOrder[0]);
+    expect(processor.stats.actions.amend).toBe(1);
+  });
+
+  test('should replace child rows when a full load re-ingests a profile', async () => {
+    const { models, processor } = createProcessor({ loadType: 'full' });
+    models.person.upsert.mockResolvedValueOnce({ id: 42, inserted: false });
+
+    await processor.processRecord(person('add'));
+
+    expect(models.person.deleteChildren).toHaveBeenCalledWith(42);
+    expect(models.person.insertName).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip clearing child rows for a newly inserted profile', async () => {
+    const { models, processor } = createProcessor({ loadType: 'full' });
+    models.person.upsert.mockResolvedValueOnce({ id: 42, inserted: true });
+
+    await processor.processRecord(person('add'));
+
+    expect(models.person.deleteChildren).not.toHaveBeenCalled();
+  });
+
+  test('should run each record on its own pooled client', async () => {
+    const clients = [];
+    const pool = {
+      connect: jest.fn(async () => {
+        const client = {
+          query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+          release: jest.fn()
+        };
+        clients.push(client);
+        return client;
+      })
+    };
+    const { db, models, processor } = createProcessor({ pool });
+    models.person.upsert.mockImplementation(async function (record) {
+      if (record.id === 13) throw new Error('upsert failed');
+      return { ...record, client: this.db };
+    });
+
+    const results = await Promise.allSettled([
+      processor.processRecord(person('add')),
+      processor.processRecord({ ...person('add'), $: { id: '13' } })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[0].value.client).toBe(clients[0]);
+    expect(db.query).not.toHaveBeenCalled();
+    expect(clients[0].query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'COMMIT']);
+    expect(clients[1].query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'ROLLBACK']);
+    clients.forEach(client => expect(client.release).toHaveBeenCalledTimes(1));
+  });
+
+  test('should ignore del actions in a full load', async () => {
+    const { models, processor } = createProcessor({ loadType: 'full' });
+
+    await processor.processRecord(person('del'));
+
+    expect(models.person.deleteProfile).not.toHaveBeenCalled();
+    expect(models.person.upsert).toHaveBeenCalled();
+  });
+
+  test('should not load a person outside the filter', async () => {
+    const { models, processor } = createProcessor({ filter: new RecordFilter('sanction in (1, 5)') });
+
+    await processor.processRecord(person('add'));
+    await processor.processRecord({ ...person('add'), SanctionsReferences: [{ Reference: [{ _: '5' }] }] });
+
+    expect(models.person.upsert).toHaveBeenCalledTimes(1);
+    expect(processor.stats.filteredCount).toBe(1);
+  });
+
+  test('should remove an amended person that no longer matches the filter', async () => {
+    const { models, processor } = createProcessor({ loadType: 'delta', filter: new RecordFilter('description1 = 2') });
+
+    await processor.processRecord(person('amend'));
+
+    expect(models.person.deleteProfile).toHaveBeenCalledWith(42);
+    expect(models.person.upsert).not.toHaveBeenCalled();
+    expect(processor.stats.actions.del).toBe(1);
+  });
+});
@@ -0,0 +1,56 @@
+const QuarantineService = require('../src/services/quarantine-service');
+const PersonProcessor = require('../src/processors/person-processor');
+
+describe('QuarantineService', () => {
+  test('should remove records that succeed and keep the others', async () => {
+    const service = new QuarantineService({ query: jest.fn(), connect: jest.fn() }, { batchSize: 2 });
+    const records = [
+      { id: 1, record_type: 'Person', record_id: '10', load_type: 'full', element: { $: { id: '10' } } },
+      { id: 2, record_type: 'Person', record_id: '11', load_type: 'full', element: { $: { id: '11' } } },
+      { id: 3, record_type: 'Vessel', record_id: '12', load_type: 'full', element: { $: { id: '12' } } }
+    ];
+    service.models.quarantinedRecord = {
+      list: jest.fn(async ({ afterId }, { limit }) => records.filter(record => record.id > afterId).slice(0, limit)),
+      purge: jest.fn().mockResolvedValue(1),
+      recordRetryFailure: jest.fn().mockResolvedValue()
+    };
+
+    const processor = service.getProcessor('Person', 'full');
+    processor.processRecord = jest.fn(async (element) => {
+      if (element.$.id === '11') {
+        throw new Error('still invalid');
+      }
+    });
+
+    const result = await service.retry();
+
+    expect(result).toEqual({ retried: 3, succeeded: 1, failed: 2 });
+    expect(service.models.quarantinedRecord.purge).toHaveBeenCalledWith({ ids: [1] });
+    expect(service.models.quarantinedRecord.recordRetryFailure.mock.calls).toEqual([
+      [2, 'still invalid'],
+      [3, 'No processor for quarantined record type: Vessel']
+    ]);
+  });
+
+  test('should quarantine the element of a failed record', async () => {
+    const quarantinedRecord = { add: jest.fn().mockResolvedValue({ id: 1 }) };
+    const processor = new PersonProcessor({}, { quarantinedRecord }, {
+      loadType: 'delta',
+      runContext: { importRunId: 4, runKey: 'run-4' }
+    });
+    const person = { $: { id: '42', action: 'amend' }, Gender: ['Male'] };
+
+    await processor.quarantineRecord('Person', person, new Error('bad date'));
+
+    expect(quarantinedRecord.add).toHaveBeenCalledWith({
+      import_run_id: 4,
+      run_key: 'run-4',
+      record_type: 'Person',
+      record_id: '42',
+      load_type: 'delta',
+      element: person,
+      error_message: 'bad date'
+    });
+    expect(processor.stats.quarantinedCount).toBe(1);
+  });
+});
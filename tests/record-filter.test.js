@@ -0,0 +1,41 @@
+const RecordFilter = require('../src/utils/record-filter');
+
+const profile = ({ sanctions = [], descriptions = [], countries = [] } = {}) => ({
+  $: { id: '1' },
+  SanctionsReferences: [{ Reference: sanctions.map(code => ({ _: String(code), $: {} })) }],
+  Descriptions: [{ Description: descriptions.map(([d1, d2]) => ({ $: { Description1: String(d1), Description2: String(d2) } })) }],
+  Address: countries.map(country => ({ AddressCountry: [country] }))
+});
+
+describe('RecordFilter', () => {
+  test('should match when any value of a field matches', () => {
+    const filter = new RecordFilter('sanction in (1,5,23) or description1 = 2');
+
+    expect(filter.matches(profile({ sanctions: [7, 23] }))).toBe(true);
+    expect(filter.matches(profile({ descriptions: [[1, 3], [2, 4]] }))).toBe(true);
+    expect(filter.matches(profile({ sanctions: [7], descriptions: [[1, 3]] }))).toBe(false);
+    expect(filter.matches({ $: { id: '2' } })).toBe(false);
+  });
+
+  test('should combine comparisons with and, or, not and parentheses', () => {
+    const filter = new RecordFilter('(sanction = 1 OR sanction = 2) and not country in (us, "GB") and description2 != 4');
+
+    expect(filter.matches(profile({ sanctions: [2], countries: ['FR'], descriptions: [[1, 3]] }))).toBe(true);
+    expect(filter.matches(profile({ sanctions: [2], countries: ['FR', 'GB'] }))).toBe(false);
+    expect(filter.matches(profile({ sanctions: [1], descriptions: [[1, 4]] }))).toBe(false);
+    expect(new RecordFilter('country not in (US)').matches(profile())).toBe(true);
+  });
+
+  test('should compare numbers regardless of leading zeros and codes regardless of case', () => {
+    expect(new RecordFilter('sanction = 005').matches(profile({ sanctions: ['5'] }))).toBe(true);
+    expect(new RecordFilter("country = 'gb'").matches(profile({ countries: ['GB'] }))).toBe(true);
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(() => new RecordFilter(' ')).toThrow('Filter expression is empty');
+    expect(() => new RecordFilter('list = 1')).toThrow('unknown field "list"');
+    expect(() => new RecordFilter('sanction in (1,')).toThrow('expected a value, found end of expression');
+    expect(() => new RecordFilter('sanction > 1')).toThrow('Invalid filter at position 10: unexpected ">"');
+    expect(() => new RecordFilter('sanction = 1 description1 = 2')).toThrow('Invalid filter at position 14: expected end of expression, found "description1"');
+  });
+});
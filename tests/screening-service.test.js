@@ -0,0 +1,94 @@
+const ScreeningService = require('../src/services/screening-service');
+
+const personNames = [
+  { profile_id: 1, name_type: 'Primary Name', is_primary: true, first_name: 'Marie', surname: 'Dupont' },
+  { profile_id: 1, name_type: 'Also Known As', is_primary: false, single_string_name: 'Marie Dupond-Lefèvre' },
+  { profile_id: 2, name_type: 'Primary Name', is_primary: true, first_name: 'Mario', surname: 'Dupuis' },
+  { profile_id: 3, name_type: 'Also Known As', is_primary: false, first_name: 'Mari', surname: 'Dupont' },
+  { profile_id: 3, name_type: 'Primary Name', is_primary: true, first_name: 'Maria', surname: 'Lopez' }
+];
+
+const createDb = ({ birthDates = [], countries = [] } = {}) => ({
+  query: jest.fn(async (text, values) => {
+    if (text.includes('FROM person_names') && text.includes('to_tsquery')) {
+      return { rows: personNames.slice(0, values[2]) };
+    }
+    if (text.includes('FROM person_names')) {
+      const rows = personNames.filter(row => values[0].includes(row.profile_id));
+      return { rows: rows.sort((a, b) => a.profile_id - b.profile_id || b.is_primary - a.is_primary) };
+    }
+    if (text.includes('FROM person_dates')) {
+      return { rows: birthDates.filter(row => values[0].includes(row.profile_id)) };
+    }
+    if (text.includes('FROM person_addresses')) {
+      return { rows: countries.filter(row => values[0].includes(row.profile_id)) };
+    }
+    return { rows: [] };
+  })
+});
+
+describe('ScreeningService', () => {
+  test('should rank profiles by their best matching name, primary or alias', async () => {
+    const db = createDb();
+    const matches = await new ScreeningService(db).screenName('DUPONT, Marie', { type: 'person' });
+
+    expect(matches.map(match => match.id)).toEqual([1, 3]);
+    expect(matches[0]).toEqual({
+      id: 1,
+      type: 'person',
+      score: 1,
+      matchedName: 'Marie Dupont',
+      nameType: 'Primary Name',
+      primaryName: 'Marie Dupont',
+      dobMatch: null,
+      countryMatch: null
+    });
+    expect(matches[1]).toMatchObject({ matchedName: 'Mari Dupont', nameType: 'Also Known As', primaryName: 'Maria Lopez' });
+    expect(matches[1].score).toBeLessThan(1);
+
+    expect(db.query.mock.calls[0][1]).toEqual(['0.4']);
+    const [candidateQuery, candidateValues] = db.query.mock.calls[1];
+    expect(candidateQuery).toContain("to_tsvector('simple'::regconfig, COALESCE(first_name, '')");
+    expect(candidateQuery).toContain('$2 <% single_string_name');
+    expect(candidateQuery).toMatch(/ORDER BY GREATEST\(word_similarity\(\$2, .*\) DESC NULLS LAST, id\s+LIMIT \$3/);
+    expect(candidateValues).toEqual(['dup:* | mar:*', 'DUPONT, Marie', 5001]);
+  });
+
+  test('should report truncated candidates in the result', async () => {
+    const service = new ScreeningService(createDb(), { maxCandidates: 4 });
+
+    // Only the 4 most similar names are scored
+    const limited = await service.screen('Maria Lopez', { type: 'person' });
+    expect(limited).toEqual({ truncated: true, matches: [] });
+
+    const all = await new ScreeningService(createDb(), { maxCandidates: 5 }).screen('Maria Lopez', { type: 'person' });
+    expect(all).toMatchObject({ truncated: false, matches: [{ id: 3, matchedName: 'Maria Lopez' }] });
+  });
+
+  test('should leave out profiles whose date of birth or country differs', async () => {
+    const db = createDb({
+      birthDates: [
+        { profile_id: 1, date: null, day: null, month: 'Feb', year: 1965 },
+        { profile_id: 3, date: new Date(1970, 0, 1), day: 1, month: 'Jan', year: 1970 }
+      ],
+      countries: [{ profile_id: 1, country_code: 'FR' }]
+    });
+    const service = new ScreeningService(db);
+
+    const byDob = await service.screenName('Marie Dupont', { type: 'person', dob: '1965-02-14' });
+    expect(byDob.map(match => [match.id, match.dobMatch])).toEqual([[1, true]]);
+
+    const byCountry = await service.screenName('Marie Dupont', { type: 'person', country: 'gb' });
+    expect(byCountry.map(match => [match.id, match.countryMatch])).toEqual([[3, null]]);
+  });
+
+  test('should apply the threshold and reject invalid input', async () => {
+    const service = new ScreeningService(createDb(), { threshold: 0.99 });
+
+    expect((await service.screenName('Marie Dupont', { type: 'person' })).map(match => match.id)).toEqual([1]);
+    expect((await service.screenName('Marie Dupont', { type: 'person', threshold: 0.5 })).map(match => match.id)).toEqual([1, 3, 2]);
+    await expect(service.screenName(' - ')).rejects.toThrow('Name to screen is empty');
+    await expect(service.screenName('Marie', { type: 'vessel' })).rejects.toThrow('Unknown profile type: vessel');
+    await expect(service.screenName('Marie', { dob: '14/02/1965' })).rejects.toThrow('Invalid date of birth');
+  });
+});
@@ -0,0 +1,85 @@
+const { Pool } = require('pg');
+const SearchService = require('../src/services/search-service');
+const { PersonModel } = require('../src/models/models-index');
+
+const names = {
+  person_names: [
+    { id: 1, matched_name: 'Marie Dupont', name_type: 'Primary Name', is_primary: true, score: '0.9' },
+    { id: 4, matched_name: 'Jean Dupond', name_type: 'Also Known As', is_primary: false, score: '0.5' }
+  ],
+  entity_names: [
+    { id: 5, matched_name: 'Dupont & Fils', name_type: 'Primary Name', is_primary: true, score: '0.9' },
+    { id: 6, matched_name: 'Dupont Holding', name_type: 'Primary Name', is_primary: true, score: '0.7' }
+  ]
+};
+
+const createDb = () => ({
+  query: jest.fn(async (text, values) => {
+    const table = /FROM (person_names|entity_names)/.exec(text);
+    if (!table) {
+      return { rows: [] };
+    }
+    const [limit, offset] = values.slice(-2);
+    return { rows: names[table[1]].slice(offset, offset + limit) };
+  })
+});
+
+describe('SearchService', () => {
+  test('should merge persons and entities by score', async () => {
+    const db = createDb();
+    const results = await new SearchService(db).search(' Dupont ', { limit: 3 });
+
+    expect(results.map(row => [row.type, row.id, row.score])).toEqual([
+      ['person', 1, 0.9],
+      ['entity', 5, 0.9],
+      ['entity', 6, 0.7]
+    ]);
+    expect(results[0]).toMatchObject({ matched_name: 'Marie Dupont', name_type: 'Primary Name', is_primary: true });
+    expect(db.query.mock.calls.map(([, values]) => values).filter(values => values && values.length === 4)).toEqual([
+      ['Dupont', 0.3, 3, 0],
+      ['Dupont', 0.3, 3, 0]
+    ]);
+
+    const next = await new SearchService(db).search('Dupont', { limit: 1, offset: 1, types: ['person'] });
+    expect(next.map(row => row.id)).toEqual([4]);
+    expect(db.query.mock.calls[7][1].slice(-2)).toEqual([2, 0]);
+  });
+
+  test('should search the indexed name expressions', async () => {
+    const db = createDb();
+    await new PersonModel(db).search('Marie Dupont', { limit: 10, minSimilarity: 0.5, nameTypes: ['Primary Name'] });
+
+    const [text, values] = db.query.mock.calls[1];
+    expect(text).toContain("to_tsvector('simple'::regconfig, COALESCE(first_name, '') || ' ' || COALESCE(middle_name, '') || ' ' || COALESCE(surname, '') || ' ' || COALESCE(maiden_name, '')");
+    expect(text).toContain("$1 <% (COALESCE(first_name, '') || ' ' || COALESCE(middle_name, '') || ' ' || COALESCE(surname, ''))");
+    expect(text).toContain('$1 <% original_script_name');
+    expect(text).toContain('name_type = ANY($3)');
+    expect(text).toContain('DISTINCT ON (person_id)');
+    expect(text).toContain("regexp_replace(best_name.name, '\\s+', ' ', 'g') AS matched_name");
+    expect(values).toEqual(['Marie Dupont', 0.5, ['Primary Name'], 10, 0]);
+
+    // The trigram candidates are those within minSimilarity, on the session of the query only
+    expect(db.query.mock.calls[0]).toEqual(["SELECT set_config('pg_trgm.word_similarity_threshold', $1, false)", ['0.5']]);
+    expect(db.query.mock.calls[2]).toEqual(['RESET pg_trgm.word_similarity_threshold']);
+  });
+
+  test('should set the similarity threshold on a dedicated client of a pool', async () => {
+    const client = { ...createDb(), release: jest.fn() };
+    const pool = Object.assign(Object.create(Pool.prototype), { connect: jest.fn().mockResolvedValue(client), query: jest.fn() });
+    client.query.mockImplementationOnce(async () => ({ rows: [] })).mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(new PersonModel(pool).search('Dupont', { minSimilarity: 0.4 })).rejects.toThrow('connection lost');
+
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenLastCalledWith('RESET pg_trgm.word_similarity_threshold');
+    expect(client.release).toHaveBeenCalledWith(undefined);
+  });
+
+  test('should reject invalid searches', async () => {
+    const service = new SearchService(createDb());
+
+    await expect(service.search('  ')).rejects.toThrow('Search query is required');
+    await expect(service.search('Dupont', { minSimilarity: 2 })).rejects.toThrow('Invalid minimum similarity: 2');
+    await expect(service.search('Dupont', { types: ['vessel'] })).rejects.toThrow('Unknown profile type: vessel');
+  });
+});
@@ -0,0 +1,15 @@
+const { escapeXml } = require('../src/utils/xml-escape');
+
+describe('escapeXml', () => {
+  test('should escape markup characters', () => {
+    expect(escapeXml('Smith & "Sons" <Ltd>')).toBe('Smith &amp; &quot;Sons&quot; &lt;Ltd&gt;');
+    expect(escapeXml(42)).toBe('42');
+  });
+
+  test('should leave out characters XML 1.0 does not allow', () => {
+    expect(escapeXml('Acme\u0000 Trading\u0008\u000B\u001F Ltd')).toBe('Acme Trading Ltd');
+    expect(escapeXml('line\tone\r\nline two')).toBe('line\tone\r\nline two');
+    expect(escapeXml('\uFFFEname\uFFFF')).toBe('name');
+    expect(escapeXml('broken \uD83D pair, kept \uD83D\uDE00')).toBe('broken  pair, kept \uD83D\uDE00');
+  });
+});
@@ -0,0 +1,377 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { Pool } = require('pg');
+const XmlParserService = require('../src/services/xml-parser-service');
+const XmlExportService = require('../src/services/xml-export-service');
+const DryRunClient = require('../src/services/dry-run-client');
+
+const FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<PFA date="201901010000" type="full">
+  <CountryList>
+    <CountryName code="FR" name="France"/>
+    <CountryName code="GB" name="United Kingdom"/>
+  </CountryList>
+  <OccupationList><Occupation code="1" name="Heads &amp; Deputies State/National Government"/></OccupationList>
+  <RelationshipList><Relationship code="1" name="Wife"/><Relationship code="11" name="Business Associate"/></RelationshipList>
+  <Description1List><Description1Name Description1Id="1" RecordType="Person">Politically Exposed Person (PEP)</Description1Name></Description1List>
+  <Description2List><Description2Name Description2Id="1" Description1Id="1">Sanctions Lists</Description2Name></Description2List>
+  <SanctionsReferencesList><ReferenceName code="5" name="OFAC - Specially Designated Nationals" status="current" Description2Id="1"/></SanctionsReferencesList>
+  <DateTypeList><DateType Id="1" RecordType="Person" name="Date of Birth"/></DateTypeList>
+  <NameTypeList><NameType NameTypeID="1" RecordType="Person">Primary Name</NameType></NameTypeList>
+  <RoleTypeList><RoleType Id="1" name="Primary Occupation"/></RoleTypeList>
+  <Records>
+    <Person id="10" action="add" date="15-Mar-2012">
+      <Gender>Female</Gender>
+      <ActiveStatus>Active</ActiveStatus>
+      <ProfileNotes>Minister &lt;since 2010&gt; &amp; "adviser"</ProfileNotes>
+      <NameDetails>
+        <Name NameType="Primary Name" NameTypeID="1">
+          <NameValue><TitleHonorific>Dr</TitleHonorific><FirstName>Marie</FirstName><Surname>Dupont</Surname></NameValue>
+        </Name>
+        <Name NameType="Also Known As" NameTypeID="2">
+          <NameValue><SingleStringName>Marie D.</SingleStringName></NameValue>
+          <NameValue><FirstName>Mari</FirstName><Surname>Dupond</Surname><OriginalScriptName>Мари Дюпон</OriginalScriptName></NameValue>
+        </Name>
+      </NameDetails>
+      <Descriptions><Description Description1="1" Description2="1"/></Descriptions>
+      <RoleDetail>
+        <Roles RoleType="Primary Occupation" RoleTypeID="1">
+          <OccTitle OccCat="1" SinceDay="01" SinceMonth="Jun" SinceYear="2010">Minister of Finance</OccTitle>
+          <OccTitle OccCat="1" SinceYear="2005" ToYear="2009">Deputy Minister</OccTitle>
+        </Roles>
+      </RoleDetail>
+      <DateDetails>
+        <Date DateType="Date of Birth" DateTypeID="1">
+          <DateValue Day="02" Month="Feb" Year="1965"/>
+          <DateValue Year="1966" Dnotes="unconfirmed"/>
+        </Date>
+      </DateDetails>
+      <BirthPlace><Place name="Lyon" country="FR"/></BirthPlace>
+      <SanctionsReferences><Reference SinceDay="31" SinceMonth="Jan" SinceYear="2020">5</Reference></SanctionsReferences>
+      <Address><AddressLine>1 rue de Rivoli</AddressLine><AddressCity>Paris</AddressCity><AddressCountry>FR</AddressCountry></Address>
+      <Address><AddressCity>London</AddressCity><AddressCountry>GB</AddressCountry></Address>
+      <IDNumberTypes>
+        <ID IDType="Passport"><IDValue IDnotes="expired">X123</IDValue><IDValue>Y456</IDValue></ID>
+      </IDNumberTypes>
+      <Images><Image URL="http://example.com/marie.jpg" IsPrimary="true"/></Images>
+      <SourceDescription>
+        <Source name="Journal officiel" description="Official gazette" url="http://example.com/jo"/>
+        <Source name="Press"/>
+      </SourceDescription>
+    </Person>
+    <Person id="11" action="add">
+      <Gender>Male</Gender>
+      <Deceased>true</Deceased>
+      <NameDetails><Name NameType="Primary Name" NameTypeID="1"><NameValue><FirstName>Jean</FirstName><Surname>Dupont</Surname></NameValue></Name></NameDetails>
+      <SourceDescription><Source name="Press"/></SourceDescription>
+    </Person>
+    <Entity id="20" action="add" date="01-Jan-2019">
+      <ActiveStatus>Active</ActiveStatus>
+      <EntityType>Vessel</EntityType>
+      <NameDetails><Name NameType="Primary Name" NameTypeID="1"><NameValue><EntityName>Sea &amp; Sky</EntityName></NameValue></Name></NameDetails>
+      <SanctionsReferences><Reference>5</Reference></SanctionsReferences>
+      <Address><AddressLine>Quay 4</AddressLine><AddressCountry>GB</AddressCountry></Address>
+      <VesselDetails><VesselCallSign>ABCD</VesselCallSign><VesselType>Tanker</VesselType><VesselFlag>Panama</VesselFlag></VesselDetails>
+      <SourceDescription><Source name="OFAC" url="http://example.com/ofac"/></SourceDescription>
+    </Entity>
+  </Records>
+  <Associations>
+    <PublicFigure id="10">
+      <Associate id="11" code="1" ex="false" SinceYear="1990"/>
+      <Associate id="20" code="11" ex="true"/>
+    </PublicFigure>
+    <SpecialEntity id="20"><Associate id="10" code="11" ex="false"/></SpecialEntity>
+  </Associations>
+</PFA>
+`;
+
+/**
+ * In-memory tables filled from the INSERT statements of a dry run
+ * Child rows get a sequence id and information sources keep one id per name
+ */
+const createDatabase = () => {
+  const tables = {};
+  let nextId = 1;
+
+  // Description lookup of SanctionsReferenceModel.upsert
+  const lookup = (text, values) => {
+    if (!/SELECT 1 FROM description_types/.test(text)) return null;
+    const [level, id] = values;
+    const rows = (tables.description_types || []).filter(row => row.level === level && row.id === id);
+    return { rows, rowCount: rows.length };
+  };
+
+  const insert = (text, values, result) => {
+    const match = /^\s*INSERT\s+INTO\s+(\w+)\s*\(([^)]*)\)/i.exec(text);
+    if (!match) return result;
+
+    const [, table, columnList] = match;
+    const row = {};
+    columnList.split(',').map(column => column.trim()).forEach((column, i) => {
+      row[column] = values[i] === undefined ? null : values[i];
+    });
+    const rows = tables[table] || (tables[table] = []);
+
+    if (table === 'information_sources') {
+      const existing = rows.find(source => source.name === row.name);
+      if (existing) return { rows: [existing], rowCount: 1 };
+    }
+    if (!('id' in row)) {
+      row.id = nextId++;
+    }
+    rows.push(row);
+    return table === 'information_sources' ? { rows: [row], rowCount: 1 } : result;
+  };
+
+  return { tables, lookup, insert };
+};
+
+/**
+ * Load a file in a dry run, recording the inserted rows
+ */
+const load = async (filePath, tempDir) => {
+  const database = createDatabase();
+  const original = DryRunClient.prototype.query;
+  const spy = jest.spyOn(DryRunClient.prototype, 'query').mockImplementation(async function (text, values = []) {
+    const result = await original.call(this, text, values);
+    return database.lookup(text, values) || database.insert(text, values, result);
+  });
+
+  try {
+    const parser = new XmlParserService({}, { dryRun: true, disableChunking: true, tempDir });
+    await parser.parseXMLFile(filePath);
+  } finally {
+    spy.mockRestore();
+  }
+  return database.tables;
+};
+
+/**
+ * Pool answering the queries of XmlExportService from recorded tables
+ */
+const createPool = (tables) => {
+  const cursors = {};
+  const rowsOf = (table) => tables[table] || [];
+
+  const client = {
+    query: jest.fn(async (text, values) => {
+      const declare = /DECLARE\s+(\w+).*?FROM\s+(\w+)/s.exec(text);
+      if (declare) {
+        const key = /ORDER BY (\w+), id/.exec(text);
+        cursors[declare[1]] = [...rowsOf(declare[2])].sort((a, b) => (key ? a[key[1]] - b[key[1]] : 0) || a.id - b.id);
+        return { rows: [] };
+      }
+
+      const fetch = /^FETCH\s+(\d+)\s+FROM\s+(\w+)/.exec(text);
+      if (fetch) {
+        return { rows: cursors[fetch[2]].splice(0, Number(fetch[1])).map(row => ({ ...row })) };
+      }
+
+      const children = /FROM\s+(\w+)\s+WHERE\s+(\w+)\s*=\s*ANY/.exec(text);
+      if (children) {
+        return { rows: rowsOf(children[1]).filter(row => values[0].includes(row[children[2]])) };
+      }
+
+      const select = /^SELECT .*?FROM\s+(\w+)(?:\s+WHERE level = (\d))?/.exec(text);
+      if (select) {
+        return { rows: rowsOf(select[1]).filter(row => !select[2] || row.level === Number(select[2])) };
+      }
+
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  return { client, pool: { connect: jest.fn().mockResolvedValue(client) } };
+};
+
+/**
+ * Recorded rows comparable across loads: sequence ids dropped, sources by name
+ */
+const comparable = (tables) => {
+  const sourceNames = new Map((tables.information_sources || []).map(source => [source.id, source.name]));
+  const result = {};
+
+  for (const [table, rows] of Object.entries(tables)) {
+    result[table] = rows.map((row) => {
+      const copy = { ...row };
+      if (!['persons', 'entities'].includes(table)) delete copy.id;
+      if ('source_id' in copy) copy.source_id = sourceNames.get(copy.source_id);
+      return JSON.stringify(copy);
+    }).sort();
+  }
+  return result;
+};
+
+describe('XmlExportService', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-xml-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should export a file that loads back into the same rows in a dry run', async () => {
+    const feedPath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(feedPath, FEED);
+    const loaded = await load(feedPath, tempDir);
+
+    expect(loaded.persons).toHaveLength(2);
+    expect(loaded.person_names).toHaveLength(4);
+    expect(loaded.person_documents).toHaveLength(2);
+    expect(loaded.public_figure_associations).toHaveLength(2);
+    expect(loaded.sanctions_references[0]).toMatchObject({ description2_id: 1, description2_level: 2 });
+
+    const { client, pool } = createPool(loaded);
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    const stats = await new XmlExportService(pool, { fetchSize: 1 }).export(output);
+
+    expect(stats).toMatchObject({ persons: 2, entities: 1, associations: 3 });
+    expect(client.query).toHaveBeenCalledWith('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalledTimes(1);
+
+    const exportPath = path.join(tempDir, 'export.xml');
+    fs.writeFileSync(exportPath, Buffer.concat(chunks));
+    const reloaded = await load(exportPath, tempDir);
+
+    expect(comparable(reloaded)).toEqual(comparable(loaded));
+  });
+
+  test('should limit associations to the exported profiles', async () => {
+    const { client, pool } = createPool({});
+
+    await new XmlExportService(pool).export(new PassThrough(), { types: ['person'], limit: 100 });
+
+    const declares = client.query.mock.calls.map(([text]) => text).filter(text => text.includes('DECLARE'));
+    expect(declares[0]).toContain('FROM persons ORDER BY id LIMIT 100');
+    expect(declares).toHaveLength(2);
+    expect(declares[1]).toContain('FROM public_figure_associations');
+    expect(declares[1]).toContain('SELECT id FROM entities WHERE false');
+  });
+
+  test('should roll back and release the client when the export fails', async () => {
+    const { client, pool } = createPool({});
+    client.query.mockImplementation(async (text) => {
+      if (text.startsWith('DECLARE')) throw new Error('relation does not exist');
+      return { rows: [] };
+    });
+
+    await expect(new XmlExportService(pool).export(new PassThrough())).rejects.toThrow('relation does not exist');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+});
+
+/**
+ * Rows of every table of a database, comparable across loads: generated ids
+ * and timestamps are dropped and references to generated ids replaced by the
+ * referenced row
+ */
+const snapshot = async (pool) => {
+  const { rows: columns } = await pool.query(`
+    SELECT c.table_name, c.column_name, c.column_default
+    FROM information_schema.columns c
+    JOIN pg_tables t ON t.schemaname = c.table_schema AND t.tablename = c.table_name
+    WHERE c.table_schema = 'public' AND c.table_name NOT IN ('import_runs', 'quarantined_records')
+  `);
+  const { rows: references } = await pool.query(`
+    SELECT kcu.table_name, kcu.column_name, ccu.table_name AS referenced_table
+    FROM information_schema.table_constraints tc
+    JOIN information_schema.key_column_usage kcu ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema
+    JOIN information_schema.constraint_column_usage ccu ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema
+    WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_schema = 'public' AND ccu.column_name = 'id'
+  `);
+
+  const generated = new Set(columns
+    .filter(column => /nextval|CURRENT_TIMESTAMP|now\(\)/i.test(column.column_default || ''))
+    .map(column => `${column.table_name}.${column.column_name}`));
+  const strip = (table, row) => Object.fromEntries(Object.entries(row).filter(([column]) => !generated.has(`${table}.${column}`)));
+
+  const tables = {};
+  for (const table of new Set(columns.map(column => column.table_name))) {
+    tables[table] = (await pool.query(`SELECT * FROM public.${table}`)).rows;
+  }
+
+  const result = {};
+  for (const [table, rows] of Object.entries(tables)) {
+    result[table] = rows.map((row) => {
+      const copy = strip(table, row);
+      for (const { column_name: column, referenced_table: referenced } of references.filter(reference => reference.table_name === table)) {
+        if (generated.has(`${referenced}.id`) && copy[column] !== null && copy[column] !== undefined) {
+          copy[column] = strip(referenced, tables[referenced].find(target => target.id === row[column]));
+        }
+      }
+      return JSON.stringify(copy);
+    }).sort();
+  }
+  return result;
+};
+
+// Needs a disposable database with database/schema.sql applied: every table is truncated
+const describeWithDatabase = process.env.PFA_TEST_DATABASE_URL ? describe : describe.skip;
+
+describeWithDatabase('XmlExportService with PostgreSQL', () => {
+  const connectionString = process.env.PFA_TEST_DATABASE_URL;
+  let pool;
+  let tempDir;
+
+  const clear = async () => {
+    const { rows } = await pool.query("SELECT tablename FROM pg_tables WHERE schemaname = 'public'");
+    await pool.query(`TRUNCATE ${rows.map(row => `public.${row.tablename}`).join(', ')} RESTART IDENTITY CASCADE`);
+  };
+
+  const loadFile = async (filePath, loadStrategy) => {
+    const parser = new XmlParserService({ connectionString }, { disableChunking: true, loadStrategy, tempDir });
+    try {
+      await parser.parseXMLFile(filePath);
+    } finally {
+      await parser.pool.end();
+    }
+  };
+
+  beforeAll(() => {
+    pool = new Pool({ connectionString });
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-xml-export-'));
+    await clear();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test.each(['insert', 'batch', 'copy'])('should load, export and load again into identical rows with the %s strategy', async (loadStrategy) => {
+    const feedPath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(feedPath, FEED);
+    await loadFile(feedPath, loadStrategy);
+    const loaded = await snapshot(pool);
+    expect(loaded.persons).toHaveLength(2);
+    expect(loaded.person_names).toHaveLength(4);
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await new XmlExportService(pool).export(output);
+
+    const exportPath = path.join(tempDir, 'export.xml');
+    fs.writeFileSync(exportPath, Buffer.concat(chunks));
+    await clear();
+    await loadFile(exportPath, loadStrategy);
+
+    expect(await snapshot(pool)).toEqual(loaded);
+  });
+});
@@ -1,11 +1,164 @@
-const XmlParser = require('../src/services/xml-parser');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XmlParser = require('../src/services/xml-parser-service');
+const XmlFileSplitter = require('../src/utils/xml-file-splitter');
+const XmlProcessorFactory = require('../src/services/xml-processor-factory');
+
+const buildFeed = (personCount) => {
+  const persons = [];
+  for (let i = 1; i <= personCount; i++) {
+    persons.push(`    <Person id="${i}" action="add"><Gender>Male</Gender><ProfileNotes>Notes &amp; more for ${i}</ProfileNotes></Person>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<PFA date="201901010000">',
+    '  <CountryList><CountryName code="FR" name="France"/></CountryList>',
+    '  <Records>',
+    ...persons,
+    '    <Entity id="900" action="add"><![CDATA[<Entity>]]></Entity>',
+    '  </Records>',
+    '  <Associations>',
+    '    <PublicFigure id="1"><Associate id="2" code="1" ex="No"/></PublicFigure>',
+    '  </Associations>',
+    '</PFA>',
+    ''
+  ].join('\n');
+};
 
 describe('XmlParser', () => {
-  test('should parse valid XML', () => {
-    // Test implementation
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-xml-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should parse valid XML', async () => {
+    const filePath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(filePath, buildFeed(50));
+
+    const splitter = new XmlFileSplitter({ chunkSize: 512, tempDir });
+    const chunkPaths = await splitter.split(filePath);
+
+    expect(chunkPaths.length).toBeGreaterThan(1);
+    expect(splitter.recordCount).toBe(52);
+
+    const personIds = [];
+    for (const chunkPath of chunkPaths) {
+      const chunk = fs.readFileSync(chunkPath, 'utf8');
+
+      expect(path.basename(chunkPath)).toMatch(/^xml_chunk_/);
+      expect(chunk.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+      expect(chunk).toContain('<PFA date="201901010000">');
+      expect(chunk.trim().endsWith('</PFA>')).toBe(true);
+
+      for (const match of chunk.matchAll(/<Person id="(\d+)"/g)) {
+        personIds.push(Number(match[1]));
+      }
+    }
+
+    // Every record lands in exactly one chunk, in order
+    expect(personIds).toEqual(Array.from({ length: 50 }, (_, i) => i + 1));
+    expect(fs.readFileSync(chunkPaths[0], 'utf8')).toContain('<CountryList>');
+    expect(fs.readFileSync(chunkPaths[chunkPaths.length - 1], 'utf8')).toContain('<PublicFigure id="1">');
+  });
+
+  test('should throw error for invalid XML', async () => {
+    const filePath = path.join(tempDir, 'broken.xml');
+    fs.writeFileSync(filePath, '<PFA><Records><Person id="1"></Records></PFA>');
+
+    const splitter = new XmlFileSplitter({ chunkSize: 16, tempDir });
+
+    await expect(splitter.split(filePath)).rejects.toThrow('Mismatched closing tag');
+    expect(fs.readdirSync(tempDir).filter(file => file.startsWith('xml_chunk_'))).toEqual([]);
   });
 
-  test('should throw error for invalid XML', () => {
-    // Test implementation
+  test('should stream every name and role of a person to its processor', async () => {
+    const filePath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(filePath, [
+      '<PFA date="201901010000">',
+      '  <Records>',
+      '    <Person id="7" action="add">',
+      '      <NameDetails>',
+      '        <Name NameType="Primary Name" NameTypeID="1"><NameValue><FirstName>Marie</FirstName><Surname>Dupont</Surname></NameValue></Name>',
+      '        <Name NameType="Also Known As" NameTypeID="2">',
+      '          <NameValue><SingleStringName>Marie D.</SingleStringName></NameValue>',
+      '          <NameValue><FirstName>Mari</FirstName><Surname>Dupond</Surname></NameValue>',
+      '        </Name>',
+      '      </NameDetails>',
+      '      <RoleDetail>',
+      '        <Roles RoleType="Primary Occupation"><OccTitle OccCat="1">Minister</OccTitle><OccTitle OccCat="1">Deputy Minister</OccTitle></Roles>',
+      '        <Roles RoleType="Previous Roles"><OccTitle OccCat="3">Mayor</OccTitle></Roles>',
+      '      </RoleDetail>',
+      '    </Person>',
+      '  </Records>',
+      '</PFA>'
+    ].join('\n'));
+
+    const parser = new XmlParser({}, { tempDir });
+    parser.processorFactory = new XmlProcessorFactory(null, {});
+    parser.processors = parser.processorFactory.initializeAll();
+    const persons = [];
+    jest.spyOn(parser.processors.person, 'processRecord').mockImplementation(async (person) => {
+      persons.push(person);
+    });
+
+    try {
+      await parser.processXmlChunk(filePath);
+    } finally {
+      await parser.pool.end();
+    }
+
+    expect(persons).toHaveLength(1);
+    const [person] = persons;
+    const text = node => parser.processors.person.getText(node);
+
+    const names = person.NameDetails[0].Name;
+    expect(names.map(name => name.$.NameType)).toEqual(['Primary Name', 'Also Known As']);
+    expect(names[0].NameValue[0]).toEqual({ FirstName: ['Marie'], Surname: ['Dupont'] });
+    expect(names[1].NameValue.map(value => value.SingleStringName || value.FirstName)).toEqual([['Marie D.'], ['Mari']]);
+
+    const roles = person.RoleDetail[0].Roles;
+    expect(roles.map(role => role.$.RoleType)).toEqual(['Primary Occupation', 'Previous Roles']);
+    expect(roles.map(role => role.OccTitle.map(text))).toEqual([['Minister', 'Deputy Minister'], ['Mayor']]);
+    expect(roles[0].OccTitle[1].$).toEqual({ OccCat: '1' });
+  });
+
+  test('should count the records of each processor apart', async () => {
+    const parser = new XmlParser({}, { tempDir });
+    parser.processors = {
+      person: { stats: { counts: { persons: 2, names: 4, sanctions: 3 } } },
+      entity: { stats: { counts: { entities: 1, names: 1, sanctions: 1 } } }
+    };
+
+    const before = parser.collectProcessorCounts();
+    expect(before).toEqual({
+      'person.persons': 2,
+      'person.names': 4,
+      'person.sanctions': 3,
+      'entity.entities': 1,
+      'entity.names': 1,
+      'entity.sanctions': 1
+    });
+
+    parser.processors.entity.stats.counts.names = 3;
+    expect(parser.countsSince(before)).toMatchObject({ 'person.names': 0, 'entity.names': 2 });
+    await parser.pool.end();
+  });
+
+  test('should not split when chunking is disabled', async () => {
+    const filePath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(filePath, buildFeed(50));
+
+    const parser = new XmlParser({}, { tempDir, chunkSize: 512, disableChunking: true });
+    const chunkPaths = await parser.splitLargeXmlFile(filePath);
+
+    expect(chunkPaths).toEqual([filePath]);
+    await parser.pool.end();
   });
 });
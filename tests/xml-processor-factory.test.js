@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XmlProcessorFactory = require('../src/services/xml-processor-factory');
+const BaseProcessor = require('../src/processors/base-processor');
+
+class WatchlistProcessor extends BaseProcessor {
+  setupHandlers(xml) {
+    xml.on('endElement: Watchlist', () => this.updateStats(true));
+    return this;
+  }
+}
+
+describe('XmlProcessorFactory', () => {
+  test('should build the built-in processors followed by custom ones', () => {
+    const factory = new XmlProcessorFactory({}, {}, { loadType: 'delta' });
+    factory.register('watchlist', WatchlistProcessor, { batchSize: 5 });
+
+    const processors = factory.initializeAll();
+
+    expect(Object.keys(processors)).toEqual(['reference', 'person', 'entity', 'association', 'watchlist']);
+    expect(processors.watchlist).toBeInstanceOf(WatchlistProcessor);
+    expect(processors.watchlist.config).toMatchObject({ loadType: 'delta', batchSize: 5 });
+    expect(processors.person.config.batchSize).toBe(500);
+    expect(factory.getProcessor('watchlist')).toBe(processors.watchlist);
+  });
+
+  test('should register each element event once for all processors', () => {
+    class PersonAuditProcessor extends BaseProcessor {
+      setupHandlers(xml) {
+        xml.on('endElement: Person', () => this.updateStats(true));
+        return this;
+      }
+    }
+
+    const factory = new XmlProcessorFactory({}, {});
+    factory.register('audit', PersonAuditProcessor);
+    const processors = factory.initializeAll();
+    jest.spyOn(processors.person, 'trackProfile').mockResolvedValue(null);
+    const on = jest.fn();
+    const xml = { on, collect: jest.fn(), preserve: jest.fn() };
+
+    factory.setupAllHandlers(xml);
+
+    const personEvents = on.mock.calls.filter(([eventName]) => eventName === 'endElement: Person');
+    expect(personEvents).toHaveLength(1);
+    expect(on).toHaveBeenCalledWith('endElement: Entity', expect.any(Function));
+    expect(xml.on).toBe(on);
+
+    personEvents[0][1]({ $: { id: '1' } });
+    expect(processors.person.trackProfile).toHaveBeenCalledTimes(1);
+    expect(processors.audit.stats.processedCount).toBe(1);
+  });
+
+  test('should select processors with only and skip', () => {
+    const factory = new XmlProcessorFactory({}, {});
+    factory.register('watchlist', WatchlistProcessor);
+
+    expect(factory.selectProcessors()).toEqual(['reference', 'person', 'entity', 'association', 'watchlist']);
+    expect(factory.selectProcessors({ only: ['entity', 'reference'] })).toEqual(['reference', 'entity']);
+    expect(factory.selectProcessors({ skip: ['association', 'watchlist'] })).toEqual(['reference', 'person', 'entity']);
+    expect(() => factory.selectProcessors({ only: ['sanctions'] })).toThrow('Unknown processor type: sanctions');
+    expect(() => factory.selectProcessors({ skip: [...factory.registry.keys()] })).toThrow('No processor selected');
+
+    expect(Object.keys(factory.initializeAll(['entity']))).toEqual(['entity']);
+  });
+
+  test('should reject invalid registrations', () => {
+    const factory = new XmlProcessorFactory({}, {});
+
+    expect(() => factory.register('watchlist', class {})).toThrow('must be a subclass of BaseProcessor');
+    expect(() => factory.register('person', WatchlistProcessor)).toThrow('Processor already registered: person');
+    expect(() => factory.getProcessor('watchlist')).toThrow('Unknown processor type: watchlist');
+  });
+
+  test('should register a processor exported by a module', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-factory-'));
+    try {
+      const modulePath = path.join(tempDir, 'watchlist-processor.js');
+      fs.writeFileSync(modulePath, [
+        `const BaseProcessor = require(${JSON.stringify(require.resolve('../src/processors/base-processor'))});`,
+        'module.exports = class CustomProcessor extends BaseProcessor {};'
+      ].join('\n'));
+
+      const factory = new XmlProcessorFactory({}, {});
+      factory.registerModule({ module: modulePath, options: { watch: true } });
+
+      expect(factory.getProcessor('watchlist-processor').config.watch).toBe(true);
+      expect(() => factory.registerModule({ module: path.join(tempDir, 'missing.js') })).toThrow();
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
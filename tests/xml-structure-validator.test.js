@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XmlStructureValidator = require('../src/utils/xml-structure-validator');
+
+describe('XmlStructureValidator', () => {
+  let tempDir;
+
+  const validateXml = (xml, options) => {
+    const filePath = path.join(tempDir, 'feed.xml');
+    fs.writeFileSync(filePath, xml);
+    return new XmlStructureValidator(options).validate(filePath);
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfa-validate-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should accept a well-formed PFA file', async () => {
+    const report = await validateXml([
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<PFA><Records>',
+      '<Person id="1" action="add"><Gender>Male</Gender><NameDetails/></Person>',
+      '<Entity id="2"><EntityType>Company</EntityType></Entity>',
+      '</Records><Associations><PublicFigure id="1"><Associate id="2" code="1"/></PublicFigure></Associations></PFA>'
+    ].join('\n'));
+
+    expect(report.valid).toBe(true);
+    expect(report.errorCount).toBe(0);
+    expect(report.warningCount).toBe(0);
+    expect(report.elementCounts.Person).toBe(1);
+  });
+
+  test('should report missing attributes and unknown children with their position', async () => {
+    const report = await validateXml([
+      '<PFA><Records>',
+      '<Person id="1"><Gender>Male</Gender><Nickname>Al</Nickname></Person>',
+      '  <Person><Gender>Male</Gender></Person>',
+      '</Records></PFA>'
+    ].join('\n'));
+
+    expect(report.valid).toBe(false);
+    expect(report.errors).toEqual([
+      { line: 3, column: 3, element: 'Person', message: '<Person> is missing required attribute "id"' }
+    ]);
+    expect(report.warnings).toEqual([
+      { line: 2, column: 37, element: 'Nickname', message: 'Unknown child <Nickname> of <Person> will be ignored' }
+    ]);
+  });
+
+  test('should report the root element and malformed XML', async () => {
+    const report = await validateXml('<pfa>\n<Records><Person id="1"></Records>\n</pfa>');
+
+    expect(report.valid).toBe(false);
+    expect(report.errors.map(error => error.message)).toEqual([
+      'Unexpected root element <pfa>, expected <PFA>',
+      'Malformed XML: mismatched tag'
+    ]);
+    expect(report.errors[1].line).toBe(2);
+  });
+
+  test('should cap the violations kept in the report', async () => {
+    const persons = Array.from({ length: 5 }, () => '<Person/>').join('');
+    const report = await validateXml(`<PFA><Records>${persons}</Records></PFA>`, { maxViolations: 2 });
+
+    expect(report.errorCount).toBe(5);
+    expect(report.errors).toHaveLength(2);
+  });
+});